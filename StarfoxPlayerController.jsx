@@ -1,183 +1,355 @@
-import React, { useRef, useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createContext, forwardRef, useContext, useImperativeHandle, useRef, useState, useEffect, useLayoutEffect, useCallback, useMemo } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { CatmullRomCurve3, Vector3, Quaternion, Euler, MathUtils } from 'three';
-import { OrbitControls, Html, Trail, Line } from '@react-three/drei';
-
-// ============================================================================
-// CONSTANTS & CONFIGURATION
-// ============================================================================
-const CONFIG = {
-  // Movement
-  MOVE_SPEED: 8,
-  MOVE_BOUNDS: { x: 12, y: 8 },
-  FORWARD_SPEED: 15,
-  BOOST_SPEED: 35,
-  BOOST_DURATION: 2000,
-  BOOST_COOLDOWN: 5000,
-  
-  // Dodge/Barrel Roll
-  DODGE_DURATION: 600,
-  DODGE_COOLDOWN: 3000,
-  DODGE_AGILITY_MULT: 1.8,
-  
-  // Weapons
-  FIRE_RATE: 100, // ms between shots
-  PROJECTILE_SPEED: 80,
-  PROJECTILE_LIFETIME: 2000,
-  
-  // Visual
-  SHIP_TILT_FACTOR: 0.3,
-  RETICLE_DISTANCE: 50,
-};
+import {
+  Vector3,
+  Euler,
+  MathUtils,
+  Matrix4,
+  Color,
+  Quaternion,
+  BufferGeometry,
+  BufferAttribute,
+  Mesh,
+  MeshStandardMaterial,
+  DataTexture,
+  RGBAFormat,
+  RepeatWrapping,
+  DoubleSide,
+} from 'three';
+import { Html, Trail, Line } from '@react-three/drei';
+import { CONFIG, NO_INPUT, createPlayerSimulation, interpolateState } from './playerSimulation';
+import { DEFAULT_TICK_RATE, createFixedStepLoop, createPerformanceClock } from './fixedStepLoop';
+import { createReplaySource } from './inputRecording';
+import {
+  DEFAULT_PROFILE,
+  boundKeyCodes,
+  createDeviceState,
+  describeControl,
+  describeControls,
+  resolveInput,
+} from './inputBindings';
+import { createGamepadManager } from './gamepadManager';
+import { TOUCH_BUTTONS, createTouchInput, isTouchDevice, pointerTypeIsTouch } from './touchInput';
+import { createCollisionWorld } from './collisionWorld';
+import { DEFAULT_WEAPONS } from './weapons';
+import { DEFAULT_LEVEL, createLevelPath, loadLevel } from './levelFormat';
+import { ENDLESS_CONFIG, ENDLESS_LEVEL, createEndlessPath } from './endlessPath';
+import { ENVIRONMENT_VARIANTS, SCENERY_TYPES, createEnvironment, environmentTexture } from './environment';
+import { frameQuaternion } from './railFrame';
+import { CAMERA_CONFIG, createCameraRig } from './cameraRig';
+import { CONFIG_PRESETS, resolveConfig, validateConfig } from './gameConfig';
+import {
+  GAME_EVENTS,
+  createEventBus,
+  emitBossEvents,
+  emitEnemyEvents,
+  emitScoreEvents,
+  emitTickEvents,
+  eventPayload,
+} from './eventBus';
+import { FLOW_CONFIG, GAME_STATES, createGameFlow } from './gameFlow';
+import { ENEMY_TYPES, createEnemySystem, interpolateEnemies } from './enemies';
+import { BOSS_TYPES, createBossSystem, interpolateBosses } from './bosses';
+import { SCORING_CONFIG, createHighScoreTable, createScoring } from './scoring';
+import {
+  HUD_INTERVAL,
+  createFrameStore,
+  selectBossBar,
+  selectBossPartIds,
+  selectEnemyIds,
+  selectHud,
+  selectLockIds,
+  selectRadar,
+  selectReticleLook,
+  selectScore,
+  selectShipLook,
+  selectTouch,
+  sameContents,
+  watchStore,
+} from './frameStore';
+import {
+  boundsOutline,
+  colliderColor,
+  createFrameTimeGraph,
+  exportTuning,
+  frameAxes,
+  pathPoints,
+  setSetting,
+  settingSliders,
+} from './debugTools';
 
 // ============================================================================
 // INPUT MANAGER HOOK
 // ============================================================================
-function useInputManager() {
-  const [keys, setKeys] = useState({
-    up: false, down: false, left: false, right: false,
-    boost: false, dodge: false, fire: false
-  });
-  const [mouse, setMouse] = useState({ x: 0, y: 0 });
-  const [gamepad, setGamepad] = useState(null);
-  const gamepadRef = useRef({ leftStick: { x: 0, y: 0 }, rightStick: { x: 0, y: 0 }, buttons: {} });
+// Returns a `sampleInput()` function to call from the frame loop. Keyboard
+// and mouse events are collected as they arrive; the gamepad and on-screen
+// touch controls are read fresh on every sample.
+function useInputManager(profile = DEFAULT_PROFILE, gamepads = null, touch = null) {
+  const devices = useRef(null);
+  if (!devices.current) devices.current = createDeviceState();
 
   useEffect(() => {
-    const keyMap = {
-      'KeyW': 'up', 'ArrowUp': 'up',
-      'KeyS': 'down', 'ArrowDown': 'down',
-      'KeyA': 'left', 'ArrowLeft': 'left',
-      'KeyD': 'right', 'ArrowRight': 'right',
-      'ShiftLeft': 'boost', 'ShiftRight': 'boost',
-      'Space': 'dodge',
-      'KeyE': 'dodge',
-    };
+    const boundKeys = boundKeyCodes(profile);
+    const { keys, mouseButtons, pointer } = devices.current;
 
+    // Bound keys are the game's: Space and the arrows mustn't scroll the page
     const handleKeyDown = (e) => {
-      const action = keyMap[e.code];
-      if (action) setKeys(k => ({ ...k, [action]: true }));
+      if (!boundKeys.has(e.code)) return;
+      keys.add(e.code);
+      e.preventDefault();
     };
     
     const handleKeyUp = (e) => {
-      const action = keyMap[e.code];
-      if (action) setKeys(k => ({ ...k, [action]: false }));
+      keys.delete(e.code);
     };
 
+    // Pointer events so fingers (handled by TouchControls) never move the
+    // mouse aim or fire through emulated mouse clicks
     const handleMouseMove = (e) => {
-      setMouse({
-        x: (e.clientX / window.innerWidth) * 2 - 1,
-        y: -(e.clientY / window.innerHeight) * 2 + 1
-      });
+      if (pointerTypeIsTouch(e)) return;
+      pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+      pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
     };
 
     const handleMouseDown = (e) => {
-      if (e.button === 0) setKeys(k => ({ ...k, fire: true }));
+      if (!pointerTypeIsTouch(e)) mouseButtons.add(e.button);
     };
-    
     const handleMouseUp = (e) => {
-      if (e.button === 0) setKeys(k => ({ ...k, fire: false }));
+      if (!pointerTypeIsTouch(e)) mouseButtons.delete(e.button);
     };
 
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mousedown', handleMouseDown);
-    window.addEventListener('mouseup', handleMouseUp);
-
-    // Gamepad polling
-    const pollGamepad = () => {
-      const gamepads = navigator.getGamepads();
-      const gp = gamepads[0];
-      if (gp) {
-        gamepadRef.current = {
-          leftStick: { x: gp.axes[0] || 0, y: gp.axes[1] || 0 },
-          rightStick: { x: gp.axes[2] || 0, y: gp.axes[3] || 0 },
-          buttons: {
-            boost: gp.buttons[7]?.pressed || false, // RT
-            dodge: gp.buttons[4]?.pressed || gp.buttons[5]?.pressed || false, // LB/RB
-            fire: gp.buttons[6]?.pressed || false, // LT
-          }
-        };
-        setGamepad(gamepadRef.current);
-      }
-    };
-    
-    const gamepadInterval = setInterval(pollGamepad, 16);
+    window.addEventListener('pointermove', handleMouseMove);
+    window.addEventListener('pointerdown', handleMouseDown);
+    window.addEventListener('pointerup', handleMouseUp);
 
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mousedown', handleMouseDown);
-      window.removeEventListener('mouseup', handleMouseUp);
-      clearInterval(gamepadInterval);
+      window.removeEventListener('pointermove', handleMouseMove);
+      window.removeEventListener('pointerdown', handleMouseDown);
+      window.removeEventListener('pointerup', handleMouseUp);
     };
-  }, []);
+  }, [profile]);
+
+  // Combine all devices through the active bindings
+  return useCallback(() => {
+    if (gamepads) devices.current.gamepad = gamepads.sample();
+    devices.current.touch = touch ? touch.getState() : null;
+    return resolveInput(profile, devices.current);
+  }, [profile, gamepads, touch]);
+}
 
-  // Combine keyboard and gamepad inputs
-  const input = useMemo(() => {
-    const gp = gamepadRef.current;
-    const deadzone = 0.15;
+// Whether to show the touch layout. 'auto' starts from the device type and
+// follows whichever kind of pointer was used last, so hybrid laptops switch
+// when the screen is touched.
+function useTouchLayout(mode = 'auto') {
+  const [touchLayout, setTouchLayout] = useState(() => (mode === 'auto' ? isTouchDevice() : mode));
+  
+  useEffect(() => {
+    if (mode !== 'auto') {
+      setTouchLayout(mode);
+      return undefined;
+    }
     
-    const applyDeadzone = (val) => Math.abs(val) < deadzone ? 0 : val;
+    const handlePointerDown = (e) => setTouchLayout(pointerTypeIsTouch(e));
+    const handleKeyDown = () => setTouchLayout(false);
     
-    return {
-      moveX: applyDeadzone(gp.leftStick?.x || 0) || (keys.left ? -1 : keys.right ? 1 : 0),
-      moveY: applyDeadzone(-(gp.leftStick?.y || 0)) || (keys.up ? 1 : keys.down ? -1 : 0),
-      aimX: applyDeadzone(gp.rightStick?.x || 0) || mouse.x,
-      aimY: applyDeadzone(-(gp.rightStick?.y || 0)) || mouse.y,
-      boost: keys.boost || gp.buttons?.boost || false,
-      dodge: keys.dodge || gp.buttons?.dodge || false,
-      fire: keys.fire || gp.buttons?.fire || false,
+    window.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('keydown', handleKeyDown);
     };
-  }, [keys, mouse, gamepad]);
+  }, [mode]);
+  
+  return touchLayout;
+}
+
+// Gamepad manager for a component: the one passed in, or an internal one
+// that lives as long as the component
+function useGamepadManager(external) {
+  const internal = useMemo(() => (external ? null : createGamepadManager()), [external]);
+  
+  useEffect(() => () => internal?.dispose(), [internal]);
+  
+  return external || internal;
+}
+
+// Active profile of a binding store, re-rendering when it changes
+function useInputProfile(store) {
+  const [profile, setProfile] = useState(() => store.getActiveProfile());
+  
+  useEffect(() => {
+    setProfile(store.getActiveProfile());
+    return store.subscribe(setProfile);
+  }, [store]);
+  
+  return profile;
+}
+
+// ============================================================================
+// FRAME STORE HOOK
+// ============================================================================
+// `select(snapshot)` from a frame store (frameStore.js), re-rendering only
+// when it changes (by `equal`, shallowEqual unless given) and at most once
+// per `interval` ms. Things that move every frame should read `store.get()`
+// in useFrame instead.
+function useFrameStore(store, select, interval = 0, equal) {
+  const [selected, setSelected] = useState(() => select(store.get()));
+  const selectRef = useRef(select);
+  selectRef.current = select;
+  
+  useEffect(
+    () => watchStore(store, (state) => selectRef.current(state), setSelected, { interval, initial: selected, equal }),
+    [store, interval, equal]
+  );
+  
+  return selected;
+}
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+// Resolved config of the enclosing GameController (CONFIG outside one), for
+// game components that scale with it
+const ConfigContext = createContext(CONFIG);
+
+function useConfig() {
+  return useContext(ConfigContext);
+}
+
+// ============================================================================
+// COLLIDERS
+// ============================================================================
+// Collision world of the enclosing GameController
+const CollisionContext = createContext(null);
 
-  return input;
+// Register a collider (see collisionWorld.js) for as long as the calling
+// component is mounted. Passing a new collider object moves or reshapes it.
+function useCollider(collider) {
+  const world = useContext(CollisionContext);
+  const idRef = useRef(null);
+  
+  useEffect(() => {
+    if (!world) return undefined;
+    const id = world.add(collider);
+    idRef.current = id;
+    return () => {
+      world.remove(id);
+      idRef.current = null;
+    };
+    // Registered once per world; later changes go through update()
+  }, [world]);
+  
+  useEffect(() => {
+    if (world && idRef.current !== null) world.update(idRef.current, collider);
+  }, [world, collider]);
+  
+  return idRef;
 }
 
 // ============================================================================
 // SPLINE PATH
 // ============================================================================
-function createLevelSpline() {
-  const points = [
-    new Vector3(0, 0, 0),
-    new Vector3(0, 2, -100),
-    new Vector3(10, 5, -200),
-    new Vector3(-5, 3, -300),
-    new Vector3(0, 8, -400),
-    new Vector3(15, 4, -500),
-    new Vector3(-10, 6, -600),
-    new Vector3(0, 2, -700),
-    new Vector3(5, 10, -800),
-    new Vector3(0, 5, -1000),
-  ];
-  return new CatmullRomCurve3(points, false, 'catmullrom', 0.5);
+// The rail path of a level (a level object or JSON text, see levelFormat.js)
+function createLevelSpline(level = DEFAULT_LEVEL) {
+  return createLevelPath(level);
+}
+
+// A procedural path that never ends (see endlessPath.js), from the
+// `endless` prop: `true`, or `{ seed, config }` with ENDLESS_CONFIG overrides
+function createEndlessSpline(endless) {
+  const { seed, config } = endless === true ? {} : endless;
+  return createEndlessPath({ seed, config: { ...ENDLESS_CONFIG, ...config } });
+}
+
+// A counter that goes up whenever a streaming path moves on, for
+// components drawn along it; a level path never does
+function usePathVersion(spline) {
+  const [version, setVersion] = useState(0);
+  useEffect(() => (spline.subscribe ? spline.subscribe(() => setVersion(v => v + 1)) : undefined), [spline]);
+  return version;
 }
 
 // ============================================================================
-// PROJECTILE COMPONENT
+// PROJECTILE POOL
 // ============================================================================
-function Projectile({ position, direction, onExpire, id }) {
-  const ref = useRef();
-  const startTime = useRef(Date.now());
+// All live shots drawn as instances of one mesh, with no per-shot meshes,
+// lights or React children, so sustained fire is a single draw call and no
+// mount/unmount churn. The simulation caps live shots at MAX_PROJECTILES.
+// Each instance is a unit sphere scaled to the shot's radius and tinted with
+// its weapon's colour; charged shots use `chargedColor`. With a frame
+// `store` the shots are read from it every frame instead of `projectiles`,
+// without re-rendering.
+function ProjectilePool({
+  projectiles,
+  store,
+  capacity = CONFIG.MAX_PROJECTILES,
+  color = '#00ff88',
+  chargedColor = '#ff4422'
+}) {
+  const meshRef = useRef();
+  const matrix = useMemo(() => new Matrix4(), []);
+  const colors = useMemo(() => {
+    const cache = new Map();
+    return (value) => {
+      if (!cache.has(value)) cache.set(value, new Color(value));
+      return cache.get(value);
+    };
+  }, []);
   
-  useFrame((_, delta) => {
-    if (!ref.current) return;
+  const draw = (shots) => {
+    const mesh = meshRef.current;
+    const count = Math.min(shots.length, capacity);
     
-    ref.current.position.add(
-      direction.clone().multiplyScalar(CONFIG.PROJECTILE_SPEED * delta)
-    );
+    // Create the colour attribute before the first render so the shader is
+    // compiled with per-instance colours
+    if (!mesh.instanceColor) mesh.setColorAt(0, colors(color));
     
-    if (Date.now() - startTime.current > CONFIG.PROJECTILE_LIFETIME) {
-      onExpire(id);
+    for (let i = 0; i < count; i++) {
+      const { position: { x, y, z }, radius, charged } = shots[i];
+      matrix.makeScale(radius, radius, radius).setPosition(x, y, z);
+      mesh.setMatrixAt(i, matrix);
+      mesh.setColorAt(i, colors(charged ? chargedColor : shots[i].color || color));
     }
+    mesh.count = count;
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+  };
+  
+  useLayoutEffect(() => {
+    if (!store) draw(projectiles);
+  }, [store, projectiles, capacity, matrix, colors, color, chargedColor]);
+  
+  useFrame(() => {
+    if (store) draw(store.get().projectiles);
   });
+  
+  return (
+    <instancedMesh ref={meshRef} args={[null, null, capacity]} frustumCulled={false}>
+      <sphereGeometry args={[1, 8, 8]} />
+      <meshBasicMaterial />
+    </instancedMesh>
+  );
+}
+
+// ============================================================================
+// BOMB BLAST
+// ============================================================================
+// Expanding, fading shell drawn where a bomb went off, sized to its blast
+// radius. `age` is the sim time in ms since detonation.
+const BLAST_DURATION = 500;
 
+function BombBlast({ position, radius, age }) {
+  const t = Math.min(age / BLAST_DURATION, 1);
+  const scale = radius * (0.3 + 0.7 * t);
+  
   return (
-    <mesh ref={ref} position={position}>
-      <sphereGeometry args={[0.15, 8, 8]} />
-      <meshBasicMaterial color="#00ff88" emissive="#00ff88" />
-      <pointLight color="#00ff88" intensity={2} distance={5} />
+    <mesh position={[position.x, position.y, position.z]} scale={[scale, scale, scale]}>
+      <sphereGeometry args={[1, 16, 16]} />
+      <meshBasicMaterial color="#ff8800" transparent opacity={0.6 * (1 - t)} depthWrite={false} />
     </mesh>
   );
 }
@@ -185,20 +357,69 @@ function Projectile({ position, direction, onExpire, id }) {
 // ============================================================================
 // PLAYER SHIP COMPONENT
 // ============================================================================
-function PlayerShip({ 
+const rollAngleOf = (isRolling, rollProgress) => (isRolling ? rollProgress * Math.PI * 2 : 0);
+
+// Blink through the post-hit i-frames
+const blinkVisible = (hitCooldown) => Math.floor(hitCooldown / 80) % 2 === 0;
+
+// Either placed by its props, or with a frame `store` following the
+// snapshot every frame by moving the objects directly; then only boosting
+// and invulnerability (which swap materials) re-render it.
+function PlayerShip({ store, ...props }) {
+  return store ? <TrackedShip store={store} ghost={props.ghost} /> : <ShipModel {...props} />;
+}
+
+function TrackedShip({ store, ghost }) {
+  const shipRef = useRef();
+  const rollRef = useRef();
+  const { isBoosting, isInvulnerable } = useFrameStore(store, selectShipLook);
+  
+  useFrame(() => {
+    const state = store.get();
+    const { x, y, z } = state.shipPosition;
+    const q = state.shipQuaternion;
+    shipRef.current.position.set(x, y, z);
+    shipRef.current.quaternion.set(q.x, q.y, q.z, q.w);
+    shipRef.current.visible = blinkVisible(state.hitCooldown || 0);
+    rollRef.current.rotation.z = rollAngleOf(state.isRolling, state.rollProgress);
+  });
+  
+  return (
+    <ShipModel
+      shipRef={shipRef}
+      rollRef={rollRef}
+      isBoosting={isBoosting}
+      isInvulnerable={isInvulnerable}
+      ghost={ghost}
+    />
+  );
+}
+
+function ShipModel({ 
+  shipRef,
+  rollRef,
   position, 
-  rotation, 
+  quaternion, 
   isRolling, 
   rollProgress, 
   isBoosting,
-  isInvulnerable 
+  isInvulnerable,
+  hitCooldown = 0,
+  ghost = false
 }) {
-  const shipRef = useRef();
-  const rollAngle = isRolling ? rollProgress * Math.PI * 2 : 0;
+  // Placed by the caller when tracked: the props are left unset
+  const tracked = Boolean(shipRef);
+  const placement = tracked
+    ? {}
+    : { position, quaternion, visible: blinkVisible(hitCooldown) };
+  const roll = tracked ? {} : { rotation: [0, 0, rollAngleOf(isRolling, rollProgress)] };
+  
+  // Ghost ships (replays of a previous run) are translucent and unlit
+  const ghostMaterial = ghost ? { transparent: true, opacity: 0.3, depthWrite: false } : {};
   
   return (
-    <group ref={shipRef} position={position} rotation={rotation}>
-      <group rotation={[0, 0, rollAngle]}>
+    <group ref={shipRef} {...placement}>
+      <group ref={rollRef} {...roll}>
         {/* Main body - placeholder cube */}
         <mesh>
           <boxGeometry args={[1.5, 0.5, 2]} />
@@ -207,36 +428,39 @@ function PlayerShip({
             emissive={isInvulnerable ? "#448888" : isBoosting ? "#442200" : "#112244"}
             metalness={0.8}
             roughness={0.2}
+            {...ghostMaterial}
           />
         </mesh>
         
         {/* Wings */}
         <mesh position={[-1.5, 0, 0]}>
           <boxGeometry args={[1.5, 0.1, 1]} />
-          <meshStandardMaterial color="#3366cc" metalness={0.8} roughness={0.2} />
+          <meshStandardMaterial color="#3366cc" metalness={0.8} roughness={0.2} {...ghostMaterial} />
         </mesh>
         <mesh position={[1.5, 0, 0]}>
           <boxGeometry args={[1.5, 0.1, 1]} />
-          <meshStandardMaterial color="#3366cc" metalness={0.8} roughness={0.2} />
+          <meshStandardMaterial color="#3366cc" metalness={0.8} roughness={0.2} {...ghostMaterial} />
         </mesh>
         
         {/* Cockpit */}
         <mesh position={[0, 0.3, -0.3]}>
           <sphereGeometry args={[0.3, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2]} />
-          <meshStandardMaterial color="#88ccff" transparent opacity={0.7} />
+          <meshStandardMaterial color="#88ccff" transparent opacity={ghost ? 0.3 : 0.7} />
         </mesh>
         
         {/* Engine glow */}
         <mesh position={[0, 0, 1.2]}>
           <coneGeometry args={[0.3, isBoosting ? 2 : 0.8, 8]} />
-          <meshBasicMaterial color={isBoosting ? "#ff4400" : "#ff8800"} />
+          <meshBasicMaterial color={isBoosting ? "#ff4400" : "#ff8800"} {...ghostMaterial} />
         </mesh>
-        <pointLight 
-          position={[0, 0, 1.5]} 
-          color={isBoosting ? "#ff4400" : "#ff8800"} 
-          intensity={isBoosting ? 5 : 2} 
-          distance={isBoosting ? 8 : 4} 
-        />
+        {!ghost && (
+          <pointLight 
+            position={[0, 0, 1.5]} 
+            color={isBoosting ? "#ff4400" : "#ff8800"} 
+            intensity={isBoosting ? 5 : 2} 
+            distance={isBoosting ? 8 : 4} 
+          />
+        )}
       </group>
     </group>
   );
@@ -245,7 +469,33 @@ function PlayerShip({
 // ============================================================================
 // RETICLE COMPONENT
 // ============================================================================
-function Reticle({ position, isLocked }) {
+// `quaternion` faces it along the rail frame. With a frame `store` it
+// follows the reticle (or the first lock), the rail frame and the charge
+// every frame instead of its props, re-rendering only when a lock starts or
+// ends.
+function Reticle({ store, ...props }) {
+  return store ? <TrackedReticle store={store} /> : <ReticleModel {...props} />;
+}
+
+function TrackedReticle({ store }) {
+  const groupRef = useRef();
+  const outerRef = useRef();
+  const { isLocked } = useFrameStore(store, selectReticleLook);
+  
+  useFrame(() => {
+    const state = store.get();
+    const { x, y, z } = state.lockPosition || state.reticlePosition;
+    const q = frameQuaternion(state.frame);
+    groupRef.current.position.set(x, y, z);
+    groupRef.current.quaternion.set(q.x, q.y, q.z, q.w);
+    const outerScale = 1 - state.chargeLevel * 0.4;
+    outerRef.current.scale.set(outerScale, outerScale, 1);
+  });
+  
+  return <ReticleModel groupRef={groupRef} outerRef={outerRef} isLocked={isLocked} />;
+}
+
+function ReticleModel({ groupRef, outerRef, position, quaternion, isLocked, charge = 0 }) {
   const ref = useRef();
   
   useFrame((_, delta) => {
@@ -254,33 +504,371 @@ function Reticle({ position, isLocked }) {
     }
   });
 
+  // The outer ring closes in as the charge builds
+  const outerScale = 1 - charge * 0.4;
+  const tracked = Boolean(groupRef);
+  
+  return (
+    <group ref={groupRef} {...(tracked ? {} : { position, quaternion })}>
+      <group ref={ref}>
+        <mesh ref={outerRef} {...(tracked ? {} : { scale: [outerScale, outerScale, 1] })}>
+          <ringGeometry args={[0.8, 1, 4]} />
+          <meshBasicMaterial color={isLocked ? "#ff0000" : "#00ff00"} transparent opacity={0.8} />
+        </mesh>
+        <mesh rotation={[0, 0, Math.PI / 4]}>
+          <ringGeometry args={[0.5, 0.6, 4]} />
+          <meshBasicMaterial color={isLocked ? "#ff0000" : "#00ff00"} transparent opacity={0.6} />
+        </mesh>
+      </group>
+    </group>
+  );
+}
+
+// Marker around each locked target
+function LockMarker({ markerRef, position, quaternion }) {
+  const placement = markerRef ? {} : { position: [position.x, position.y, position.z], quaternion };
+  
+  return (
+    <mesh ref={markerRef} {...placement}>
+      <ringGeometry args={[1.6, 1.8, 24]} />
+      <meshBasicMaterial color="#ff0000" transparent opacity={0.8} />
+    </mesh>
+  );
+}
+
+// A marker per lock in a frame store, re-rendered only when the set of
+// locks changes; they follow their targets every frame
+function LockMarkers({ store }) {
+  const ids = useFrameStore(store, selectLockIds);
+  const markers = useRef(new Map());
+  
+  useFrame(() => {
+    const state = store.get();
+    const q = frameQuaternion(state.frame);
+    for (const lock of state.locks) {
+      const marker = markers.current.get(lock.id);
+      if (!marker) continue;
+      marker.position.set(lock.position.x, lock.position.y, lock.position.z);
+      marker.quaternion.set(q.x, q.y, q.z, q.w);
+    }
+  });
+  
+  return ids.map(id => (
+    <LockMarker
+      key={id}
+      markerRef={(mesh) => {
+        if (mesh) markers.current.set(id, mesh);
+        else markers.current.delete(id);
+      }}
+    />
+  ));
+}
+
+// ============================================================================
+// ENEMIES
+// ============================================================================
+// A stand-in model per behaviour, in the enemy's colour and scaled to its
+// collision radius, nose along +z
+const ENEMY_SHAPES = {
+  turret: () => <cylinderGeometry args={[0.8, 1, 1.2, 8]} />,
+  formation: () => <octahedronGeometry args={[1]} />,
+  chaser: () => <coneGeometry args={[0.7, 2, 6]} />,
+  shooter: () => <boxGeometry args={[1.8, 0.5, 1.2]} />,
+};
+const ENEMY_HIT_COLOR = '#ffffff';
+// Enemy shots drawn at once; any beyond are skipped
+const ENEMY_SHOT_CAPACITY = 64;
+
+function EnemyModel({ enemy, modelRef }) {
+  const Shape = ENEMY_SHAPES[enemy.behavior] || ENEMY_SHAPES.formation;
+  const noseForward = enemy.behavior === 'chaser' ? [Math.PI / 2, 0, 0] : [0, 0, 0];
+  
   return (
-    <group position={position} ref={ref}>
-      <mesh rotation={[0, 0, 0]}>
-        <ringGeometry args={[0.8, 1, 4]} />
-        <meshBasicMaterial color={isLocked ? "#ff0000" : "#00ff00"} transparent opacity={0.8} />
-      </mesh>
-      <mesh rotation={[0, 0, Math.PI / 4]}>
-        <ringGeometry args={[0.5, 0.6, 4]} />
-        <meshBasicMaterial color={isLocked ? "#ff0000" : "#00ff00"} transparent opacity={0.6} />
+    <group ref={modelRef} scale={[enemy.radius, enemy.radius, enemy.radius]}>
+      <mesh rotation={noseForward}>
+        <Shape />
+        <meshStandardMaterial color={enemy.color} emissive={enemy.color} emissiveIntensity={0.3} />
       </mesh>
     </group>
   );
 }
 
+// Every live enemy in an enemy frame store, re-rendered only when enemies
+// come or go; they follow their snapshot every frame and flash when hit
+function EnemyFleet({ store }) {
+  const ids = useFrameStore(store, selectEnemyIds);
+  const models = useRef(new Map());
+  const look = useMemo(() => new Vector3(), []);
+  
+  useFrame(() => {
+    for (const enemy of store.get().enemies) {
+      const model = models.current.get(enemy.id);
+      if (!model) continue;
+      const { position: p, direction: d } = enemy;
+      model.position.set(p.x, p.y, p.z);
+      model.lookAt(look.set(p.x + d.x, p.y + d.y, p.z + d.z));
+      model.children[0].material.color.set(enemy.isHit ? ENEMY_HIT_COLOR : enemy.color);
+    }
+  });
+  
+  // An id may already be gone from the store by the time this renders
+  const byId = new Map(store.get().enemies.map(enemy => [enemy.id, enemy]));
+  return ids.filter(id => byId.has(id)).map(id => (
+    <EnemyModel
+      key={id}
+      enemy={byId.get(id)}
+      modelRef={(group) => {
+        if (group) models.current.set(id, group);
+        else models.current.delete(id);
+      }}
+    />
+  ));
+}
+
+// ============================================================================
+// BOSSES
+// ============================================================================
+// Weak points are spheres, armour boxes and other parts octahedra, each
+// scaled to its collision radius. Shielded weak points are dimmed.
+const BOSS_PART_SHAPES = {
+  weakPoint: () => <sphereGeometry args={[1, 16, 12]} />,
+  armor: () => <boxGeometry args={[1.6, 1.2, 1.6]} />,
+  part: () => <octahedronGeometry args={[1]} />,
+};
+const BOSS_WEAK_COLOR = '#ff3366';
+const BOSS_SHIELDED_COLOR = '#553344';
+// Boss shots drawn at once; any beyond are skipped
+const BOSS_SHOT_CAPACITY = 96;
+
+const bossPartKind = (part) => (part.weakPoint ? 'weakPoint' : part.armor ? 'armor' : 'part');
+
+function bossPartColor(part, color) {
+  if (part.isHit) return ENEMY_HIT_COLOR;
+  if (part.weakPoint) return part.shielded ? BOSS_SHIELDED_COLOR : BOSS_WEAK_COLOR;
+  return color;
+}
+
+function BossPart({ part, color, partRef }) {
+  const Shape = BOSS_PART_SHAPES[bossPartKind(part)];
+  
+  return (
+    <mesh ref={partRef} scale={[part.radius, part.radius, part.radius]}>
+      <Shape />
+      <meshStandardMaterial color={bossPartColor(part, color)} emissive={color} emissiveIntensity={0.2} />
+    </mesh>
+  );
+}
+
+// The boss's parts in a boss frame store, re-rendered only when parts are
+// shot off; they follow their snapshot every frame and flash when hit
+function BossModel({ store }) {
+  const ids = useFrameStore(store, selectBossPartIds);
+  const parts = useRef(new Map());
+  const look = useMemo(() => new Vector3(), []);
+  
+  useFrame(() => {
+    const { boss } = store.get();
+    if (!boss) return;
+    const { position: b, direction: d } = boss;
+    for (const part of boss.parts) {
+      const mesh = parts.current.get(part.id);
+      if (!mesh) continue;
+      const { position: p } = part;
+      mesh.position.set(p.x, p.y, p.z);
+      mesh.lookAt(look.set(b.x + d.x * 100, b.y + d.y * 100, b.z + d.z * 100));
+      mesh.material.color.set(bossPartColor(part, boss.color));
+    }
+  });
+  
+  // A part may already be gone from the store by the time this renders
+  const { boss } = store.get();
+  const byId = new Map(boss ? boss.parts.map(part => [part.id, part]) : []);
+  return ids.filter(id => byId.has(id)).map(id => (
+    <BossPart
+      key={id}
+      part={byId.get(id)}
+      color={boss.color}
+      partRef={(mesh) => {
+        if (mesh) parts.current.set(id, mesh);
+        else parts.current.delete(id);
+      }}
+    />
+  ));
+}
+
+// Boss name, phase and the weak points' remaining health, across the top
+function BossHealthBar({ isVisible = true, name, phaseName, health = 1 }) {
+  if (!isVisible) return null;
+  const color = health > 0.5 ? '#ff3366' : health > 0.25 ? '#ff8800' : '#ffcc00';
+  
+  return (
+    <div style={{
+      position: 'absolute',
+      left: '50%',
+      top: 20,
+      transform: 'translateX(-50%)',
+      width: 360,
+      pointerEvents: 'none',
+      fontFamily: '"Courier New", monospace',
+      color: '#ff3366',
+      textShadow: '0 0 10px #ff3366',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 14, marginBottom: 5 }}>
+        <span>{name.toUpperCase()}</span>
+        {phaseName && <span>{phaseName.toUpperCase()}</span>}
+      </div>
+      <div style={{ height: 12, border: '2px solid #ff3366' }}>
+        <div style={{
+          width: `${health * 100}%`,
+          height: '100%',
+          background: color,
+          transition: 'width 0.2s',
+        }} />
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// SCORE
+// ============================================================================
+const MEDAL_COLORS = {
+  bronze: '#cd7f32',
+  silver: '#c0c0c0',
+  gold: '#ffd700',
+};
+
+// Score, hits (with the medal they earn and the next to go for), accuracy
+// and the running combo, under the shield gauge
+function ScorePanel({
+  score = 0,
+  hits = 0,
+  combo = 0,
+  multiplier = 1,
+  accuracy = 0,
+  medal = null,
+  nextMedal = null,
+  nextMedalHits = 0,
+}) {
+  return (
+    <div style={{
+      position: 'absolute',
+      left: 20,
+      top: 140,
+      pointerEvents: 'none',
+      fontFamily: '"Courier New", monospace',
+      fontSize: 14,
+      color: '#00ff88',
+      textShadow: '0 0 10px #00ff88',
+    }}>
+      <div style={{ fontSize: 18, letterSpacing: 2 }}>{String(score).padStart(7, '0')}</div>
+      <div style={{ marginTop: 4 }}>
+        HITS {hits}
+        {medal && (
+          <span style={{ marginLeft: 8, color: MEDAL_COLORS[medal], textShadow: `0 0 10px ${MEDAL_COLORS[medal]}` }}>
+            ● {medal.toUpperCase()}
+          </span>
+        )}
+      </div>
+      {nextMedal && (
+        <div style={{ fontSize: 10, marginTop: 2, opacity: 0.7 }}>
+          {nextMedal.toUpperCase()} AT {nextMedalHits}
+        </div>
+      )}
+      <div style={{ marginTop: 4 }}>ACC {accuracy}%</div>
+      {combo > 1 && (
+        <div style={{ marginTop: 4, color: '#ffcc00', textShadow: '0 0 10px #ffcc00' }}>
+          COMBO {combo} ×{multiplier.toFixed(1)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// RADAR (ALL-RANGE MODE)
+// ============================================================================
+// Top-down arena map, north (-z) up: the ring is the arena edge, the arrow
+// the ship and the dots radar contacts
+function Radar({ radar, size = 120 }) {
+  const half = size / 2;
+  const scale = (half - 6) / radar.radius;
+  const toMap = (p) => [half + p.x * scale, half + p.z * scale];
+  const [shipX, shipY] = toMap(radar.ship);
+  const heading = (radar.heading * 180) / Math.PI;
+  
+  return (
+    <svg width={size} height={size} style={{ display: 'block' }}>
+      <circle cx={half} cy={half} r={half - 6} fill="rgba(0, 255, 136, 0.08)" stroke="#00ff88" strokeWidth={2} />
+      {radar.contacts.map(contact => {
+        const [x, y] = toMap(contact);
+        return <circle key={contact.id} cx={x} cy={y} r={3} fill="#ff3333" />;
+      })}
+      <polygon
+        points="0,-6 4,5 -4,5"
+        fill="#ffffff"
+        transform={`translate(${shipX} ${shipY}) rotate(${heading})`}
+      />
+    </svg>
+  );
+}
+
+// The radar where the HUD shows it, styled like the HUD so it can also be
+// drawn on its own over it
+function RadarPanel({ radar }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      right: 20,
+      top: 150,
+      pointerEvents: 'none',
+      fontFamily: '"Courier New", monospace',
+      color: '#00ff88',
+      textShadow: '0 0 10px #00ff88',
+    }}>
+      <div style={{ fontSize: 14, marginBottom: 5 }}>RADAR</div>
+      <Radar radar={radar} />
+    </div>
+  );
+}
+
 // ============================================================================
 // HUD OVERLAY COMPONENT
 // ============================================================================
 function HUD({ 
-  boostCooldown, 
+  energy = 1, 
+  energyLocked = false, 
   boostActive, 
+  isBraking = false, 
   dodgeCooldown, 
-  isInvulnerable,
+  isRolling,
+  shield = CONFIG.MAX_SHIELD,
+  maxShield = CONFIG.MAX_SHIELD,
+  hitCooldown = 0,
+  weaponName = '',
+  weaponTier = 0,
+  weaponTiers = DEFAULT_WEAPONS.laserTiers.length,
+  bombs = 0,
+  chargeLevel = 0,
+  lockCount = 0,
   speed,
-  position 
+  position,
+  inputProfile = DEFAULT_PROFILE,
+  touchLayout = false,
+  message = null,
+  radar = null,
+  isTurningBack = false,
+  config = CONFIG
 }) {
-  const boostPercent = Math.max(0, 100 - (boostCooldown / CONFIG.BOOST_COOLDOWN) * 100);
-  const dodgePercent = Math.max(0, 100 - (dodgeCooldown / CONFIG.DODGE_COOLDOWN) * 100);
+  const controls = useMemo(() => describeControls(inputProfile), [inputProfile]);
+  const boostHint = useMemo(() => describeControl(inputProfile, ['boost', 'brake']), [inputProfile]);
+  const dodgeHint = useMemo(() => describeControl(inputProfile, ['dodge']), [inputProfile]);
+  const energyPercent = energy * 100;
+  const energyColor = boostActive ? '#ff4400' : isBraking ? '#44aaff' : energyLocked ? '#448844' : '#00ff88';
+  const dodgePercent = Math.max(0, 100 - (dodgeCooldown / config.DODGE_COOLDOWN) * 100);
+  const shieldPercent = (shield / maxShield) * 100;
+  const shieldColor = shieldPercent > 50 ? '#00ff88' : shieldPercent > 25 ? '#ffcc00' : '#ff3333';
+  const hitFlash = (hitCooldown / config.HIT_INVULNERABILITY) * 0.4;
   
   return (
     <div style={{
@@ -294,6 +882,50 @@ function HUD({
       color: '#00ff88',
       textShadow: '0 0 10px #00ff88',
     }}>
+      {/* Hit flash */}
+      {hitFlash > 0 && (
+        <div style={{
+          position: 'absolute',
+          inset: 0,
+          background: `rgba(255, 40, 40, ${hitFlash})`,
+        }} />
+      )}
+      
+      {/* Shield gauge */}
+      <div style={{
+        position: 'absolute',
+        left: 20,
+        top: 20,
+      }}>
+        <div style={{ fontSize: 14, marginBottom: 5 }}>SHIELD</div>
+        <div style={{
+          width: 200,
+          height: 15,
+          border: '2px solid #00ff88',
+          position: 'relative',
+        }}>
+          <div style={{
+            width: `${shieldPercent}%`,
+            height: '100%',
+            background: shieldColor,
+            transition: 'width 0.2s',
+          }} />
+        </div>
+        
+        {/* Weapon and bombs (tier pips are hidden for non-laser weapons) */}
+        <div style={{ fontSize: 14, marginTop: 12 }}>
+          {weaponName}
+          {weaponTier >= 0 && (
+            <span style={{ marginLeft: 8, letterSpacing: 2 }}>
+              {'■'.repeat(weaponTier + 1)}{'□'.repeat(Math.max(0, weaponTiers - weaponTier - 1))}
+            </span>
+          )}
+        </div>
+        <div style={{ fontSize: 14, marginTop: 4, color: '#ff8800', textShadow: '0 0 10px #ff8800' }}>
+          BOMB {bombs > 0 ? '●'.repeat(bombs) : '-'}
+        </div>
+      </div>
+      
       {/* Speed indicator */}
       <div style={{
         position: 'absolute',
@@ -312,22 +944,22 @@ function HUD({
             position: 'absolute',
             bottom: 0,
             width: '100%',
-            height: `${(speed / CONFIG.BOOST_SPEED) * 100}%`,
-            background: boostActive ? '#ff4400' : '#00ff88',
+            height: `${(speed / config.BOOST_SPEED) * 100}%`,
+            background: boostActive ? '#ff4400' : isBraking ? '#44aaff' : '#00ff88',
             transition: 'height 0.1s',
           }} />
         </div>
         <div style={{ fontSize: 12, marginTop: 5 }}>{Math.round(speed)}</div>
       </div>
       
-      {/* Boost meter */}
+      {/* Boost/brake energy gauge */}
       <div style={{
         position: 'absolute',
         right: 20,
         top: 20,
       }}>
         <div style={{ fontSize: 14, marginBottom: 5 }}>
-          BOOST {boostActive ? '[ACTIVE]' : boostPercent >= 100 ? '[READY]' : ''}
+          BOOST/BRAKE {boostActive ? '[BOOST]' : isBraking ? '[BRAKE]' : energyLocked ? '[RECHARGING]' : ''}
         </div>
         <div style={{
           width: 150,
@@ -336,13 +968,17 @@ function HUD({
           position: 'relative',
         }}>
           <div style={{
-            width: `${boostPercent}%`,
+            width: `${energyPercent}%`,
             height: '100%',
-            background: boostActive ? '#ff4400' : boostPercent >= 100 ? '#00ff88' : '#448844',
+            background: energyColor,
             transition: 'width 0.1s',
           }} />
         </div>
-        <div style={{ fontSize: 10, marginTop: 2, opacity: 0.7 }}>SHIFT / RT</div>
+        {!touchLayout && (
+          <div style={{ fontSize: 10, marginTop: 2, opacity: 0.7 }}>
+            {[boostHint.keyboard, boostHint.gamepad].filter(Boolean).join(' / ')}
+          </div>
+        )}
       </div>
       
       {/* Dodge meter */}
@@ -352,7 +988,7 @@ function HUD({
         top: 80,
       }}>
         <div style={{ fontSize: 14, marginBottom: 5 }}>
-          BARREL ROLL {isInvulnerable ? '[ROLLING]' : dodgePercent >= 100 ? '[READY]' : ''}
+          BARREL ROLL {isRolling ? '[ROLLING]' : dodgePercent >= 100 ? '[READY]' : ''}
         </div>
         <div style={{
           width: 150,
@@ -363,27 +999,95 @@ function HUD({
           <div style={{
             width: `${dodgePercent}%`,
             height: '100%',
-            background: isInvulnerable ? '#88ffff' : dodgePercent >= 100 ? '#00ff88' : '#448844',
+            background: isRolling ? '#88ffff' : dodgePercent >= 100 ? '#00ff88' : '#448844',
             transition: 'width 0.1s',
           }} />
         </div>
-        <div style={{ fontSize: 10, marginTop: 2, opacity: 0.7 }}>SPACE / LB/RB</div>
+        {!touchLayout && (
+          <div style={{ fontSize: 10, marginTop: 2, opacity: 0.7 }}>
+            {[dodgeHint.keyboard, dodgeHint.gamepad].filter(Boolean).join(' / ')}
+          </div>
+        )}
       </div>
       
-      {/* Controls help */}
-      <div style={{
-        position: 'absolute',
-        left: 20,
-        bottom: 20,
-        fontSize: 11,
-        opacity: 0.7,
-      }}>
-        <div>WASD / Left Stick - Move</div>
-        <div>Mouse / Right Stick - Aim</div>
-        <div>Click / LT - Fire</div>
-        <div>SHIFT / RT - Boost</div>
-        <div>SPACE / LB - Barrel Roll</div>
-      </div>
+      {/* Charge meter */}
+      {chargeLevel > 0 && (
+        <div style={{
+          position: 'absolute',
+          left: '50%',
+          bottom: 60,
+          transform: 'translateX(-50%)',
+          textAlign: 'center',
+          color: chargeLevel >= 1 ? '#ff4444' : '#00ff88',
+          textShadow: `0 0 10px ${chargeLevel >= 1 ? '#ff4444' : '#00ff88'}`,
+        }}>
+          <div style={{ fontSize: 12, marginBottom: 4 }}>
+            {chargeLevel >= 1
+              ? `CHARGED${lockCount > 0 ? ` - LOCK x${lockCount}` : ''}`
+              : 'CHARGING'}
+          </div>
+          <div style={{
+            width: 160,
+            height: 8,
+            border: '2px solid currentColor',
+          }}>
+            <div style={{
+              width: `${chargeLevel * 100}%`,
+              height: '100%',
+              background: 'currentColor',
+            }} />
+          </div>
+        </div>
+      )}
+      
+      {/* All-range radar */}
+      {radar && <RadarPanel radar={radar} />}
+      
+      {/* Turn-back warning */}
+      {isTurningBack && (
+        <div style={{
+          position: 'absolute',
+          left: '50%',
+          top: '22%',
+          transform: 'translateX(-50%)',
+          fontSize: 20,
+          letterSpacing: 2,
+          color: '#ffcc00',
+          textShadow: '0 0 10px #ffcc00',
+        }}>
+          TURNING BACK
+        </div>
+      )}
+      
+      {/* Level message */}
+      {message && (
+        <div style={{
+          position: 'absolute',
+          left: '50%',
+          top: '30%',
+          transform: 'translateX(-50%)',
+          fontSize: 20,
+          letterSpacing: 2,
+          whiteSpace: 'nowrap',
+        }}>
+          {message}
+        </div>
+      )}
+      
+      {/* Controls help (the touch layout draws its own controls) */}
+      {!touchLayout && (
+        <div style={{
+          position: 'absolute',
+          left: 20,
+          bottom: 20,
+          fontSize: 11,
+          opacity: 0.7,
+        }}>
+          {controls.map(({ label, devices }) => (
+            <div key={label}>{devices} - {label}</div>
+          ))}
+        </div>
+      )}
       
       {/* Position readout */}
       <div style={{
@@ -415,276 +1119,1419 @@ function HUD({
 }
 
 // ============================================================================
-// TERRAIN PLACEHOLDER
+// TOUCH CONTROLS OVERLAY
 // ============================================================================
-function TerrainPlaceholder({ spline }) {
-  const points = useMemo(() => spline.getPoints(100), [spline]);
+// Cooldown ring around a touch button: fills as the cooldown runs out
+function CooldownRing({ percent, color, size }) {
+  const radius = size / 2 - 3;
+  const circumference = 2 * Math.PI * radius;
   
   return (
-    <group>
-      {/* Ground plane segments following spline */}
-      {points.map((point, i) => (
-        <mesh 
-          key={i} 
-          position={[point.x, point.y - 15, point.z]}
-          rotation={[-Math.PI / 2, 0, 0]}
-        >
-          <planeGeometry args={[60, 15]} />
-          <meshStandardMaterial 
-            color="#224422" 
-            wireframe={false}
-            transparent
-            opacity={0.3}
-          />
-        </mesh>
-      ))}
-      
-      {/* Spline visualization */}
-      <Line
-        points={points}
-        color="#444488"
-        lineWidth={1}
-        transparent
-        opacity={0.3}
+    <svg
+      width={size}
+      height={size}
+      style={{ position: 'absolute', left: 0, top: 0, transform: 'rotate(-90deg)' }}
+    >
+      <circle
+        cx={size / 2}
+        cy={size / 2}
+        r={radius}
+        fill="none"
+        stroke={color}
+        strokeWidth={4}
+        strokeDasharray={circumference}
+        strokeDashoffset={circumference * (1 - percent / 100)}
       />
-    </group>
+    </svg>
+  );
+}
+
+function TouchControls({
+  touchInput,
+  energy = 1,
+  energyLocked = false,
+  boostActive,
+  isBraking = false,
+  dodgeCooldown,
+  isRolling,
+  bombs = 0,
+  config = CONFIG
+}) {
+  const [stick, setStick] = useState(() => touchInput.getStickView());
+  const [buttons, setButtons] = useState(() => touchInput.getState().buttons);
+  
+  useEffect(() => {
+    const unsubscribe = touchInput.subscribe(() => {
+      setStick(touchInput.getStickView());
+      setButtons(touchInput.getState().buttons);
+    });
+    const releaseAll = () => touchInput.releaseAll();
+    window.addEventListener('blur', releaseAll);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('blur', releaseAll);
+      touchInput.releaseAll();
+    };
+  }, [touchInput]);
+  
+  const energyPercent = energy * 100;
+  const energyColor = energyLocked ? '#448844' : '#00ff88';
+  const dodgePercent = isRolling ? 100 : Math.max(0, 100 - (dodgeCooldown / config.DODGE_COOLDOWN) * 100);
+  const ringColor = {
+    fire: '#00ff88',
+    boost: boostActive ? '#ff4400' : energyColor,
+    brake: isBraking ? '#44aaff' : energyColor,
+    dodge: isRolling ? '#88ffff' : dodgePercent >= 100 ? '#00ff88' : '#448844',
+    bomb: bombs > 0 ? '#ff8800' : '#448844',
+  };
+  const ringPercent = { fire: 100, boost: energyPercent, brake: energyPercent, dodge: dodgePercent, bomb: bombs > 0 ? 100 : 0 };
+  
+  // Every zone captures its pointer so a drag can leave the zone freely
+  const zoneHandlers = (onDown) => ({
+    onPointerDown: (e) => {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const rect = e.currentTarget.getBoundingClientRect();
+      onDown(e, rect);
+    },
+    onPointerMove: (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      touchInput.move(e.pointerId, e.clientX - rect.left, e.clientY - rect.top);
+    },
+    onPointerUp: (e) => touchInput.release(e.pointerId),
+    onPointerCancel: (e) => touchInput.release(e.pointerId),
+  });
+  
+  const zoneStyle = {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: '50%',
+    pointerEvents: 'auto',
+    touchAction: 'none',
+  };
+  const buttonSize = 72;
+  
+  return (
+    <div style={{ position: 'absolute', inset: 0, pointerEvents: 'none', userSelect: 'none' }}>
+      {/* Movement zone: floating stick */}
+      <div
+        style={{ ...zoneStyle, left: 0 }}
+        {...zoneHandlers((e, rect) => touchInput.startStick(e.pointerId, e.clientX - rect.left, e.clientY - rect.top))}
+      >
+        {stick.active && (
+          <>
+            <div style={{
+              position: 'absolute',
+              left: stick.originX - stick.radius,
+              top: stick.originY - stick.radius,
+              width: stick.radius * 2,
+              height: stick.radius * 2,
+              borderRadius: '50%',
+              border: '2px solid rgba(0, 255, 136, 0.5)',
+            }} />
+            <div style={{
+              position: 'absolute',
+              left: stick.knobX - 24,
+              top: stick.knobY - 24,
+              width: 48,
+              height: 48,
+              borderRadius: '50%',
+              background: 'rgba(0, 255, 136, 0.4)',
+              boxShadow: '0 0 10px #00ff88',
+            }} />
+          </>
+        )}
+      </div>
+      
+      {/* Aim zone: drag to move the reticle */}
+      <div
+        style={{ ...zoneStyle, right: 0 }}
+        {...zoneHandlers((e, rect) => touchInput.startAim(
+          e.pointerId, e.clientX - rect.left, e.clientY - rect.top, rect.width, rect.height
+        ))}
+      />
+      
+      {/* Action buttons */}
+      <div style={{
+        position: 'absolute',
+        right: 20,
+        bottom: 20,
+        display: 'flex',
+        flexDirection: 'column-reverse',
+        flexWrap: 'wrap-reverse',
+        maxHeight: 'calc(100% - 40px)',
+        gap: 14,
+      }}>
+        {TOUCH_BUTTONS.map(({ action, label }) => (
+          <div
+            key={action}
+            style={{
+              position: 'relative',
+              width: buttonSize,
+              height: buttonSize,
+              borderRadius: '50%',
+              pointerEvents: 'auto',
+              touchAction: 'none',
+              background: buttons[action] ? 'rgba(0, 255, 136, 0.35)' : 'rgba(0, 255, 136, 0.1)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: 12,
+            }}
+            {...zoneHandlers((e) => touchInput.pressButton(e.pointerId, action))}
+          >
+            <CooldownRing percent={ringPercent[action]} color={ringColor[action]} size={buttonSize} />
+            {action === 'bomb' ? `${label} ${bombs}` : label}
+          </div>
+        ))}
+      </div>
+    </div>
   );
 }
 
 // ============================================================================
-// MAIN GAME CONTROLLER
-// ============================================================================
-function GameController({ onStateUpdate }) {
-  const input = useInputManager();
-  const { camera, viewport } = useThree();
-  
-  // Game state
-  const spline = useMemo(() => createLevelSpline(), []);
-  const [splineProgress, setSplineProgress] = useState(0);
-  const [localOffset, setLocalOffset] = useState({ x: 0, y: 0 });
-  const [projectiles, setProjectiles] = useState([]);
-  
-  // Cooldowns and state
-  const [boostCooldown, setBoostCooldown] = useState(0);
-  const [boostActive, setBoostActive] = useState(false);
-  const [dodgeCooldown, setDodgeCooldown] = useState(0);
-  const [isRolling, setIsRolling] = useState(false);
-  const [rollProgress, setRollProgress] = useState(0);
-  const [isInvulnerable, setIsInvulnerable] = useState(false);
-  const [currentSpeed, setCurrentSpeed] = useState(CONFIG.FORWARD_SPEED);
-  
-  // Refs for smooth updates
-  const lastFireTime = useRef(0);
-  const boostStartTime = useRef(0);
-  const dodgeStartTime = useRef(0);
-  const shipRotation = useRef(new Euler(0, Math.PI, 0));
-  const targetRotation = useRef(new Euler(0, Math.PI, 0));
-  
-  // Calculate positions
-  const splinePosition = useMemo(() => {
-    return spline.getPointAt(Math.min(splineProgress, 0.999));
-  }, [spline, splineProgress]);
-  
-  const shipPosition = useMemo(() => {
-    return new Vector3(
-      splinePosition.x + localOffset.x,
-      splinePosition.y + localOffset.y,
-      splinePosition.z
-    );
-  }, [splinePosition, localOffset]);
-  
-  // Reticle position (in front of ship, offset by aim)
-  const reticlePosition = useMemo(() => {
-    return new Vector3(
-      shipPosition.x + input.aimX * 15,
-      shipPosition.y + input.aimY * 10,
-      shipPosition.z - CONFIG.RETICLE_DISTANCE
-    );
-  }, [shipPosition, input.aimX, input.aimY]);
-
-  // Fire projectile
-  const fireProjectile = useCallback(() => {
-    const now = Date.now();
-    if (now - lastFireTime.current < CONFIG.FIRE_RATE) return;
-    lastFireTime.current = now;
-    
-    const direction = new Vector3()
-      .subVectors(reticlePosition, shipPosition)
-      .normalize();
-    
-    const newProjectile = {
-      id: now + Math.random(),
-      position: shipPosition.clone(),
-      direction: direction,
+// CAMERA RIG
+// ============================================================================
+// Drives the default camera from a camera rig (cameraRig.js) and the
+// snapshot being drawn (`state`, or read from a frame `store` every frame).
+// In orbit mode, dragging with the right mouse button turns the camera
+// around the ship and the wheel zooms.
+function CameraRig({ rig, state, store }) {
+  const { camera, gl } = useThree();
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  
+  useEffect(() => {
+    const element = gl.domElement;
+    const orbiting = () => rig.getMode() === 'orbit';
+    const handleContextMenu = (e) => {
+      if (orbiting()) e.preventDefault();
     };
-    
-    setProjectiles(prev => [...prev, newProjectile]);
-  }, [shipPosition, reticlePosition]);
+    const handlePointerMove = (e) => {
+      if (orbiting() && (e.buttons & 2)) rig.orbitBy(-e.movementX * 0.005, e.movementY * 0.005);
+    };
+    const handleWheel = (e) => {
+      if (orbiting()) rig.zoomBy(Math.exp(e.deltaY * 0.001));
+    };
+    element.addEventListener('contextmenu', handleContextMenu);
+    element.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('wheel', handleWheel, { passive: true });
+    return () => {
+      element.removeEventListener('contextmenu', handleContextMenu);
+      element.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('wheel', handleWheel);
+    };
+  }, [rig, gl]);
+  
+  useFrame((_, delta) => {
+    const { position, target, up, fov } = rig.update(store ? store.get() : stateRef.current, delta);
+    camera.position.set(position.x, position.y, position.z);
+    camera.up.set(up.x, up.y, up.z);
+    camera.lookAt(target.x, target.y, target.z);
+    if (camera.fov !== fov) {
+      camera.fov = fov;
+      camera.updateProjectionMatrix();
+    }
+  });
+  
+  return null;
+}
 
-  // Remove projectile
-  const removeProjectile = useCallback((id) => {
-    setProjectiles(prev => prev.filter(p => p.id !== id));
-  }, []);
+// ============================================================================
+// DEBUG OVERLAY
+// ============================================================================
+const toArray = ({ x, y, z }) => [x, y, z];
 
-  // Main game loop
-  useFrame((state, delta) => {
-    const now = Date.now();
-    
-    // Update cooldowns
-    if (boostCooldown > 0) {
-      setBoostCooldown(prev => Math.max(0, prev - delta * 1000));
-    }
-    if (dodgeCooldown > 0) {
-      setDodgeCooldown(prev => Math.max(0, prev - delta * 1000));
-    }
-    
-    // Handle boost
-    if (input.boost && boostCooldown === 0 && !boostActive) {
-      setBoostActive(true);
-      boostStartTime.current = now;
-    }
-    
-    if (boostActive) {
-      if (now - boostStartTime.current > CONFIG.BOOST_DURATION) {
-        setBoostActive(false);
-        setBoostCooldown(CONFIG.BOOST_COOLDOWN);
+// In-scene gizmos: the path with a marker at the ship's progress, the rail
+// frame axes (right red, up green, forward blue), the play-area outline,
+// every collider as a wireframe and the ship's collision sphere
+function DebugGizmos({ spline, world, state, config = CONFIG }) {
+  const pathVersion = usePathVersion(spline);
+  const path = useMemo(() => pathPoints(spline).map(toArray), [spline, pathVersion]);
+  const outline = boundsOutline(state);
+  const axes = frameAxes(state);
+  
+  return (
+    <group>
+      <Line points={path} color="#ffff00" lineWidth={1} />
+      <mesh position={toArray(state.splinePosition)}>
+        <sphereGeometry args={[0.4, 8, 8]} />
+        <meshBasicMaterial color="#ffff00" />
+      </mesh>
+      <Line points={axes.right.map(toArray)} color="#ff3333" lineWidth={2} />
+      <Line points={axes.up.map(toArray)} color="#33ff33" lineWidth={2} />
+      <Line points={axes.tangent.map(toArray)} color="#3388ff" lineWidth={2} />
+      {outline && <Line points={outline.map(toArray)} color="#00ffff" lineWidth={1} />}
+      
+      {world.list().map(collider => (
+        <mesh key={collider.id} position={toArray(collider.position)}>
+          {collider.shape === 'sphere'
+            ? <sphereGeometry args={[collider.radius, 12, 8]} />
+            : <boxGeometry args={[collider.halfExtents.x * 2, collider.halfExtents.y * 2, collider.halfExtents.z * 2]} />}
+          <meshBasicMaterial color={colliderColor(collider)} wireframe />
+        </mesh>
+      ))}
+      <mesh position={toArray(state.shipPosition)}>
+        <sphereGeometry args={[config.SHIP_RADIUS, 12, 8]} />
+        <meshBasicMaterial color="#88ffff" wireframe />
+      </mesh>
+    </group>
+  );
+}
+
+// Stick position as a dot in a square
+function StickView({ label, x, y }) {
+  return (
+    <div style={{ textAlign: 'center' }}>
+      <div style={{ width: 50, height: 50, border: '1px solid #00ff88', position: 'relative' }}>
+        <div style={{
+          position: 'absolute',
+          left: `${(x + 1) * 50}%`,
+          top: `${(1 - y) * 50}%`,
+          width: 8,
+          height: 8,
+          margin: -4,
+          borderRadius: '50%',
+          background: '#00ff88',
+        }} />
+      </div>
+      <div>{label}</div>
+    </div>
+  );
+}
+
+// Recent frame times, with a line at 60 fps
+function FrameTimeGraph({ frameTimes, width = 260, height = 50, scale = 50 }) {
+  const values = frameTimes.values();
+  const y = (ms) => height - (Math.min(ms, scale) / scale) * height;
+  const points = values.map((ms, i) => `${(i / (frameTimes.capacity - 1)) * width},${y(ms)}`).join(' ');
+  const { average, worst } = frameTimes.stats();
+  
+  return (
+    <div>
+      <svg width={width} height={height} style={{ background: 'rgba(0, 255, 136, 0.05)', display: 'block' }}>
+        <line x1={0} x2={width} y1={y(1000 / 60)} y2={y(1000 / 60)} stroke="#448844" strokeDasharray="4 4" />
+        <polyline points={points} fill="none" stroke="#00ff88" />
+      </svg>
+      <div>{average.toFixed(1)} ms avg · {worst.toFixed(1)} ms worst</div>
+    </div>
+  );
+}
+
+// Tuning panel: a live slider per config value, the input visualizer, the
+// frame-time graph and a JSON export of the changes from the defaults.
+// Pointer presses stop here, so dragging a slider doesn't fire.
+function DebugOverlay({
+  config = CONFIG,
+  onChange,
+  onReset,
+  errors = [],
+  input = null,
+  frameTimes,
+  toggleHint = '`'
+}) {
+  const [exported, setExported] = useState(null);
+  const groups = settingSliders(config);
+  const buttons = input ? Object.entries(input).filter(([, value]) => typeof value === 'boolean') : [];
+  
+  const handleExport = () => {
+    const json = exportTuning(config);
+    setExported(json);
+    if (navigator.clipboard) navigator.clipboard.writeText(json).catch(() => {});
+  };
+  
+  return (
+    <div
+      onPointerDown={(e) => e.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: 10,
+        right: 10,
+        width: 280,
+        maxHeight: 'calc(100% - 20px)',
+        overflowY: 'auto',
+        padding: 10,
+        background: 'rgba(0, 0, 20, 0.85)',
+        border: '1px solid #00ff88',
+        pointerEvents: 'auto',
+        fontFamily: '"Courier New", monospace',
+        fontSize: 11,
+        color: '#00ff88',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+        <strong>DEBUG ({toggleHint} to close)</strong>
+        <span>
+          <button onClick={onReset}>Reset</button>{' '}
+          <button onClick={handleExport}>Export JSON</button>
+        </span>
+      </div>
+      {exported !== null && (
+        <textarea readOnly value={exported} rows={6} style={{ width: '100%', marginBottom: 8 }} />
+      )}
+      {errors.map(({ path, message }) => (
+        <div key={path} style={{ color: '#ff3333' }}>{path} {message}</div>
+      ))}
+      
+      {/* Input visualizer */}
+      {input && (
+        <div style={{ display: 'flex', gap: 10, alignItems: 'flex-start', marginBottom: 8 }}>
+          <StickView label="MOVE" x={input.moveX} y={input.moveY} />
+          <StickView label="AIM" x={input.aimX} y={input.aimY} />
+          <div>
+            {buttons.map(([name, pressed]) => (
+              <div key={name} style={{ color: pressed ? '#ffffff' : '#336644' }}>● {name}</div>
+            ))}
+          </div>
+        </div>
+      )}
+      
+      <FrameTimeGraph frameTimes={frameTimes} />
+      
+      {/* Config sliders */}
+      {groups.map(({ label, sliders }) => (
+        <details key={label} style={{ marginTop: 6 }}>
+          <summary>{label}</summary>
+          {sliders.map(({ path, value, min, max, step }) => (
+            <label key={path} style={{ display: 'block', marginTop: 4 }}>
+              {path}: {value}
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(path, Number(e.target.value))}
+                style={{ width: '100%' }}
+              />
+            </label>
+          ))}
+        </details>
+      ))}
+    </div>
+  );
+}
+
+// ============================================================================
+// STREAMING TERRAIN
+// ============================================================================
+// The chunks of an environment (environment.js) as meshes, added and
+// disposed as it streams, with the variant's texture tiled over them and
+// scrolling along the path. Its scenery is drawn as one instanced mesh per
+// type, so the colliders and what you see come from the same poses.
+
+// GameController's default `environment`: open ground, no scenery
+const DEFAULT_ENVIRONMENT = { variant: 'ground' };
+
+const SCENERY_GEOMETRY = {
+  box: () => <boxGeometry args={[1, 1, 1]} />,
+  sphere: () => <icosahedronGeometry args={[1, 1]} />,
+  arch: (type) => <torusGeometry args={[type.radius, type.thickness, 8, 24, Math.PI]} />,
+};
+
+function chunkGeometry({ positions, uvs, indices }) {
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new BufferAttribute(uvs, 2));
+  geometry.setIndex(new BufferAttribute(indices, 1));
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+function SceneryInstances({ type, environment }) {
+  const meshRef = useRef();
+  const matrix = useMemo(() => new Matrix4(), []);
+  const position = useMemo(() => new Vector3(), []);
+  const quaternion = useMemo(() => new Quaternion(), []);
+  const scale = useMemo(() => new Vector3(), []);
+  
+  useLayoutEffect(() => {
+    const draw = () => {
+      const mesh = meshRef.current;
+      const items = environment.getChunks().flatMap(chunk => chunk.scenery).filter(item => item.type === type.name);
+      const count = Math.min(items.length, type.capacity);
+      for (let i = 0; i < count; i++) {
+        const { position: p, quaternion: q, scale: s } = items[i];
+        matrix.compose(position.set(p.x, p.y, p.z), quaternion.set(q.x, q.y, q.z, q.w), scale.set(s.x, s.y, s.z));
+        mesh.setMatrixAt(i, matrix);
       }
-    }
-    
-    // Handle dodge/barrel roll
-    if (input.dodge && dodgeCooldown === 0 && !isRolling) {
-      setIsRolling(true);
-      setIsInvulnerable(true);
-      dodgeStartTime.current = now;
-      setRollProgress(0);
-    }
-    
-    if (isRolling) {
-      const rollElapsed = now - dodgeStartTime.current;
-      const progress = Math.min(rollElapsed / CONFIG.DODGE_DURATION, 1);
-      setRollProgress(progress);
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+    };
+    draw();
+    return environment.subscribe(draw);
+  }, [type, environment, matrix, position, quaternion, scale]);
+  
+  return (
+    <instancedMesh ref={meshRef} args={[null, null, type.capacity]} frustumCulled={false}>
+      {SCENERY_GEOMETRY[type.shape](type)}
+      <meshStandardMaterial color={type.color} flatShading />
+    </instancedMesh>
+  );
+}
+
+function StreamingTerrain({ environment }) {
+  const groupRef = useRef();
+  const { variant, seed } = environment;
+  const sceneryTypes = useMemo(() => environment.getSceneryTypes(), [environment]);
+  
+  const texture = useMemo(() => {
+    const { size, data } = environmentTexture(variant, { seed });
+    const map = new DataTexture(data, size, size, RGBAFormat);
+    map.wrapS = RepeatWrapping;
+    map.wrapT = RepeatWrapping;
+    map.needsUpdate = true;
+    return map;
+  }, [variant, seed]);
+  const material = useMemo(
+    () => new MeshStandardMaterial({ map: texture, side: DoubleSide }),
+    [texture]
+  );
+  useEffect(() => () => {
+    material.dispose();
+    texture.dispose();
+  }, [material, texture]);
+  
+  // Chunk meshes by id, kept out of React: chunks come and go every few
+  // ticks
+  useLayoutEffect(() => {
+    const group = groupRef.current;
+    const meshes = new Map();
+    const add = (chunk) => {
+      const mesh = new Mesh(chunkGeometry(chunk), material);
+      meshes.set(chunk.id, mesh);
+      group.add(mesh);
+    };
+    const remove = (chunk) => {
+      const mesh = meshes.get(chunk.id);
+      if (!mesh) return;
+      group.remove(mesh);
+      mesh.geometry.dispose();
+      meshes.delete(chunk.id);
+    };
+    environment.getChunks().forEach(add);
+    const unsubscribe = environment.subscribe(({ added, removed }) => {
+      removed.forEach(remove);
+      added.forEach(add);
+    });
+    return () => {
+      unsubscribe();
+      [...meshes.keys()].forEach(id => remove({ id }));
+    };
+  }, [environment, material]);
+  
+  // The texture flows back past the ship: v runs with distance
+  useFrame((_, delta) => {
+    texture.offset.y += variant.scroll * delta;
+  });
+  
+  return (
+    <group>
+      <group ref={groupRef} />
+      {sceneryTypes.map(type => (
+        <SceneryInstances key={type.name} type={type} environment={environment} />
+      ))}
+    </group>
+  );
+}
+
+// ============================================================================
+// GAME FLOW SCREENS
+// ============================================================================
+// Defaults for GameController's `screens` prop, keyed by flow state (see
+// gameFlow.js). Each gets the flow snapshot, the flow's actions (`start`,
+// `resume`, `restart`, `quit`), the input profile and the level's high
+// scores (`{ level, entries, rank }`, `rank` being the last run's place, or
+// null). Presses stop here, so clicking a button doesn't fire.
+const SCREEN_STYLE = {
+  position: 'absolute',
+  inset: 0,
+  display: 'flex',
+  flexDirection: 'column',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: 16,
+  background: 'rgba(0, 0, 20, 0.6)',
+  pointerEvents: 'auto',
+  fontFamily: '"Courier New", monospace',
+  color: '#00ff88',
+  textShadow: '0 0 10px #00ff88',
+};
+
+const BUTTON_STYLE = {
+  minWidth: 180,
+  padding: '8px 16px',
+  background: 'transparent',
+  border: '2px solid #00ff88',
+  color: '#00ff88',
+  fontFamily: 'inherit',
+  fontSize: 16,
+  letterSpacing: 2,
+  cursor: 'pointer',
+};
+
+// Play time as m:ss.cc
+function formatRunTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = ((ms % 60000) / 1000).toFixed(2).padStart(5, '0');
+  return `${minutes}:${seconds}`;
+}
+
+function ScreenFrame({ children }) {
+  return (
+    <div onPointerDown={(e) => e.stopPropagation()} style={SCREEN_STYLE}>
+      {children}
+    </div>
+  );
+}
+
+function TitleScreen({ actions, inputProfile = DEFAULT_PROFILE }) {
+  const hint = useMemo(() => describeControl(inputProfile, ['pause']), [inputProfile]);
+  
+  return (
+    <ScreenFrame>
+      <div style={{ fontSize: 40, letterSpacing: 8 }}>STARFOX</div>
+      <button style={BUTTON_STYLE} onClick={actions.start}>START</button>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        {[hint.keyboard, hint.gamepad].filter(Boolean).join(' / ')} or fire to start
+      </div>
+    </ScreenFrame>
+  );
+}
+
+// Says why when the game paused itself
+const PAUSE_REASONS = {
+  blur: 'WINDOW LOST FOCUS',
+  gamepad: 'CONTROLLER DISCONNECTED',
+};
+
+function PauseScreen({ flow, actions }) {
+  return (
+    <ScreenFrame>
+      <div style={{ fontSize: 32, letterSpacing: 6 }}>PAUSED</div>
+      {PAUSE_REASONS[flow.pauseReason] && (
+        <div style={{ fontSize: 14, color: '#ffcc00', textShadow: '0 0 10px #ffcc00' }}>
+          {PAUSE_REASONS[flow.pauseReason]}
+        </div>
+      )}
+      <button style={BUTTON_STYLE} onClick={actions.resume}>RESUME</button>
+      <button style={BUTTON_STYLE} onClick={actions.restart}>RESTART</button>
+      <button style={BUTTON_STYLE} onClick={actions.quit}>QUIT</button>
+    </ScreenFrame>
+  );
+}
+
+function ResultsScreen({ flow, actions, highScores = null }) {
+  const { results } = flow;
+  if (!results) return null;
+  // The score rows only when the flow was given scoring
+  const scored = results.score !== undefined;
+  const rows = [
+    ...(scored ? [
+      ['SCORE', results.score],
+      ['HITS', results.hits],
+      ['BEST COMBO', results.bestCombo],
+      ['MEDAL', results.medal ? results.medal.toUpperCase() : '-'],
+    ] : []),
+    ['TIME', formatRunTime(results.time)],
+    ['SHOTS FIRED', results.shotsFired],
+    ['SHOTS HIT', results.shotsHit],
+    ['ACCURACY', `${Math.round(results.accuracy * 100)}%`],
+    ['HITS TAKEN', results.hitsTaken],
+    ['SHIPS LOST', results.livesLost],
+  ];
+  const entries = highScores ? highScores.entries.slice(0, 5) : [];
+  
+  return (
+    <ScreenFrame>
+      <div style={{ fontSize: 32, letterSpacing: 6 }}>
+        {results.outcome === 'clear' ? 'COURSE CLEAR' : 'GAME OVER'}
+      </div>
+      {highScores && highScores.rank && (
+        <div style={{ fontSize: 16, color: '#ffcc00', textShadow: '0 0 10px #ffcc00' }}>
+          NEW HIGH SCORE #{highScores.rank}
+        </div>
+      )}
+      <table style={{ fontSize: 16, borderSpacing: '24px 4px' }}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <td>{label}</td>
+              <td style={{ textAlign: 'right' }}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {entries.length > 0 && (
+        <table style={{ fontSize: 12, borderSpacing: '16px 2px', opacity: 0.8 }}>
+          <tbody>
+            {entries.map((entry, i) => (
+              <tr key={i} style={i + 1 === highScores.rank ? { color: '#ffcc00' } : null}>
+                <td>{i + 1}.</td>
+                <td>{entry.name}</td>
+                <td style={{ textAlign: 'right' }}>{entry.score}</td>
+                <td style={{ color: MEDAL_COLORS[entry.medal] }}>{entry.medal ? '●' : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button style={BUTTON_STYLE} onClick={actions.start}>PLAY AGAIN</button>
+      <button style={BUTTON_STYLE} onClick={actions.quit}>TITLE</button>
+    </ScreenFrame>
+  );
+}
+
+const DEFAULT_SCREENS = {
+  title: TitleScreen,
+  paused: PauseScreen,
+  results: ResultsScreen,
+};
+
+// ============================================================================
+// FRAME-STORE BINDINGS
+// ============================================================================
+// The controller's HUD, touch overlay, blasts and debug views, each
+// subscribed to just what it shows (see frameStore.js) so the game loop
+// never re-renders the controller itself
+
+// Runs `onFrame` each frame before the frame callbacks of anything rendered
+// after it (effects, and so frame subscriptions, run children first)
+function FrameLoop({ onFrame }) {
+  const onFrameRef = useRef(onFrame);
+  onFrameRef.current = onFrame;
+  useFrame((three, delta) => onFrameRef.current(three, delta));
+  return null;
+}
+
+// Throttled to HUD_INTERVAL; `message(state)` picks the level message
+function TrackedHUD({ store, message, ...props }) {
+  const view = useFrameStore(
+    store,
+    (state) => ({ ...selectHud(state), message: message(state) }),
+    HUD_INTERVAL
+  );
+  const { x, y, z, ...hud } = view;
+  const position = useMemo(() => new Vector3(x, y, z), [x, y, z]);
+  
+  return <HUD {...props} {...hud} position={position} />;
+}
+
+// The radar changes every tick in all-range mode, so it re-renders apart
+// from the HUD (beside it, not in it), when what it draws has moved
+function TrackedRadar({ store }) {
+  const radar = useFrameStore(store, selectRadar, HUD_INTERVAL, sameContents);
+  return radar && <RadarPanel radar={radar} />;
+}
+
+function TrackedBossBar({ store }) {
+  const view = useFrameStore(store, selectBossBar, HUD_INTERVAL);
+  return <BossHealthBar {...view} />;
+}
+
+function TrackedScore({ store }) {
+  const view = useFrameStore(store, selectScore, HUD_INTERVAL);
+  return <ScorePanel {...view} />;
+}
+
+function TrackedTouchControls({ store, ...props }) {
+  const view = useFrameStore(store, selectTouch, HUD_INTERVAL);
+  return <TouchControls {...props} {...view} />;
+}
+
+// Re-renders every frame, but only while a blast is expanding
+function TrackedBlasts({ store, blasts }) {
+  const live = useFrameStore(store, (state) => blasts.current.map(
+    blast => ({ ...blast, age: state.time - blast.time })
+  ));
+  
+  return live.map(blast => (
+    <BombBlast key={blast.id} position={blast.position} radius={blast.radius} age={blast.age} />
+  ));
+}
+
+// Debug views follow every frame; they are only mounted while open
+function TrackedGizmos({ store, ...props }) {
+  const state = useFrameStore(store, (snapshot) => snapshot);
+  return <DebugGizmos {...props} state={state} />;
+}
+
+// The input visualizer and frame-time graph refresh at HUD_INTERVAL
+function TrackedDebugOverlay({ store, inputRef, ...props }) {
+  useFrameStore(store, (state) => ({ tick: state.tick, input: inputRef.current }), HUD_INTERVAL);
+  return <DebugOverlay {...props} input={inputRef.current} />;
+}
+
+// ============================================================================
+// MAIN GAME CONTROLLER
+// ============================================================================
+// The ref gives game code an imperative handle: `on`/`off`/`once` for the
+// event bus (see eventBus.js), the game flow's `start`, `pause`, `resume`,
+// `reset`, `quit` and `getFlow()`, `getScore()` and `getHighScores()`,
+// `getPath()`, `teleportTo(progress)`, `setInputEnabled(enabled)` for
+// cutscenes and menus, `triggerRoll()` and `getState()`.
+//
+// `startScreen` ('title' or 'playing'), `flowConfig` (FLOW_CONFIG
+// overrides, e.g. `{ LIVES: 5 }`), `screens` (components by flow state,
+// replacing the defaults; null hides one) and `onFlowChange` set up the
+// game flow.
+//
+// Spawn events naming one of `enemyTypes` (ENEMY_TYPES by default) send in
+// enemies (see enemies.js); other spawns are left to `onLevelEvent`. Boss
+// events naming one of `bossTypes` (BOSS_TYPES by default) start a boss
+// fight (see bosses.js), with a health bar across the top of the HUD.
+//
+// The run is scored (see scoring.js) with `scoringConfig` (SCORING_CONFIG
+// overrides) and the level's medals. Results are entered in `highScores`
+// (a createHighScoreTable() table, by default one in localStorage; null
+// keeps none) under `playerName`.
+//
+// `endless` (`true`, or `{ seed, config }` with ENDLESS_CONFIG overrides)
+// flies a procedural path that streams on for ever instead of the level's
+// (see endlessPath.js); the level, ENDLESS_LEVEL unless one is given,
+// still sets the speed zones, bounds and timeline by distance.
+const GameController = forwardRef(function GameController({
+  onStateUpdate,
+  clock,
+  tickRate = DEFAULT_TICK_RATE,
+  inputSource,
+  recorder,
+  ghost,
+  inputProfile = DEFAULT_PROFILE,
+  gamepads,
+  touchControls = 'auto',
+  collisionWorld,
+  groundHeight,
+  weapons = DEFAULT_WEAPONS,
+  level,
+  endless,
+  environment = DEFAULT_ENVIRONMENT,
+  onProjectileHit,
+  onPickup,
+  onLevelEvent,
+  enemyTypes = ENEMY_TYPES,
+  bossTypes = BOSS_TYPES,
+  scoringConfig,
+  highScores,
+  playerName = 'PLAYER',
+  config: configOverrides,
+  preset,
+  debug = false,
+  cameraMode = 'chase',
+  cameraConfig = CAMERA_CONFIG,
+  eventBus,
+  startScreen = 'title',
+  flowConfig,
+  screens,
+  onFlowChange,
+  children,
+}, ref) {
+  const gamepadManager = useGamepadManager(gamepads);
+  const touchInput = useMemo(() => createTouchInput(), []);
+  const touchLayout = useTouchLayout(touchControls);
+  const sampleInput = useInputManager(inputProfile, gamepadManager, touchLayout ? touchInput : null);
+  
+  // Camera rig: starts in `cameraMode`, cycled with the camera action,
+  // cut to other modes by level `camera` events and shaken by hits
+  const rig = useMemo(() => createCameraRig({ config: cameraConfig, mode: cameraMode }), [cameraConfig]);
+  useEffect(() => rig.setMode(cameraMode), [rig, cameraMode]);
+  const cameraHeld = useRef(false);
+  
+  // Input sampled once per frame, read by the simulation on each tick.
+  // While input is disabled the ship gets no live input (replays still
+  // play); actions triggered from the ref are pressed on the next tick.
+  const inputRef = useRef(null);
+  const inputEnabled = useRef(true);
+  const pendingActions = useRef({});
+  const tickEvents = useRef([]);
+  
+  // Typed game events: a shared `eventBus` prop, or one of our own
+  const bus = useMemo(() => eventBus || createEventBus(), [eventBus]);
+  
+  // Config: CONFIG, then the preset, then the overrides. An invalid config
+  // throws here with every problem listed. Keyed by value so an inline
+  // object isn't a change on every render; changes reach the running
+  // simulation without rebuilding it.
+  const configKey = JSON.stringify([preset, configOverrides]);
+  const resolvedConfig = useMemo(() => resolveConfig(configOverrides, { preset }), [configKey]);
+  
+  // Debug overlay (with `debug`, toggled by the debug action): its sliders
+  // tune on top of the resolved config until reset or the props change
+  const [debugOpen, setDebugOpen] = useState(false);
+  const debugHeld = useRef(false);
+  const frameTimes = useMemo(() => createFrameTimeGraph(), []);
+  const [tuning, setTuning] = useState(null);
+  const [tuningErrors, setTuningErrors] = useState([]);
+  useEffect(() => {
+    setTuning(null);
+    setTuningErrors([]);
+  }, [resolvedConfig]);
+  const config = tuning || resolvedConfig;
+  const tune = useCallback((path, value) => {
+    const next = setSetting(config, path, value);
+    const errors = validateConfig(next);
+    setTuningErrors(errors);
+    if (errors.length === 0) setTuning(next);
+  }, [config]);
+  const resetTuning = useCallback(() => {
+    setTuning(null);
+    setTuningErrors([]);
+  }, []);
+  
+  const configRef = useRef(config);
+  configRef.current = config;
+  
+  // Game state (flight logic lives in the shared simulation). An invalid
+  // level throws here with every schema error listed. The level and the
+  // endless options are keyed by value, like the config, so an inline
+  // level doesn't rebuild the path and the run on every render.
+  const levelKey = JSON.stringify(level || null);
+  const endlessKey = JSON.stringify(endless || null);
+  const loadedLevel = useMemo(
+    () => loadLevel(level || (endless ? ENDLESS_LEVEL : DEFAULT_LEVEL)),
+    [levelKey, Boolean(endless)]
+  );
+  const spline = useMemo(
+    () => (endless ? createEndlessSpline(endless) : createLevelSpline(loadedLevel)),
+    [loadedLevel, endlessKey]
+  );
+  const ownWorld = useMemo(() => createCollisionWorld(), []);
+  const world = collisionWorld || ownWorld;
+  const simOptions = { tickRate, world, groundHeight, weapons, level: loadedLevel, loopPath: false };
+  const simulation = useMemo(
+    () => createPlayerSimulation(configRef.current, spline, simOptions),
+    [spline, tickRate, world, groundHeight, weapons, loadedLevel]
+  );
+  
+  // The snapshot being drawn, updated every frame without re-rendering:
+  // the ship, reticle, camera and projectiles read it in their own frame
+  // callbacks, and the HUD subscribes to what it shows (frameStore.js)
+  const store = useMemo(() => createFrameStore(simulation.getState()), [simulation]);
+  
+  // Enemies share the collision world and step right after the simulation
+  // each tick; they are drawn from a store of their own
+  const enemies = useMemo(
+    () => createEnemySystem({ world, spline, types: enemyTypes, tickRate }),
+    [world, spline, enemyTypes, tickRate]
+  );
+  const enemyStore = useMemo(() => createFrameStore(enemies.getSnapshot()), [enemies]);
+  
+  // Terrain and scenery streamed along the path (`environment` being
+  // createEnvironment's options less the path and world, or null for
+  // none), stepped after the simulation each tick and on respawns
+  const environmentKey = JSON.stringify(environment);
+  const terrain = useMemo(
+    () => (environment ? createEnvironment({ ...environment, spline, world }) : null),
+    [spline, world, environmentKey]
+  );
+  useEffect(() => {
+    if (!terrain) return undefined;
+    terrain.update(simulation.getState().distance);
+    return () => terrain.clear();
+  }, [terrain, simulation]);
+  
+  // Bosses too, after the enemies; they hold the simulation's rail
+  const bosses = useMemo(
+    () => createBossSystem({ world, simulation, types: bossTypes, tickRate }),
+    [world, simulation, bossTypes, tickRate]
+  );
+  const bossStore = useMemo(() => createFrameStore(bosses.getSnapshot()), [bosses]);
+  
+  // Scoring, stepped after the bosses while the run is in play; the flow
+  // resets it for each run and puts it in the results
+  const scoringKey = JSON.stringify(scoringConfig);
+  const scoring = useMemo(() => createScoring({
+    config: { ...SCORING_CONFIG, ...scoringConfig },
+    medals: loadedLevel.medals,
+    tickRate,
+  }), [loadedLevel, tickRate, scoringKey]);
+  const scoreStore = useMemo(() => createFrameStore(scoring.getSnapshot()), [scoring]);
+  
+  // High scores: the `highScores` table, or one of our own
+  const highScoreTable = useMemo(
+    () => (highScores !== undefined ? highScores : createHighScoreTable()),
+    [highScores]
+  );
+  const playerNameRef = useRef(playerName);
+  playerNameRef.current = playerName;
+  
+  // Ghost: a second simulation replaying a previous run in lockstep, on
+  // a path of its own when that streams (keyed by the `endless` value,
+  // like the player's, so both fly the same seed and config; the deps
+  // after it are what simOptions is made of). It flies without a
+  // collision world: the live one holds what this run has shot at and left
+  // behind, which would push the ghost off its recording.
+  const ghostRun = useMemo(() => {
+    if (!ghost) return null;
+    const ghostPath = spline.endless ? createEndlessSpline(endless) : spline;
+    return {
+      simulation: createPlayerSimulation(configRef.current, ghostPath, { ...simOptions, world: null }),
+      source: createReplaySource(ghost),
+    };
+  }, [ghost, spline, endlessKey, tickRate, groundHeight, weapons, loadedLevel]);
+  const ghostStore = useMemo(
+    () => (ghostRun ? createFrameStore(ghostRun.simulation.getState()) : null),
+    [ghostRun]
+  );
+  
+  useEffect(() => {
+    simulation.setConfig(config);
+    if (ghostRun) ghostRun.simulation.setConfig(config);
+  }, [simulation, ghostRun, config]);
+  
+  // Replay sources and recorders are read from refs so swapping them
+  // doesn't rebuild the loop
+  const inputSourceRef = useRef(inputSource);
+  inputSourceRef.current = inputSource;
+  const recorderRef = useRef(recorder);
+  recorderRef.current = recorder;
+  const onProjectileHitRef = useRef(onProjectileHit);
+  onProjectileHitRef.current = onProjectileHit;
+  const onPickupRef = useRef(onPickup);
+  onPickupRef.current = onPickup;
+  const onLevelEventRef = useRef(onLevelEvent);
+  onLevelEventRef.current = onLevelEvent;
+  const onFlowChangeRef = useRef(onFlowChange);
+  onFlowChangeRef.current = onFlowChange;
+  
+  // The game flow, read from a ref by the loop it drives
+  const flowRef = useRef(null);
+  
+  // Bomb blasts still expanding, stamped with the sim time they went off
+  const blasts = useRef([]);
+  
+  // Latest level message and the sim time it stops showing
+  const levelMessage = useRef(null);
+  
+  // Fixed-timestep loop: the simulation only ever advances in whole ticks
+  const previousState = useRef(null);
+  const previousGhostState = useRef(null);
+  const previousEnemies = useRef(null);
+  const previousBosses = useRef(null);
+  const loop = useMemo(() => createFixedStepLoop({
+    tickRate,
+    clock: clock || createPerformanceClock(),
+    step: () => {
+      // Replay sources replace live devices; recorders quantize what they
+      // capture so the run they produce replays exactly
+      let frame = inputSourceRef.current
+        ? inputSourceRef.current.next()
+        : (flowRef.current.acceptsInput() && inputEnabled.current && inputRef.current) || NO_INPUT;
+      frame = { ...frame, ...pendingActions.current };
+      pendingActions.current = {};
+      if (recorderRef.current) frame = recorderRef.current.record(frame);
+      
+      previousState.current = simulation.getState();
+      const next = simulation.step(frame);
+      tickEvents.current.push(...next.events);
+      if (terrain) terrain.update(next.distance);
       
-      if (progress >= 1) {
-        setIsRolling(false);
-        setIsInvulnerable(false);
-        setDodgeCooldown(CONFIG.DODGE_COOLDOWN);
+      // Shots that struck a collider: its own onHit first, then the prop
+      for (const hit of next.projectileHits) {
+        world.notifyHit(hit);
+        if (onProjectileHitRef.current) onProjectileHitRef.current(hit);
+      }
+      
+      // Collected pickups are the owner's to hide or unregister
+      if (onPickupRef.current) next.pickups.forEach(pickup => onPickupRef.current(pickup));
+      
+      // Level timeline: spawns, checkpoints, messages, music cues, camera
+      // cuts and all-range arenas
+      for (const event of next.levelEvents) {
+        if (event.type === 'message') {
+          levelMessage.current = { text: event.text, until: next.time + (event.duration || 2000) };
+        }
+        if (event.type === 'camera') rig.cut(event.mode, { duration: event.duration });
+        if (onLevelEventRef.current) onLevelEventRef.current(event);
+      }
+      if (next.events.includes('allRangeStart')) {
+        levelMessage.current = { text: 'ALL-RANGE MODE', until: next.time + 2000 };
+      }
+      if (next.events.includes('levelComplete')) {
+        levelMessage.current = { text: 'COURSE CLEAR', until: next.time + 3000 };
       }
+      
+      for (const { projectileId, position, radius } of next.detonations) {
+        blasts.current.push({ id: projectileId, position, radius, time: next.time });
+      }
+      
+      previousEnemies.current = enemies.getSnapshot();
+      const enemyTick = enemies.step(next);
+      tickEvents.current.push(...enemyTick.events);
+      for (const { id, position, radius } of enemyTick.destroyed) {
+        blasts.current.push({ id: `enemy-${id}`, position, radius: radius * 3, time: next.time });
+      }
+      
+      previousBosses.current = bosses.getSnapshot();
+      const bossTick = bosses.step(next);
+      tickEvents.current.push(...bossTick.events);
+      for (const { id, position, radius } of bossTick.partsDestroyed) {
+        blasts.current.push({ id: `boss-${id}`, position, radius: radius * 3, time: next.time });
+      }
+      if (bossTick.started) {
+        levelMessage.current = { text: `WARNING: ${bossTick.started.name.toUpperCase()}`, until: next.time + 3000 };
+      }
+      if (bossTick.defeated) {
+        const { position } = bossTick.defeated;
+        blasts.current.push({ id: `boss-defeated-${next.tick}`, position, radius: 30, time: next.time });
+      }
+      
+      if (ghostRun) {
+        previousGhostState.current = ghostRun.simulation.getState();
+        ghostRun.simulation.step(ghostRun.source.next());
+      }
+      
+      emitTickEvents(bus, next);
+      emitEnemyEvents(bus, next, enemyTick);
+      emitBossEvents(bus, next, bossTick);
+      if (flowRef.current.getState() === 'playing') {
+        const scoreTick = scoring.handleTick(next, { enemies: enemyTick, bosses: bossTick });
+        tickEvents.current.push(...scoreTick.events);
+        emitScoreEvents(bus, next, scoreTick);
+      }
+      flowRef.current.handleTick(next);
+    },
+  }), [simulation, enemies, bosses, scoring, terrain, ghostRun, world, tickRate, clock, rig, bus]);
+  
+  // Game flow (gameFlow.js): title, play, pause, lives and checkpoints,
+  // results. It runs the loop only while the ship flies; changing
+  // `startScreen` or `flowConfig` starts a new flow.
+  const flowKey = JSON.stringify([startScreen, flowConfig]);
+  const flow = useMemo(() => createGameFlow({
+    simulation,
+    loop,
+    config: { ...FLOW_CONFIG, ...flowConfig },
+    start: startScreen,
+    scoring,
+  }), [simulation, loop, scoring, flowKey]);
+  flowRef.current = flow;
+  const [flowView, setFlowView] = useState(() => flow.getSnapshot());
+  const [highScoreView, setHighScoreView] = useState(null);
+  
+  // Everything the run leaves behind, enemies and bosses included (a
+  // respawn sends the ones past the checkpoint again): on a new run the
+  // ghost and any replay
+  // start over too
+  const clearRun = useCallback((newRun) => {
+    if (newRun) {
+      if (ghostRun) {
+        ghostRun.simulation.reset();
+        ghostRun.source.reset();
+        previousGhostState.current = null;
+      }
+      inputSourceRef.current?.reset?.();
+      loop.reset();
     }
+    previousState.current = null;
+    pendingActions.current = {};
+    tickEvents.current = [];
+    blasts.current = [];
+    levelMessage.current = null;
+    rig.reset();
+    store.set(simulation.getState(), performance.now());
+    if (terrain) terrain.update(simulation.getState().distance);
+    previousEnemies.current = null;
+    enemyStore.set(enemies.clear(), performance.now());
+    previousBosses.current = null;
+    bossStore.set(bosses.clear(), performance.now());
+    scoreStore.set(scoring.getSnapshot(), performance.now());
+  }, [simulation, enemies, bosses, scoring, terrain, ghostRun, loop, rig, store, enemyStore, bossStore, scoreStore]);
+  
+  // Flow changes become bus events (`flowChange`, then `pause`, `resume`,
+  // `reset`, `respawn`, `results` and `gameOver` where they apply)
+  useEffect(() => {
+    setFlowView(flow.getSnapshot());
+    return flow.subscribe((change) => {
+      const { from, to, reason, flow: view } = change;
+      if (change.newRun || reason === 'respawn') clearRun(change.newRun);
+      setFlowView(view);
+      
+      const payload = (extra = {}) => eventPayload(simulation.getState(), extra);
+      bus.emit('flowChange', payload({ from, to, reason, flow: view }));
+      if (to === 'paused') bus.emit('pause', payload({ reason }));
+      if (from === 'paused' && to === 'playing') bus.emit('resume', payload());
+      if (change.newRun) bus.emit('reset', payload());
+      if (to === 'respawning') bus.emit('respawn', payload({ progress: view.checkpoint, lives: view.lives }));
+      if (to === 'results') {
+        // Enter the run in the level's high scores for the results screen
+        if (highScoreTable) {
+          const { results } = view;
+          const rank = highScoreTable.submit(loadedLevel.name, {
+            name: playerNameRef.current,
+            score: results.score,
+            hits: results.hits,
+            medal: results.medal,
+            accuracy: results.accuracy,
+            time: results.time,
+          });
+          setHighScoreView({ level: loadedLevel.name, entries: highScoreTable.list(loadedLevel.name), rank });
+        }
+        bus.emit('results', payload({ results: view.results }));
+        if (view.results.outcome === 'gameOver') bus.emit('gameOver', payload({ results: view.results }));
+      }
+      if (onFlowChangeRef.current) onFlowChangeRef.current(change);
+    });
+  }, [flow, bus, simulation, clearRun, highScoreTable, loadedLevel]);
+  
+  // Losing focus or the controller pauses a run in play
+  useEffect(() => {
+    const handleBlur = () => flow.pause('blur');
+    window.addEventListener('blur', handleBlur);
+    const unsubscribe = gamepadManager.subscribe(({ type }) => {
+      if (type === 'disconnected') flow.pause('gamepad');
+    });
+    return () => {
+      window.removeEventListener('blur', handleBlur);
+      unsubscribe();
+    };
+  }, [flow, gamepadManager]);
+  const pauseHeld = useRef(false);
+  const fireHeld = useRef(false);
+  
+  // What the screens' buttons do
+  const flowActions = useMemo(() => ({
+    start: flow.start,
+    resume: flow.resume,
+    restart: flow.restart,
+    quit: flow.quit,
+  }), [flow]);
+  
+  // Imperative API for menus, cutscenes and scoring
+  useImperativeHandle(ref, () => ({
+    on: bus.on,
+    off: bus.off,
+    once: bus.once,
     
-    // Calculate speed
-    const speed = boostActive ? CONFIG.BOOST_SPEED : CONFIG.FORWARD_SPEED;
-    setCurrentSpeed(speed);
+    // The game flow: `getFlow()` is its snapshot (state, lives, checkpoint,
+    // stats and results)
+    start: flow.start,
+    pause: () => flow.pause('api'),
+    resume: flow.resume,
+    isPaused: () => flow.getState() === 'paused',
+    quit: flow.quit,
+    getFlow: flow.getSnapshot,
     
-    // Update spline progress
-    const splineLength = spline.getLength();
-    const progressDelta = (speed * delta) / splineLength;
-    setSplineProgress(prev => {
-      const next = prev + progressDelta;
-      return next >= 1 ? 0 : next; // Loop back
-    });
+    // The run's score, hits, combo, accuracy and medal (see scoring.js),
+    // and the high-score table results go into (null without one)
+    getScore: scoring.getSnapshot,
+    getHighScores: () => highScoreTable,
+    
+    // The rail path: the level's, or the endless one with its
+    // `difficultyAt(distance)` (see endlessPath.js)
+    getPath: () => spline,
+    
+    // Back to the start of the level: the run, the ghost and any replay
+    reset() {
+      if (!flow.restart()) flow.start();
+    },
     
-    // Update local offset (movement on the plane)
-    const agilityMult = isRolling ? CONFIG.DODGE_AGILITY_MULT : 1;
-    setLocalOffset(prev => ({
-      x: MathUtils.clamp(
-        prev.x + input.moveX * CONFIG.MOVE_SPEED * delta * agilityMult,
-        -CONFIG.MOVE_BOUNDS.x,
-        CONFIG.MOVE_BOUNDS.x
-      ),
-      y: MathUtils.clamp(
-        prev.y + input.moveY * CONFIG.MOVE_SPEED * delta * agilityMult,
-        -CONFIG.MOVE_BOUNDS.y,
-        CONFIG.MOVE_BOUNDS.y
-      ),
-    }));
+    teleportTo(progress) {
+      const state = simulation.teleportTo(progress);
+      previousState.current = null;
+      store.set(state, performance.now());
+      previousEnemies.current = null;
+      enemyStore.set(enemies.clear(), performance.now());
+      previousBosses.current = null;
+      bossStore.set(bosses.clear(), performance.now());
+      bus.emit('teleport', eventPayload(state, { progress: state.splineProgress }));
+    },
     
-    // Update ship rotation (tilt based on movement)
-    targetRotation.current.set(
-      -input.moveY * CONFIG.SHIP_TILT_FACTOR,
-      Math.PI,
-      input.moveX * CONFIG.SHIP_TILT_FACTOR * 1.5
-    );
+    setInputEnabled(enabled) {
+      inputEnabled.current = enabled;
+    },
+    isInputEnabled: () => inputEnabled.current,
+    triggerRoll() {
+      pendingActions.current.dodge = true;
+    },
     
-    shipRotation.current.x = MathUtils.lerp(shipRotation.current.x, targetRotation.current.x, 0.1);
-    shipRotation.current.z = MathUtils.lerp(shipRotation.current.z, targetRotation.current.z, 0.1);
+    getState: () => simulation.getState(),
+  }), [bus, flow, scoring, highScoreTable, simulation, spline, store, enemies, enemyStore, bosses, bossStore]);
+  
+  // The HUD's level message: the flow's, or the latest one while it lasts
+  const hudMessage = useCallback((state) => {
+    if (flow.getState() === 'dead') return 'SHIP DOWN';
+    if (flow.getState() === 'respawning') return 'READY';
+    const message = levelMessage.current;
+    return message && state.time < message.until ? message.text : null;
+  }, [flow]);
+  
+  // Light that travels with the ship
+  const shipLight = useRef();
+  
+  // Screen for the flow state: the `screens` prop's (null hides one), or
+  // the default
+  const Screen = { ...DEFAULT_SCREENS, ...screens }[flowView.state] || null;
+  const atMenu = flowView.state === 'title' || flowView.state === 'results';
+
+  // Main game loop, run by FrameLoop ahead of the objects that follow the
+  // store
+  const advanceFrame = (_, delta) => {
+    frameTimes.push(delta * 1000);
+    inputRef.current = sampleInput();
+    if (inputRef.current.camera && !cameraHeld.current) rig.cycleMode();
+    cameraHeld.current = inputRef.current.camera;
     
-    // Handle firing
-    if (input.fire) {
-      fireProjectile();
+    // Pause toggles play; on the title and results it, or fire, starts a run
+    const { pause, fire } = inputRef.current;
+    const inMenu = flow.getState() === 'title' || flow.getState() === 'results';
+    if (pause && !pauseHeld.current) {
+      if (inMenu) flow.start();
+      else flow.togglePause('input');
+    } else if (fire && !fireHeld.current && inMenu) {
+      flow.start();
     }
+    pauseHeld.current = pause;
+    fireHeld.current = fire;
+    flow.update(delta * 1000);
+    
+    if (debug && inputRef.current.debug && !debugHeld.current) setDebugOpen(open => !open);
+    debugHeld.current = inputRef.current.debug;
+    const { alpha } = loop.advance();
+    const latest = simulation.getState();
     
-    // Update camera to follow ship
-    const cameraOffset = new Vector3(0, 5, 15);
-    const targetCameraPos = shipPosition.clone().add(cameraOffset);
-    camera.position.lerp(targetCameraPos, 0.05);
-    camera.lookAt(shipPosition.x, shipPosition.y, shipPosition.z - 20);
+    // Haptics and camera shake for what happened during this frame's ticks
+    const events = tickEvents.current;
+    rig.handleEvents(events);
+    if (events.includes('hit')) gamepadManager.vibrate('hit');
+    else if (events.includes('bombDetonate')) gamepadManager.vibrate('bomb');
+    else if (events.includes('chargeFire')) gamepadManager.vibrate('charge');
+    else if (events.includes('rollStart')) gamepadManager.vibrate('roll');
+    else if (events.includes('somersaultStart') || events.includes('uturnStart')) gamepadManager.vibrate('maneuver');
+    else if (events.includes('fire')) gamepadManager.vibrate('fire');
+    tickEvents.current = [];
+    const next = interpolateState(previousState.current, latest, alpha);
+    blasts.current = blasts.current.filter(blast => latest.time - blast.time < BLAST_DURATION);
+    const now = performance.now();
+    store.set(next, now);
+    enemyStore.set(interpolateEnemies(previousEnemies.current, enemies.getSnapshot(), alpha), now);
+    bossStore.set(interpolateBosses(previousBosses.current, bosses.getSnapshot(), alpha), now);
+    scoreStore.set(scoring.getSnapshot(), now);
+    const { x, y, z } = next.shipPosition;
+    if (shipLight.current) shipLight.current.position.set(x, y, z);
+    
+    if (ghostRun) {
+      ghostStore.set(interpolateState(
+        previousGhostState.current,
+        ghostRun.simulation.getState(),
+        alpha
+      ), now);
+    }
     
     // Report state
     if (onStateUpdate) {
+      const { shipPosition: p } = latest;
+      const score = scoring.getSnapshot();
       onStateUpdate({
-        position: shipPosition,
-        isInvulnerable,
-        boostActive,
-        speed: currentSpeed,
+        position: new Vector3(p.x, p.y, p.z),
+        isInvulnerable: latest.isInvulnerable,
+        boostActive: latest.boostActive,
+        isBraking: latest.isBraking,
+        energy: latest.energy,
+        speed: latest.speed,
+        shield: latest.shield,
+        maxShield: latest.maxShield,
+        isDestroyed: latest.isDestroyed,
+        weapon: latest.weapon,
+        bombs: latest.bombs,
+        distance: latest.distance,
+        mode: latest.mode,
+        railHold: latest.railHold,
+        score: score.score,
+        hits: score.hits,
+        combo: score.combo,
+        accuracy: score.accuracy,
+        medal: score.medal,
       });
     }
-  });
+  };
 
   return (
-    <>
-      {/* Lighting */}
-      <ambientLight intensity={0.4} />
-      <directionalLight position={[10, 20, 10]} intensity={1} />
-      <pointLight position={shipPosition.toArray()} color="#4488ff" intensity={0.5} distance={10} />
-      
-      {/* Terrain */}
-      <TerrainPlaceholder spline={spline} />
-      
-      {/* Player ship */}
-      <PlayerShip
-        position={shipPosition}
-        rotation={[shipRotation.current.x, shipRotation.current.y, shipRotation.current.z]}
-        isRolling={isRolling}
-        rollProgress={rollProgress}
-        isBoosting={boostActive}
-        isInvulnerable={isInvulnerable}
-      />
-      
-      {/* Reticle */}
-      <Reticle position={reticlePosition} isLocked={false} />
-      
-      {/* Projectiles */}
-      {projectiles.map(proj => (
-        <Projectile
-          key={proj.id}
-          id={proj.id}
-          position={proj.position.clone()}
-          direction={proj.direction}
-          onExpire={removeProjectile}
-        />
-      ))}
-      
-      {/* HUD */}
-      <Html fullscreen>
-        <HUD
-          boostCooldown={boostCooldown}
-          boostActive={boostActive}
-          dodgeCooldown={dodgeCooldown}
-          isInvulnerable={isInvulnerable}
-          speed={currentSpeed}
-          position={shipPosition}
-        />
-      </Html>
-    </>
+    <ConfigContext.Provider value={config}>
+      <CollisionContext.Provider value={world}>
+        <FrameLoop onFrame={advanceFrame} />
+        
+        {/* Lighting */}
+        <ambientLight intensity={0.4} />
+        <directionalLight position={[10, 20, 10]} intensity={1} />
+        <pointLight ref={shipLight} color="#4488ff" intensity={0.5} distance={10} />
+        
+        {/* Terrain */}
+        {terrain && <StreamingTerrain environment={terrain} />}
+        
+        {/* Camera */}
+        <CameraRig rig={rig} store={store} />
+        
+        {/* Player ship */}
+        <PlayerShip store={store} />
+        
+        {/* Ghost of a previous run */}
+        {ghostStore && <PlayerShip ghost store={ghostStore} />}
+        
+        {/* Reticle */}
+        <Reticle store={store} />
+        <LockMarkers store={store} />
+        
+        {/* Projectiles and bomb blasts */}
+        <ProjectilePool store={store} capacity={config.MAX_PROJECTILES} />
+        <TrackedBlasts store={store} blasts={blasts} />
+        
+        {/* Enemies and their shots */}
+        <EnemyFleet store={enemyStore} />
+        <ProjectilePool store={enemyStore} capacity={ENEMY_SHOT_CAPACITY} />
+        
+        {/* The boss and its shots */}
+        <BossModel store={bossStore} />
+        <ProjectilePool store={bossStore} capacity={BOSS_SHOT_CAPACITY} />
+        
+        {/* Obstacles and anything else registering colliders */}
+        {children}
+        
+        {/* Debug gizmos */}
+        {debug && debugOpen && <TrackedGizmos store={store} spline={spline} world={world} config={config} />}
+        
+        {/* HUD and the flow's screens (the HUD hides behind the menus) */}
+        <Html fullscreen>
+          {!atMenu && (
+            <TrackedHUD
+              store={store}
+              message={hudMessage}
+              weaponTiers={weapons.laserTiers.length}
+              inputProfile={inputProfile}
+              touchLayout={touchLayout}
+              config={config}
+            />
+          )}
+          {!atMenu && <TrackedRadar store={store} />}
+          {!atMenu && <TrackedScore store={scoreStore} />}
+          {!atMenu && <TrackedBossBar store={bossStore} />}
+          {touchLayout && !atMenu && <TrackedTouchControls store={store} touchInput={touchInput} config={config} />}
+          {Screen && (
+            <Screen flow={flowView} actions={flowActions} inputProfile={inputProfile} highScores={highScoreView} />
+          )}
+          {debug && debugOpen && (
+            <TrackedDebugOverlay
+              store={store}
+              inputRef={inputRef}
+              config={config}
+              onChange={tune}
+              onReset={resetTuning}
+              errors={tuningErrors}
+              frameTimes={frameTimes}
+              toggleHint={describeControl(inputProfile, ['debug']).keyboard || 'debug key'}
+            />
+          )}
+        </Html>
+      </CollisionContext.Provider>
+    </ConfigContext.Provider>
   );
-}
+});
 
 // ============================================================================
 // MAIN EXPORT COMPONENT
 // ============================================================================
-export default function StarfoxPlayerController() {
-  const [gameState, setGameState] = useState(null);
-  
+// The ref is GameController's imperative handle
+const StarfoxPlayerController = forwardRef(function StarfoxPlayerController({ config, preset, eventBus }, ref) {
   return (
     <div style={{ width: '100%', height: '100vh', background: '#000011' }}>
       <Canvas
@@ -692,11 +2539,18 @@ export default function StarfoxPlayerController() {
         gl={{ antialias: true }}
       >
         <fog attach="fog" args={['#000022', 50, 200]} />
-        <GameController onStateUpdate={setGameState} />
+        <GameController
+          ref={ref}
+          config={config}
+          preset={preset}
+          eventBus={eventBus}
+        />
       </Canvas>
     </div>
   );
-}
+});
+
+export default StarfoxPlayerController;
 
 // ============================================================================
 // NAMED EXPORTS FOR INTEGRATION
@@ -706,7 +2560,42 @@ export {
   PlayerShip,
   Reticle,
   HUD,
+  Radar,
+  ProjectilePool,
+  EnemyFleet,
+  BossModel,
+  BossHealthBar,
+  ScorePanel,
+  BombBlast,
+  TouchControls,
+  CameraRig,
+  DebugGizmos,
+  DebugOverlay,
+  StreamingTerrain,
   useInputManager,
+  useInputProfile,
+  useTouchLayout,
+  useCollider,
+  CollisionContext,
+  useConfig,
+  ConfigContext,
+  useFrameStore,
   createLevelSpline,
+  createEndlessSpline,
   CONFIG,
+  CONFIG_PRESETS,
+  GAME_EVENTS,
+  createEventBus,
+  TitleScreen,
+  PauseScreen,
+  ResultsScreen,
+  GAME_STATES,
+  FLOW_CONFIG,
+  ENEMY_TYPES,
+  BOSS_TYPES,
+  SCORING_CONFIG,
+  ENDLESS_CONFIG,
+  ENDLESS_LEVEL,
+  ENVIRONMENT_VARIANTS,
+  SCENERY_TYPES,
 };
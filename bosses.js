@@ -0,0 +1,577 @@
+// ============================================================================
+// BOSSES
+// ----------------------------------------------------------------------------
+// Renderer-free boss encounters. A boss starts on a level `boss` event (or
+// from game code), holds the rail for the fight through the simulation's
+// holdRail() - stopping it, or swinging it round the boss - and lets it go
+// again once the boss is down.
+//
+// A boss is built from parts, each its own collider: the player's shots,
+// bomb blasts and lock-on hit them one by one, and flying into one hurts.
+// Weak points carry the boss's health: the fight is won when every one is
+// destroyed. Other parts can be shot off (silencing the attacks fired from
+// them), shield a weak point until they are gone, or be armour that soaks
+// up shots and can't be destroyed.
+//
+// The fight runs in phases picked by the boss's remaining health. Each
+// phase sways the boss about its anchor and loops a scripted list of
+// attacks:
+//
+//   aimed   `volleys` shots, `interval` ms apart, each leading the ship
+//   spread  `count` shots fanned `angle` radians across the ship's line
+//   ring    `count` shots in a cone `angle` radians wide round the ship's
+//           line - sit in the middle to dodge it
+//   wait    a `duration` ms breather
+//
+// Attacks fire `from` a named part (the first weak point by default) and
+// are skipped once it has been shot off. Every pattern is aimed where the
+// ship will be, round the circle when the rail circles.
+//
+// Step the system once per simulation tick, after the simulation:
+//
+//   const bosses = createBossSystem({ world, simulation });
+//   const state = simulation.step(input);
+//   const snapshot = bosses.step(state);
+//
+// Times are ms, distances world units and rates per second.
+// ============================================================================
+
+import { DEFAULT_TICK_RATE } from './fixedStepLoop.js';
+import { createFrame, toWorld } from './railFrame.js';
+import { sphereCollider } from './collisionWorld.js';
+import { createShotPool, leadDirection } from './enemies.js';
+
+// ============================================================================
+// BOSS DEFINITIONS
+// ----------------------------------------------------------------------------
+// `rail` is how the fight holds the rail: 'hold' parks the boss `distance`
+// ahead of the stopped rail, 'circle' parks it at the centre of a circle of
+// radius `distance` that the rail rounds at `circleSpeed`. Part `offset`s
+// are [x, y, z] from the boss's centre as the ship sees it: x to the
+// right, y up and -z towards the ship. Phases are listed from full health
+// down; each takes over once the weak points' remaining share of their
+// health drops to its `health`.
+// ============================================================================
+export const BOSS_TYPES = {
+  warden: {
+    name: 'Warden',
+    rail: 'hold',
+    distance: 70,
+    height: 4,
+    entry: 2500,
+    score: 2000,
+    color: '#7788aa',
+    shotSpeed: 32,
+    shotDamage: 10,
+    parts: [
+      { name: 'core', offset: [0, 0, 0], radius: 3, health: 150, weakPoint: true, shieldedBy: ['leftGun', 'rightGun'], damage: 30 },
+      { name: 'leftGun', offset: [-8, 0, 1], radius: 2.2, health: 60, damage: 20 },
+      { name: 'rightGun', offset: [8, 0, 1], radius: 2.2, health: 60, damage: 20 },
+      { name: 'hull', offset: [0, -4.5, 2], radius: 4, armor: true, damage: 30 },
+    ],
+    phases: [
+      {
+        health: 1,
+        name: 'Guns',
+        sway: [6, 2],
+        period: 5000,
+        attacks: [
+          { pattern: 'aimed', from: 'leftGun', volleys: 3, interval: 250 },
+          { pattern: 'aimed', from: 'rightGun', volleys: 3, interval: 250 },
+          { pattern: 'wait', duration: 800 },
+        ],
+      },
+      {
+        health: 0.6,
+        name: 'Exposed',
+        sway: [9, 3],
+        period: 4000,
+        attacks: [
+          { pattern: 'spread', from: 'core', count: 5, angle: 0.6 },
+          { pattern: 'wait', duration: 700 },
+          { pattern: 'ring', from: 'core', count: 10, angle: 0.3 },
+          { pattern: 'wait', duration: 1200 },
+        ],
+      },
+      {
+        health: 0.25,
+        name: 'Meltdown',
+        sway: [12, 4],
+        period: 2500,
+        attacks: [
+          { pattern: 'ring', from: 'core', count: 12, angle: 0.25, volleys: 3, interval: 400 },
+          { pattern: 'aimed', from: 'core', volleys: 4, interval: 150 },
+          { pattern: 'wait', duration: 600 },
+        ],
+      },
+    ],
+  },
+  sentinel: {
+    name: 'Sentinel',
+    rail: 'circle',
+    distance: 60,
+    circleSpeed: 18,
+    height: 6,
+    entry: 2000,
+    score: 3000,
+    color: '#aa7744',
+    shotSpeed: 28,
+    shotDamage: 12,
+    parts: [
+      { name: 'eye', offset: [0, 4, 0], radius: 2.5, health: 100, weakPoint: true, shieldedBy: ['shieldLeft', 'shieldRight'], damage: 30 },
+      { name: 'reactor', offset: [0, -3, 0], radius: 2.5, health: 100, weakPoint: true, damage: 30 },
+      { name: 'shieldLeft', offset: [-4, 4, -2], radius: 2, health: 40, damage: 20 },
+      { name: 'shieldRight', offset: [4, 4, -2], radius: 2, health: 40, damage: 20 },
+      { name: 'spine', offset: [0, 0.5, 0], radius: 3, armor: true, damage: 30 },
+    ],
+    phases: [
+      {
+        health: 1,
+        name: 'Watch',
+        sway: [0, 3],
+        period: 4000,
+        attacks: [
+          { pattern: 'spread', from: 'reactor', count: 7, angle: 0.9 },
+          { pattern: 'wait', duration: 1000 },
+          { pattern: 'aimed', from: 'eye', volleys: 2, interval: 300 },
+          { pattern: 'wait', duration: 800 },
+        ],
+      },
+      {
+        health: 0.5,
+        name: 'Glare',
+        sway: [4, 5],
+        period: 3000,
+        attacks: [
+          { pattern: 'ring', from: 'eye', count: 14, angle: 0.3, volleys: 2, interval: 500 },
+          { pattern: 'spread', from: 'reactor', count: 9, angle: 1.1 },
+          { pattern: 'wait', duration: 900 },
+        ],
+      },
+    ],
+  },
+};
+
+export const ATTACK_PATTERNS = ['aimed', 'spread', 'ring', 'wait'];
+
+const SHOT_RADIUS = 0.6;
+const SHOT_COLOR = '#ff66cc';
+// A hit part flashes this long
+const HIT_FLASH = 100;
+// The boss flies in from this much further out
+const ENTRY_DISTANCE = 200;
+// Attacks hold off this long after a phase change
+const PHASE_PAUSE = 1000;
+// Interval between volleys of an attack, and after its last, by default
+const VOLLEY_INTERVAL = 250;
+
+// Boss event fields that aren't definition overrides
+const EVENT_FIELDS = ['at', 'type', 'boss'];
+
+// ============================================================================
+// VECTOR HELPERS
+// ============================================================================
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const normalize = (v) => {
+  const l = length(v);
+  return l > 0 ? scale(v, 1 / l) : { x: 0, y: 0, z: -1 };
+};
+const easeOut = (t) => 1 - (1 - t) * (1 - t);
+
+// ============================================================================
+// BOSS SYSTEM
+// ============================================================================
+// `world` is the collision world the simulation tests against and
+// `simulation` the player simulation whose rail the fight holds.
+export function createBossSystem({ world, simulation, types = BOSS_TYPES, tickRate = simulation.tickRate || DEFAULT_TICK_RATE }) {
+  const stepMs = 1000 / tickRate;
+  const toTicks = (ms) => Math.max(1, Math.round(ms / stepMs));
+  const shots = createShotPool({ world, tickRate, tag: 'bossShot', radius: SHOT_RADIUS, color: SHOT_COLOR });
+
+  let boss; // the fight in progress, or null
+  let lastShip; // ship position last tick, for its velocity
+  let current;
+
+  // Phase for the weak points' remaining share of their health: the last
+  // one whose threshold it has dropped to
+  function phaseFor(def, fraction) {
+    let index = 0;
+    def.phases.forEach((phase, i) => {
+      if (fraction <= phase.health) index = i;
+    });
+    return index;
+  }
+
+  function begin(type, fields) {
+    if (boss) end();
+    const def = { phases: [], ...types[type], ...fields };
+    if (!def.parts || def.parts.length === 0) throw new Error(`Boss "${type}" has no parts`);
+    if (!def.parts.some(part => part.weakPoint)) throw new Error(`Boss "${type}" has no weak point to destroy`);
+    for (const phase of def.phases) {
+      for (const attack of phase.attacks) {
+        if (!ATTACK_PATTERNS.includes(attack.pattern)) {
+          throw new Error(`Unknown attack pattern "${attack.pattern}" (see ATTACK_PATTERNS)`);
+        }
+      }
+    }
+    boss = {
+      type,
+      def,
+      parts: def.parts.map(part => ({
+        id: null,
+        def: part,
+        health: part.armor ? Infinity : part.health,
+        hitTicks: 0,
+        lastHitBy: null,
+        position: null,
+      })),
+      maxHealth: def.parts.filter(part => part.weakPoint).reduce((sum, part) => sum + part.health, 0),
+      phase: 0,
+      ageTicks: 0,
+      entryTicks: toTicks(def.entry || 0),
+      attack: { index: 0, volley: 0, ticks: toTicks(PHASE_PAUSE) },
+      anchor: null,
+      frame: null,
+      placed: false,
+    };
+    simulation.holdRail({ mode: def.rail || 'hold', radius: def.distance, speed: def.circleSpeed });
+  }
+
+  // Take the boss out of the world
+  function end() {
+    for (const part of boss.parts) {
+      if (part.id !== null) world.remove(part.id);
+    }
+    boss = null;
+  }
+
+  const weakHealth = () => boss.parts
+    .filter(part => part.def.weakPoint)
+    .reduce((sum, part) => sum + Math.max(0, part.health), 0);
+
+  const partNamed = (name) => boss.parts.find(part => part.def.name === name);
+
+  // A weak point can't be hurt while a part shielding it is still there
+  function isShielded(part) {
+    return (part.def.shieldedBy || []).some(name => {
+      const shield = partNamed(name);
+      return shield && shield.health > 0;
+    });
+  }
+
+  // ------------------------------------------------------------------------
+  // Placement
+  // ------------------------------------------------------------------------
+  // Where the boss sits: ahead of the held rail, or over the circle's
+  // centre, swaying about it, and facing the ship
+  function place(state) {
+    const { def } = boss;
+    const hold = state.railHold;
+    if (hold) {
+      boss.anchor = hold.mode === 'circle'
+        ? add(hold.center, { x: 0, y: def.height || 0, z: 0 })
+        : add(hold.center, toWorld(state.frame, { x: 0, y: def.height || 0, z: -def.distance }));
+    }
+    const facing = subtract(state.shipPosition, boss.anchor);
+    const frame = createFrame(boss.anchor, normalize({ x: facing.x, y: 0, z: facing.z }));
+
+    const phase = def.phases[boss.phase];
+    let position = boss.anchor;
+    if (phase && phase.sway) {
+      const t = (boss.ageTicks * stepMs) / (phase.period || 4000);
+      const [x, y] = phase.sway;
+      position = add(position, toWorld(frame, {
+        x: x * Math.sin(t * 2 * Math.PI),
+        y: y * Math.sin(t * 4 * Math.PI),
+        z: 0,
+      }));
+    }
+    if (boss.ageTicks < boss.entryTicks) {
+      const away = 1 - easeOut(boss.ageTicks / boss.entryTicks);
+      position = add(position, toWorld(frame, { x: 0, y: 0, z: ENTRY_DISTANCE * away }));
+    }
+    frame.position = position;
+    boss.frame = frame;
+
+    for (const part of boss.parts) {
+      // The frame faces the ship, so its right is the ship's left
+      const [x, y, z] = part.def.offset;
+      part.position = add(position, toWorld(frame, { x: -x, y, z }));
+    }
+  }
+
+  function addColliders() {
+    for (const part of boss.parts) {
+      part.id = world.add(sphereCollider(part.position, part.def.radius, {
+        tag: boss.def.tag || 'boss',
+        damage: part.def.damage,
+        lockable: !part.def.armor,
+        boss: boss.type,
+        part: part.def.name,
+      }));
+    }
+    boss.placed = true;
+  }
+
+  // ------------------------------------------------------------------------
+  // Damage
+  // ------------------------------------------------------------------------
+  // Returns true when the hit landed on a part that took it. `projectileId`
+  // is the shot (or bomb) that did it, if any.
+  function damage(id, amount, projectileId = null) {
+    if (!boss) return false;
+    const part = boss.parts.find(p => p.id === id);
+    if (!part || part.health <= 0 || part.def.armor) return false;
+    if (part.def.weakPoint && isShielded(part)) return false;
+    part.health -= amount;
+    part.hitTicks = toTicks(HIT_FLASH);
+    part.lastHitBy = projectileId;
+    return true;
+  }
+
+  function partView(part) {
+    return {
+      id: part.id,
+      name: part.def.name,
+      position: { ...part.position },
+      radius: part.def.radius,
+      health: part.def.armor ? null : Math.max(0, part.health),
+      maxHealth: part.def.armor ? null : part.def.health,
+      weakPoint: Boolean(part.def.weakPoint),
+      armor: Boolean(part.def.armor),
+      shielded: Boolean(part.def.weakPoint) && isShielded(part),
+      isHit: part.hitTicks > 0,
+    };
+  }
+
+  // ------------------------------------------------------------------------
+  // Attacks
+  // ------------------------------------------------------------------------
+  // Where to fire from `from` to meet the ship: straight-line lead, or
+  // round the circle at its angular speed (radians per second about the
+  // vertical) while the rail circles
+  function aimAt(from, state, motion) {
+    const speed = boss.def.shotSpeed;
+    if (motion.angularSpeed === null) return leadDirection(from, state.shipPosition, motion.velocity, speed);
+    const center = state.railHold.center;
+    const offset = subtract(state.shipPosition, center);
+    let target = state.shipPosition;
+    for (let i = 0; i < 4; i++) {
+      const angle = (motion.angularSpeed * length(subtract(target, from))) / speed;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      target = add(center, { x: offset.x * cos - offset.z * sin, y: offset.y, z: offset.x * sin + offset.z * cos });
+    }
+    return normalize(subtract(target, from));
+  }
+
+  function volley(attack, from, state, motion) {
+    const aim = aimAt(from, state, motion);
+    if (attack.pattern === 'aimed') return [aim];
+
+    // Fan and ring directions are laid out round the line of fire
+    const frame = createFrame(from, aim);
+    const count = attack.count || 1;
+    const angle = attack.angle || 0;
+    return Array.from({ length: count }, (_, i) => {
+      if (attack.pattern === 'spread') {
+        const a = count > 1 ? -angle / 2 + (angle * i) / (count - 1) : 0;
+        return normalize(toWorld(frame, { x: Math.sin(a), y: 0, z: -Math.cos(a) }));
+      }
+      const a = (2 * Math.PI * i) / count;
+      const spread = Math.tan(angle / 2);
+      return normalize(toWorld(frame, { x: Math.cos(a) * spread, y: Math.sin(a) * spread, z: -1 }));
+    });
+  }
+
+  // Run the phase's attack script: one step of the current attack when its
+  // timer is up, then on to the next, looping
+  function attack(state, motion, report) {
+    const phase = boss.def.phases[boss.phase];
+    if (!phase || phase.attacks.length === 0 || state.isDestroyed) return;
+    const runner = boss.attack;
+    if (--runner.ticks > 0) return;
+
+    const next = () => {
+      runner.index = (runner.index + 1) % phase.attacks.length;
+      runner.volley = 0;
+    };
+    const move = phase.attacks[runner.index];
+    if (move.pattern === 'wait') {
+      runner.ticks = toTicks(move.duration || 0);
+      next();
+      return;
+    }
+
+    const part = move.from ? partNamed(move.from) : boss.parts.find(p => p.def.weakPoint && p.health > 0);
+    if (!part || part.health <= 0) {
+      // Shot off: on to the next attack straight away
+      runner.ticks = 1;
+      next();
+      return;
+    }
+    for (const direction of volley(move, part.position, state, motion)) {
+      report.fired.push(shots.fire(part.position, direction, { speed: boss.def.shotSpeed, damage: boss.def.shotDamage }));
+    }
+    runner.ticks = toTicks(move.interval || VOLLEY_INTERVAL);
+    if (++runner.volley >= (move.volleys || 1)) next();
+  }
+
+  // ------------------------------------------------------------------------
+  // Snapshot
+  // ------------------------------------------------------------------------
+  function view() {
+    if (!boss || !boss.placed) return null;
+    const phase = boss.def.phases[boss.phase];
+    return {
+      type: boss.type,
+      name: boss.def.name || boss.type,
+      phase: boss.phase,
+      phaseName: phase ? phase.name : null,
+      health: weakHealth(),
+      maxHealth: boss.maxHealth,
+      position: { ...boss.frame.position },
+      direction: { ...boss.frame.tangent },
+      color: boss.def.color,
+      isEntering: boss.ageTicks < boss.entryTicks,
+      parts: boss.parts.filter(part => part.health > 0).map(partView),
+    };
+  }
+
+  function snapshot(report) {
+    return {
+      boss: view(),
+      projectiles: shots.list(),
+      ...report,
+    };
+  }
+
+  const emptyReport = () => ({ events: [], started: null, partsDestroyed: [], defeated: null, fired: [] });
+
+  // Drop the boss and its shots, e.g. on a respawn (the boss event past
+  // the checkpoint fires again) or a new run. The rail is the
+  // simulation's: a teleport or respawn lets it go already.
+  function clear() {
+    if (boss) end();
+    shots.clear();
+    boss = null;
+    lastShip = null;
+    current = snapshot(emptyReport());
+    return current;
+  }
+
+  // How the ship moved since last tick: its velocity, and its angular speed
+  // round the centre while the rail circles (null otherwise)
+  function shipMotion(state, dt) {
+    if (!lastShip) return { velocity: { x: 0, y: 0, z: 0 }, angularSpeed: null };
+    const velocity = scale(subtract(state.shipPosition, lastShip), 1 / dt);
+    const hold = state.railHold;
+    if (!hold || hold.mode !== 'circle') return { velocity, angularSpeed: null };
+    const before = subtract(lastShip, hold.center);
+    const now = subtract(state.shipPosition, hold.center);
+    const turned = Math.atan2(before.x * now.z - before.z * now.x, before.x * now.x + before.z * now.z);
+    return { velocity, angularSpeed: turned / dt };
+  }
+
+  // Advance one tick with the simulation's snapshot for the same tick.
+  // Reports 'bossStart', 'bossPhase', 'bossPartDestroyed',
+  // 'bossDefeated' and 'bossFire' in `events`.
+  function step(state) {
+    const report = emptyReport();
+    const dt = 1 / tickRate;
+    const motion = shipMotion(state, dt);
+    lastShip = { ...state.shipPosition };
+
+    for (const event of state.levelEvents) {
+      if (event.type === 'boss' && types[event.boss]) {
+        const fields = Object.fromEntries(Object.entries(event).filter(([key]) => !EVENT_FIELDS.includes(key)));
+        begin(event.boss, fields);
+      }
+    }
+
+    // Nothing to place until the simulation holds the rail for the fight
+    if (boss && !boss.placed && state.railHold) {
+      place(state);
+      addColliders();
+      report.started = view();
+      report.events.push('bossStart');
+    } else if (boss && boss.placed) {
+      for (const hit of state.projectileHits) damage(hit.targetId, hit.damage, hit.projectileId);
+
+      for (const part of boss.parts) {
+        if (part.hitTicks > 0) part.hitTicks--;
+        if (part.health > 0 || part.id === null) continue;
+        world.remove(part.id);
+        report.partsDestroyed.push({ ...partView(part), health: 0, projectileId: part.lastHitBy });
+        part.id = null;
+      }
+
+      if (weakHealth() <= 0) {
+        report.defeated = { ...view(), score: boss.def.score || 0 };
+        end();
+        simulation.releaseRail();
+      } else {
+        const phase = phaseFor(boss.def, weakHealth() / boss.maxHealth);
+        if (phase > boss.phase) {
+          boss.phase = phase;
+          boss.attack = { index: 0, volley: 0, ticks: toTicks(PHASE_PAUSE) };
+          report.events.push('bossPhase');
+        }
+        boss.ageTicks++;
+        place(state);
+        for (const part of boss.parts) {
+          if (part.id !== null) world.update(part.id, { position: { ...part.position } });
+        }
+        if (boss.ageTicks >= boss.entryTicks) attack(state, motion, report);
+      }
+    }
+
+    shots.step(new Set(state.hits.map(hit => hit.id)));
+
+    if (report.partsDestroyed.length > 0) report.events.push('bossPartDestroyed');
+    if (report.defeated) report.events.push('bossDefeated');
+    if (report.fired.length > 0) report.events.push('bossFire');
+    current = snapshot(report);
+    return current;
+  }
+
+  clear();
+
+  return {
+    step,
+    clear,
+    damage,
+    getSnapshot: () => current,
+    isActive: () => Boolean(boss),
+    // Start a fight from game code, as if a boss event `{ boss: type,
+    // ...fields }` had fired; it shows up once the rail is held
+    start(type, fields = {}) {
+      if (!types[type]) throw new Error(`Unknown boss type "${type}"`);
+      begin(type, fields);
+    },
+  };
+}
+
+// ============================================================================
+// RENDER INTERPOLATION
+// ============================================================================
+// Blend two consecutive boss snapshots for display, like interpolateEnemies
+// (enemies.js)
+export function interpolateBosses(prev, next, alpha) {
+  if (!prev || alpha >= 1) return next;
+  const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * alpha, y: a.y + (b.y - a.y) * alpha, z: a.z + (b.z - a.z) * alpha });
+  const blend = (list, previous) => {
+    const byId = new Map(previous.map(item => [item.id, item]));
+    return list.map(item => {
+      const before = byId.get(item.id);
+      return before ? { ...item, position: lerp(before.position, item.position) } : item;
+    });
+  };
+  const boss = next.boss && prev.boss && prev.boss.type === next.boss.type
+    ? { ...next.boss, position: lerp(prev.boss.position, next.boss.position), parts: blend(next.boss.parts, prev.boss.parts) }
+    : next.boss;
+  return { ...next, boss, projectiles: blend(next.projectiles, prev.projectiles) };
+}
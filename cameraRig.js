@@ -0,0 +1,318 @@
+// ============================================================================
+// CAMERA RIG
+// ----------------------------------------------------------------------------
+// Renderer-free camera logic shared by the React Three Fiber controller and
+// the vanilla demo. Each render frame `update(state, delta)` turns an
+// (interpolated) simulation snapshot into a camera view:
+//
+//   { mode, position, target, up, fov }
+//
+// which the renderer copies onto its camera (position, up, lookAt(target),
+// fov). Modes:
+//
+//   chase       behind and above the ship in the rail frame (default)
+//   cockpit     at the ship's canopy, turning with the ship
+//   cinematic   a tracking shot from the side of the rail
+//   orbit       free orbit around the ship for debugging, driven by
+//               `orbitBy` and `zoomBy`
+//
+// The chase camera drops back and widens its field of view while boosting
+// and closes in while braking. Hits, explosions and scraping add trauma,
+// which shakes the camera by trauma² and decays over time. `cut` switches
+// to a mode for a while, for scripted shots from level `camera` events.
+// ============================================================================
+
+import { rotateVector, toWorld } from './railFrame.js';
+
+export const CAMERA_MODES = ['chase', 'cockpit', 'cinematic', 'orbit'];
+
+// Offsets are in frame space: x right, y up, z behind
+export const CAMERA_CONFIG = {
+  // Chase
+  CHASE_OFFSET: { x: 0, y: 5, z: 15 },
+  CHASE_LOOK_AHEAD: 20,
+  FOLLOW_SMOOTHING: 0.05, // share of the gap closed per 60 Hz frame
+  UP_SMOOTHING: 0.05,
+  FOV: 75,
+
+  // Boost & brake (blended in and out)
+  BOOST_DISTANCE: 1.35, // chase offset scale while boosting
+  BOOST_FOV: 88,
+  BRAKE_DISTANCE: 0.8,
+  BRAKE_FOV: 66,
+  THRUST_SMOOTHING: 0.06,
+
+  // Cockpit
+  COCKPIT_OFFSET: { x: 0, y: 0.6, z: -1.2 }, // from the ship, in its own axes
+  COCKPIT_LOOK_AHEAD: 50,
+  COCKPIT_FOV: 80,
+
+  // Cinematic
+  CINEMATIC_OFFSET: { x: 22, y: 3, z: -4 },
+  CINEMATIC_SMOOTHING: 0.03,
+  CINEMATIC_FOV: 50,
+
+  // Orbit
+  ORBIT_DISTANCE: 25,
+  ORBIT_MIN_DISTANCE: 4,
+  ORBIT_MAX_DISTANCE: 150,
+  ORBIT_MAX_PITCH: 1.4, // radians either way
+
+  // Shake
+  TRAUMA: { hit: 0.5, bombDetonate: 0.5, destroyed: 1, chargeFire: 0.15, scrapeStart: 0.3, enemyDestroyed: 0.1, bossPartDestroyed: 0.3, bossDefeated: 0.8 },
+  SCRAPE_TRAUMA: 0.6, // per second while scraping
+  TRAUMA_DECAY: 1.5, // per second
+  SHAKE_OFFSET: 0.8, // world units at full trauma
+  SHAKE_ROLL: 0.08, // radians at full trauma
+  SHAKE_FREQUENCY: 3, // noise speed
+};
+
+// ============================================================================
+// MATH HELPERS
+// ============================================================================
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function lerpVector(a, b, t) {
+  return { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t), z: lerp(a.z, b.z, t) };
+}
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scale(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.y, v.z);
+  return length > 0 ? scale(v, 1 / length) : { x: 0, y: 1, z: 0 };
+}
+
+// Share of a smoothing step (given per 60 Hz frame) to apply over `delta`
+// seconds, so the camera settles at the same pace at any frame rate
+function smoothing(perFrame, delta) {
+  return 1 - Math.pow(1 - perFrame, delta * 60);
+}
+
+// Smooth noise in roughly [-1, 1]; `seed` picks the channel
+function noise(time, seed) {
+  return (Math.sin(time * 7.3 + seed * 12.9) + Math.sin(time * 17.1 + seed * 4.7) * 0.5) / 1.5;
+}
+
+function checkMode(mode) {
+  if (!CAMERA_MODES.includes(mode)) {
+    throw new Error(`Unknown camera mode "${mode}" (expected one of ${CAMERA_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+// ============================================================================
+// RIG FACTORY
+// ============================================================================
+export function createCameraRig({ config = CAMERA_CONFIG, mode = 'chase' } = {}) {
+  let baseMode = checkMode(mode); // the player's choice
+  let scripted = null; // { mode, remaining } while a cut is showing
+  let shownMode = null;
+  let view = null; // smoothed view before shake
+  let trauma = 0;
+  let time = 0;
+  let thrust = 0; // -1 braking to 1 boosting, eased
+  const orbit = { yaw: 0, pitch: 0.3, distance: config.ORBIT_DISTANCE };
+
+  const activeMode = () => (scripted ? scripted.mode : baseMode);
+
+  // The view each mode heads for this frame, and how quickly it gets there
+  // (1 snaps)
+  function chase(state) {
+    const { frame, flightPosition } = state;
+    const distance = thrust >= 0
+      ? lerp(1, config.BOOST_DISTANCE, thrust)
+      : lerp(1, config.BRAKE_DISTANCE, -thrust);
+    return {
+      position: add(flightPosition, toWorld(frame, scale(config.CHASE_OFFSET, distance))),
+      target: add(flightPosition, scale(frame.tangent, config.CHASE_LOOK_AHEAD)),
+      up: frame.up,
+      fov: thrust >= 0 ? lerp(config.FOV, config.BOOST_FOV, thrust) : lerp(config.FOV, config.BRAKE_FOV, -thrust),
+      follow: config.FOLLOW_SMOOTHING,
+    };
+  }
+
+  // The ship's own axes, from its orientation (the model faces +z)
+  function cockpit(state) {
+    const q = state.shipQuaternion;
+    const axes = {
+      tangent: rotateVector(q, { x: 0, y: 0, z: 1 }),
+      right: rotateVector(q, { x: -1, y: 0, z: 0 }),
+      up: rotateVector(q, { x: 0, y: 1, z: 0 }),
+    };
+    const position = add(state.shipPosition, toWorld(axes, config.COCKPIT_OFFSET));
+    return {
+      position,
+      target: add(position, scale(axes.tangent, config.COCKPIT_LOOK_AHEAD)),
+      up: axes.up,
+      fov: config.COCKPIT_FOV,
+      follow: 1,
+    };
+  }
+
+  function cinematic(state) {
+    return {
+      position: add(state.flightPosition, toWorld(state.frame, config.CINEMATIC_OFFSET)),
+      target: state.shipPosition,
+      up: state.frame.up,
+      fov: config.CINEMATIC_FOV,
+      follow: config.CINEMATIC_SMOOTHING,
+    };
+  }
+
+  function orbiting(state) {
+    const { yaw, pitch, distance } = orbit;
+    const offset = {
+      x: Math.sin(yaw) * Math.cos(pitch) * distance,
+      y: Math.sin(pitch) * distance,
+      z: Math.cos(yaw) * Math.cos(pitch) * distance,
+    };
+    return {
+      position: add(state.shipPosition, toWorld(state.frame, offset)),
+      target: state.shipPosition,
+      up: state.frame.up,
+      fov: config.FOV,
+      follow: 1,
+    };
+  }
+
+  const GOALS = { chase, cockpit, cinematic, orbit: orbiting };
+
+  // Trauma² worth of noise: the camera and its target are nudged across
+  // the view and the up vector rolls
+  function shake(smoothed) {
+    const amount = trauma * trauma;
+    if (amount === 0) return smoothed;
+    const forward = normalize(subtract(smoothed.target, smoothed.position));
+    const right = normalize(cross(forward, smoothed.up));
+    const up = cross(right, forward);
+    const t = time * config.SHAKE_FREQUENCY;
+    const nudge = (seedX, seedY) => add(
+      scale(right, noise(t, seedX) * config.SHAKE_OFFSET * amount),
+      scale(up, noise(t, seedY) * config.SHAKE_OFFSET * amount)
+    );
+    const roll = noise(t, 5) * config.SHAKE_ROLL * amount;
+    return {
+      ...smoothed,
+      position: add(smoothed.position, nudge(1, 2)),
+      target: add(smoothed.target, nudge(3, 4)),
+      up: add(scale(up, Math.cos(roll)), scale(right, Math.sin(roll))),
+    };
+  }
+
+  // Advance by `delta` seconds of render time and return the view for
+  // `state`. Switching mode (or a cut starting or ending) snaps to the new
+  // view.
+  function update(state, delta) {
+    time += delta;
+    if (scripted && scripted.remaining !== null) {
+      scripted.remaining -= delta * 1000;
+      if (scripted.remaining <= 0) scripted = null;
+    }
+
+    const mode = activeMode();
+    if (mode !== shownMode) {
+      shownMode = mode;
+      view = null;
+    }
+
+    trauma = Math.max(0, trauma - config.TRAUMA_DECAY * delta);
+    if (state.isScraping) addTrauma(config.SCRAPE_TRAUMA * delta);
+    const thrustGoal = state.boostActive ? 1 : state.isBraking ? -1 : 0;
+    thrust = lerp(thrust, thrustGoal, smoothing(config.THRUST_SMOOTHING, delta));
+
+    const goal = GOALS[mode](state);
+    if (!view || goal.follow >= 1) {
+      view = { position: goal.position, target: goal.target, up: normalize(goal.up), fov: goal.fov };
+    } else {
+      const follow = smoothing(goal.follow, delta);
+      view = {
+        position: lerpVector(view.position, goal.position, follow),
+        target: goal.target,
+        up: normalize(lerpVector(view.up, goal.up, smoothing(config.UP_SMOOTHING, delta))),
+        fov: lerp(view.fov, goal.fov, follow),
+      };
+    }
+
+    return { mode, ...shake(view) };
+  }
+
+  function addTrauma(amount) {
+    trauma = clamp(trauma + amount, 0, 1);
+  }
+
+  // The player's mode; also ends any cut
+  function setMode(next) {
+    baseMode = checkMode(next);
+    scripted = null;
+  }
+
+  return {
+    update,
+    addTrauma,
+    getTrauma: () => trauma,
+    getMode: activeMode,
+
+    setMode,
+    cycleMode() {
+      setMode(CAMERA_MODES[(CAMERA_MODES.indexOf(baseMode) + 1) % CAMERA_MODES.length]);
+      return baseMode;
+    },
+
+    // Show `mode` for `duration` ms, or without one until `endCut`, the
+    // next cut or `setMode`; then go back to the player's mode
+    cut(next, { duration } = {}) {
+      scripted = { mode: checkMode(next), remaining: duration || null };
+    },
+    endCut() {
+      scripted = null;
+    },
+
+    // Simulation events that shake the camera (see CAMERA_CONFIG.TRAUMA)
+    handleEvents(events) {
+      for (const event of events) {
+        if (config.TRAUMA[event]) addTrauma(config.TRAUMA[event]);
+      }
+    },
+
+    // Orbit mode: turn by radians, and scale the distance
+    orbitBy(yaw, pitch) {
+      orbit.yaw += yaw;
+      orbit.pitch = clamp(orbit.pitch + pitch, -config.ORBIT_MAX_PITCH, config.ORBIT_MAX_PITCH);
+    },
+    zoomBy(factor) {
+      orbit.distance = clamp(orbit.distance * factor, config.ORBIT_MIN_DISTANCE, config.ORBIT_MAX_DISTANCE);
+    },
+
+    reset() {
+      scripted = null;
+      view = null;
+      trauma = 0;
+      thrust = 0;
+    },
+  };
+}
@@ -0,0 +1,242 @@
+// ============================================================================
+// COLLISION WORLD
+// ----------------------------------------------------------------------------
+// Renderer-free registry of sphere and axis-aligned box colliders. Obstacles
+// and enemies register a collider (and move it as they move); the player
+// simulation tests its ship sphere against the world every tick and sweeps
+// its projectiles through it. Colliders are kept in insertion order so
+// query results are deterministic.
+// ============================================================================
+
+// Collider constructors. `options` may carry `damage` (to the ship on
+// contact), `tag` (for game code to tell obstacles from enemies),
+// `onHit(hit)` (called when a player projectile strikes it),
+// `shootable: false` (shots pass through) and any extra data the game
+// wants back in hit reports.
+export const sphereCollider = (position, radius, options = {}) => ({
+  ...options,
+  shape: 'sphere',
+  position: { ...position },
+  radius,
+});
+
+export const boxCollider = (position, halfExtents, options = {}) => ({
+  ...options,
+  shape: 'box',
+  position: { ...position },
+  halfExtents: { ...halfExtents },
+});
+
+// ============================================================================
+// INTERSECTION TESTS
+// ============================================================================
+// Test a sphere against a collider. Returns null when apart, otherwise the
+// penetration depth and the unit normal pointing from the collider towards
+// the sphere (the direction to push the sphere out).
+export function testSphere(collider, center, radius) {
+  if (collider.shape === 'sphere') {
+    const dx = center.x - collider.position.x;
+    const dy = center.y - collider.position.y;
+    const dz = center.z - collider.position.z;
+    const distance = Math.hypot(dx, dy, dz);
+    const depth = collider.radius + radius - distance;
+    if (depth <= 0) return null;
+    return {
+      depth,
+      normal: distance > 0
+        ? { x: dx / distance, y: dy / distance, z: dz / distance }
+        : { x: 0, y: 1, z: 0 },
+    };
+  }
+
+  if (collider.shape === 'box') {
+    const { position: p, halfExtents: h } = collider;
+    const closest = {
+      x: Math.max(p.x - h.x, Math.min(center.x, p.x + h.x)),
+      y: Math.max(p.y - h.y, Math.min(center.y, p.y + h.y)),
+      z: Math.max(p.z - h.z, Math.min(center.z, p.z + h.z)),
+    };
+    const dx = center.x - closest.x;
+    const dy = center.y - closest.y;
+    const dz = center.z - closest.z;
+    const distance = Math.hypot(dx, dy, dz);
+    if (distance >= radius) return null;
+
+    if (distance > 0) {
+      return { depth: radius - distance, normal: { x: dx / distance, y: dy / distance, z: dz / distance } };
+    }
+
+    // Centre inside the box: push out through the nearest face
+    const faces = [
+      { depth: h.x - (center.x - p.x), normal: { x: 1, y: 0, z: 0 } },
+      { depth: h.x + (center.x - p.x), normal: { x: -1, y: 0, z: 0 } },
+      { depth: h.y - (center.y - p.y), normal: { x: 0, y: 1, z: 0 } },
+      { depth: h.y + (center.y - p.y), normal: { x: 0, y: -1, z: 0 } },
+      { depth: h.z - (center.z - p.z), normal: { x: 0, y: 0, z: 1 } },
+      { depth: h.z + (center.z - p.z), normal: { x: 0, y: 0, z: -1 } },
+    ];
+    const nearest = faces.reduce((a, b) => (b.depth < a.depth ? b : a));
+    return { depth: nearest.depth + radius, normal: nearest.normal };
+  }
+
+  throw new Error(`Unknown collider shape: ${collider.shape}`);
+}
+
+// Sweep a sphere from `from` to `to` against a collider. Returns null when
+// it never touches, otherwise the fraction `t` of the move at first
+// contact, the contact `point` on the collider's surface and the surface
+// `normal` there. Boxes are tested expanded by the radius, which is slightly
+// generous at the corners.
+export function sweepSphere(collider, from, to, radius) {
+  const d = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+
+  if (collider.shape === 'sphere') {
+    const c = collider.position;
+    const reach = collider.radius + radius;
+    const m = { x: from.x - c.x, y: from.y - c.y, z: from.z - c.z };
+    const a = d.x * d.x + d.y * d.y + d.z * d.z;
+    const b = m.x * d.x + m.y * d.y + m.z * d.z;
+    const cc = m.x * m.x + m.y * m.y + m.z * m.z - reach * reach;
+
+    let t;
+    if (cc <= 0) {
+      t = 0; // Already overlapping at the start
+    } else {
+      if (a === 0 || b > 0) return null;
+      const discriminant = b * b - a * cc;
+      if (discriminant < 0) return null;
+      t = (-b - Math.sqrt(discriminant)) / a;
+      if (t > 1) return null;
+    }
+
+    const centre = { x: from.x + d.x * t, y: from.y + d.y * t, z: from.z + d.z * t };
+    const offset = { x: centre.x - c.x, y: centre.y - c.y, z: centre.z - c.z };
+    const length = Math.hypot(offset.x, offset.y, offset.z);
+    const normal = length > 0
+      ? { x: offset.x / length, y: offset.y / length, z: offset.z / length }
+      : { x: 0, y: 1, z: 0 };
+    return {
+      t,
+      normal,
+      point: {
+        x: c.x + normal.x * collider.radius,
+        y: c.y + normal.y * collider.radius,
+        z: c.z + normal.z * collider.radius,
+      },
+    };
+  }
+
+  if (collider.shape === 'box') {
+    // Slab test against the box grown by the sphere radius
+    const { position: p, halfExtents: h } = collider;
+    let tEnter = 0;
+    let tExit = 1;
+    let normal = null;
+
+    for (const axis of ['x', 'y', 'z']) {
+      const min = p[axis] - h[axis] - radius;
+      const max = p[axis] + h[axis] + radius;
+      if (d[axis] === 0) {
+        if (from[axis] < min || from[axis] > max) return null;
+        continue;
+      }
+      let t0 = (min - from[axis]) / d[axis];
+      let t1 = (max - from[axis]) / d[axis];
+      let sign = -1;
+      if (t0 > t1) {
+        [t0, t1] = [t1, t0];
+        sign = 1;
+      }
+      if (t0 > tEnter) {
+        tEnter = t0;
+        normal = { x: 0, y: 0, z: 0, [axis]: sign };
+      }
+      tExit = Math.min(tExit, t1);
+      if (tEnter > tExit) return null;
+    }
+
+    const centre = { x: from.x + d.x * tEnter, y: from.y + d.y * tEnter, z: from.z + d.z * tEnter };
+    if (!normal) {
+      // Started inside: report the nearest face
+      normal = testSphere(collider, centre, radius)?.normal || { x: 0, y: 1, z: 0 };
+    }
+    return {
+      t: tEnter,
+      normal,
+      point: {
+        x: Math.max(p.x - h.x, Math.min(centre.x, p.x + h.x)),
+        y: Math.max(p.y - h.y, Math.min(centre.y, p.y + h.y)),
+        z: Math.max(p.z - h.z, Math.min(centre.z, p.z + h.z)),
+      },
+    };
+  }
+
+  throw new Error(`Unknown collider shape: ${collider.shape}`);
+}
+
+// ============================================================================
+// WORLD
+// ============================================================================
+export function createCollisionWorld() {
+  const colliders = new Map();
+  let nextId = 1;
+
+  return {
+    // Register a collider and return its id
+    add(collider) {
+      const id = collider.id !== undefined ? collider.id : nextId++;
+      colliders.set(id, { ...collider, id });
+      return id;
+    },
+
+    // Move or reshape a collider, e.g. every tick for a moving enemy
+    update(id, changes) {
+      const collider = colliders.get(id);
+      if (!collider) throw new Error(`Unknown collider: ${id}`);
+      colliders.set(id, { ...collider, ...changes, id });
+    },
+
+    remove(id) {
+      colliders.delete(id);
+    },
+
+    clear() {
+      colliders.clear();
+    },
+
+    get: (id) => colliders.get(id) || null,
+    list: () => [...colliders.values()],
+    size: () => colliders.size,
+
+    // All colliders a sphere overlaps, with contact info. `filter` can skip
+    // colliders (e.g. by tag) before the intersection test.
+    query(center, radius, filter) {
+      const contacts = [];
+      for (const collider of colliders.values()) {
+        if (filter && !filter(collider)) continue;
+        const contact = testSphere(collider, center, radius);
+        if (contact) contacts.push({ collider, ...contact });
+      }
+      return contacts;
+    },
+
+    // First collider a moving sphere runs into (with the contact from
+    // `sweepSphere`), or null
+    sweep(from, to, radius, filter) {
+      let nearest = null;
+      for (const collider of colliders.values()) {
+        if (filter && !filter(collider)) continue;
+        const contact = sweepSphere(collider, from, to, radius);
+        if (contact && (!nearest || contact.t < nearest.t)) nearest = { collider, ...contact };
+      }
+      return nearest;
+    },
+
+    // Deliver a projectile hit reported by the simulation to the collider's
+    // `onHit` callback (if it is still registered and has one)
+    notifyHit(hit) {
+      const collider = colliders.get(hit.targetId);
+      if (collider && collider.onHit) collider.onHit(hit);
+    },
+  };
+}
@@ -0,0 +1,185 @@
+// ============================================================================
+// DEBUG TOOLS
+// ----------------------------------------------------------------------------
+// Renderer-free pieces of the tuning and debug overlay shared by the React
+// Three Fiber controller and the vanilla demo:
+//
+//   settingSliders   every config value as a slider, grouped like CONFIG
+//   setSetting       a config with one (possibly nested) value changed
+//   exportTuning     the changes from the defaults as JSON, ready to paste
+//                    into the `config` prop
+//   frame time graph rolling frame times for the performance graph
+//   gizmo geometry   the path, the play-area outline and the rail frame axes
+//
+// The renderers draw these; nothing here touches three.js, React or the DOM.
+// ============================================================================
+
+import { CONFIG } from './playerSimulation.js';
+import { CONFIG_SCHEMA, mergeConfig } from './gameConfig.js';
+import { toWorld } from './railFrame.js';
+
+// Slider groups, in CONFIG's order. Settings missing here still get a
+// slider, under "Other".
+export const SETTING_GROUPS = [
+  { label: 'Movement', keys: ['MOVE_SPEED', 'MOVE_BOUNDS', 'FORWARD_SPEED', 'BOOST_SPEED', 'BRAKE_SPEED'] },
+  { label: 'Boost/Brake Energy', keys: ['BOOST_DURATION', 'ENERGY_REFILL', 'ENERGY_REFILL_DELAY'] },
+  { label: 'Somersault & U-Turn', keys: ['SOMERSAULT_DURATION', 'UTURN_DURATION', 'MANEUVER_ENERGY'] },
+  { label: 'Barrel Roll', keys: ['DODGE_DURATION', 'DODGE_COOLDOWN', 'DODGE_AGILITY_MULT'] },
+  {
+    label: 'Shield & Damage',
+    keys: [
+      'MAX_SHIELD', 'SHIP_RADIUS', 'COLLISION_DAMAGE', 'SCRAPE_DAMAGE',
+      'HIT_INVULNERABILITY', 'KNOCKBACK_SPEED', 'KNOCKBACK_DURATION',
+    ],
+  },
+  { label: 'Weapons', keys: ['MAX_PROJECTILES'] },
+  {
+    label: 'Charge Shot & Lock-On',
+    keys: [
+      'CHARGE_DELAY', 'CHARGE_TIME', 'MAX_LOCKS', 'LOCK_RANGE', 'LOCK_CONE',
+      'CHARGE_SPEED', 'CHARGE_LIFETIME', 'CHARGE_RADIUS', 'CHARGE_DAMAGE', 'HOMING_TURN_RATE',
+    ],
+  },
+  {
+    label: 'All-Range Mode',
+    keys: [
+      'ALL_RANGE_TURN_RATE', 'ALL_RANGE_PITCH_RATE', 'ALL_RANGE_MAX_PITCH',
+      'ALL_RANGE_HEIGHT', 'RAIL_RETURN_DURATION',
+    ],
+  },
+  { label: 'Visual', keys: ['SHIP_TILT_FACTOR', 'RETICLE_DISTANCE'] },
+];
+
+// ============================================================================
+// TUNING
+// ============================================================================
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 1, 2 or 5 times a power of ten, at least `raw`
+function niceStep(raw) {
+  const power = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map(m => m * power).find(step => step >= raw);
+}
+
+// Slider limits from the schema. Open-ended settings reach four times
+// their default, so the range doesn't move while dragging.
+function sliderRange({ min, max, integer, aboveMin, belowMax }, fallback, value) {
+  const top = Math.max(Number.isFinite(max) ? max : Math.max(fallback * 4, 1), value);
+  const step = integer ? 1 : niceStep((top - min) / 200);
+  return { min: aboveMin ? min + step : min, max: belowMax ? top - step : top, step };
+}
+
+function slidersFor(path, entry, value, fallback) {
+  if (!('min' in entry)) {
+    return Object.keys(entry).flatMap(field => slidersFor(`${path}.${field}`, entry[field], value[field], fallback[field]));
+  }
+  return [{ path, value, ...sliderRange(entry, fallback, value) }];
+}
+
+// [{ label, sliders: [{ path, value, min, max, step }] }] for every setting
+// in CONFIG_SCHEMA. Nested settings get one slider per field
+// ('MOVE_BOUNDS.x'). Ranges come from `defaults`.
+export function settingSliders(config, defaults = CONFIG) {
+  const grouped = new Set(SETTING_GROUPS.flatMap(group => group.keys));
+  const other = Object.keys(CONFIG_SCHEMA).filter(key => !grouped.has(key));
+  const groups = other.length > 0 ? [...SETTING_GROUPS, { label: 'Other', keys: other }] : SETTING_GROUPS;
+  return groups.map(({ label, keys }) => ({
+    label,
+    sliders: keys.flatMap(key => slidersFor(key, CONFIG_SCHEMA[key], config[key], defaults[key])),
+  }));
+}
+
+// `config` with the setting at `path` ('MOVE_SPEED', 'MOVE_BOUNDS.x') set
+// to `value`
+export function setSetting(config, path, value) {
+  const override = path.split('.').reduceRight((inner, key) => ({ [key]: inner }), value);
+  return mergeConfig(config, override);
+}
+
+// The settings in `config` that differ from `base`
+export function diffConfig(config, base = CONFIG) {
+  const diff = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (isObject(value) && isObject(base[key])) {
+      const inner = diffConfig(value, base[key]);
+      if (Object.keys(inner).length > 0) diff[key] = inner;
+    } else if (value !== base[key]) {
+      diff[key] = value;
+    }
+  }
+  return diff;
+}
+
+// Current tuning as JSON overrides for the `config` prop
+export function exportTuning(config, base = CONFIG) {
+  return JSON.stringify(diffConfig(config, base), null, 2);
+}
+
+// ============================================================================
+// FRAME TIME GRAPH
+// ============================================================================
+// The last `capacity` frame times in ms, oldest first
+export function createFrameTimeGraph(capacity = 120) {
+  const samples = [];
+
+  return {
+    push(ms) {
+      samples.push(ms);
+      if (samples.length > capacity) samples.shift();
+    },
+    values: () => samples,
+    stats() {
+      if (samples.length === 0) return { average: 0, worst: 0 };
+      const total = samples.reduce((sum, ms) => sum + ms, 0);
+      return { average: total / samples.length, worst: Math.max(...samples) };
+    },
+    capacity,
+  };
+}
+
+// ============================================================================
+// GIZMO GEOMETRY
+// ============================================================================
+// Points along a path, for drawing it as a line; along what is kept of an
+// endless path (endlessPath.js)
+export function pathPoints(spline, count = 200) {
+  if (spline.endless) return spline.getPoints(count);
+  return Array.from({ length: count + 1 }, (_, i) => spline.getPointAt(i / count));
+}
+
+// The play area's corners around the rail point, as a closed loop (first
+// corner repeated), or null off the rail
+export function boundsOutline(state) {
+  if (state.mode !== 'rail') return null;
+  const { x, y } = state.bounds;
+  const corner = (cx, cy) => {
+    const offset = toWorld(state.frame, { x: cx, y: cy, z: 0 });
+    return {
+      x: state.splinePosition.x + offset.x,
+      y: state.splinePosition.y + offset.y,
+      z: state.splinePosition.z + offset.z,
+    };
+  };
+  return [corner(-x, -y), corner(x, -y), corner(x, y), corner(-x, y), corner(-x, -y)];
+}
+
+// Line segments for the rail frame at the ship's place on the path
+export function frameAxes(state, length = 4) {
+  const origin = state.splinePosition;
+  const tip = (axis) => ({
+    x: origin.x + axis.x * length,
+    y: origin.y + axis.y * length,
+    z: origin.z + axis.z * length,
+  });
+  return {
+    right: [origin, tip(state.frame.right)],
+    up: [origin, tip(state.frame.up)],
+    tangent: [origin, tip(state.frame.tangent)],
+  };
+}
+
+// Gizmo colour for a collider: pickups, things shots hit, and the rest
+export function colliderColor(collider) {
+  if (collider.pickup) return '#ffcc00';
+  return collider.shootable === false ? '#ff3333' : '#ff8800';
+}
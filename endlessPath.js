@@ -0,0 +1,282 @@
+// ============================================================================
+// ENDLESS PATH
+// ----------------------------------------------------------------------------
+// A procedural rail path that never ends. Control points are generated from
+// a seed as the ship flies, a segment at a time ahead of it, and the path
+// behind it is let go, so only a window of about AHEAD + BEHIND units is
+// ever kept. The same seed always builds the same course.
+//
+// Each new control point turns and climbs a little from the last. How much
+// grows with distance: at difficulty 0 the path barely bends, and over
+// RAMP_DISTANCE it works up to the HARD limits. The heading turns evenly
+// from one control point to the next, by no more than the turn limit (so
+// the curvature stays under TURN / SEGMENT_LENGTH); the slope never passes
+// the slope limit, and the path steers back once it is MAX_HEIGHT above or
+// below where it started. The rail banks into turns.
+//
+// It stands in for a level path (levelFormat.js) anywhere one is taken,
+// with spline progress measured in PROGRESS_LENGTH units: progress runs on
+// past 1 instead of looping, so the ship, camera and terrain never jump.
+// Positions and frames are looked up by progress too, clamped to the window
+// kept. The simulation calls `advance(progress)` each tick to stream the
+// path along (one simulation per path; a ghost needs its own):
+//
+//   const path = createEndlessPath({ seed: 42 });
+//   const simulation = createPlayerSimulation(config, path, { level: ENDLESS_LEVEL });
+//   path.subscribe(() => rebuildTerrain(path.getPoints(100)));
+// ============================================================================
+
+import { createFrame, rollFrame, transportUp } from './railFrame.js';
+
+export const ENDLESS_CONFIG = {
+  SEGMENT_LENGTH: 40, // units between control points
+  AHEAD: 800, // units of path kept generated ahead of the ship
+  BEHIND: 200, // units kept behind it before the path is let go
+  PROGRESS_LENGTH: 1000, // units per 1 of spline progress
+  START_STRAIGHT: 3, // segments straight down -z to start on
+  RAMP_DISTANCE: 6000, // units over which the difficulty climbs from 0 to 1
+  TURN_EASY: 0.04, // most heading change per segment (radians) at difficulty 0
+  TURN_HARD: 0.3, // ... and at difficulty 1
+  SLOPE_EASY: 0.05, // steepest climb or dive (radians) at difficulty 0
+  SLOPE_HARD: 0.35, // ... and at difficulty 1
+  WANDER: 0.5, // share of the turn limit a bend can tighten or ease by per segment
+  MAX_HEIGHT: 80, // units above or below the start the path steers back from
+  BANK: 2, // roll per radian of turn per segment
+  MAX_BANK: 0.5, // radians
+};
+
+// A level with no path events, for an endless run: no enemies are placed
+// and the course is never cleared (see ENDLESS_CONFIG for the path)
+export const ENDLESS_LEVEL = {
+  version: 1,
+  name: 'Endless',
+  points: [[0, 0, 0], [0, 0, -100]],
+  events: [],
+};
+
+// Samples taken along each segment for lengths and frames
+const SAMPLES_PER_SEGMENT = 20;
+
+const WORLD_UP = { x: 0, y: 1, z: 0 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+function lerpVector(a, b, t) {
+  return { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t), z: lerp(a.z, b.z, t) };
+}
+
+// Seeded random numbers in [0, 1) (mulberry32)
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Unit heading `yaw` radians right of -z and `pitch` radians up
+function direction(yaw, pitch) {
+  return { x: Math.sin(yaw) * Math.cos(pitch), y: Math.sin(pitch), z: -Math.cos(yaw) * Math.cos(pitch) };
+}
+
+function validateConfig(config) {
+  for (const [key, value] of Object.entries(config)) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Endless path ${key} must be a number of 0 or more`);
+    }
+  }
+  if (!(config.SEGMENT_LENGTH > 0) || !(config.PROGRESS_LENGTH > 0)) {
+    throw new Error('Endless path SEGMENT_LENGTH and PROGRESS_LENGTH must be above 0');
+  }
+  if (config.AHEAD < config.SEGMENT_LENGTH * 2) {
+    throw new Error('Endless path AHEAD must be at least two segments');
+  }
+}
+
+// ============================================================================
+// PATH
+// ============================================================================
+export function createEndlessPath({ seed = 1, config = ENDLESS_CONFIG } = {}) {
+  if (typeof seed !== 'number' || !Number.isFinite(seed)) throw new Error('Endless path seed must be a number');
+  validateConfig(config);
+  const listeners = new Set();
+
+  let random;
+  let last; // the newest control point: { position, yaw, pitch, turn, roll, distance }
+  let samples; // { distance, position, tangent, up, roll }, oldest first
+
+  // Difficulty (0-1) `distance` units along the path
+  const difficultyAt = (distance) => (config.RAMP_DISTANCE > 0
+    ? clamp(distance / config.RAMP_DISTANCE, 0, 1)
+    : 1);
+
+  // From the start, heading down -z
+  function start() {
+    random = createRandom(seed);
+    last = { position: { x: 0, y: 0, z: 0 }, yaw: 0, pitch: 0, turn: 0, roll: 0, distance: 0 };
+    const tangent = direction(0, 0);
+    samples = [{ distance: 0, position: last.position, tangent, up: transportUp(WORLD_UP, tangent), roll: 0 }];
+  }
+
+
+  // The next control point, one segment on: bend and climb a little more
+  // (or less) than the last, within the limits at this distance. The
+  // heading turns evenly in between, so each segment is an arc; it is
+  // sampled on the way, carrying the up vector along.
+  function addSegment() {
+    let { yaw, pitch, turn } = last;
+    let climb = 0;
+    if (last.distance >= config.START_STRAIGHT * config.SEGMENT_LENGTH) {
+      const difficulty = difficultyAt(last.distance);
+      const maxTurn = lerp(config.TURN_EASY, config.TURN_HARD, difficulty);
+      const maxSlope = lerp(config.SLOPE_EASY, config.SLOPE_HARD, difficulty);
+      const wander = () => (random() * 2 - 1) * maxTurn * config.WANDER;
+
+      turn = clamp(turn + wander(), -maxTurn, maxTurn);
+      climb = clamp(pitch + wander(), -maxSlope, maxSlope) - pitch;
+      // Too high or too low: head back
+      if (last.position.y > config.MAX_HEIGHT) climb = Math.min(climb, -maxSlope - pitch);
+      if (last.position.y < -config.MAX_HEIGHT) climb = Math.max(climb, maxSlope - pitch);
+      climb = clamp(climb, -maxTurn, maxTurn);
+      // Turning and climbing together still bend by no more than maxTurn
+      const bend = Math.hypot(turn, climb);
+      if (bend > maxTurn) {
+        turn *= maxTurn / bend;
+        climb *= maxTurn / bend;
+      }
+    }
+    const roll = clamp(turn * config.BANK, -config.MAX_BANK, config.MAX_BANK);
+
+    const step = config.SEGMENT_LENGTH / SAMPLES_PER_SEGMENT;
+    let position = last.position;
+    for (let i = 1; i <= SAMPLES_PER_SEGMENT; i++) {
+      // Move along the heading halfway through the step
+      const middle = direction(yaw + turn * (i - 0.5) / SAMPLES_PER_SEGMENT, pitch + climb * (i - 0.5) / SAMPLES_PER_SEGMENT);
+      position = {
+        x: position.x + middle.x * step,
+        y: position.y + middle.y * step,
+        z: position.z + middle.z * step,
+      };
+      const tangent = direction(yaw + turn * i / SAMPLES_PER_SEGMENT, pitch + climb * i / SAMPLES_PER_SEGMENT);
+      samples.push({
+        distance: last.distance + step * i,
+        position,
+        tangent,
+        up: transportUp(samples[samples.length - 1].up, tangent),
+        roll: lerp(last.roll, roll, i / SAMPLES_PER_SEGMENT),
+      });
+    }
+    last = {
+      position,
+      yaw: yaw + turn,
+      pitch: pitch + climb,
+      turn,
+      roll,
+      distance: last.distance + config.SEGMENT_LENGTH,
+    };
+  }
+
+  const firstDistance = () => samples[0].distance;
+  const lastDistance = () => samples[samples.length - 1].distance;
+
+  // Stream the path along for the ship at `progress`: generate it to AHEAD
+  // units in front and let go of what is more than BEHIND units back.
+  // Going back past what was let go (a restart, say) builds the course
+  // again from the seed. Listeners hear of each change; returns whether
+  // there was one.
+  function advance(progress) {
+    const distance = Math.max(0, progress) * config.PROGRESS_LENGTH;
+    let changed = false;
+    if (distance - config.BEHIND < firstDistance() && firstDistance() > 0) {
+      start();
+      changed = true;
+    }
+    while (lastDistance() < distance + config.AHEAD) {
+      addSegment();
+      const keep = samples.findIndex(sample => sample.distance >= distance - config.BEHIND);
+      if (keep > 1) samples.splice(0, keep - 1);
+      changed = true;
+    }
+    if (changed) listeners.forEach(listener => listener(api));
+    return changed;
+  }
+
+  // The samples either side of `distance` (clamped to the window) and the
+  // weight between them
+  function locate(distance) {
+    const target = clamp(distance, firstDistance(), lastDistance());
+    let low = 1;
+    let high = samples.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (samples[mid].distance < target) low = mid + 1;
+      else high = mid;
+    }
+    const a = samples[low - 1];
+    const b = samples[low];
+    const span = b.distance - a.distance;
+    return { a, b, weight: span > 0 ? (target - a.distance) / span : 0 };
+  }
+
+  function pointAtDistance(distance) {
+    const { a, b, weight } = locate(distance);
+    return lerpVector(a.position, b.position, weight);
+  }
+
+  function rollAtDistance(distance) {
+    const { a, b, weight } = locate(distance);
+    return lerp(a.roll, b.roll, weight);
+  }
+
+  // The rail frame `distance` units along, including the bank
+  function frameAtDistance(distance) {
+    const { a, b, weight } = locate(distance);
+    const frame = createFrame(
+      lerpVector(a.position, b.position, weight),
+      lerpVector(a.tangent, b.tangent, weight),
+      lerpVector(a.up, b.up, weight)
+    );
+    return rollFrame(frame, lerp(a.roll, b.roll, weight));
+  }
+
+  const toDistance = (progress) => progress * config.PROGRESS_LENGTH;
+
+  start();
+  advance(0);
+
+  const api = {
+    endless: true,
+    seed,
+    config,
+    // Units per 1 of progress, which the simulation divides by
+    getLength: () => config.PROGRESS_LENGTH,
+    getPointAt: (progress) => pointAtDistance(toDistance(progress)),
+    getRollAt: (progress) => rollAtDistance(toDistance(progress)),
+    frameAt: (progress) => frameAtDistance(toDistance(progress)),
+    pointAtDistance,
+    frameAtDistance,
+    difficultyAt,
+    advance,
+    // The stretch of path kept, in units along it
+    getRange: () => ({ start: firstDistance(), end: lastDistance() }),
+    // About `count` points over the window kept, at fixed distances along
+    // the path so they stay put as it streams
+    getPoints(count = 50) {
+      const spacing = (config.AHEAD + config.BEHIND) / count;
+      const points = [];
+      for (let d = Math.ceil(firstDistance() / spacing) * spacing; d <= lastDistance(); d += spacing) {
+        points.push(pointAtDistance(d));
+      }
+      return points;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+  return api;
+}
@@ -0,0 +1,563 @@
+// ============================================================================
+// ENEMIES
+// ----------------------------------------------------------------------------
+// Renderer-free enemies for the player simulation to fight. They spawn from
+// the level's `spawn` events as the ship passes them, and live in the
+// collision world like any other collider: the player's shots, bomb blasts
+// and lock-on already hit them, and flying into one hurts. Their own shots
+// are colliders too (damaging, not shootable), so the ship's usual
+// collision handling takes the damage.
+//
+// Step the system once per simulation tick with the ship's snapshot:
+//
+//   const enemies = createEnemySystem({ world, spline });
+//   const state = simulation.step(input);
+//   const snapshot = enemies.step(state);
+//
+// A definition picks one of the behaviours:
+//
+//   turret     fixed beside the track `ahead` of where it spawned; fires
+//              straight at the ship while it is in `range`
+//   formation  flies an authored `pattern`: a small path in rail space,
+//              [x, y, ahead] points that move along with the ship, flown
+//              over `duration` ms
+//   chaser     starts at `start` (rail space) and steers for the ship at
+//              `speed` with a limited `turnRate`, crashing into it
+//   shooter    flies in from `enter` to hold `hover` (rail space) and fires
+//              shots that lead the ship, then leaves after `lifetime` ms
+//
+// Spawn events name a definition (`"enemy": "drone"`) and may override any
+// of its fields; `offset` shifts it across the play plane and `count`
+// sends that many, `spacing` ms apart. Spawn events naming something that
+// isn't defined here are left to the game. Times are ms, distances world
+// units and rates per second.
+// ============================================================================
+
+import { DEFAULT_TICK_RATE } from './fixedStepLoop.js';
+import { createLevelPath } from './levelFormat.js';
+import { createRailFrames, toFrame, toWorld } from './railFrame.js';
+import { sphereCollider } from './collisionWorld.js';
+
+// Rail-space flight patterns for formations: [x, y, ahead] points, `ahead`
+// measured along the path from the ship
+export const FLIGHT_PATTERNS = {
+  // Across the view from the left, dipping in front of the ship
+  sweepLeft: [[-35, 10, 80], [-12, 4, 50], [12, 2, 40], [35, 8, 60]],
+  sweepRight: [[35, 10, 80], [12, 4, 50], [-12, 2, 40], [-35, 8, 60]],
+  // In from behind and overhead, overtaking, then diving away ahead
+  overtake: [[0, 18, -25], [0, 10, 15], [0, 4, 45], [0, -15, 90]],
+  // Up from below far ahead, towards the ship, then off to one side
+  climb: [[4, -25, 90], [4, -2, 55], [0, 6, 40], [-30, 20, 60]],
+};
+
+export const ENEMY_TYPES = {
+  turret: {
+    behavior: 'turret',
+    health: 40,
+    radius: 1.6,
+    damage: 20, // to the ship on contact
+    ahead: 90, // placed this far along the path past its spawn event
+    fireRate: 1600,
+    range: 90,
+    shotSpeed: 30,
+    shotDamage: 10,
+    score: 100,
+    color: '#cc6633',
+  },
+  drone: {
+    behavior: 'formation',
+    health: 10,
+    radius: 1,
+    damage: 15,
+    pattern: 'sweepLeft', // a FLIGHT_PATTERNS name, or [x, y, ahead] points
+    duration: 4000,
+    count: 4,
+    spacing: 300,
+    fireRate: 0, // 0: never fires
+    score: 50,
+    color: '#66ccff',
+  },
+  chaser: {
+    behavior: 'chaser',
+    health: 20,
+    radius: 1.2,
+    damage: 25,
+    start: [0, 6, 60],
+    speed: 26,
+    turnRate: 1.6, // radians per second
+    lifetime: 9000,
+    score: 80,
+    color: '#ff4466',
+  },
+  gunship: {
+    behavior: 'shooter',
+    health: 30,
+    radius: 1.5,
+    damage: 20,
+    enter: [25, 15, 80],
+    hover: [0, 6, 40],
+    agility: 1.5, // how quickly it closes on its spot
+    lifetime: 10000,
+    fireRate: 1200,
+    range: 100,
+    shotSpeed: 35,
+    shotDamage: 10,
+    score: 120,
+    color: '#aa66ff',
+  },
+};
+
+export const ENEMY_BEHAVIORS = ['turret', 'formation', 'chaser', 'shooter'];
+
+const SHOT_RADIUS = 0.4;
+const SHOT_LIFETIME = 3000;
+const SHOT_COLOR = '#ff3322';
+// A hit enemy flashes this long
+const HIT_FLASH = 100;
+// Enemies this far behind the ship along the path, or this far from it at
+// all, are gone
+const DESPAWN_BEHIND = 30;
+const DESPAWN_DISTANCE = 400;
+// A shooter takes this long to fly off
+const LEAVE_TIME = 1500;
+
+// Spawn event fields that aren't definition overrides
+const EVENT_FIELDS = ['at', 'type', 'enemy', 'offset'];
+
+// ============================================================================
+// VECTOR HELPERS
+// ============================================================================
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const normalize = (v) => {
+  const l = length(v);
+  return l > 0 ? scale(v, 1 / l) : { x: 0, y: 0, z: -1 };
+};
+
+// Turn unit vector `from` towards `to` by at most `maxAngle` radians
+function turnTowards(from, to, maxAngle) {
+  const angle = Math.acos(Math.min(1, Math.max(-1, dot(from, to))));
+  if (angle <= maxAngle) return to;
+  return normalize(add(scale(from, Math.sin(angle - maxAngle)), scale(to, Math.sin(maxAngle))));
+}
+
+// Direction to fire from `from` at `speed` so the shot meets a target at
+// `target` moving with `velocity`; straight at it when it can't be caught
+export function leadDirection(from, target, velocity, speed) {
+  const offset = subtract(target, from);
+  const a = dot(velocity, velocity) - speed * speed;
+  const b = 2 * dot(offset, velocity);
+  const c = dot(offset, offset);
+  let time = null;
+  if (Math.abs(a) < 1e-6) {
+    if (b < 0) time = -c / b;
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant >= 0) {
+      const root = Math.sqrt(discriminant);
+      const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+      if (times.length > 0) time = Math.min(...times);
+    }
+  }
+  return normalize(time === null ? offset : add(offset, scale(velocity, time)));
+}
+
+// ============================================================================
+// SHOTS
+// ============================================================================
+// Hostile shots: colliders that fly straight, damage the ship on contact
+// (through its usual collision handling) and are spent on it. Player shots
+// pass through them and they stay off the radar. Shared with bosses.js.
+export function createShotPool({ world, tag = 'enemyShot', tickRate = DEFAULT_TICK_RATE, radius = SHOT_RADIUS, color = SHOT_COLOR }) {
+  const dt = 1 / tickRate;
+  const lifetimeTicks = Math.max(1, Math.round(SHOT_LIFETIME * tickRate / 1000));
+  let shots = new Map(); // id -> shot
+
+  return {
+    // Returns the shot's id
+    fire(position, direction, { speed, damage }) {
+      const shot = {
+        id: null,
+        position: { ...position },
+        velocity: scale(direction, speed),
+        direction,
+        ageTicks: 0,
+      };
+      shot.id = world.add(sphereCollider(shot.position, radius, { tag, damage, shootable: false, radar: false }));
+      shots.set(shot.id, shot);
+      return shot.id;
+    },
+
+    // One tick: shots the ship touched (`touched`, a Set of ids from the
+    // simulation's `hits`) and old ones go, the rest move on
+    step(touched) {
+      for (const shot of [...shots.values()]) {
+        if (touched.has(shot.id) || ++shot.ageTicks > lifetimeTicks) {
+          world.remove(shot.id);
+          shots.delete(shot.id);
+          continue;
+        }
+        shot.position = add(shot.position, scale(shot.velocity, dt));
+        world.update(shot.id, { position: { ...shot.position } });
+      }
+    },
+
+    // Same shape as the simulation's projectiles, for the same renderers
+    list: () => [...shots.values()].map(shot => ({
+      id: shot.id,
+      position: { ...shot.position },
+      direction: shot.direction,
+      radius,
+      color,
+    })),
+
+    clear() {
+      for (const id of shots.keys()) world.remove(id);
+      shots = new Map();
+    },
+  };
+}
+
+// ============================================================================
+// ENEMY SYSTEM
+// ============================================================================
+// `world` is the collision world the simulation tests against, `spline` the
+// level (or endless) path it runs on and `types` the definitions (ENEMY_TYPES, or a
+// game's own with the same fields).
+export function createEnemySystem({ world, spline, types = ENEMY_TYPES, tickRate = DEFAULT_TICK_RATE }) {
+  const splineLength = spline.getLength();
+  const frames = spline.endless ? spline : createRailFrames(spline);
+  const dt = 1 / tickRate;
+  const stepMs = 1000 / tickRate;
+  const toTicks = (ms) => Math.max(1, Math.round(ms / stepMs));
+  const patternPaths = new Map(); // points array -> path
+
+  let enemies; // id -> enemy, in spawn order
+  const shots = createShotPool({ world, tickRate });
+  let pending; // members still to spawn: { tick, def, type, offset, at }
+  let tick;
+  let lastShip; // ship position last tick, for its velocity
+  let lastDistance; // how far along the path the ship was last tick
+  let current;
+
+  // World position of rail-space (x, y) `ahead` units along the path from
+  // `distance`
+  function railPoint(distance, x, y, ahead) {
+    const frame = frames.frameAt((distance + ahead) / splineLength);
+    return add(frame.position, toWorld(frame, { x, y, z: 0 }));
+  }
+
+  function patternPath(pattern) {
+    const points = typeof pattern === 'string' ? FLIGHT_PATTERNS[pattern] : pattern;
+    if (!points) throw new Error(`Unknown flight pattern "${pattern}" (see FLIGHT_PATTERNS)`);
+    if (!patternPaths.has(points)) patternPaths.set(points, createLevelPath({ points }));
+    return patternPaths.get(points);
+  }
+
+  // ------------------------------------------------------------------------
+  // Spawning
+  // ------------------------------------------------------------------------
+  // Definition for a spawn event: the named type with the event's overrides
+  function definitionOf(event) {
+    const overrides = {};
+    for (const [key, value] of Object.entries(event)) {
+      if (!EVENT_FIELDS.includes(key)) overrides[key] = value;
+    }
+    const def = { ...types[event.enemy], ...overrides };
+    if (!ENEMY_BEHAVIORS.includes(def.behavior)) {
+      throw new Error(`Enemy "${event.enemy}" has unknown behavior "${def.behavior}" (see ENEMY_BEHAVIORS)`);
+    }
+    return def;
+  }
+
+  // Members are due from tick `first` on, `spacing` apart
+  function queue(event, state, first = tick) {
+    const def = definitionOf(event);
+    const count = def.count || 1;
+    for (let member = 0; member < count; member++) {
+      pending.push({
+        tick: first + (member > 0 ? member * toTicks(def.spacing || 0) : 0),
+        def,
+        type: event.enemy,
+        offset: Array.isArray(event.offset) ? { x: event.offset[0], y: event.offset[1] } : event.offset || { x: 0, y: 0 },
+        at: event.at !== undefined ? event.at : state.distance,
+      });
+    }
+  }
+
+  function spawn({ def, type, offset, at }, state, report) {
+    const enemy = {
+      id: null,
+      type,
+      def,
+      behavior: def.behavior,
+      offset,
+      health: def.health,
+      ageTicks: 0,
+      lifetimeTicks: def.lifetime ? toTicks(def.lifetime) : Infinity,
+      fireTicks: def.fireRate ? toTicks(def.fireDelay !== undefined ? def.fireDelay : def.fireRate) : Infinity,
+      hitTicks: 0,
+      lastHitBy: null, // id of the projectile that last did damage
+      position: null,
+      direction: { x: 0, y: 0, z: 1 },
+    };
+
+    if (def.behavior === 'turret') {
+      enemy.anchor = at + (def.ahead || 0);
+      enemy.position = railPoint(enemy.anchor, offset.x, offset.y, 0);
+    } else if (def.behavior === 'formation') {
+      enemy.path = patternPath(def.pattern);
+      enemy.lifetimeTicks = toTicks(def.duration);
+      enemy.position = formationPoint(enemy, state, 0);
+    } else if (def.behavior === 'chaser') {
+      const [x, y, ahead] = def.start;
+      enemy.position = railPoint(state.distance, x + offset.x, y + offset.y, ahead);
+      enemy.direction = normalize(subtract(state.shipPosition, enemy.position));
+    } else {
+      const [x, y, ahead] = def.enter;
+      enemy.position = railPoint(state.distance, x + offset.x, y + offset.y, ahead);
+      enemy.direction = normalize(subtract(state.shipPosition, enemy.position));
+    }
+
+    enemy.id = world.add(sphereCollider(enemy.position, def.radius, {
+      tag: def.tag || 'enemy',
+      damage: def.damage,
+      lockable: def.lockable !== false,
+      enemy: type,
+    }));
+    enemies.set(enemy.id, enemy);
+    report.spawned.push(view(enemy));
+  }
+
+  // ------------------------------------------------------------------------
+  // Behaviours
+  // ------------------------------------------------------------------------
+  function formationPoint(enemy, state, t) {
+    const local = enemy.path.getPointAt(t);
+    return railPoint(state.distance, local.x + enemy.offset.x, local.y + enemy.offset.y, local.z);
+  }
+
+  // Move one tick; returns false once the enemy has finished
+  function fly(enemy, state) {
+    const { def } = enemy;
+    const ship = state.shipPosition;
+
+    if (enemy.behavior === 'turret') {
+      enemy.direction = normalize(subtract(ship, enemy.position));
+      return state.distance - enemy.anchor < DESPAWN_BEHIND;
+    }
+
+    if (enemy.behavior === 'formation') {
+      const t = Math.min(enemy.ageTicks / enemy.lifetimeTicks, 1);
+      const next = formationPoint(enemy, state, t);
+      const moved = subtract(next, enemy.position);
+      if (length(moved) > 1e-6) enemy.direction = normalize(moved);
+      enemy.position = next;
+      return t < 1;
+    }
+
+    if (enemy.behavior === 'chaser') {
+      const wanted = normalize(subtract(ship, enemy.position));
+      enemy.direction = turnTowards(enemy.direction, wanted, def.turnRate * dt);
+      enemy.position = add(enemy.position, scale(enemy.direction, def.speed * dt));
+      return enemy.ageTicks < enemy.lifetimeTicks;
+    }
+
+    // Shooter: close on its spot, then leave up and ahead
+    const leaving = enemy.ageTicks >= enemy.lifetimeTicks;
+    const [x, y, ahead] = def.hover;
+    const target = leaving
+      ? railPoint(state.distance, x + enemy.offset.x, y + enemy.offset.y + 40, ahead + 40)
+      : railPoint(state.distance, x + enemy.offset.x, y + enemy.offset.y, ahead);
+    const blend = Math.min(1, def.agility * dt * (leaving ? 2 : 1));
+    enemy.position = add(enemy.position, scale(subtract(target, enemy.position), blend));
+    enemy.direction = normalize(subtract(ship, enemy.position));
+    return enemy.ageTicks < enemy.lifetimeTicks + toTicks(LEAVE_TIME);
+  }
+
+  // Fire when the reload is done and the ship is ahead and in range
+  function fire(enemy, state, shipVelocity, report) {
+    const { def } = enemy;
+    if (!def.fireRate || state.isDestroyed || --enemy.fireTicks > 0) return;
+    enemy.fireTicks = toTicks(def.fireRate);
+
+    const offset = subtract(state.shipPosition, enemy.position);
+    const inFront = toFrame(state.frame, offset).z > 0; // the ship is heading towards it
+    if (length(offset) > (def.range || Infinity) || !inFront) return;
+
+    const speed = def.shotSpeed;
+    const direction = def.behavior === 'shooter'
+      ? leadDirection(enemy.position, state.shipPosition, shipVelocity, speed)
+      : normalize(offset);
+    report.fired.push(shots.fire(enemy.position, direction, { speed, damage: def.shotDamage }));
+  }
+
+  // ------------------------------------------------------------------------
+  // Damage and removal
+  // ------------------------------------------------------------------------
+  function remove(enemy) {
+    world.remove(enemy.id);
+    enemies.delete(enemy.id);
+  }
+
+  function destroy(enemy, report, rammed = false) {
+    remove(enemy);
+    report.destroyed.push({
+      ...view(enemy),
+      score: rammed ? 0 : enemy.def.score || 0,
+      rammed,
+      projectileId: rammed ? null : enemy.lastHitBy,
+    });
+  }
+
+  // Take `amount` off an enemy; it goes down in the next step.
+  // `projectileId` is the shot (or bomb) that did it, if any.
+  function damage(id, amount, projectileId = null) {
+    const enemy = enemies.get(id);
+    if (!enemy || enemy.health <= 0) return false;
+    enemy.health -= amount;
+    enemy.hitTicks = toTicks(HIT_FLASH);
+    enemy.lastHitBy = projectileId;
+    return true;
+  }
+
+  function view(enemy) {
+    return {
+      id: enemy.id,
+      type: enemy.type,
+      behavior: enemy.behavior,
+      position: { ...enemy.position },
+      direction: { ...enemy.direction },
+      radius: enemy.def.radius,
+      color: enemy.def.color,
+      health: Math.max(0, enemy.health),
+      maxHealth: enemy.def.health,
+      isHit: enemy.hitTicks > 0,
+    };
+  }
+
+  function snapshot(report) {
+    return {
+      tick,
+      enemies: [...enemies.values()].map(view),
+      projectiles: shots.list(),
+      ...report,
+    };
+  }
+
+  const emptyReport = () => ({ events: [], spawned: [], destroyed: [], despawned: [], fired: [] });
+
+  // Drop every enemy and shot, e.g. on a respawn (the spawn events past the
+  // checkpoint fire again) or a new run
+  function clear() {
+    if (enemies) {
+      for (const enemy of enemies.values()) world.remove(enemy.id);
+    }
+    shots.clear();
+    enemies = new Map();
+    pending = [];
+    tick = 0;
+    lastShip = null;
+    lastDistance = 0;
+    current = snapshot(emptyReport());
+    return current;
+  }
+
+  // ------------------------------------------------------------------------
+  // Step
+  // ------------------------------------------------------------------------
+  // One tick, after the simulation's: apply the player's hits, spawn what
+  // the ship passed, move, fire, and drop what is finished. The snapshot
+  // reports `spawned`, `destroyed` (with `score` and the `projectileId` that
+  // finished it; `rammed` when it crashed into the ship), `despawned` (ids), `fired` (shot ids) and `events`
+  // ('enemySpawn', 'enemyDestroyed', 'enemyFire').
+  function step(state) {
+    tick++;
+    const report = emptyReport();
+    const shipVelocity = lastShip ? scale(subtract(state.shipPosition, lastShip), tickRate) : { x: 0, y: 0, z: 0 };
+    lastShip = { ...state.shipPosition };
+    lastDistance = state.distance;
+
+    // The player's shots and blasts, and what the ship flew into
+    for (const hit of state.projectileHits) damage(hit.targetId, hit.damage, hit.projectileId);
+    const touched = new Set(state.hits.map(hit => hit.id));
+
+    for (const event of state.levelEvents) {
+      if (event.type === 'spawn' && types[event.enemy]) queue(event, state);
+    }
+    const due = pending.filter(member => member.tick <= tick);
+    pending = pending.filter(member => member.tick > tick);
+    for (const member of due) spawn(member, state, report);
+
+    for (const enemy of [...enemies.values()]) {
+      if (enemy.health <= 0) {
+        destroy(enemy, report);
+        continue;
+      }
+      if (enemy.behavior === 'chaser' && touched.has(enemy.id)) {
+        destroy(enemy, report, true);
+        continue;
+      }
+      enemy.ageTicks++;
+      if (enemy.hitTicks > 0) enemy.hitTicks--;
+      const flying = fly(enemy, state);
+      if (!flying || length(subtract(enemy.position, state.shipPosition)) > DESPAWN_DISTANCE) {
+        remove(enemy);
+        report.despawned.push(enemy.id);
+        continue;
+      }
+      world.update(enemy.id, { position: { ...enemy.position } });
+      fire(enemy, state, shipVelocity, report);
+    }
+
+    shots.step(touched);
+
+    if (report.spawned.length > 0) report.events.push('enemySpawn');
+    if (report.destroyed.length > 0) report.events.push('enemyDestroyed');
+    if (report.fired.length > 0) report.events.push('enemyFire');
+    current = snapshot(report);
+    return current;
+  }
+
+  clear();
+
+  return {
+    step,
+    clear,
+    damage,
+    getSnapshot: () => current,
+    // Send an enemy in from game code (e.g. when an arena opens), as if a
+    // spawn event `{ enemy: type, ...fields }` had fired where the ship is
+    // on the next step
+    spawn(type, fields = {}) {
+      if (!types[type]) throw new Error(`Unknown enemy type "${type}"`);
+      queue({ ...fields, enemy: type }, { distance: lastDistance }, tick + 1);
+    },
+  };
+}
+
+// ============================================================================
+// RENDER INTERPOLATION
+// ============================================================================
+// Blend two consecutive enemy snapshots for display, like interpolateState
+// (playerSimulation.js): positions are blended, everything else comes from
+// `next`
+export function interpolateEnemies(prev, next, alpha) {
+  if (!prev || alpha >= 1) return next;
+  const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * alpha, y: a.y + (b.y - a.y) * alpha, z: a.z + (b.z - a.z) * alpha });
+  const blend = (list, previous) => {
+    const byId = new Map(previous.map(item => [item.id, item]));
+    return list.map(item => {
+      const before = byId.get(item.id);
+      return before ? { ...item, position: lerp(before.position, item.position) } : item;
+    });
+  };
+  return {
+    ...next,
+    enemies: blend(next.enemies, prev.enemies),
+    projectiles: blend(next.projectiles, prev.projectiles),
+  };
+}
@@ -0,0 +1,450 @@
+// ============================================================================
+// ENVIRONMENT
+// ----------------------------------------------------------------------------
+// Renderer-free terrain streamed along the rail path in chunks. Each chunk
+// is a mesh swept along the path: a variant's cross-section (open ground,
+// a corridor or a tunnel) laid across the rail frame every few units and
+// roughened with noise, so neighbouring chunks meet edge to edge. Scenery
+// (pillars, arches, asteroids) is scattered over each chunk from a seed and
+// registered with the collision world for as long as its chunk is kept.
+//
+// Update it once per simulation tick with the ship's snapshot, after the
+// simulation (the same distance builds the same chunks, so replays match):
+//
+//   const environment = createEnvironment({ spline, world, variant: 'tunnel' });
+//   const state = simulation.step(input);
+//   const { added, removed } = environment.update(state.distance);
+//
+// Chunks are built from BEHIND the ship to AHEAD of it; those that fall
+// out of that stretch are dropped and their colliders removed. On an
+// endless path (endlessPath.js) chunks are built as far as the path has
+// been generated. Renderers turn each chunk's `positions`, `uvs` and
+// `indices` into a mesh, tile environmentTexture() over it (u across the
+// cross-section, v along the path, TEXTURE_SIZE units a repeat) and scroll
+// it along at the variant's `scroll` repeats a second.
+// ============================================================================
+
+import { createRailFrames, eulerQuaternion, frameQuaternion, rollFrame } from './railFrame.js';
+import { boxCollider, sphereCollider } from './collisionWorld.js';
+
+export const ENVIRONMENT_CONFIG = {
+  CHUNK_LENGTH: 50, // units of path per chunk
+  CHUNK_ROWS: 10, // cross-sections laid across each chunk
+  AHEAD: 500, // units of terrain kept built ahead of the ship
+  BEHIND: 50, // units kept behind it before chunks are dropped
+  PROFILE_STEP: 4, // most units between the points of a cross-section
+  NOISE_SCALE: 0.08, // noise features per unit
+  TEXTURE_SIZE: 20, // units one texture repeat covers
+};
+
+// Cross-sections, in rail space (x along the frame's right, y along its
+// up, the rail at the origin). `hills` is how far noise moves the surface
+// in or out, and `clearance` the half-width around the rail that scenery
+// standing on the floor keeps clear of. Colours are for
+// environmentTexture().
+export const ENVIRONMENT_VARIANTS = {
+  // Flat under the rail, rising into hills to either side
+  ground: {
+    shape: 'ground',
+    width: 160,
+    depth: 15, // floor below the rail
+    hills: 10,
+    clearance: 16,
+    scroll: 0,
+    color: '#224422',
+    lineColor: '#3a7a3a',
+  },
+  // A floor between two walls, open to the sky
+  corridor: {
+    shape: 'corridor',
+    width: 44,
+    depth: 15,
+    height: 24, // wall tops above the rail
+    hills: 1.5,
+    clearance: 16,
+    scroll: 0.25,
+    color: '#1c2838',
+    lineColor: '#4488cc',
+  },
+  // A closed tube round the rail
+  tunnel: {
+    shape: 'tunnel',
+    radius: 24,
+    hills: 3,
+    clearance: 12,
+    scroll: 0.6,
+    color: '#1a1028',
+    lineColor: '#aa44ff',
+  },
+};
+
+export const ENVIRONMENT_SHAPES = ['ground', 'corridor', 'tunnel'];
+
+// Scenery scattered over the chunks, about one every `spacing` units, in
+// the `variants` it fits:
+//
+//   side      stands on the floor beside the play area (box `size`)
+//   over      arches over the rail from the floor (`radius`, `thickness`)
+//   anywhere  floats in the open, play area included (`radius` range)
+//
+// All of them hurt the ship on contact (`damage`) and stop shots.
+export const SCENERY_TYPES = {
+  pillar: {
+    placement: 'side',
+    shape: 'box',
+    spacing: 40,
+    size: { x: 3, y: 28, z: 3 },
+    damage: 20,
+    color: '#886644',
+    variants: ['ground', 'corridor'],
+  },
+  arch: {
+    placement: 'over',
+    shape: 'arch',
+    spacing: 250,
+    radius: 30,
+    thickness: 1.5,
+    damage: 20,
+    color: '#667799',
+    variants: ['ground'],
+  },
+  asteroid: {
+    placement: 'anywhere',
+    shape: 'sphere',
+    spacing: 60,
+    radius: [1.5, 4],
+    damage: 30,
+    color: '#776655',
+    variants: ['ground', 'corridor', 'tunnel'],
+  },
+};
+
+// Colliders along an arch
+const ARCH_COLLIDERS = 9;
+
+// ============================================================================
+// NOISE
+// ============================================================================
+// Seeded hash of two integers to [0, 1)
+function hash(x, y, seed) {
+  let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(seed, 2246822519);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Smooth value noise in [-1, 1]
+function noise(x, y, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const corner = (dx, dy) => hash(ix + dx, iy + dy, seed) * 2 - 1;
+  const top = corner(0, 0) + (corner(1, 0) - corner(0, 0)) * sx;
+  const bottom = corner(0, 1) + (corner(1, 1) - corner(0, 1)) * sx;
+  return top + (bottom - top) * sy;
+}
+
+// ============================================================================
+// CROSS-SECTIONS
+// ============================================================================
+// The points across a variant, at most PROFILE_STEP apart: `{ x, y, nx,
+// ny, s }` with the unit normal facing the rail and `s` the distance along
+// the cross-section. A tunnel's last point closes it on the first.
+function profileOf(variant, step) {
+  if (variant.shape === 'tunnel') {
+    const count = Math.max(8, Math.ceil((2 * Math.PI * variant.radius) / step));
+    return Array.from({ length: count + 1 }, (_, i) => {
+      const angle = -Math.PI / 2 + (2 * Math.PI * i) / count;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return { x: cos * variant.radius, y: sin * variant.radius, nx: -cos, ny: -sin, s: variant.radius * (angle + Math.PI / 2) };
+    });
+  }
+
+  const half = variant.width / 2;
+  const corners = variant.shape === 'corridor'
+    ? [[-half, variant.height], [-half, -variant.depth], [half, -variant.depth], [half, variant.height]]
+    : [[-half, -variant.depth], [half, -variant.depth]];
+  const points = [];
+  let s = 0;
+  for (let c = 0; c < corners.length - 1; c++) {
+    const [x1, y1] = corners[c];
+    const [x2, y2] = corners[c + 1];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const pieces = Math.max(1, Math.ceil(length / step));
+    // Facing the rail: to the left of the way the outline runs
+    const nx = -(y2 - y1) / length;
+    const ny = (x2 - x1) / length;
+    for (let i = c === 0 ? 0 : 1; i <= pieces; i++) {
+      const t = i / pieces;
+      points.push({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t, nx, ny, s: s + length * t });
+    }
+    s += length;
+  }
+  return points;
+}
+
+// Floor height, half-width and ceiling that scenery is placed within
+function placementBounds(variant) {
+  if (variant.shape === 'tunnel') {
+    const inner = (variant.radius - variant.hills) * 0.7;
+    return { floor: -inner, extent: inner, ceiling: inner };
+  }
+  return {
+    floor: -variant.depth,
+    extent: variant.width / 2 - variant.hills,
+    ceiling: variant.shape === 'corridor' ? variant.height : variant.depth,
+  };
+}
+
+// ============================================================================
+// TEXTURE
+// ============================================================================
+const toRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// A tiling texture for a variant: its colour, speckled, with a grid of
+// `lineColor`. `{ size, data }`, `data` being size x size RGBA bytes (a
+// three.js DataTexture).
+export function environmentTexture(variant, { size = 64, seed = 1 } = {}) {
+  const base = toRgb(variant.color);
+  const line = toRgb(variant.lineColor);
+  const data = new Uint8Array(size * size * 4);
+  const cell = size / 4;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const onLine = x % cell === 0 || y % cell === 0;
+      const speckle = 0.85 + 0.3 * hash(x, y, seed);
+      const colour = onLine ? line : base.map(c => Math.min(255, c * speckle));
+      data.set([...colour, 255], (y * size + x) * 4);
+    }
+  }
+  return { size, data };
+}
+
+// ============================================================================
+// ENVIRONMENT
+// ============================================================================
+// `spline` is the path the simulation runs on, `world` the collision world
+// scenery joins (null keeps it out), `variant` a name in `variants` and
+// `scenery` the names in `sceneryTypes` to scatter.
+export function createEnvironment({
+  spline,
+  world = null,
+  variant = 'ground',
+  variants = ENVIRONMENT_VARIANTS,
+  scenery = [],
+  sceneryTypes = SCENERY_TYPES,
+  seed = 1,
+  config = ENVIRONMENT_CONFIG,
+}) {
+  const def = variants[variant];
+  if (!def) throw new Error(`Unknown environment variant "${variant}" (see ENVIRONMENT_VARIANTS)`);
+  if (!ENVIRONMENT_SHAPES.includes(def.shape)) {
+    throw new Error(`Environment variant "${variant}" has unknown shape "${def.shape}" (see ENVIRONMENT_SHAPES)`);
+  }
+  const sceneryDefs = scenery.map((name) => {
+    if (!sceneryTypes[name]) throw new Error(`Unknown scenery "${name}" (see SCENERY_TYPES)`);
+    return { name, ...sceneryTypes[name] };
+  }).filter(type => !type.variants || type.variants.includes(variant));
+
+  const endless = Boolean(spline.endless);
+  const frames = endless ? spline : createRailFrames(spline);
+  const progressLength = spline.getLength();
+  const profile = profileOf(def, config.PROFILE_STEP);
+  const bounds = placementBounds(def);
+  const listeners = new Set();
+
+  let chunks = new Map(); // index -> chunk
+
+  // The rail frame `distance` units along, without the path's bank: the
+  // ground stays level however the ship banks
+  function frameAt(distance) {
+    const t = distance / progressLength;
+    const frame = frames.frameAt(t);
+    return spline.getRollAt ? rollFrame(frame, -spline.getRollAt(t)) : frame;
+  }
+
+  // World position of rail-space (x, y) on `frame`
+  const railPoint = (frame, x, y) => ({
+    x: frame.position.x + frame.right.x * x + frame.up.x * y,
+    y: frame.position.y + frame.right.y * x + frame.up.y * y,
+    z: frame.position.z + frame.right.z * x + frame.up.z * y,
+  });
+
+  // How far noise moves the cross-section point `point` at `distance`
+  function roughness(point, distance) {
+    const n = noise(point.s * config.NOISE_SCALE, distance * config.NOISE_SCALE, seed);
+    if (def.shape !== 'ground') return def.hills * n;
+    // Ground: flat under the play area, hills further out
+    const out = Math.min(1, Math.max(0, (Math.abs(point.x) - def.clearance) / (def.width / 2 - def.clearance)));
+    return def.hills * out * (0.5 + 0.5 * n);
+  }
+
+  // How far the path goes: its length, or as far as an endless one has
+  // been generated
+  const pathEnd = () => (endless ? spline.getRange().end : progressLength);
+
+  function buildMesh(from, to) {
+    const rows = config.CHUNK_ROWS;
+    const columns = profile.length;
+    const positions = new Float32Array((rows + 1) * columns * 3);
+    const uvs = new Float32Array((rows + 1) * columns * 2);
+    for (let r = 0; r <= rows; r++) {
+      const distance = from + ((to - from) * r) / rows;
+      const frame = frameAt(distance);
+      profile.forEach((point, c) => {
+        const amount = roughness(point, distance);
+        const { x, y, z } = railPoint(frame, point.x + point.nx * amount, point.y + point.ny * amount);
+        const i = r * columns + c;
+        positions.set([x, y, z], i * 3);
+        uvs.set([point.s / config.TEXTURE_SIZE, distance / config.TEXTURE_SIZE], i * 2);
+      });
+    }
+    const indices = new Uint32Array(rows * (columns - 1) * 6);
+    let k = 0;
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < columns - 1; c++) {
+        const a = r * columns + c;
+        const b = a + columns;
+        indices.set([a, b, a + 1, a + 1, b, b + 1], k);
+        k += 6;
+      }
+    }
+    return { positions, uvs, indices };
+  }
+
+  // One scenery item of `type` at `distance`, with random numbers from
+  // `random()`: its instance pose and the colliders it adds
+  function placeScenery(type, distance, random) {
+    const frame = frameAt(distance);
+    const options = { tag: 'scenery', scenery: type.name, damage: type.damage };
+
+    if (type.placement === 'side') {
+      const side = random() < 0.5 ? -1 : 1;
+      const room = Math.max(0, bounds.extent - def.clearance - type.size.x);
+      const base = railPoint(frame, side * (def.clearance + type.size.x / 2 + random() * room), bounds.floor);
+      // Upright in the world, so the box collider fits it
+      const position = { x: base.x, y: base.y + type.size.y / 2, z: base.z };
+      const half = { x: type.size.x / 2, y: type.size.y / 2, z: type.size.z / 2 };
+      return {
+        instance: { position, quaternion: { x: 0, y: 0, z: 0, w: 1 }, scale: { ...type.size } },
+        colliders: [boxCollider(position, half, options)],
+      };
+    }
+
+    if (type.placement === 'over') {
+      const position = railPoint(frame, 0, bounds.floor);
+      const colliders = Array.from({ length: ARCH_COLLIDERS }, (_, i) => {
+        const angle = (Math.PI * i) / (ARCH_COLLIDERS - 1);
+        const point = railPoint(frame, Math.cos(angle) * type.radius, bounds.floor + Math.sin(angle) * type.radius);
+        return sphereCollider(point, type.thickness * 1.5, options);
+      });
+      return {
+        instance: { position, quaternion: frameQuaternion(frame), scale: { x: 1, y: 1, z: 1 } },
+        colliders,
+      };
+    }
+
+    const [min, max] = type.radius;
+    const radius = min + (max - min) * random();
+    const x = (random() * 2 - 1) * (bounds.extent - radius);
+    const y = bounds.floor + radius + random() * (bounds.ceiling - bounds.floor - 2 * radius);
+    const position = railPoint(frame, x, y);
+    const spin = { x: random() * Math.PI * 2, y: random() * Math.PI * 2, z: random() * Math.PI * 2 };
+    return {
+      instance: { position, quaternion: eulerQuaternion(spin), scale: { x: radius, y: radius, z: radius } },
+      colliders: [sphereCollider(position, radius, options)],
+    };
+  }
+
+  function buildChunk(index, from, to) {
+    const chunk = { id: index, from, to, ...buildMesh(from, to), scenery: [], colliderIds: [] };
+    sceneryDefs.forEach((type, t) => {
+      let n = 0;
+      const random = () => hash(index * 16 + t, n++, seed);
+      // About one every `spacing` units, carrying the remainder over
+      const count = Math.floor((to - from) / type.spacing + random());
+      for (let i = 0; i < count; i++) {
+        const { instance, colliders } = placeScenery(type, from + random() * (to - from), random);
+        chunk.scenery.push({ type: type.name, ...instance });
+        if (world) colliders.forEach(collider => chunk.colliderIds.push(world.add(collider)));
+      }
+    });
+    return chunk;
+  }
+
+  function dropChunk(chunk) {
+    if (world) chunk.colliderIds.forEach(id => world.remove(id));
+  }
+
+  function notify(change) {
+    if (change.added.length > 0 || change.removed.length > 0) listeners.forEach(listener => listener(change));
+    return change;
+  }
+
+  // Build the chunks around the ship `distance` units along and drop the
+  // rest. Returns the chunks `added` and `removed`; listeners hear the same.
+  function update(distance) {
+    const length = config.CHUNK_LENGTH;
+    const end = pathEnd();
+    const first = Math.floor(Math.max(0, distance - config.BEHIND) / length);
+    const last = Math.floor((distance + config.AHEAD) / length);
+    const added = [];
+    const removed = [];
+
+    for (const [index, chunk] of chunks) {
+      if (index < first || index > last) {
+        dropChunk(chunk);
+        chunks.delete(index);
+        removed.push(chunk);
+      }
+    }
+    for (let index = first; index <= last; index++) {
+      const from = index * length;
+      // A level path's last chunk stops at its end; an endless path's
+      // waits until the path reaches past it
+      const to = endless ? from + length : Math.min(from + length, end);
+      if (chunks.has(index) || to > end || to <= from) continue;
+      const chunk = buildChunk(index, from, to);
+      chunks.set(index, chunk);
+      added.push(chunk);
+    }
+    if (added.length > 0) chunks = new Map([...chunks].sort((a, b) => a[0] - b[0]));
+    return notify({ added, removed });
+  }
+
+  // Drop every chunk, e.g. when the environment goes away
+  function clear() {
+    const removed = [...chunks.values()];
+    removed.forEach(dropChunk);
+    chunks = new Map();
+    return notify({ added: [], removed });
+  }
+
+  return {
+    update,
+    clear,
+    variant: def,
+    seed,
+    config,
+    // Kept chunks, nearest the start first: `{ id, from, to, positions,
+    // uvs, indices, scenery }`, scenery being `{ type, position,
+    // quaternion, scale }` instance poses. The scale is for a unit box or
+    // sphere; arches come at full size (a half torus of the type's radius
+    // and thickness in the xy plane, standing on the floor).
+    getChunks: () => [...chunks.values()],
+    // Scenery types in use, with the most instances of each there can be
+    // at once
+    getSceneryTypes: () => sceneryDefs.map(type => ({
+      ...type,
+      capacity: Math.ceil((config.AHEAD + config.BEHIND) / config.CHUNK_LENGTH + 2)
+        * Math.ceil(config.CHUNK_LENGTH / type.spacing + 1),
+    })),
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,225 @@
+// ============================================================================
+// EVENT BUS
+// ----------------------------------------------------------------------------
+// Named game events for integration code (menus, cutscenes, scoring, audio)
+// to subscribe to, instead of diffing `onStateUpdate` every frame:
+//
+//   const unsubscribe = bus.on('hit', ({ hits, state }) => flashScreen());
+//
+// Only the event names in GAME_EVENTS exist; subscribing to or emitting
+// anything else throws, so a typo fails loudly instead of never firing.
+// Every payload carries `type`, `tick`, `time` (ms of simulation time) and
+// `state` (the snapshot of the tick it happened in). `on('*', handler)`
+// receives every event.
+// ============================================================================
+
+// Event names, with any payload fields beyond the common ones
+export const GAME_EVENTS = {
+  // Flight (see playerSimulation.js)
+  boostStart: {},
+  boostEnd: {},
+  brakeStart: {},
+  brakeEnd: {},
+  energyEmpty: {},
+  somersaultStart: {},
+  somersaultEnd: {},
+  uturnStart: {},
+  uturnEnd: {},
+  rollStart: {},
+  rollEnd: {},
+  allRangeStart: {},
+  allRangeEnd: {},
+  turnBack: {},
+  railHoldStart: {},
+  railHoldEnd: {},
+
+  // Combat
+  fire: {},
+  chargeStart: {},
+  chargeReady: {},
+  chargeFire: {},
+  lock: {},
+  projectileHit: { hits: 'projectile hits this tick' },
+  bombLaunch: {},
+  bombDetonate: { detonations: 'bombs that went off this tick' },
+  pickup: { pickups: 'pickups collected this tick' },
+  weaponDown: {},
+
+  // Damage
+  hit: { hits: 'colliders the ship touched this tick' },
+  scrapeStart: {},
+  scrapeEnd: {},
+  destroyed: {},
+
+  // Level
+  levelEvent: { event: 'the timeline event' },
+  checkpoint: { event: 'the checkpoint event' },
+  levelComplete: {},
+
+  // Enemies (see enemies.js)
+  enemySpawn: { enemies: 'enemies that appeared this tick' },
+  enemyDestroyed: { enemies: 'enemies shot down or rammed this tick, with their score' },
+  enemyFire: { shots: 'ids of the enemy shots fired this tick' },
+
+  // Bosses (see bosses.js)
+  bossStart: { boss: 'the boss that arrived' },
+  bossPhase: { boss: 'the boss, now in its next phase' },
+  bossPartDestroyed: { parts: 'boss parts shot off this tick' },
+  bossDefeated: { boss: 'the defeated boss, with its score' },
+  bossFire: { shots: 'ids of the boss shots fired this tick' },
+
+  // Scoring (see scoring.js)
+  score: { score: 'the run score', points: 'points scored this tick' },
+  combo: { combo: 'hits in the combo so far', multiplier: 'what each hit is worth, e.g. 1.3' },
+  comboEnd: { combo: 'hits the combo reached' },
+  multiKill: { bonuses: 'charged volleys that took down more than one this tick, with their kills' },
+  medal: { medal: "the medal the run's hits now earn" },
+
+  // Game flow (see gameFlow.js)
+  flowChange: { from: 'previous flow state', to: 'new flow state', reason: 'what moved it', flow: 'the flow snapshot' },
+  pause: { reason: "'input', 'blur', 'gamepad' or 'api'" },
+  resume: {},
+  reset: {},
+  respawn: { progress: 'the checkpoint the new ship starts from (0-1)', lives: 'ships left' },
+  results: { results: 'outcome and stats of the run' },
+  gameOver: { results: 'outcome and stats of the run' },
+
+  // Controller
+  teleport: { progress: 'where the ship jumped to (0-1)' },
+};
+
+// Snapshot lists that ride along with the event of the same tick
+const PAYLOAD_FIELDS = {
+  hit: (state) => ({ hits: state.hits }),
+  projectileHit: (state) => ({ hits: state.projectileHits }),
+  bombDetonate: (state) => ({ detonations: state.detonations }),
+  pickup: (state) => ({ pickups: state.pickups }),
+};
+
+// The same for the enemy system's snapshot
+const ENEMY_FIELDS = {
+  enemySpawn: (enemies) => ({ enemies: enemies.spawned }),
+  enemyDestroyed: (enemies) => ({ enemies: enemies.destroyed }),
+  enemyFire: (enemies) => ({ shots: enemies.fired }),
+};
+
+// The same for the boss system's snapshot
+const BOSS_FIELDS = {
+  bossStart: (bosses) => ({ boss: bosses.started }),
+  bossPhase: (bosses) => ({ boss: bosses.boss }),
+  bossPartDestroyed: (bosses) => ({ parts: bosses.partsDestroyed }),
+  bossDefeated: (bosses) => ({ boss: bosses.defeated }),
+  bossFire: (bosses) => ({ shots: bosses.fired }),
+};
+
+// The same for the scoring snapshot
+const SCORE_FIELDS = {
+  score: (scoring) => ({ score: scoring.score, points: scoring.points }),
+  combo: (scoring) => ({ combo: scoring.combo, multiplier: scoring.multiplier }),
+  comboEnd: (scoring) => ({ combo: scoring.comboEnded }),
+  multiKill: (scoring) => ({ bonuses: scoring.bonuses }),
+  medal: (scoring) => ({ medal: scoring.medal }),
+};
+
+function checkEvent(type) {
+  if (type !== '*' && !(type in GAME_EVENTS)) {
+    throw new Error(`Unknown game event "${type}" (see GAME_EVENTS)`);
+  }
+  return type;
+}
+
+// ============================================================================
+// BUS
+// ============================================================================
+export function createEventBus() {
+  const handlers = new Map(); // type -> Set of handlers
+
+  function off(type, handler) {
+    const set = handlers.get(type);
+    if (set) set.delete(handler);
+  }
+
+  // Returns a function that unsubscribes
+  function on(type, handler) {
+    checkEvent(type);
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => off(type, handler);
+  }
+
+  return {
+    on,
+    off,
+
+    // Handle the next `type` event only
+    once(type, handler) {
+      const unsubscribe = on(type, (payload) => {
+        unsubscribe();
+        handler(payload);
+      });
+      return unsubscribe;
+    },
+
+    // Handlers run in subscription order, then the '*' handlers. A handler
+    // added or removed during an emit takes effect from the next one.
+    emit(type, payload = {}) {
+      if (type === '*') throw new Error('Cannot emit "*"');
+      checkEvent(type);
+      const event = { ...payload, type };
+      for (const handler of [...(handlers.get(type) || []), ...(handlers.get('*') || [])]) {
+        handler(event);
+      }
+    },
+
+    clear() {
+      handlers.clear();
+    },
+  };
+}
+
+// ============================================================================
+// SNAPSHOT EVENTS
+// ============================================================================
+// Common payload fields for an event in the tick of `state`
+export function eventPayload(state, extra = {}) {
+  return { tick: state.tick, time: state.time, state, ...extra };
+}
+
+// Emit what happened in one simulation tick: each event in `state.events`
+// once (with its list, e.g. `hits`), then `levelEvent` for every timeline
+// event passed and `checkpoint` for the checkpoints among them
+export function emitTickEvents(bus, state) {
+  for (const type of new Set(state.events)) {
+    if (type === 'levelEvent' || !(type in GAME_EVENTS)) continue;
+    const fields = PAYLOAD_FIELDS[type];
+    bus.emit(type, eventPayload(state, fields ? fields(state) : {}));
+  }
+  for (const event of state.levelEvents) {
+    bus.emit('levelEvent', eventPayload(state, { event }));
+    if (event.type === 'checkpoint') bus.emit('checkpoint', eventPayload(state, { event }));
+  }
+}
+
+// Emit the enemy system's events for the tick of `state`, from the snapshot
+// its step returned
+export function emitEnemyEvents(bus, state, enemies) {
+  for (const type of enemies.events) {
+    bus.emit(type, eventPayload(state, ENEMY_FIELDS[type](enemies)));
+  }
+}
+
+// Emit the boss system's events for the tick of `state`, from the snapshot
+// its step returned
+export function emitBossEvents(bus, state, bosses) {
+  for (const type of bosses.events) {
+    bus.emit(type, eventPayload(state, BOSS_FIELDS[type](bosses)));
+  }
+}
+
+// Emit the scoring events for the tick of `state`, from the snapshot its
+// handleTick returned
+export function emitScoreEvents(bus, state, scoring) {
+  for (const type of scoring.events) {
+    bus.emit(type, eventPayload(state, SCORE_FIELDS[type](scoring)));
+  }
+}
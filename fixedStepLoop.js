@@ -0,0 +1,112 @@
+// ============================================================================
+// FIXED-TIMESTEP LOOP
+// ----------------------------------------------------------------------------
+// Decouples simulation ticks from render frames: wall-clock time from an
+// injectable clock is accumulated and spent in whole ticks, and the leftover
+// fraction is returned as an interpolation factor for rendering. With a
+// manual clock a run is fully reproducible.
+// ============================================================================
+
+export const DEFAULT_TICK_RATE = 60;
+
+// Longest frame the loop will catch up on (ms), so a stalled tab doesn't
+// trigger a burst of hundreds of ticks when it resumes.
+const DEFAULT_MAX_FRAME_TIME = 100;
+
+// ============================================================================
+// CLOCKS
+// ============================================================================
+// A clock is any object with `now()` returning milliseconds.
+export function createPerformanceClock() {
+  const source = typeof performance !== 'undefined' && performance.now
+    ? () => performance.now()
+    : () => Date.now();
+  return { now: source };
+}
+
+// Clock that only moves when told to. Useful for tests, replays and
+// offline rendering.
+export function createManualClock(start = 0) {
+  let time = start;
+  return {
+    now: () => time,
+    advance(ms) {
+      time += ms;
+      return time;
+    },
+    set(ms) {
+      time = ms;
+    },
+  };
+}
+
+// ============================================================================
+// LOOP
+// ============================================================================
+export function createFixedStepLoop({
+  step,
+  tickRate = DEFAULT_TICK_RATE,
+  clock = createPerformanceClock(),
+  maxFrameTime = DEFAULT_MAX_FRAME_TIME,
+}) {
+  const stepMs = 1000 / tickRate;
+  let lastTime = null;
+  let accumulator = 0;
+  let tick = 0;
+  let paused = false;
+
+  // Spend `ms` of elapsed time on whole ticks. Returns how many ticks ran,
+  // the interpolation factor between the last two ticks, and the (clamped)
+  // frame time for purely visual effects. While paused no ticks run, alpha
+  // holds and the frame time is 0.
+  function advanceBy(ms) {
+    const frameTime = paused ? 0 : Math.min(Math.max(ms, 0), maxFrameTime);
+    accumulator += frameTime;
+
+    let ticks = 0;
+    while (accumulator >= stepMs) {
+      step(tick);
+      tick++;
+      ticks++;
+      accumulator -= stepMs;
+    }
+
+    return { ticks, alpha: accumulator / stepMs, frameTime };
+  }
+
+  // Read the clock and advance by the time since the previous call
+  function advance() {
+    const now = clock.now();
+    const elapsed = lastTime === null ? 0 : now - lastTime;
+    lastTime = now;
+    return advanceBy(elapsed);
+  }
+
+  function reset() {
+    lastTime = null;
+    accumulator = 0;
+    tick = 0;
+  }
+
+  // Time spent paused is never caught up on
+  function pause() {
+    paused = true;
+  }
+
+  function resume() {
+    paused = false;
+    lastTime = null;
+  }
+
+  return {
+    tickRate,
+    stepMs,
+    advance,
+    advanceBy,
+    reset,
+    pause,
+    resume,
+    isPaused: () => paused,
+    getTick: () => tick,
+  };
+}
@@ -0,0 +1,190 @@
+// ============================================================================
+// FRAME STORE
+// ----------------------------------------------------------------------------
+// The snapshot being drawn, held outside React so the game loop never has to
+// re-render the scene to move it:
+//
+//   store.set(interpolated)     once per render frame, from the game loop
+//   store.get()                 read in a component's own frame callback to
+//                               move its objects directly
+//   watchStore(store, select, onChange, { interval, equal })
+//                               for what does need re-rendering: `onChange`
+//                               runs only when the selected values change
+//                               (by `equal`, shallowEqual unless given), and
+//                               at most once per `interval` ms
+//
+// The selectors below pick what each part of the controller re-renders for.
+// Ship, reticle and camera transforms are never selected; they are copied
+// onto their objects every frame. Nothing here touches three.js, React or
+// the DOM.
+// ============================================================================
+
+// How often the HUD and touch overlay may re-render, in ms
+export const HUD_INTERVAL = 100;
+
+export function createFrameStore(initial = null) {
+  let state = initial;
+  const listeners = new Set();
+
+  return {
+    get: () => state,
+
+    // `now` is wall time in ms, for throttled watchers
+    set(next, now = 0) {
+      state = next;
+      for (const listener of [...listeners]) listener(state, now);
+    },
+
+    // Returns a function that unsubscribes
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// Same keys with identical values (arrays compare item by item)
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+// Like shallowEqual, but nested arrays and objects compare by their contents
+// too, for selections that aren't flat (the radar's)
+export function sameContents(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameContents(a[key], b[key]));
+}
+
+// Call `onChange(selected)` whenever `select(state)` changes after a
+// `set`, but no more than once per `interval` ms of `now`. A change held
+// back by the interval goes out with the first `set` after it. Returns a
+// function that unsubscribes.
+export function watchStore(store, select, onChange, { interval = 0, initial = select(store.get()), equal = shallowEqual } = {}) {
+  let selected = initial;
+  let last = -Infinity;
+
+  return store.subscribe((state, now) => {
+    if (now - last < interval) return;
+    const next = select(state);
+    if (equal(next, selected)) return;
+    selected = next;
+    last = now;
+    onChange(next);
+  });
+}
+
+// ============================================================================
+// SELECTORS
+// ============================================================================
+// Ship looks that swap materials; the transform, roll and hit blink are
+// applied every frame
+export function selectShipLook(state) {
+  return { isBoosting: state.boostActive, isInvulnerable: state.isInvulnerable };
+}
+
+export function selectReticleLook(state) {
+  return { isLocked: state.isLocked };
+}
+
+// Which targets are locked (the markers follow them every frame)
+export function selectLockIds(state) {
+  return state.locks.map(lock => lock.id);
+}
+
+// Which enemies are alive, from an enemy snapshot (enemies.js); their
+// models follow them every frame
+export function selectEnemyIds(enemies) {
+  return enemies.enemies.map(enemy => enemy.id);
+}
+
+// Which boss parts are still there, from a boss snapshot (bosses.js)
+export function selectBossPartIds(bosses) {
+  return bosses.boss ? bosses.boss.parts.map(part => part.id) : [];
+}
+
+// What the boss health bar shows, rounded to what it can display
+export function selectBossBar(bosses) {
+  const { boss } = bosses;
+  if (!boss) return { isVisible: false };
+  return {
+    isVisible: true,
+    name: boss.name,
+    phaseName: boss.phaseName,
+    health: Math.round((boss.health / boss.maxHealth) * 200) / 200,
+  };
+}
+
+// What the score panel shows, accuracy in whole percent
+export function selectScore(scoring) {
+  return {
+    score: scoring.score,
+    hits: scoring.hits,
+    combo: scoring.combo,
+    multiplier: scoring.multiplier,
+    accuracy: Math.round(scoring.accuracy * 100),
+    medal: scoring.medal,
+    nextMedal: scoring.nextMedal ? scoring.nextMedal.medal : null,
+    nextMedalHits: scoring.nextMedal ? scoring.nextMedal.hits : 0,
+  };
+}
+
+// Everything the HUD shows, rounded to what it can display
+export function selectHud(state) {
+  const { x, y, z } = state.shipPosition;
+  return {
+    energy: Math.round(state.energy * 200) / 200,
+    energyLocked: state.energyLocked,
+    boostActive: state.boostActive,
+    isBraking: state.isBraking,
+    dodgeCooldown: Math.ceil(state.dodgeCooldown / 50) * 50,
+    isRolling: state.isRolling,
+    shield: state.shield,
+    maxShield: state.maxShield,
+    hitCooldown: Math.ceil(state.hitCooldown / 50) * 50,
+    weaponName: state.weaponName,
+    weaponTier: state.weaponTier,
+    bombs: state.bombs,
+    chargeLevel: Math.round(state.chargeLevel * 100) / 100,
+    lockCount: state.locks.length,
+    speed: Math.round(state.speed * 10) / 10,
+    x: Math.round(x * 10) / 10,
+    y: Math.round(y * 10) / 10,
+    z: Math.round(z * 10) / 10,
+    isTurningBack: state.isTurningBack,
+  };
+}
+
+// The all-range radar (null on the rail), with positions to the unit and
+// the heading to the degree. It is rebuilt every tick, so watch it with
+// `equal: sameContents`, and apart from the HUD.
+export function selectRadar(state) {
+  const { radar } = state;
+  if (!radar) return null;
+  const round = ({ x, z }) => ({ x: Math.round(x), z: Math.round(z) });
+  return {
+    radius: radar.radius,
+    heading: (Math.round((radar.heading * 180) / Math.PI) * Math.PI) / 180,
+    ship: round(radar.ship),
+    contacts: radar.contacts.map(contact => ({ id: contact.id, tag: contact.tag, ...round(contact) })),
+  };
+}
+
+// What the touch buttons' cooldown rings show
+export function selectTouch(state) {
+  return {
+    energy: Math.round(state.energy * 100) / 100,
+    energyLocked: state.energyLocked,
+    boostActive: state.boostActive,
+    isBraking: state.isBraking,
+    dodgeCooldown: Math.ceil(state.dodgeCooldown / 50) * 50,
+    isRolling: state.isRolling,
+    bombs: state.bombs,
+  };
+}
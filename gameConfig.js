@@ -0,0 +1,215 @@
+// ============================================================================
+// GAME CONFIG
+// ----------------------------------------------------------------------------
+// Per-instance gameplay config: named presets and deep-merged overrides on
+// top of the defaults in playerSimulation.js, checked against the range and
+// type of every setting. Nothing here touches three.js, React or the DOM.
+//
+//   resolveConfig({ FORWARD_SPEED: 20 }, { preset: 'sim' })
+//
+// merges CONFIG <- CONFIG_PRESETS.sim <- overrides and throws one Error
+// listing every problem (also on `error.errors` as `{ path, message }`).
+// Overrides are partial: nested settings such as MOVE_BOUNDS merge field by
+// field, so `{ MOVE_BOUNDS: { x: 20 } }` keeps the default y.
+// ============================================================================
+
+import { CONFIG } from './playerSimulation.js';
+
+// ============================================================================
+// PRESETS
+// ============================================================================
+// Overrides on top of CONFIG, so each one only lists what it changes
+export const CONFIG_PRESETS = {
+  // The defaults: quick, forgiving and boost-heavy
+  arcade: {},
+
+  // A heavier ship: less energy, harder hits, shorter i-frames and slower
+  // turning in all-range mode
+  sim: {
+    MOVE_SPEED: 6,
+    BOOST_SPEED: 30,
+    BOOST_DURATION: 1500,
+    ENERGY_REFILL: 4500,
+    DODGE_COOLDOWN: 4000,
+    DODGE_AGILITY_MULT: 1.4,
+    COLLISION_DAMAGE: 30,
+    SCRAPE_DAMAGE: 25,
+    HIT_INVULNERABILITY: 600,
+    KNOCKBACK_SPEED: 16,
+    LOCK_CONE: 0.1,
+    HOMING_TURN_RATE: 3.5,
+    ALL_RANGE_TURN_RATE: 1.2,
+    SHIP_TILT_FACTOR: 0.45,
+  },
+
+  // A slower run with wider timing windows, more shield, lighter damage and
+  // more generous lock-on
+  'accessibility-easy': {
+    MOVE_SPEED: 7,
+    FORWARD_SPEED: 11,
+    BOOST_SPEED: 26,
+    BRAKE_SPEED: 4,
+    BOOST_DURATION: 3000,
+    ENERGY_REFILL: 2000,
+    ENERGY_REFILL_DELAY: 200,
+    MANEUVER_ENERGY: 0.35,
+    DODGE_DURATION: 800,
+    DODGE_COOLDOWN: 1500,
+    MAX_SHIELD: 150,
+    COLLISION_DAMAGE: 10,
+    SCRAPE_DAMAGE: 5,
+    HIT_INVULNERABILITY: 2000,
+    KNOCKBACK_SPEED: 8,
+    CHARGE_DELAY: 400,
+    CHARGE_TIME: 600,
+    MAX_LOCKS: 5,
+    LOCK_CONE: 0.25,
+    HOMING_TURN_RATE: 8,
+    ALL_RANGE_TURN_RATE: 1.3,
+  },
+};
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+const range = (min, max = Infinity, { integer = false, aboveMin = false, belowMax = false } = {}) => (
+  { min, max, integer, aboveMin, belowMax }
+);
+const POSITIVE = range(0, Infinity, { aboveMin: true });
+const NON_NEGATIVE = range(0);
+const FRACTION = range(0, 1);
+const MS = NON_NEGATIVE; // durations; anything under a tick still lasts one
+
+// Every setting in CONFIG; nested objects list their own fields
+export const CONFIG_SCHEMA = {
+  MOVE_SPEED: POSITIVE,
+  MOVE_BOUNDS: { x: POSITIVE, y: POSITIVE },
+  FORWARD_SPEED: POSITIVE,
+  BOOST_SPEED: POSITIVE,
+  BRAKE_SPEED: NON_NEGATIVE,
+
+  BOOST_DURATION: POSITIVE,
+  ENERGY_REFILL: POSITIVE,
+  ENERGY_REFILL_DELAY: MS,
+
+  SOMERSAULT_DURATION: POSITIVE,
+  UTURN_DURATION: POSITIVE,
+  MANEUVER_ENERGY: FRACTION,
+
+  DODGE_DURATION: POSITIVE,
+  DODGE_COOLDOWN: MS,
+  DODGE_AGILITY_MULT: POSITIVE,
+
+  MAX_SHIELD: POSITIVE,
+  SHIP_RADIUS: POSITIVE,
+  COLLISION_DAMAGE: NON_NEGATIVE,
+  SCRAPE_DAMAGE: NON_NEGATIVE,
+  HIT_INVULNERABILITY: MS,
+  KNOCKBACK_SPEED: NON_NEGATIVE,
+  KNOCKBACK_DURATION: POSITIVE,
+
+  MAX_PROJECTILES: range(1, 1024, { integer: true }),
+
+  CHARGE_DELAY: MS,
+  CHARGE_TIME: POSITIVE,
+  MAX_LOCKS: range(0, 16, { integer: true }),
+  LOCK_RANGE: POSITIVE,
+  LOCK_CONE: range(0, Math.PI),
+  CHARGE_SPEED: POSITIVE,
+  CHARGE_LIFETIME: POSITIVE,
+  CHARGE_RADIUS: POSITIVE,
+  CHARGE_DAMAGE: NON_NEGATIVE,
+  HOMING_TURN_RATE: NON_NEGATIVE,
+
+  ALL_RANGE_TURN_RATE: POSITIVE,
+  ALL_RANGE_PITCH_RATE: POSITIVE,
+  // Straight up or down, the heading has no yaw left to turn by
+  ALL_RANGE_MAX_PITCH: range(0, Math.PI / 2, { belowMax: true }),
+  ALL_RANGE_HEIGHT: POSITIVE,
+  RAIL_RETURN_DURATION: POSITIVE,
+
+  SHIP_TILT_FACTOR: NON_NEGATIVE,
+  RETICLE_DISTANCE: POSITIVE,
+};
+
+// ============================================================================
+// MERGING & VALIDATION
+// ============================================================================
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isRange = (entry) => 'min' in entry;
+
+function describeRange({ min, max, integer, aboveMin, belowMax }) {
+  const kind = integer ? 'a whole number' : 'a number';
+  if (max === Infinity) return aboveMin ? `${kind} greater than ${min}` : `${kind} of ${min} or more`;
+  return `${kind} from ${min} to ${belowMax ? 'under ' : ''}${Math.round(max * 1000) / 1000}`;
+}
+
+function inRange(value, { min, max, integer, aboveMin, belowMax }) {
+  return typeof value === 'number' && Number.isFinite(value)
+    && (aboveMin ? value > min : value >= min) && (belowMax ? value < max : value <= max)
+    && (!integer || Number.isInteger(value));
+}
+
+function configError(errors) {
+  const lines = errors.map(({ path, message }) => `  ${path ? `${path} ` : ''}${message}`);
+  const error = new Error(`Invalid config:\n${lines.join('\n')}`);
+  error.errors = errors;
+  return error;
+}
+
+// `base` with each of `overrides` merged over it in turn. Plain objects
+// merge key by key; anything else (numbers, arrays) replaces. Nothing is
+// mutated.
+export function mergeConfig(base, ...overrides) {
+  return overrides.reduce((merged, override) => {
+    if (!override) return merged;
+    const next = { ...merged };
+    for (const [key, value] of Object.entries(override)) {
+      next[key] = isObject(value) && isObject(merged[key]) ? mergeConfig(merged[key], value) : value;
+    }
+    return next;
+  }, base);
+}
+
+// Check a full config against CONFIG_SCHEMA. Returns a list of
+// `{ path, message }` errors (empty when valid).
+export function validateConfig(config) {
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message });
+
+  const check = (value, schema, path) => {
+    if (!isObject(value)) {
+      report(path, 'must be an object');
+      return;
+    }
+    for (const [key, entry] of Object.entries(schema)) {
+      const at = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) report(at, 'is required');
+      else if (!isRange(entry)) check(value[key], entry, at);
+      else if (!inRange(value[key], entry)) report(at, `must be ${describeRange(entry)}`);
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in schema)) report(path ? `${path}.${key}` : key, 'is not a setting');
+    }
+  };
+  check(config, CONFIG_SCHEMA, '');
+  if (errors.length > 0) return errors;
+
+  // Speeds have to stay in order for the boost and brake throttles
+  if (config.BOOST_SPEED < config.FORWARD_SPEED) report('BOOST_SPEED', 'must be at least FORWARD_SPEED');
+  if (config.BRAKE_SPEED > config.FORWARD_SPEED) report('BRAKE_SPEED', 'must be at most FORWARD_SPEED');
+  return errors;
+}
+
+// The config for one controller: `base` (CONFIG by default), then the named
+// `preset`, then `overrides`, validated. Throws on an unknown preset or an
+// invalid result.
+export function resolveConfig(overrides = {}, { preset = null, base = CONFIG } = {}) {
+  if (preset !== null && !(preset in CONFIG_PRESETS)) {
+    throw new Error(`Unknown config preset "${preset}" (expected one of ${Object.keys(CONFIG_PRESETS).join(', ')})`);
+  }
+  const config = mergeConfig(base, preset !== null ? CONFIG_PRESETS[preset] : null, overrides);
+  const errors = validateConfig(config);
+  if (errors.length > 0) throw configError(errors);
+  return config;
+}
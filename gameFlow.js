@@ -0,0 +1,257 @@
+// ============================================================================
+// GAME FLOW
+// ----------------------------------------------------------------------------
+// The run around the flight: title screen, play, pause, losing a ship,
+// respawning at the last checkpoint, clearing the course and the results.
+//
+//   title          start ▶ playing
+//   playing        pause (Escape/Start, window blur, pad unplugged) ▶ paused
+//                  ship destroyed ▶ dead; end of the path ▶ levelComplete
+//   paused         resume ▶ playing
+//   dead           after DEATH_DELAY, a life gone: ▶ respawning at the last
+//                  checkpoint, or ▶ results ('gameOver') with none left
+//   respawning     after RESPAWN_DELAY ▶ playing
+//   levelComplete  after COMPLETE_DELAY ▶ results ('clear')
+//   results        start ▶ playing; quit ▶ title
+//
+// restart() starts the run over from anywhere but the title.
+//
+// The flow drives a simulation (and optionally the fixed-step loop, which
+// only runs in playing, dead and levelComplete) and keeps the run's stats.
+// Feed it every tick with `handleTick(state)` and wall time with
+// `update(ms)`; the timed states (dead, respawning, levelComplete) move on by
+// themselves. Screens are the host's: subscribe and draw what `getSnapshot()`
+// says. Nothing here touches three.js, React or the DOM.
+// ============================================================================
+
+export const GAME_STATES = ['title', 'playing', 'paused', 'dead', 'respawning', 'levelComplete', 'results'];
+
+export const FLOW_CONFIG = {
+  LIVES: 3, // ships per run, the one flying included
+  DEATH_DELAY: 2000, // ms the wreck keeps flying before the next ship
+  RESPAWN_DELAY: 1500, // ms the new ship waits at the checkpoint
+  COMPLETE_DELAY: 3000, // ms of "course clear" before the results
+};
+
+// States the simulation runs in
+const RUNNING = new Set(['playing', 'dead', 'levelComplete']);
+
+// Time limits of the timed states, from FLOW_CONFIG
+const DELAYS = {
+  dead: 'DEATH_DELAY',
+  respawning: 'RESPAWN_DELAY',
+  levelComplete: 'COMPLETE_DELAY',
+};
+
+function emptyStats() {
+  return { ticks: 0, shotsFired: 0, shotsHit: 0, hitsTaken: 0, livesLost: 0 };
+}
+
+// Share of shots fired that struck something, 0-1
+export function accuracyOf({ shotsFired, shotsHit }) {
+  return shotsFired > 0 ? Math.min(1, shotsHit / shotsFired) : 0;
+}
+
+// Counts the player's shots, and the ones that struck something, from
+// simulation snapshots; bombs and their blasts don't count. Shot ids only
+// grow during a run (respawns keep them); `reset()` for a new one.
+export function createShotCounter() {
+  let lastShotId = 0;
+  let shotsThatHit = new Set();
+
+  return {
+    // One tick's new shots and hits, `{ fired, hit }`. A shot that hits in
+    // the tick it was fired never shows up in `projectiles`, so hits count
+    // as fired too.
+    count(state) {
+      const fired = new Set();
+      let hit = 0;
+      for (const { id, bomb } of state.projectiles) {
+        if (!bomb && id > lastShotId) fired.add(id);
+      }
+      for (const { projectileId, blast } of state.projectileHits) {
+        if (blast || shotsThatHit.has(projectileId)) continue;
+        shotsThatHit.add(projectileId);
+        hit++;
+        if (projectileId > lastShotId) fired.add(projectileId);
+      }
+      lastShotId = Math.max(lastShotId, ...fired);
+      return { fired: fired.size, hit };
+    },
+
+    reset() {
+      lastShotId = 0;
+      shotsThatHit = new Set();
+    },
+  };
+}
+
+// ============================================================================
+// FLOW
+// ============================================================================
+// `start` is the state a new flow opens in: 'title', or 'playing' to skip
+// the title screen. A `scoring` system (see scoring.js) is reset with each
+// new run and adds its score, hits and medal to the results; stepping it
+// stays with the host.
+export function createGameFlow({ simulation, loop = null, config = FLOW_CONFIG, start = 'title', scoring = null }) {
+  if (start !== 'title' && start !== 'playing') {
+    throw new Error(`Game flow can't start in "${start}" (use 'title' or 'playing')`);
+  }
+  const stepMs = 1000 / simulation.tickRate;
+  const listeners = new Set();
+
+  let current = null;
+  let timer = 0; // ms spent in a timed state
+  let pauseReason = null;
+  let lives;
+  let checkpoint; // spline progress of the last checkpoint passed
+  let stats;
+  let results;
+  const shots = createShotCounter();
+
+  function newRun() {
+    lives = config.LIVES;
+    checkpoint = 0;
+    stats = emptyStats();
+    results = null;
+    shots.reset();
+    if (scoring) scoring.reset();
+  }
+
+  function getSnapshot() {
+    const limit = DELAYS[current] ? config[DELAYS[current]] : 0;
+    return {
+      state: current,
+      lives,
+      checkpoint,
+      pauseReason,
+      timeLeft: Math.max(0, limit - timer),
+      stats: { ...stats, time: stats.ticks * stepMs, accuracy: accuracyOf(stats) },
+      results,
+    };
+  }
+
+  // Listeners get `{ from, to, reason, flow }`, `flow` being the snapshot
+  // after the change. `newRun` marks a change that reset the simulation.
+  function enter(to, reason, extra = {}) {
+    const from = current;
+    current = to;
+    timer = 0;
+    if (to !== 'paused') pauseReason = null;
+    if (loop) {
+      if (RUNNING.has(to)) loop.resume();
+      else loop.pause();
+    }
+    const change = { from, to, reason, newRun: false, ...extra, flow: getSnapshot() };
+    for (const listener of [...listeners]) listener(change);
+  }
+
+  function finish(outcome) {
+    const { stats: final } = getSnapshot();
+    results = { outcome, ...final, livesLeft: lives, ...(scoring ? scoring.results(outcome) : {}) };
+    enter('results', outcome);
+  }
+
+  // `reason` says why, e.g. 'input', 'blur' or 'gamepad', for the pause
+  // screen to show. Only a run in play pauses.
+  function pause(reason = 'input') {
+    if (current !== 'playing') return false;
+    pauseReason = reason;
+    enter('paused', reason);
+    return true;
+  }
+
+  function resume() {
+    if (current !== 'paused') return false;
+    enter('playing', 'resume');
+    return true;
+  }
+
+  newRun();
+  enter(start, 'start', { newRun: true });
+
+  return {
+    getState: () => current,
+    getSnapshot,
+    isRunning: () => RUNNING.has(current),
+    // Whether the ship takes live input
+    acceptsInput: () => current === 'playing',
+
+    // Returns a function that unsubscribes
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // After every simulation tick; only ticks in play count towards the
+    // stats and checkpoints
+    handleTick(state) {
+      if (current !== 'playing') return;
+      stats.ticks++;
+      const { fired, hit } = shots.count(state);
+      stats.shotsFired += fired;
+      stats.shotsHit += hit;
+      if (state.events.includes('hit')) stats.hitsTaken++;
+      if (state.levelEvents.some(event => event.type === 'checkpoint')) checkpoint = state.splineProgress;
+      // An endless path lets go of what is behind, so the ship comes back
+      // where it went down
+      if (state.events.includes('destroyed') && simulation.spline.endless) checkpoint = state.splineProgress;
+      if (state.events.includes('destroyed')) enter('dead', 'destroyed');
+      else if (state.events.includes('levelComplete')) enter('levelComplete', 'levelComplete');
+    },
+
+    // Wall time passing (ms), paused or not; moves the timed states on
+    update(ms) {
+      const delay = DELAYS[current];
+      if (!delay) return;
+      timer += ms;
+      if (timer < config[delay]) return;
+
+      if (current === 'dead') {
+        lives--;
+        stats.livesLost++;
+        if (lives <= 0) {
+          finish('gameOver');
+        } else {
+          simulation.respawn(checkpoint);
+          enter('respawning', 'respawn');
+        }
+      } else if (current === 'respawning') {
+        enter('playing', 'ready');
+      } else {
+        finish('clear');
+      }
+    },
+
+    // From the title or the results: a new run from the top
+    start() {
+      if (current !== 'title' && current !== 'results') return false;
+      newRun();
+      simulation.reset();
+      enter('playing', 'start', { newRun: true });
+      return true;
+    },
+
+    // Anywhere but the title: start the run over
+    restart() {
+      if (current === 'title') return false;
+      newRun();
+      simulation.reset();
+      enter('playing', 'restart', { newRun: true });
+      return true;
+    },
+
+    // Back to the title screen, dropping the run
+    quit() {
+      if (current === 'title') return false;
+      newRun();
+      simulation.reset();
+      enter('title', 'quit', { newRun: true });
+      return true;
+    },
+
+    pause,
+    resume,
+    togglePause: (reason = 'input') => (current === 'paused' ? resume() : pause(reason)),
+  };
+}
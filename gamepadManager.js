@@ -0,0 +1,272 @@
+// ============================================================================
+// GAMEPAD MANAGER
+// ----------------------------------------------------------------------------
+// Tracks connected pads (hot-plug), lets the player pick one, normalizes
+// every pad to the W3C "standard" layout (with fallback tables for pads the
+// browser doesn't map), applies radial deadzones and response curves to the
+// sticks, exposes analog trigger values and drives rumble. `sample()` reads
+// the pad fresh and is meant to be called from the frame loop.
+// ============================================================================
+
+// Standard-layout button indices
+export const BUTTON = {
+  A: 0, B: 1, X: 2, Y: 3,
+  LB: 4, RB: 5, LT: 6, RT: 7,
+  BACK: 8, START: 9, L3: 10, R3: 11,
+  DPAD_UP: 12, DPAD_DOWN: 13, DPAD_LEFT: 14, DPAD_RIGHT: 15,
+  HOME: 16,
+};
+
+const STANDARD_BUTTON_COUNT = 17;
+
+export const RUMBLE_EFFECTS = {
+  fire: { duration: 40, strong: 0, weak: 0.2 },
+  roll: { duration: 200, strong: 0.25, weak: 0.5 },
+  maneuver: { duration: 300, strong: 0.4, weak: 0.4 },
+  charge: { duration: 150, strong: 0.5, weak: 0.3 },
+  bomb: { duration: 400, strong: 1, weak: 0.8 },
+  hit: { duration: 300, strong: 0.9, weak: 0.6 },
+};
+
+// ============================================================================
+// MAPPING TABLES
+// ----------------------------------------------------------------------------
+// `buttons[standardIndex] = rawIndex` (null if the pad lacks it), `sticks`
+// lists the raw axes for [LX, LY, RX, RY], and each trigger reads either a
+// raw button or a raw axis that rests at -1 and reaches 1 fully pressed.
+// Some browsers (Firefox, and some pads on Linux) report such an axis as 0
+// until the trigger is first pressed, so an axis reads as released until it
+// has moved off 0.
+// ============================================================================
+const IDENTITY_BUTTONS = Array.from({ length: STANDARD_BUTTON_COUNT }, (_, i) => i);
+
+const STANDARD_MAPPING = {
+  name: 'standard',
+  buttons: IDENTITY_BUTTONS,
+  sticks: [0, 1, 2, 3],
+  triggers: { left: { button: BUTTON.LT }, right: { button: BUTTON.RT } },
+};
+
+export const FALLBACK_MAPPINGS = [
+  {
+    // XInput pads without a standard mapping (e.g. Firefox on Linux)
+    name: 'xinput',
+    match: /xbox|x-box|xinput|045e/i,
+    buttons: [0, 1, 2, 3, 4, 5, null, null, 6, 7, 9, 10, null, null, null, null, 8],
+    sticks: [0, 1, 3, 4],
+    triggers: { left: { axis: 2 }, right: { axis: 5 } },
+  },
+  {
+    // DualShock / DualSense without a standard mapping
+    name: 'playstation',
+    match: /054c|playstation|dualshock|dualsense|wireless controller/i,
+    buttons: [1, 2, 0, 3, 4, 5, null, null, 8, 9, 10, 11, null, null, null, null, 12],
+    sticks: [0, 1, 2, 5],
+    triggers: { left: { axis: 3 }, right: { axis: 4 } },
+  },
+];
+
+// Unknown pads: assume the raw layout already matches the standard one
+const GENERIC_MAPPING = { ...STANDARD_MAPPING, name: 'generic' };
+
+export function findMapping(gamepad, fallbacks = FALLBACK_MAPPINGS) {
+  if (gamepad.mapping === 'standard') return STANDARD_MAPPING;
+  return fallbacks.find(m => m.match.test(gamepad.id)) || GENERIC_MAPPING;
+}
+
+// ============================================================================
+// STICK SHAPING
+// ============================================================================
+// Radial deadzone: the stick is dead inside a circle rather than a square,
+// so diagonals aren't clipped, and the live range is rescaled to start at 0.
+// `curve` > 1 gives finer control near the centre.
+export function applyRadialDeadzone(x, y, deadzone = 0.15, curve = 1) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude < deadzone || magnitude === 0) return { x: 0, y: 0 };
+
+  const scaled = Math.min((Math.min(magnitude, 1) - deadzone) / (1 - deadzone), 1);
+  const shaped = Math.pow(scaled, curve);
+  return { x: (x / magnitude) * shaped, y: (y / magnitude) * shaped };
+}
+
+// `awake` is whether an axis trigger has moved off 0 yet
+function readTrigger(gamepad, spec, awake) {
+  if (spec.axis !== undefined) {
+    const raw = gamepad.axes[spec.axis];
+    return raw === undefined || !awake ? 0 : Math.max(0, Math.min(1, (raw + 1) / 2));
+  }
+  const button = gamepad.buttons[spec.button];
+  return button ? button.value || (button.pressed ? 1 : 0) : 0;
+}
+
+function describePad(gamepad) {
+  return { index: gamepad.index, id: gamepad.id, mapping: findMapping(gamepad).name };
+}
+
+const EMPTY_SAMPLE = Object.freeze({
+  connected: false,
+  pad: null,
+  axes: [0, 0, 0, 0],
+  buttons: new Array(STANDARD_BUTTON_COUNT).fill(0),
+});
+
+// ============================================================================
+// MANAGER
+// ============================================================================
+export function createGamepadManager({
+  target = typeof window !== 'undefined' ? window : null,
+  deadzone = 0.15,
+  responseCurve = 1.5,
+  triggerThreshold = 0.05,
+  rumble = true,
+  fallbacks = FALLBACK_MAPPINGS,
+} = {}) {
+  const pads = new Map();
+  // Raw trigger axes, by pad index, that have reported something but 0
+  const awakeAxes = new Map();
+  const listeners = new Set();
+  let selectedIndex = null;
+  let rumbleEnabled = rumble;
+
+  const readPads = () => {
+    try {
+      return typeof navigator !== 'undefined' && navigator.getGamepads
+        ? [...navigator.getGamepads()].filter(Boolean)
+        : [];
+    } catch (e) {
+      // Gamepad API not available in this context (sandboxed iframe)
+      return [];
+    }
+  };
+
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  function connect(gamepad) {
+    if (pads.has(gamepad.index)) return;
+    const pad = describePad(gamepad);
+    pads.set(gamepad.index, pad);
+    emit({ type: 'connected', pad });
+  }
+
+  function disconnect(index) {
+    const pad = pads.get(index);
+    if (!pad) return;
+    pads.delete(index);
+    awakeAxes.delete(index);
+    if (selectedIndex === index) selectedIndex = null;
+    emit({ type: 'disconnected', pad });
+  }
+
+  const handleConnected = (e) => connect(e.gamepad);
+  const handleDisconnected = (e) => disconnect(e.gamepad.index);
+
+  if (target) {
+    target.addEventListener('gamepadconnected', handleConnected);
+    target.addEventListener('gamepaddisconnected', handleDisconnected);
+  }
+
+  // Pads already connected before the listeners were attached (or in
+  // browsers that only expose them after a button press) show up here
+  function refresh() {
+    const present = readPads();
+    present.forEach(connect);
+    for (const index of [...pads.keys()]) {
+      if (!present.some(gp => gp.index === index)) disconnect(index);
+    }
+    return present;
+  }
+
+  function activeGamepad(present) {
+    if (selectedIndex !== null) {
+      return present.find(gp => gp.index === selectedIndex) || null;
+    }
+    return present[0] || null;
+  }
+
+  function triggerAwake(gamepad, spec) {
+    if (spec.axis === undefined) return true;
+    if (!awakeAxes.has(gamepad.index)) awakeAxes.set(gamepad.index, new Set());
+    const awake = awakeAxes.get(gamepad.index);
+    const raw = gamepad.axes[spec.axis];
+    if (raw !== undefined && raw !== 0) awake.add(spec.axis);
+    return awake.has(spec.axis);
+  }
+
+  // Read the active pad in standard layout: sticks shaped, buttons as
+  // analog values in [0, 1], triggers from whichever source the mapping uses
+  function sample() {
+    const gamepad = activeGamepad(refresh());
+    if (!gamepad) return EMPTY_SAMPLE;
+
+    const mapping = findMapping(gamepad, fallbacks);
+    const [lx, ly, rx, ry] = mapping.sticks.map(axis => gamepad.axes[axis] || 0);
+    const left = applyRadialDeadzone(lx, ly, deadzone, responseCurve);
+    const right = applyRadialDeadzone(rx, ry, deadzone, responseCurve);
+
+    const buttons = mapping.buttons.map(raw => {
+      const button = raw === null ? null : gamepad.buttons[raw];
+      return button ? button.value || (button.pressed ? 1 : 0) : 0;
+    });
+
+    const { left: leftTrigger, right: rightTrigger } = mapping.triggers;
+    const lt = readTrigger(gamepad, leftTrigger, triggerAwake(gamepad, leftTrigger));
+    const rt = readTrigger(gamepad, rightTrigger, triggerAwake(gamepad, rightTrigger));
+    buttons[BUTTON.LT] = lt < triggerThreshold ? 0 : lt;
+    buttons[BUTTON.RT] = rt < triggerThreshold ? 0 : rt;
+
+    return {
+      connected: true,
+      pad: pads.get(gamepad.index) || describePad(gamepad),
+      axes: [left.x, left.y, right.x, right.y],
+      buttons,
+    };
+  }
+
+  // Play a rumble effect ({ duration, strong, weak }, or a RUMBLE_EFFECTS
+  // name) on the active pad. Silently does nothing where unsupported.
+  function vibrate(effect) {
+    if (!rumbleEnabled) return;
+    const params = typeof effect === 'string' ? RUMBLE_EFFECTS[effect] : effect;
+    const gamepad = params && activeGamepad(readPads());
+    if (!gamepad) return;
+
+    try {
+      if (gamepad.vibrationActuator && gamepad.vibrationActuator.playEffect) {
+        gamepad.vibrationActuator.playEffect('dual-rumble', {
+          duration: params.duration,
+          strongMagnitude: params.strong,
+          weakMagnitude: params.weak,
+        }).catch(() => {});
+      } else if (gamepad.hapticActuators && gamepad.hapticActuators[0]) {
+        gamepad.hapticActuators[0].pulse(Math.max(params.strong, params.weak), params.duration).catch(() => {});
+      }
+    } catch (e) {
+      // Haptics are best-effort
+    }
+  }
+
+  return {
+    sample,
+    vibrate,
+    getPads: () => [...pads.values()],
+    // `null` follows the first connected pad
+    selectPad(index) {
+      selectedIndex = index;
+    },
+    getSelectedPad: () => selectedIndex,
+    setRumbleEnabled(enabled) {
+      rumbleEnabled = enabled;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    dispose() {
+      if (target) {
+        target.removeEventListener('gamepadconnected', handleConnected);
+        target.removeEventListener('gamepaddisconnected', handleDisconnected);
+      }
+      listeners.clear();
+    },
+  };
+}
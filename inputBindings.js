@@ -0,0 +1,514 @@
+// ============================================================================
+// INPUT BINDINGS
+// ----------------------------------------------------------------------------
+// Maps physical inputs (keys, mouse buttons, pointer position, gamepad
+// buttons and axes, on-screen touch controls) to game actions. A profile
+// holds any number of bindings per action; profiles are persisted to
+// localStorage and can be exported or imported as JSON. `resolveInput` turns
+// a profile plus a raw device snapshot into the combined input object the
+// simulation consumes.
+// ============================================================================
+
+export const ACTIONS = [
+  'moveUp', 'moveDown', 'moveLeft', 'moveRight',
+  'aimUp', 'aimDown', 'aimLeft', 'aimRight',
+  'boost', 'brake', 'dodge', 'fire', 'bomb', 'camera', 'pause', 'debug',
+];
+
+export const ACTION_LABELS = {
+  moveUp: 'Move Up',
+  moveDown: 'Move Down',
+  moveLeft: 'Move Left',
+  moveRight: 'Move Right',
+  aimUp: 'Aim Up',
+  aimDown: 'Aim Down',
+  aimLeft: 'Aim Left',
+  aimRight: 'Aim Right',
+  boost: 'Boost',
+  brake: 'Brake',
+  dodge: 'Barrel Roll',
+  fire: 'Fire',
+  bomb: 'Bomb',
+  camera: 'Camera',
+  pause: 'Pause',
+  debug: 'Debug Overlay',
+};
+
+// Groups shown in the HUD controls panel, in display order (the debug
+// overlay toggle is left out; the overlay names its own key)
+export const CONTROL_GROUPS = [
+  { label: 'Move', actions: ['moveUp', 'moveLeft', 'moveDown', 'moveRight'] },
+  { label: 'Aim', actions: ['aimUp', 'aimLeft', 'aimDown', 'aimRight'] },
+  { label: 'Fire', actions: ['fire'] },
+  { label: 'Bomb', actions: ['bomb'] },
+  { label: 'Boost', actions: ['boost'] },
+  { label: 'Brake', actions: ['brake'] },
+  { label: 'Barrel Roll', actions: ['dodge'] },
+  { label: 'Camera', actions: ['camera'] },
+  { label: 'Pause', actions: ['pause'] },
+];
+
+// Binding constructors
+export const key = (code) => ({ type: 'key', code });
+export const mouseButton = (button) => ({ type: 'mouseButton', button });
+export const pointer = (axis, direction) => ({ type: 'pointer', axis, direction });
+export const gamepadButton = (index) => ({ type: 'gamepadButton', index });
+export const gamepadAxis = (axis, direction) => ({ type: 'gamepadAxis', axis, direction });
+export const touchStick = (stick, axis, direction) => ({ type: 'touchStick', stick, axis, direction });
+export const touchButton = (button) => ({ type: 'touchButton', button });
+
+export const DEFAULT_PROFILE = {
+  name: 'Default',
+  bindings: {
+    moveUp: [key('KeyW'), key('ArrowUp'), gamepadAxis(1, -1), touchStick('move', 'y', 1)],
+    moveDown: [key('KeyS'), key('ArrowDown'), gamepadAxis(1, 1), touchStick('move', 'y', -1)],
+    moveLeft: [key('KeyA'), key('ArrowLeft'), gamepadAxis(0, -1), touchStick('move', 'x', -1)],
+    moveRight: [key('KeyD'), key('ArrowRight'), gamepadAxis(0, 1), touchStick('move', 'x', 1)],
+    aimUp: [pointer('y', 1), gamepadAxis(3, -1), touchStick('aim', 'y', 1)],
+    aimDown: [pointer('y', -1), gamepadAxis(3, 1), touchStick('aim', 'y', -1)],
+    aimLeft: [pointer('x', -1), gamepadAxis(2, -1), touchStick('aim', 'x', -1)],
+    aimRight: [pointer('x', 1), gamepadAxis(2, 1), touchStick('aim', 'x', 1)],
+    boost: [key('ShiftLeft'), key('ShiftRight'), gamepadButton(7), touchButton('boost')],
+    brake: [key('KeyQ'), key('ControlLeft'), gamepadButton(2), touchButton('brake')],
+    dodge: [key('Space'), key('KeyE'), gamepadButton(4), gamepadButton(5), touchButton('dodge')],
+    fire: [mouseButton(0), gamepadButton(6), touchButton('fire')],
+    bomb: [key('KeyB'), gamepadButton(1), touchButton('bomb')],
+    camera: [key('KeyC'), gamepadButton(3)],
+    pause: [key('Escape'), key('KeyP'), gamepadButton(9)],
+    debug: [key('Backquote')],
+  },
+};
+
+// Raw device state, as collected by the input manager
+export function createDeviceState() {
+  return {
+    keys: new Set(),
+    mouseButtons: new Set(),
+    pointer: { x: 0, y: 0 },
+    gamepad: { axes: [], buttons: [] },
+    touch: null,
+  };
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+// Value of one binding in [0, 1]. Gamepad axes are expected to be
+// deadzoned already (see gamepadManager.js).
+export function bindingValue(binding, devices) {
+  switch (binding.type) {
+    case 'key':
+      return devices.keys.has(binding.code) ? 1 : 0;
+    case 'mouseButton':
+      return devices.mouseButtons.has(binding.button) ? 1 : 0;
+    case 'pointer':
+      return Math.max(0, (devices.pointer[binding.axis] || 0) * binding.direction);
+    case 'gamepadButton':
+      return devices.gamepad.buttons[binding.index] || 0;
+    case 'gamepadAxis':
+      return Math.max(0, (devices.gamepad.axes[binding.axis] || 0) * binding.direction);
+    case 'touchStick': {
+      const source = devices.touch && (binding.stick === 'aim' ? devices.touch.aim : devices.touch.stick);
+      return source ? Math.max(0, (source[binding.axis] || 0) * binding.direction) : 0;
+    }
+    case 'touchButton':
+      return devices.touch && devices.touch.buttons[binding.button] ? 1 : 0;
+    default:
+      return 0;
+  }
+}
+
+function actionValue(profile, action, devices) {
+  const bindings = profile.bindings[action] || [];
+  return bindings.reduce((max, binding) => Math.max(max, bindingValue(binding, devices)), 0);
+}
+
+// Signed axis from a pair of opposing actions. The stronger side wins, so an
+// analog stick overrides a slightly-off-centre mouse and vice versa.
+function axisValue(profile, negative, positive, devices) {
+  const neg = actionValue(profile, negative, devices);
+  const pos = actionValue(profile, positive, devices);
+  return pos >= neg ? pos : -neg;
+}
+
+// `boostAmount` and `brakeAmount` carry the analog boost and brake values
+// (a half-pulled trigger gives ~0.5; keys and digital buttons give 1).
+export function resolveInput(profile, devices) {
+  const boostAmount = actionValue(profile, 'boost', devices);
+  const brakeAmount = actionValue(profile, 'brake', devices);
+  return {
+    moveX: axisValue(profile, 'moveLeft', 'moveRight', devices),
+    moveY: axisValue(profile, 'moveDown', 'moveUp', devices),
+    aimX: axisValue(profile, 'aimLeft', 'aimRight', devices),
+    aimY: axisValue(profile, 'aimDown', 'aimUp', devices),
+    boostAmount,
+    boost: boostAmount > 0.1,
+    brakeAmount,
+    brake: brakeAmount > 0.1,
+    dodge: actionValue(profile, 'dodge', devices) > 0.5,
+    fire: actionValue(profile, 'fire', devices) > 0.5,
+    bomb: actionValue(profile, 'bomb', devices) > 0.5,
+    camera: actionValue(profile, 'camera', devices) > 0.5,
+    pause: actionValue(profile, 'pause', devices) > 0.5,
+    debug: actionValue(profile, 'debug', devices) > 0.5,
+  };
+}
+
+// Key codes bound to any action, so listeners can preventDefault only those
+export function boundKeyCodes(profile) {
+  const codes = new Set();
+  for (const bindings of Object.values(profile.bindings)) {
+    for (const binding of bindings) {
+      if (binding.type === 'key') codes.add(binding.code);
+    }
+  }
+  return codes;
+}
+
+// ============================================================================
+// EDITING & CONFLICTS
+// ============================================================================
+export function bindingId(binding) {
+  switch (binding.type) {
+    case 'key': return `key:${binding.code}`;
+    case 'mouseButton': return `mouse:${binding.button}`;
+    case 'pointer': return `pointer:${binding.axis}${binding.direction > 0 ? '+' : '-'}`;
+    case 'gamepadButton': return `pad:button:${binding.index}`;
+    case 'gamepadAxis': return `pad:axis:${binding.axis}${binding.direction > 0 ? '+' : '-'}`;
+    case 'touchStick': return `touch:${binding.stick}:${binding.axis}${binding.direction > 0 ? '+' : '-'}`;
+    case 'touchButton': return `touch:button:${binding.button}`;
+    default: return `unknown:${JSON.stringify(binding)}`;
+  }
+}
+
+// Return a copy of `profile` with `binding` added to `action`. With
+// `replace`, the binding is first removed from every other action.
+export function bindAction(profile, action, binding, { replace = false } = {}) {
+  const id = bindingId(binding);
+  const bindings = {};
+
+  for (const name of ACTIONS) {
+    let list = profile.bindings[name] || [];
+    if (replace && name !== action) list = list.filter(b => bindingId(b) !== id);
+    bindings[name] = list;
+  }
+
+  if (!bindings[action].some(b => bindingId(b) === id)) {
+    bindings[action] = [...bindings[action], binding];
+  }
+
+  return { ...profile, bindings };
+}
+
+export function unbindAction(profile, action, binding) {
+  const id = bindingId(binding);
+  return {
+    ...profile,
+    bindings: {
+      ...profile.bindings,
+      [action]: (profile.bindings[action] || []).filter(b => bindingId(b) !== id),
+    },
+  };
+}
+
+// Physical inputs bound to more than one action:
+// [{ id, binding, actions: ['boost', 'fire'] }]
+export function findConflicts(profile) {
+  const byId = new Map();
+
+  for (const action of ACTIONS) {
+    for (const binding of profile.bindings[action] || []) {
+      const id = bindingId(binding);
+      if (!byId.has(id)) byId.set(id, { id, binding, actions: [] });
+      const entry = byId.get(id);
+      if (!entry.actions.includes(action)) entry.actions.push(action);
+    }
+  }
+
+  return [...byId.values()].filter(entry => entry.actions.length > 1);
+}
+
+// ============================================================================
+// LABELS
+// ============================================================================
+const KEY_LABELS = {
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  ShiftLeft: 'SHIFT', ShiftRight: 'R-SHIFT',
+  ControlLeft: 'CTRL', ControlRight: 'R-CTRL',
+  AltLeft: 'ALT', AltRight: 'R-ALT',
+  Space: 'SPACE', Enter: 'ENTER', Tab: 'TAB', Escape: 'ESC', Backspace: 'BKSP',
+  Backquote: '`',
+};
+
+const MOUSE_LABELS = ['Click', 'Middle Click', 'Right Click'];
+
+// Standard-mapping gamepad button names
+const GAMEPAD_BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+  'Back', 'Start', 'L3', 'R3', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Home',
+];
+
+const GAMEPAD_STICKS = { 0: 'L-Stick', 1: 'L-Stick', 2: 'R-Stick', 3: 'R-Stick' };
+
+export function isGamepadBinding(binding) {
+  return binding.type === 'gamepadButton' || binding.type === 'gamepadAxis';
+}
+
+export function isTouchBinding(binding) {
+  return binding.type === 'touchStick' || binding.type === 'touchButton';
+}
+
+export function describeBinding(binding) {
+  switch (binding.type) {
+    case 'key': {
+      if (KEY_LABELS[binding.code]) return KEY_LABELS[binding.code];
+      return binding.code.replace(/^Key/, '').replace(/^Digit/, '').toUpperCase();
+    }
+    case 'mouseButton':
+      return MOUSE_LABELS[binding.button] || `Mouse ${binding.button}`;
+    case 'pointer':
+      return 'Mouse';
+    case 'gamepadButton':
+      return GAMEPAD_BUTTON_LABELS[binding.index] || `Button ${binding.index}`;
+    case 'gamepadAxis':
+      return GAMEPAD_STICKS[binding.axis] || `Axis ${binding.axis}`;
+    case 'touchStick':
+      return binding.stick === 'aim' ? 'Drag' : 'Touch Stick';
+    case 'touchButton':
+      return 'Touch';
+    default:
+      return '?';
+  }
+}
+
+// Labels for one device class across a set of actions, e.g. "W/A/S/D"
+function describeActions(profile, actions, gamepad) {
+  const labels = [];
+  for (const action of actions) {
+    const binding = (profile.bindings[action] || [])
+      .find(b => !isTouchBinding(b) && isGamepadBinding(b) === gamepad);
+    if (!binding) continue;
+    const label = describeBinding(binding);
+    if (!labels.includes(label)) labels.push(label);
+  }
+  return labels.join('/');
+}
+
+// Keyboard/mouse and gamepad labels for a list of actions
+export function describeControl(profile, actions) {
+  return {
+    keyboard: describeActions(profile, actions, false),
+    gamepad: describeActions(profile, actions, true),
+  };
+}
+
+// Lines for the HUD controls panel, e.g. "W/A/S/D / L-Stick - Move"
+export function describeControls(profile) {
+  return CONTROL_GROUPS.map(({ label, actions }) => {
+    const { keyboard, gamepad } = describeControl(profile, actions);
+    const devices = [keyboard, gamepad].filter(Boolean).join(' / ');
+    return { label, devices: devices || 'Unbound' };
+  });
+}
+
+// ============================================================================
+// PROFILE STORE
+// ============================================================================
+const STORAGE_KEY = 'starfox-controller.input-profiles';
+
+function defaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (e) {
+    // Storage access can throw in sandboxed iframes
+    return null;
+  }
+}
+
+// The fields each binding type needs, with their checks
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+const isName = (value) => typeof value === 'string' && value !== '';
+const isDirection = (value) => value === 1 || value === -1;
+const isXY = (value) => value === 'x' || value === 'y';
+const BINDING_FIELDS = {
+  key: { code: isName },
+  mouseButton: { button: isIndex },
+  pointer: { axis: isXY, direction: isDirection },
+  gamepadButton: { index: isIndex },
+  gamepadAxis: { axis: isIndex, direction: isDirection },
+  touchStick: { stick: (value) => value === 'move' || value === 'aim', axis: isXY, direction: isDirection },
+  touchButton: { button: isName },
+};
+
+function validateBinding(profile, action, binding) {
+  const fields = binding && BINDING_FIELDS[binding.type];
+  if (!fields) {
+    const type = binding && binding.type;
+    throw new Error(`Input profile "${profile.name}": a "${action}" binding has unknown type "${type}"`);
+  }
+  for (const [field, valid] of Object.entries(fields)) {
+    if (!valid(binding[field])) {
+      throw new Error(`Input profile "${profile.name}": a "${action}" ${binding.type} binding has a bad "${field}"`);
+    }
+  }
+}
+
+function validateProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || !profile.name) {
+    throw new Error('Input profile needs a non-empty "name"');
+  }
+  if (!profile.bindings || typeof profile.bindings !== 'object') {
+    throw new Error(`Input profile "${profile.name}" needs a "bindings" object`);
+  }
+  for (const [action, bindings] of Object.entries(profile.bindings)) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Input profile "${profile.name}" binds unknown action "${action}"`);
+    }
+    if (!Array.isArray(bindings)) {
+      throw new Error(`Input profile "${profile.name}": bindings for "${action}" must be an array`);
+    }
+    for (const binding of bindings) validateBinding(profile, action, binding);
+  }
+  return profile;
+}
+
+// Holds named profiles and which one is active, persisting every change.
+// Pass `storage: null` to keep everything in memory.
+export function createBindingStore({ storage = defaultStorage(), storageKey = STORAGE_KEY } = {}) {
+  let profiles = { [DEFAULT_PROFILE.name]: DEFAULT_PROFILE };
+  let activeName = DEFAULT_PROFILE.name;
+  const listeners = new Set();
+
+  if (storage) {
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey));
+      if (saved) {
+        for (const profile of saved.profiles || []) {
+          profiles[profile.name] = validateProfile(profile);
+        }
+        if (profiles[saved.active]) activeName = saved.active;
+      }
+    } catch (e) {
+      // Corrupt or foreign data: start from the defaults
+      profiles = { [DEFAULT_PROFILE.name]: DEFAULT_PROFILE };
+      activeName = DEFAULT_PROFILE.name;
+    }
+  }
+
+  function persist() {
+    if (storage) {
+      try {
+        storage.setItem(storageKey, JSON.stringify({
+          active: activeName,
+          profiles: Object.values(profiles).filter(p => p !== DEFAULT_PROFILE),
+        }));
+      } catch (e) {
+        // Quota exceeded or storage disabled; keep working in memory
+      }
+    }
+    listeners.forEach(listener => listener(profiles[activeName]));
+  }
+
+  return {
+    getActiveProfile: () => profiles[activeName],
+    getProfile: (name) => profiles[name] || null,
+    listProfiles: () => Object.keys(profiles),
+
+    setActiveProfile(name) {
+      if (!profiles[name]) throw new Error(`Unknown input profile "${name}"`);
+      activeName = name;
+      persist();
+    },
+
+    saveProfile(profile) {
+      profiles = { ...profiles, [profile.name]: validateProfile(profile) };
+      persist();
+    },
+
+    deleteProfile(name) {
+      if (name === DEFAULT_PROFILE.name) throw new Error('The default input profile cannot be deleted');
+      const { [name]: removed, ...rest } = profiles;
+      profiles = rest;
+      if (activeName === name) activeName = DEFAULT_PROFILE.name;
+      persist();
+    },
+
+    exportProfile(name = activeName) {
+      if (!profiles[name]) throw new Error(`Unknown input profile "${name}"`);
+      return JSON.stringify(profiles[name], null, 2);
+    },
+
+    // Import a profile from JSON and make it active. Returns its name.
+    importProfile(json) {
+      const profile = validateProfile(typeof json === 'string' ? JSON.parse(json) : json);
+      profiles = { ...profiles, [profile.name]: profile };
+      activeName = profile.name;
+      persist();
+      return profile.name;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// ============================================================================
+// BINDING CAPTURE
+// ============================================================================
+// Wait for the next key press, mouse click or gamepad button/axis and report
+// it as a binding, for "press a key to rebind" menus. Returns a cancel
+// function.
+export function captureNextBinding(onCapture, { target = window, axisThreshold = 0.6 } = {}) {
+  let frame = null;
+  let baseline = null;
+
+  const finish = (binding) => {
+    cancel();
+    onCapture(binding);
+  };
+
+  const handleKeyDown = (e) => {
+    e.preventDefault();
+    finish(key(e.code));
+  };
+
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    finish(mouseButton(e.button));
+  };
+
+  // Compare against the pad's resting state so a trigger that idles at -1
+  // or a drifting stick doesn't capture immediately
+  const pollGamepad = () => {
+    const gp = typeof navigator !== 'undefined' && navigator.getGamepads
+      ? [...navigator.getGamepads()].find(Boolean)
+      : null;
+
+    if (gp) {
+      if (!baseline) baseline = { axes: [...gp.axes], buttons: gp.buttons.map(b => b.pressed) };
+
+      const button = gp.buttons.findIndex((b, i) => b.pressed && !baseline.buttons[i]);
+      if (button !== -1) return finish(gamepadButton(button));
+
+      const axis = gp.axes.findIndex((v, i) => Math.abs(v - baseline.axes[i]) > axisThreshold);
+      if (axis !== -1) return finish(gamepadAxis(axis, Math.sign(gp.axes[axis] - baseline.axes[axis])));
+    }
+
+    frame = requestAnimationFrame(pollGamepad);
+  };
+
+  function cancel() {
+    target.removeEventListener('keydown', handleKeyDown, true);
+    target.removeEventListener('mousedown', handleMouseDown, true);
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+  }
+
+  target.addEventListener('keydown', handleKeyDown, true);
+  target.addEventListener('mousedown', handleMouseDown, true);
+  frame = requestAnimationFrame(pollGamepad);
+
+  return cancel;
+}
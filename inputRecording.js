@@ -0,0 +1,276 @@
+// ============================================================================
+// INPUT RECORDING & REPLAY
+// ----------------------------------------------------------------------------
+// Captures the combined input object (moveX/moveY/aimX/aimY/boostAmount/
+// brakeAmount and boost/brake/dodge/fire/bomb) once per simulation tick and plays it back. Because
+// the simulation is deterministic, feeding a recording back in reproduces the
+// original run exactly — for bug reports, attract-mode demos and ghost ships.
+// ============================================================================
+
+import { DEFAULT_TICK_RATE } from './fixedStepLoop.js';
+
+export const RECORDING_VERSION = 3;
+
+// Analog axes are stored as integers in thousandths
+const AXIS_SCALE = 1000;
+const AXES = ['moveX', 'moveY', 'aimX', 'aimY', 'boostAmount', 'brakeAmount'];
+const BUTTONS = ['boost', 'dodge', 'fire', 'bomb', 'brake'];
+
+const BINARY_MAGIC = [0x53, 0x46, 0x49, 0x52]; // "SFIR"
+
+const EMPTY_FRAME = Object.freeze({
+  moveX: 0, moveY: 0, aimX: 0, aimY: 0, boostAmount: 0, brakeAmount: 0,
+  boost: false, brake: false, dodge: false, fire: false, bomb: false,
+});
+
+// ============================================================================
+// FRAME QUANTIZATION
+// ============================================================================
+// No -0: the saved formats can't keep its sign, so a loaded recording
+// would differ from the frames the live run was flown with
+function toInt(value) {
+  return Math.round(Math.max(-1, Math.min(1, value || 0)) * AXIS_SCALE) || 0;
+}
+
+function packButtons(frame) {
+  return BUTTONS.reduce((bits, name, i) => (frame[name] ? bits | (1 << i) : bits), 0);
+}
+
+function frameFromInts(axes, buttons) {
+  const frame = {};
+  AXES.forEach((name, i) => { frame[name] = axes[i] / AXIS_SCALE; });
+  BUTTONS.forEach((name, i) => { frame[name] = (buttons & (1 << i)) !== 0; });
+  return frame;
+}
+
+// Trigger amounts the frame leaves out, as the simulation reads them: a
+// pressed boost or brake without an amount runs at full strength
+const THROTTLES = { boostAmount: 'boost', brakeAmount: 'brake' };
+
+function axisValue(frame, name) {
+  if (frame[name] !== undefined || !THROTTLES[name]) return frame[name];
+  return frame[THROTTLES[name]] ? 1 : 0;
+}
+
+function frameToInts(frame) {
+  return [...AXES.map(name => toInt(axisValue(frame, name))), packButtons(frame)];
+}
+
+// Round an input object to the precision a recording stores. Live input must
+// go through this before reaching the simulation, otherwise the replay would
+// see slightly different axis values and drift.
+export function quantizeInput(input) {
+  const ints = frameToInts(input);
+  return frameFromInts(ints.slice(0, AXES.length), ints[AXES.length]);
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+export function createInputRecorder({ tickRate = DEFAULT_TICK_RATE, meta = {} } = {}) {
+  let frames = [];
+  let recording = true;
+
+  return {
+    // Record one tick of input and return the quantized frame to simulate
+    record(input) {
+      const frame = quantizeInput(input);
+      if (recording) frames.push(frame);
+      return frame;
+    },
+    pause() { recording = false; },
+    resume() { recording = true; },
+    clear() { frames = []; },
+    isRecording: () => recording,
+    getFrameCount: () => frames.length,
+    getRecording: () => ({
+      version: RECORDING_VERSION,
+      tickRate,
+      meta,
+      frames: frames.slice(),
+    }),
+  };
+}
+
+// ============================================================================
+// REPLAY SOURCE
+// ============================================================================
+// Feeds recorded frames back one per tick. After the last frame it keeps
+// returning neutral input and reports `isDone()`; with `loop` it wraps to
+// the start (for attract mode).
+export function createReplaySource(recording, { loop = false } = {}) {
+  let index = 0;
+
+  return {
+    next() {
+      if (index >= recording.frames.length) {
+        if (!loop || recording.frames.length === 0) return EMPTY_FRAME;
+        index = 0;
+      }
+      return recording.frames[index++];
+    },
+    reset() { index = 0; },
+    isDone: () => !loop && index >= recording.frames.length,
+    getTick: () => index,
+    tickRate: recording.tickRate,
+  };
+}
+
+// ============================================================================
+// JSON FORMAT
+// ----------------------------------------------------------------------------
+// { version, tickRate, meta,
+//   frames: [[moveX, moveY, aimX, aimY, boostAmount, brakeAmount, buttons,
+//             repeat?]] }
+// Axes are integers in thousandths, buttons a bitmask (boost=1, dodge=2,
+// fire=4, bomb=8, brake=16), and runs of identical frames collapse into one
+// entry.
+// ============================================================================
+export function serializeRecording(recording) {
+  const frames = [];
+  let last = null;
+
+  for (const frame of recording.frames) {
+    const ints = frameToInts(frame);
+    if (last && ints.every((v, i) => v === last[i])) {
+      last[ints.length] = (last[ints.length] || 1) + 1;
+      continue;
+    }
+    last = ints;
+    frames.push(last);
+  }
+
+  return JSON.stringify({
+    version: RECORDING_VERSION,
+    tickRate: recording.tickRate,
+    meta: recording.meta || {},
+    frames,
+  });
+}
+
+export function parseRecording(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (data.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${data.version}`);
+  }
+
+  const frames = [];
+  for (const entry of data.frames) {
+    const frame = frameFromInts(entry.slice(0, AXES.length), entry[AXES.length]);
+    const repeat = entry[AXES.length + 1] || 1;
+    for (let i = 0; i < repeat; i++) frames.push(frame);
+  }
+
+  return { version: data.version, tickRate: data.tickRate, meta: data.meta || {}, frames };
+}
+
+// ============================================================================
+// BINARY FORMAT
+// ----------------------------------------------------------------------------
+// Header: "SFIR", version (u8), tickRate (u16 LE), frame count (u32 LE).
+// Body, per frame: a change mask byte (bits 0-5 = axis changed, bit 6 =
+// buttons changed), then a zigzag varint delta per changed axis and the
+// button byte if it changed. A zero mask is followed by a varint count of
+// consecutive unchanged frames. Recording metadata is not stored.
+// ============================================================================
+function writeVarint(out, value) {
+  while (value > 0x7f) {
+    out.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  out.push(value);
+}
+
+function readVarint(bytes, cursor) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    byte = bytes[cursor.offset++];
+    value |= (byte & 0x7f) << shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return value >>> 0;
+}
+
+const zigzag = (n) => (n << 1) ^ (n >> 31);
+const unzigzag = (n) => (n >>> 1) ^ -(n & 1);
+
+export function encodeRecordingBinary(recording) {
+  const out = [...BINARY_MAGIC, RECORDING_VERSION];
+  const count = recording.frames.length;
+  out.push(recording.tickRate & 0xff, (recording.tickRate >> 8) & 0xff);
+  out.push(count & 0xff, (count >> 8) & 0xff, (count >> 16) & 0xff, (count >>> 24) & 0xff);
+
+  const buttonBit = 1 << AXES.length;
+  let previous = new Array(AXES.length + 1).fill(0);
+  let unchanged = 0;
+
+  const flushUnchanged = () => {
+    if (unchanged === 0) return;
+    out.push(0);
+    writeVarint(out, unchanged);
+    unchanged = 0;
+  };
+
+  for (const frame of recording.frames) {
+    const ints = frameToInts(frame);
+    let mask = 0;
+    ints.forEach((v, i) => { if (v !== previous[i]) mask |= 1 << i; });
+
+    if (mask === 0) {
+      unchanged++;
+      continue;
+    }
+
+    flushUnchanged();
+    out.push(mask);
+    for (let i = 0; i < AXES.length; i++) {
+      if (mask & (1 << i)) writeVarint(out, zigzag(ints[i] - previous[i]));
+    }
+    if (mask & buttonBit) out.push(ints[AXES.length]);
+    previous = ints;
+  }
+  flushUnchanged();
+
+  return Uint8Array.from(out);
+}
+
+export function decodeRecordingBinary(bytes) {
+  if (!BINARY_MAGIC.every((b, i) => bytes[i] === b)) {
+    throw new Error('Not a binary input recording');
+  }
+  const version = bytes[4];
+  if (version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${version}`);
+  }
+
+  const tickRate = bytes[5] | (bytes[6] << 8);
+  const count = (bytes[7] | (bytes[8] << 8) | (bytes[9] << 16) | (bytes[10] << 24)) >>> 0;
+  const cursor = { offset: 11 };
+  const frames = [];
+  const buttonBit = 1 << AXES.length;
+  let current = new Array(AXES.length + 1).fill(0);
+  let frame = frameFromInts(current.slice(0, AXES.length), 0);
+
+  while (frames.length < count) {
+    const mask = bytes[cursor.offset++];
+    if (mask === undefined) throw new Error('Truncated binary input recording');
+
+    if (mask === 0) {
+      const run = readVarint(bytes, cursor);
+      for (let i = 0; i < run; i++) frames.push(frame);
+      continue;
+    }
+
+    current = current.slice();
+    for (let i = 0; i < AXES.length; i++) {
+      if (mask & (1 << i)) current[i] += unzigzag(readVarint(bytes, cursor));
+    }
+    if (mask & buttonBit) current[AXES.length] = bytes[cursor.offset++];
+    frame = frameFromInts(current.slice(0, AXES.length), current[AXES.length]);
+    frames.push(frame);
+  }
+
+  return { version, tickRate, meta: {}, frames };
+}
@@ -0,0 +1,563 @@
+// ============================================================================
+// LEVEL FORMAT
+// ----------------------------------------------------------------------------
+// JSON level descriptions: the rail path (control points with per-point
+// roll and tension), speed zones, play-area bounds overrides and a timeline
+// of events keyed by distance along the path. `loadLevel` parses and
+// validates a level, reporting every schema error with its field path and,
+// for JSON text, its line and column; `createLevelPath` turns a loaded level
+// into the spline the simulation flies along. Renderer-free, like the
+// simulation.
+//
+//   {
+//     "version": 1,
+//     "name": "Corneria",
+//     "points": [
+//       [0, 0, 0],                                   // shorthand
+//       { "position": [0, 2, -100], "roll": 15, "tension": 0.5 },
+//       ...
+//     ],
+//     "speedZones": [{ "from": 200, "to": 350, "speed": 25 }],
+//     "bounds": [{ "from": 400, "to": 600, "x": 6, "y": 4 }],
+//     "medals": { "bronze": 20, "silver": 30, "gold": 40 },
+//     "events": [
+//       { "at": 0, "type": "message", "text": "ALL AIRCRAFT, REPORT IN", "duration": 3000 },
+//       { "at": 120, "type": "spawn", "enemy": "drone", "offset": [4, 2] },
+//       { "at": 500, "type": "checkpoint" },
+//       { "at": 520, "type": "music", "cue": "boss" },
+//       { "at": 540, "type": "camera", "mode": "cinematic", "duration": 3000 },
+//       { "at": 600, "type": "allRange", "radius": 150, "clear": "enemy" },
+//       { "at": 900, "type": "boss", "boss": "warden" }
+//     ]
+//   }
+//
+// Distances are in world units along the path. Roll is in degrees (positive
+// banks the same way as steering right); tension runs from 0 (loose) to 1
+// (straight segments) and defaults to 0.5. Events may carry any extra fields
+// the game wants (spawn `offset` is checked as an [x, y] play-plane offset,
+// message `duration` as ms). A `spawn` naming an enemy type sends it in,
+// any other fields overriding the type's (see enemies.js). An `allRange`
+// event opens a free-flight arena of `radius` (and optional half-`height`)
+// around the point it fires at; it closes after `duration` ms, once every
+// collider tagged `clear` is gone, or when the game ends it. A `camera` event cuts to a camera mode
+// (see cameraRig.js) for `duration` ms, or until the next camera event. A
+// `boss` event naming a boss type holds the rail for its fight, other
+// fields overriding the type's (see bosses.js). `medals` are the hits a run
+// needs for each medal (see scoring.js); any may be left out.
+// ============================================================================
+
+import { CAMERA_MODES } from './cameraRig.js';
+import { MEDALS } from './scoring.js';
+
+export const LEVEL_VERSION = 1;
+
+// Timeline event types and the string fields each one requires
+export const EVENT_TYPES = {
+  spawn: ['enemy'],
+  boss: ['boss'],
+  checkpoint: [],
+  message: ['text'],
+  music: ['cue'],
+  allRange: [],
+  camera: ['mode'],
+};
+
+const DEFAULT_TENSION = 0.5;
+
+// Samples per control point for the arc-length table
+const ARC_SAMPLES_PER_POINT = 20;
+
+// Control points of the default level path, as [x, y, z] triples
+export const DEFAULT_SPLINE_POINTS = [
+  [0, 0, 0],
+  [0, 2, -100],
+  [10, 5, -200],
+  [-5, 3, -300],
+  [0, 8, -400],
+  [15, 4, -500],
+  [-10, 6, -600],
+  [0, 2, -700],
+  [5, 10, -800],
+  [0, 5, -1000],
+];
+
+export const DEFAULT_LEVEL = {
+  version: LEVEL_VERSION,
+  name: 'Default',
+  points: DEFAULT_SPLINE_POINTS,
+  medals: { bronze: 12, silver: 20, gold: 26 },
+  events: [
+    { at: 0, type: 'message', text: 'ALL AIRCRAFT, REPORT IN' },
+    { at: 60, type: 'spawn', enemy: 'drone' },
+    { at: 150, type: 'spawn', enemy: 'turret', offset: [-12, 0] },
+    { at: 170, type: 'spawn', enemy: 'turret', offset: [12, 4] },
+    { at: 220, type: 'spawn', enemy: 'gunship' },
+    { at: 260, type: 'checkpoint' },
+    { at: 320, type: 'spawn', enemy: 'drone', pattern: 'sweepRight' },
+    { at: 420, type: 'spawn', enemy: 'chaser' },
+    { at: 440, type: 'spawn', enemy: 'chaser', offset: [-10, 0] },
+    { at: 520, type: 'checkpoint' },
+    { at: 580, type: 'spawn', enemy: 'turret', offset: [-10, -2] },
+    { at: 600, type: 'spawn', enemy: 'turret', offset: [10, -2] },
+    { at: 680, type: 'spawn', enemy: 'gunship', offset: [-12, 0] },
+    { at: 700, type: 'spawn', enemy: 'gunship', offset: [12, 0] },
+    { at: 780, type: 'checkpoint' },
+    { at: 820, type: 'spawn', enemy: 'drone', pattern: 'overtake', count: 5 },
+    { at: 900, type: 'spawn', enemy: 'drone', pattern: 'climb' },
+    { at: 920, type: 'checkpoint' },
+    { at: 930, type: 'boss', boss: 'warden' },
+  ],
+};
+
+// ============================================================================
+// JSON WITH LOCATIONS
+// ----------------------------------------------------------------------------
+// A small JSON parser that also records where every value starts, keyed by
+// field path ('points[3].roll'), so schema errors can point at the line.
+// ============================================================================
+const STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = { true: true, false: false, null: null };
+
+const childPath = (path, key) => (typeof key === 'number'
+  ? `${path}[${key}]`
+  : path ? `${path}.${key}` : key);
+
+export function parseLevelJson(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  const locate = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  const locations = new Map();
+  let index = 0;
+
+  const fail = (message) => {
+    throw levelError([{ path: '', message, ...locate(index) }]);
+  };
+  const skipWhitespace = () => {
+    while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+  };
+  const match = (pattern) => {
+    pattern.lastIndex = index;
+    const found = pattern.exec(text);
+    if (!found) return null;
+    index += found[0].length;
+    return found[0];
+  };
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[index] !== char) fail(`Expected "${char}"`);
+    index++;
+  };
+
+  function parseValue(path) {
+    skipWhitespace();
+    locations.set(path, locate(index));
+    const char = text[index];
+
+    if (char === '{') {
+      index++;
+      const object = {};
+      skipWhitespace();
+      if (text[index] === '}') {
+        index++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        const key = match(STRING);
+        if (key === null) fail('Expected a quoted property name');
+        expect(':');
+        const name = JSON.parse(key);
+        object[name] = parseValue(childPath(path, name));
+        skipWhitespace();
+        if (text[index] === ',') index++;
+        else if (text[index] === '}') {
+          index++;
+          return object;
+        } else fail('Expected "," or "}"');
+      }
+    }
+
+    if (char === '[') {
+      index++;
+      const array = [];
+      skipWhitespace();
+      if (text[index] === ']') {
+        index++;
+        return array;
+      }
+      for (;;) {
+        array.push(parseValue(childPath(path, array.length)));
+        skipWhitespace();
+        if (text[index] === ',') index++;
+        else if (text[index] === ']') {
+          index++;
+          return array;
+        } else fail('Expected "," or "]"');
+      }
+    }
+
+    if (char === '"') {
+      const string = match(STRING);
+      if (string === null) fail('Invalid string');
+      return JSON.parse(string);
+    }
+
+    const number = match(NUMBER);
+    if (number !== null) return Number(number);
+
+    for (const [word, value] of Object.entries(LITERALS)) {
+      if (text.startsWith(word, index)) {
+        index += word.length;
+        return value;
+      }
+    }
+
+    return fail(char === undefined ? 'Unexpected end of input' : `Unexpected "${char}"`);
+  }
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (index < text.length) fail('Unexpected content after the level');
+  return { value, locations };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function levelError(errors) {
+  const lines = errors.map(({ path, message, line, column }) => {
+    const where = line ? `line ${line}, column ${column}: ` : '';
+    return `  ${where}${path ? `${path} ` : ''}${message}`;
+  });
+  const error = new Error(`Invalid level:\n${lines.join('\n')}`);
+  error.errors = errors;
+  return error;
+}
+
+// [x, y, z] or { x, y, z }
+function toVector(value) {
+  if (Array.isArray(value)) return { x: value[0], y: value[1], z: value[2] };
+  return isObject(value) ? { x: value.x, y: value.y, z: value.z } : null;
+}
+
+// Where a field is, or failing that (a missing field) its nearest parent
+function locationOf(locations, path) {
+  for (let at = path; ; at = at.replace(/(\.[^.[\]]+|\[\d+\])$/, '')) {
+    if (locations.has(at)) return locations.get(at);
+    if (!at) return null;
+  }
+}
+
+// Check a level's structure. Returns a list of `{ path, message }` errors
+// (empty when valid); with the `locations` from `parseLevelJson` each error
+// also carries `line` and `column`.
+export function validateLevel(data, locations = null) {
+  const errors = [];
+  const report = (path, message) => {
+    const at = locations && locationOf(locations, path);
+    errors.push({ path, message, ...at });
+  };
+
+  if (!isObject(data)) {
+    report('', 'A level must be an object');
+    return errors;
+  }
+  if (data.version !== undefined && data.version !== LEVEL_VERSION) {
+    report('version', `must be ${LEVEL_VERSION}`);
+  }
+  if (data.name !== undefined && typeof data.name !== 'string') {
+    report('name', 'must be a string');
+  }
+
+  if (!Array.isArray(data.points) || data.points.length < 2) {
+    report('points', 'must be an array of at least 2 control points');
+  } else {
+    data.points.forEach((point, i) => {
+      const path = `points[${i}]`;
+      const entry = Array.isArray(point) ? { position: point } : point;
+      if (!isObject(entry)) {
+        report(path, 'must be [x, y, z] or { position, roll, tension }');
+        return;
+      }
+      const positionPath = Array.isArray(point) ? path : `${path}.position`;
+      const position = toVector(entry.position);
+      if (!position || ![position.x, position.y, position.z].every(isNumber)) {
+        report(positionPath, 'must be [x, y, z] numbers');
+      }
+      if (entry.roll !== undefined && !isNumber(entry.roll)) {
+        report(`${path}.roll`, 'must be a number (degrees)');
+      }
+      if (entry.tension !== undefined && !(isNumber(entry.tension) && entry.tension >= 0 && entry.tension <= 1)) {
+        report(`${path}.tension`, 'must be a number from 0 to 1');
+      }
+    });
+  }
+
+  const checkRanges = (key, checkFields) => {
+    if (data[key] === undefined) return;
+    if (!Array.isArray(data[key])) {
+      report(key, 'must be an array');
+      return;
+    }
+    data[key].forEach((zone, i) => {
+      const path = `${key}[${i}]`;
+      if (!isObject(zone)) {
+        report(path, 'must be an object');
+        return;
+      }
+      if (!isNumber(zone.from) || zone.from < 0) report(`${path}.from`, 'must be a distance of 0 or more');
+      if (!isNumber(zone.to)) report(`${path}.to`, 'must be a distance');
+      else if (isNumber(zone.from) && zone.to <= zone.from) report(`${path}.to`, 'must be greater than "from"');
+      checkFields(zone, path);
+    });
+  };
+
+  checkRanges('speedZones', (zone, path) => {
+    if (!isNumber(zone.speed) || zone.speed <= 0) report(`${path}.speed`, 'must be a positive number');
+  });
+
+  checkRanges('bounds', (zone, path) => {
+    if (zone.x === undefined && zone.y === undefined) report(path, 'needs "x", "y" or both');
+    for (const axis of ['x', 'y']) {
+      if (zone[axis] !== undefined && !(isNumber(zone[axis]) && zone[axis] > 0)) {
+        report(`${path}.${axis}`, 'must be a positive number');
+      }
+    }
+  });
+
+  // null (no medals) is what loading leaves when there are none
+  if (data.medals !== undefined && data.medals !== null) {
+    if (!isObject(data.medals)) {
+      report('medals', 'must be an object of hit counts');
+    } else {
+      let previous = 0;
+      for (const medal of Object.keys(data.medals)) {
+        if (!MEDALS.includes(medal)) {
+          report(`medals.${medal}`, `is not a medal (use ${MEDALS.map(m => `"${m}"`).join(', ')})`);
+        }
+      }
+      for (const medal of MEDALS) {
+        const hits = data.medals[medal];
+        if (hits === undefined) continue;
+        if (!(Number.isInteger(hits) && hits > 0)) {
+          report(`medals.${medal}`, 'must be a whole number of hits above 0');
+        } else if (hits < previous) {
+          report(`medals.${medal}`, 'must be at least the hits of the medal below it');
+        } else {
+          previous = hits;
+        }
+      }
+    }
+  }
+
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events)) {
+      report('events', 'must be an array');
+    } else {
+      data.events.forEach((event, i) => {
+        const path = `events[${i}]`;
+        if (!isObject(event)) {
+          report(path, 'must be an object');
+          return;
+        }
+        if (!isNumber(event.at) || event.at < 0) report(`${path}.at`, 'must be a distance of 0 or more');
+        const required = EVENT_TYPES[event.type];
+        if (!required) {
+          report(`${path}.type`, `must be one of ${Object.keys(EVENT_TYPES).map(t => `"${t}"`).join(', ')}`);
+          return;
+        }
+        for (const field of required) {
+          if (typeof event[field] !== 'string' || !event[field]) report(`${path}.${field}`, 'is required');
+        }
+        if (event.duration !== undefined && !(isNumber(event.duration) && event.duration > 0)) {
+          report(`${path}.duration`, 'must be a positive number of ms');
+        }
+        if (event.type === 'allRange') {
+          if (!(isNumber(event.radius) && event.radius > 0)) report(`${path}.radius`, 'must be a positive number');
+          if (event.height !== undefined && !(isNumber(event.height) && event.height > 0)) {
+            report(`${path}.height`, 'must be a positive number');
+          }
+          if (event.clear !== undefined && (typeof event.clear !== 'string' || !event.clear)) {
+            report(`${path}.clear`, 'must be a collider tag');
+          }
+        }
+        if (event.type === 'camera' && typeof event.mode === 'string' && !CAMERA_MODES.includes(event.mode)) {
+          report(`${path}.mode`, `must be one of ${CAMERA_MODES.map(m => `"${m}"`).join(', ')}`);
+        }
+        if (event.offset !== undefined) {
+          const offset = event.offset;
+          const valid = Array.isArray(offset)
+            ? offset.length === 2 && offset.every(isNumber)
+            : isObject(offset) && isNumber(offset.x) && isNumber(offset.y);
+          if (!valid) report(`${path}.offset`, 'must be [x, y] numbers');
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+// Parse (if given JSON text), validate and normalize a level. Throws an
+// Error listing every problem, with the problems also on `error.errors`.
+// Loading an already loaded level returns an equivalent copy.
+export function loadLevel(source) {
+  let data = source;
+  let locations = null;
+  if (typeof source === 'string') ({ value: data, locations } = parseLevelJson(source));
+
+  const errors = validateLevel(data, locations);
+  if (errors.length > 0) throw levelError(errors);
+
+  const byStart = (key) => (a, b) => a[key] - b[key];
+  const toOffset = (offset) => (Array.isArray(offset) ? { x: offset[0], y: offset[1] } : { ...offset });
+
+  return {
+    version: LEVEL_VERSION,
+    name: data.name || 'Untitled',
+    points: data.points.map(point => {
+      const entry = Array.isArray(point) ? { position: point } : point;
+      return {
+        position: toVector(entry.position),
+        roll: entry.roll || 0,
+        tension: entry.tension !== undefined ? entry.tension : DEFAULT_TENSION,
+      };
+    }),
+    speedZones: (data.speedZones || []).map(zone => ({ ...zone })).sort(byStart('from')),
+    bounds: (data.bounds || []).map(zone => ({ ...zone })).sort(byStart('from')),
+    medals: data.medals ? { ...data.medals } : null,
+    // Stable sort keeps same-distance events in file order
+    events: (data.events || [])
+      .map(event => (event.offset !== undefined ? { ...event, offset: toOffset(event.offset) } : { ...event }))
+      .sort(byStart('at')),
+  };
+}
+
+// The zone covering `distance`, or null. Later zones win where they overlap.
+export function zoneAt(zones, distance) {
+  let found = null;
+  for (const zone of zones) {
+    if (zone.from > distance) break;
+    if (distance < zone.to) found = zone;
+  }
+  return found;
+}
+
+// ============================================================================
+// PATH
+// ----------------------------------------------------------------------------
+// Catmull-Rom spline through the control points, with each point's tension
+// tightening the curve through it: the tangent there is (1 - tension) times
+// the chord between its neighbours, so 1 leaves no tangent and meets the
+// segments either side in straight lines (0.5 everywhere matches three.js's
+// CatmullRomCurve3 'catmullrom' at tension 0.5). `getPoint(u)` is
+// parametric; `getPointAt(t)` and `getRollAt(t)` are by arc length, which is
+// what the simulation uses. Points are plain { x, y, z } objects.
+// ============================================================================
+function cubic(p0, p1, p2, p3, tension1, tension2, t) {
+  const t0 = (1 - tension1) * (p2 - p0);
+  const t1 = (1 - tension2) * (p3 - p1);
+  const c2 = -3 * p1 + 3 * p2 - 2 * t0 - t1;
+  const c3 = 2 * p1 - 2 * p2 + t0 + t1;
+  return p1 + t0 * t + c2 * t * t + c3 * t * t * t;
+}
+
+export function createLevelPath(level) {
+  const { points } = loadLevel(level);
+  const count = points.length;
+  const positions = points.map(p => p.position);
+  const rolls = points.map(p => (p.roll * Math.PI) / 180);
+  const tensions = points.map(p => p.tension);
+
+  // Phantom end points, mirrored through the first and last points
+  const mirror = (a, b) => ({ x: 2 * a.x - b.x, y: 2 * a.y - b.y, z: 2 * a.z - b.z });
+  const before = mirror(positions[0], positions[1]);
+  const after = mirror(positions[count - 1], positions[count - 2]);
+
+  function segment(u) {
+    const p = (count - 1) * Math.min(Math.max(u, 0), 1);
+    let index = Math.floor(p);
+    let weight = p - index;
+    if (index >= count - 1) {
+      index = count - 2;
+      weight = 1;
+    }
+    return { index, weight };
+  }
+
+  function getPoint(u) {
+    const { index, weight } = segment(u);
+    const p0 = index > 0 ? positions[index - 1] : before;
+    const p1 = positions[index];
+    const p2 = positions[index + 1];
+    const p3 = index + 2 < count ? positions[index + 2] : after;
+    const k1 = tensions[index];
+    const k2 = tensions[index + 1];
+    return {
+      x: cubic(p0.x, p1.x, p2.x, p3.x, k1, k2, weight),
+      y: cubic(p0.y, p1.y, p2.y, p3.y, k1, k2, weight),
+      z: cubic(p0.z, p1.z, p2.z, p3.z, k1, k2, weight),
+    };
+  }
+
+  function getRoll(u) {
+    const { index, weight } = segment(u);
+    const r0 = index > 0 ? rolls[index - 1] : rolls[0];
+    const r3 = index + 2 < count ? rolls[index + 2] : rolls[count - 1];
+    return cubic(r0, rolls[index], rolls[index + 1], r3, tensions[index], tensions[index + 1], weight);
+  }
+
+  // Cumulative arc length at evenly spaced parameter values
+  const divisions = Math.max(200, count * ARC_SAMPLES_PER_POINT);
+  const lengths = [0];
+  let previous = getPoint(0);
+  for (let i = 1; i <= divisions; i++) {
+    const point = getPoint(i / divisions);
+    lengths.push(lengths[i - 1] + Math.hypot(point.x - previous.x, point.y - previous.y, point.z - previous.z));
+    previous = point;
+  }
+  const length = lengths[divisions];
+
+  // Arc-length fraction -> curve parameter
+  function toParameter(t) {
+    const target = Math.min(Math.max(t, 0), 1) * length;
+    let low = 0;
+    let high = divisions;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (lengths[mid] < target) low = mid + 1;
+      else high = mid;
+    }
+    if (low === 0) return 0;
+    const span = lengths[low] - lengths[low - 1];
+    const fraction = span > 0 ? (target - lengths[low - 1]) / span : 0;
+    return (low - 1 + fraction) / divisions;
+  }
+
+  return {
+    getPoint,
+    getPointAt: (t) => getPoint(toParameter(t)),
+    getRollAt: (t) => getRoll(toParameter(t)),
+    getLength: () => length,
+    getPoints: (samples = 50) => Array.from({ length: samples + 1 }, (_, i) => getPoint(i / samples)),
+  };
+}
@@ -0,0 +1,1376 @@
+// ============================================================================
+// PLAYER SIMULATION
+// ----------------------------------------------------------------------------
+// Renderer-free flight logic shared by the React Three Fiber controller
+// (StarfoxPlayerController.jsx) and the vanilla demo (demo.html). Nothing in
+// this file touches three.js, React or the DOM, so it can be stepped
+// headlessly in Node.
+//
+// The simulation advances in fixed ticks: every timer in CONFIG (given in
+// ms) is converted to a whole number of ticks up front, so the same input
+// sequence always produces the same run regardless of render frame rate.
+//
+// The ship, its aim and its shots live in the rail frame (railFrame.js):
+// offsets, aim and projectile motion are worked out in frame space and
+// turned into world space through the frame at the ship's place on the
+// path, so the play plane follows the path through turns, banks and loops.
+// In all-range mode the ship leaves the rail and steers freely inside an
+// arena; its own pose then stands in for the rail frame, and shots fly in
+// world space. For a boss fight the rail can be held: stopped where it is,
+// or swung round a point, facing it.
+// ============================================================================
+
+import { DEFAULT_TICK_RATE } from './fixedStepLoop.js';
+import { DEFAULT_WEAPONS, downgradeWeapon, upgradeWeapon } from './weapons.js';
+import { DEFAULT_SPLINE_POINTS, zoneAt } from './levelFormat.js';
+import {
+  createFrame,
+  createRailFrames,
+  eulerQuaternion,
+  frameQuaternion,
+  lerpFrame,
+  lerpQuaternion,
+  multiplyQuaternions,
+  toFrame,
+  toWorld,
+} from './railFrame.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+export const CONFIG = {
+  // Movement
+  MOVE_SPEED: 8,
+  MOVE_BOUNDS: { x: 12, y: 8 },
+  FORWARD_SPEED: 15,
+  BOOST_SPEED: 35,
+  BRAKE_SPEED: 6,
+
+  // Boost/Brake Energy (one gauge shared by boost, brake and maneuvers)
+  BOOST_DURATION: 2000, // ms of boosting or braking a full gauge lasts
+  ENERGY_REFILL: 3000, // ms to refill from empty
+  ENERGY_REFILL_DELAY: 400, // ms after letting go before refilling starts
+
+  // Somersault & U-Turn
+  SOMERSAULT_DURATION: 1500,
+  UTURN_DURATION: 1200,
+  MANEUVER_ENERGY: 0.5, // fraction of the gauge each maneuver costs
+
+  // Dodge/Barrel Roll
+  DODGE_DURATION: 600,
+  DODGE_COOLDOWN: 3000,
+  DODGE_AGILITY_MULT: 1.8,
+
+  // Shield & Damage
+  MAX_SHIELD: 100,
+  SHIP_RADIUS: 1.2,
+  COLLISION_DAMAGE: 20, // default for colliders without their own `damage`
+  SCRAPE_DAMAGE: 15, // per second against the bounds or terrain
+  HIT_INVULNERABILITY: 1000, // ms of i-frames after a hit
+  KNOCKBACK_SPEED: 12,
+  KNOCKBACK_DURATION: 300,
+
+  // Weapons (per-weapon stats live in weapons.js)
+  MAX_PROJECTILES: 64, // oldest shot is recycled beyond this
+
+  // Charge Shot & Lock-On
+  CHARGE_DELAY: 250, // ms fire must be held before charging starts
+  CHARGE_TIME: 800, // ms from starting to charge to fully charged
+  MAX_LOCKS: 3,
+  LOCK_RANGE: 120,
+  LOCK_CONE: 0.15, // radians either side of the aim line
+  CHARGE_SPEED: 60,
+  CHARGE_LIFETIME: 2000,
+  CHARGE_RADIUS: 0.5,
+  CHARGE_DAMAGE: 40,
+  HOMING_TURN_RATE: 5, // radians per second
+
+  // All-Range Mode
+  ALL_RANGE_TURN_RATE: 1.6, // radians of yaw per second at full stick
+  ALL_RANGE_PITCH_RATE: 1.2, // radians of pitch per second at full stick
+  ALL_RANGE_MAX_PITCH: 1.0, // radians either way
+  ALL_RANGE_HEIGHT: 0.3, // default arena half-height, as a fraction of its radius
+  RAIL_RETURN_DURATION: 1500, // ms to blend back onto the rail
+
+  // Visual
+  SHIP_TILT_FACTOR: 0.3,
+  RETICLE_DISTANCE: 50,
+};
+
+// Control points of the default level path (see levelFormat.js)
+export { DEFAULT_SPLINE_POINTS };
+
+// Reticle reach on the play plane per unit of aim input (frame space)
+const AIM_RANGE = { x: 15, y: 10 };
+
+// Colliders that stop shots and take blast damage
+const isShootable = (collider) => collider.shootable !== false && !collider.pickup;
+
+// Colliders shown on the all-range radar
+const isOnRadar = (collider) => (collider.radar !== undefined ? collider.radar : Boolean(collider.lockable));
+
+// World axes as a frame, so shots in all-range mode keep world coordinates
+const WORLD_FRAME = {
+  position: { x: 0, y: 0, z: 0 },
+  tangent: { x: 0, y: 0, z: -1 },
+  right: { x: 1, y: 0, z: 0 },
+  up: { x: 0, y: 1, z: 0 },
+};
+
+// How far up the stick must be held for boost/brake to start a maneuver
+const MANEUVER_STICK = 0.7;
+
+// Ways to hold the rail (see holdRail)
+export const RAIL_HOLDS = ['hold', 'circle'];
+const DEFAULT_CIRCLE_RADIUS = 60;
+
+// Input with nothing pressed, e.g. while input is disabled
+export const NO_INPUT = {
+  moveX: 0, moveY: 0, aimX: 0, aimY: 0,
+  boostAmount: 0, boost: false, brakeAmount: 0, brake: false,
+  dodge: false, fire: false, bomb: false,
+};
+
+// ============================================================================
+// MATH HELPERS
+// ============================================================================
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function lerpVector(a, b, t) {
+  return { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t), z: lerp(a.z, b.z, t) };
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// Signed difference between two angles, in (-PI, PI]
+function angleBetween(from, to) {
+  const difference = (to - from) % (Math.PI * 2);
+  if (difference > Math.PI) return difference - Math.PI * 2;
+  if (difference <= -Math.PI) return difference + Math.PI * 2;
+  return difference;
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scale(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.y, v.z);
+  return length > 0
+    ? { x: v.x / length, y: v.y / length, z: v.z / length }
+    : { x: 0, y: 0, z: -1 };
+}
+
+// Turn a frame-space direction right by `yaw` (about the frame's up axis),
+// then up by `pitch` (radians)
+function turn(v, yaw, pitch) {
+  if (yaw === 0 && pitch === 0) return v;
+  const x = v.x * Math.cos(yaw) - v.z * Math.sin(yaw);
+  const z1 = v.x * Math.sin(yaw) + v.z * Math.cos(yaw);
+  const y = v.y * Math.cos(pitch) - z1 * Math.sin(pitch);
+  const z = v.y * Math.sin(pitch) + z1 * Math.cos(pitch);
+  return normalize({ x, y, z });
+}
+
+// ============================================================================
+// SIMULATION FACTORY
+// ============================================================================
+// `spline` only needs `getPointAt(t)` and `getLength()`, which a three.js
+// CatmullRomCurve3 or a level path (levelFormat.js) provides; a level path's
+// `getRollAt(t)` also banks the rail frame. `world` is an optional collision world
+// (collisionWorld.js) the ship is tested against each tick,
+// `groundHeight(x, z)` an optional terrain height function in world units,
+// `weapons` the weapon definitions (see weapons.js) and `level` a loaded
+// level (see levelFormat.js) whose speed zones, bounds and timeline apply,
+// and whose `allRange` events switch to free flight. With `loopPath` the
+// ship starts over at the end of the path; without it the rail stops there
+// and the run is complete. An endless path (endlessPath.js) has no end:
+// the simulation streams it along as the ship flies and spline progress
+// runs on past 1.
+export function createPlayerSimulation(config, spline, {
+  tickRate = DEFAULT_TICK_RATE,
+  world = null,
+  groundHeight = null,
+  weapons = DEFAULT_WEAPONS,
+  level = null,
+  loopPath = true,
+} = {}) {
+  const splineLength = spline.getLength();
+  const dt = 1 / tickRate;
+  const stepMs = 1000 / tickRate;
+  const toTicks = (ms) => Math.max(1, Math.round(ms / stepMs));
+  const speedZones = level ? level.speedZones : [];
+  const boundsZones = level ? level.bounds : [];
+  const timeline = level ? level.events : [];
+  const rollAt = spline.getRollAt ? (t) => spline.getRollAt(t) : () => 0;
+  const endless = Boolean(spline.endless);
+  // An endless path keeps its own frames as it streams
+  const frames = endless ? spline : createRailFrames(spline);
+  // Where on the path to look for `progress`: a fixed path's frames stop
+  // just short of its end
+  const railAt = (progress) => (endless ? progress : Math.min(progress, 0.999));
+
+  // CONFIG timers in ticks; rebuilt when the config changes
+  const timersOf = (config) => ({
+    energyDrain: toTicks(config.BOOST_DURATION),
+    energyRefill: toTicks(config.ENERGY_REFILL),
+    energyRefillDelay: toTicks(config.ENERGY_REFILL_DELAY),
+    somersault: toTicks(config.SOMERSAULT_DURATION),
+    uturn: toTicks(config.UTURN_DURATION),
+    dodgeDuration: toTicks(config.DODGE_DURATION),
+    dodgeCooldown: toTicks(config.DODGE_COOLDOWN),
+    chargeDelay: toTicks(config.CHARGE_DELAY),
+    chargeTime: toTicks(config.CHARGE_TIME),
+    chargeLifetime: toTicks(config.CHARGE_LIFETIME),
+    hitInvulnerability: toTicks(config.HIT_INVULNERABILITY),
+    knockback: toTicks(config.KNOCKBACK_DURATION),
+    railReturn: toTicks(config.RAIL_RETURN_DURATION),
+  });
+  let ticks = timersOf(config);
+
+  // Weapon timers in ticks, keyed by definition
+  const weaponTicks = new Map(
+    [...Object.values(weapons.primary), weapons.bomb].map(def => [def, {
+      fireRate: toTicks(def.fireRate),
+      lifetime: toTicks(def.lifetime),
+    }])
+  );
+
+  let state;
+  let current;
+  let nextProjectileId;
+  // Frame projectiles move in this tick: the rail frame, or WORLD_FRAME in
+  // all-range mode
+  let shotFrame;
+
+  function reset() {
+    nextProjectileId = 1;
+    state = {
+      tick: 0,
+      splineProgress: 0,
+      localOffset: { x: 0, y: 0 },
+      shipRotation: { x: 0, y: Math.PI, z: 0 }, // tilt in the rail frame
+      speed: config.FORWARD_SPEED,
+      bounds: { ...config.MOVE_BOUNDS },
+      nextLevelEvent: 0,
+
+      mode: 'rail', // or 'allRange'
+      free: null, // all-range pose: { position, yaw, pitch }
+      arena: null, // { center, radius, height, endTick, clear, seenClear }
+      isTurningBack: false,
+      modeRequest: null, // from enterAllRange()/exitAllRange(), applied next tick
+      railReturn: null, // pose the ship left all-range or a circle with, blended out
+      railReturnTicks: 0,
+      railHold: null, // { mode: 'hold', frame } or { mode: 'circle', center, offset, angle, speed }
+      holdRequest: null, // from holdRail()/releaseRail(), applied next tick
+
+      boostActive: false,
+      isBraking: false,
+      boostHeld: false,
+      brakeHeld: false,
+      energy: 1, // shared boost/brake gauge, 0-1
+      energyLocked: false, // ran dry; locked until full again
+      energyIdleTicks: 0,
+      maneuver: null, // { type: 'somersault' | 'uturn', ticks, total, angle, radius }
+
+      isRolling: false,
+      rollTicks: 0,
+      rollProgress: 0,
+      dodgeCooldownTicks: 0,
+
+      shield: config.MAX_SHIELD,
+      hitInvulnerableTicks: 0,
+      knockback: { x: 0, y: 0 },
+      knockbackTicks: 0,
+      isScraping: false,
+      isDestroyed: false,
+      isComplete: false, // reached the end of the path (without `loopPath`)
+
+      weapon: weapons.laserTiers[0],
+      bombs: weapons.bomb.ammo.start,
+      bombHeld: false,
+      bombCooldownTicks: 0,
+      collected: new Set(), // pickup ids, so each counts once
+
+      fireCooldownTicks: 0,
+      fireHeldTicks: 0,
+      chargeLevel: 0,
+      locks: [],
+      projectiles: [],
+    };
+    streamPath();
+    const rail = frameNow();
+    shotFrame = rail;
+    current = snapshot(rail, shipPose(rail), NO_INPUT, emptyReport());
+    return current;
+  }
+
+  // Keep an endless path generated round the ship
+  function streamPath() {
+    if (endless) spline.advance(state.splineProgress);
+  }
+
+  function frameNow() {
+    if (state.railHold) return heldFrame(state.railHold);
+    return frames.frameAt(railAt(state.splineProgress));
+  }
+
+  // The rail frame while held: where the hold began, or on its circle
+  // round `center`, facing in and upright
+  function heldFrame(hold) {
+    if (hold.mode === 'hold') return hold.frame;
+    const { center, offset, angle } = hold;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const position = {
+      x: center.x + offset.x * cos + offset.z * sin,
+      y: center.y + offset.y,
+      z: center.z - offset.x * sin + offset.z * cos,
+    };
+    return createFrame(position, { x: center.x - position.x, y: 0, z: center.z - position.z });
+  }
+
+  // Frame shots move in: the rail frame, or WORLD_FRAME in all-range mode
+  // and while circling (the frame turns under them)
+  function shotFrameFor(rail) {
+    const circling = state.railHold && state.railHold.mode === 'circle';
+    return state.mode === 'rail' && !circling ? rail : WORLD_FRAME;
+  }
+
+  // Frame-space point -> world position
+  function onFrame(frame, local) {
+    return add(frame.position, toWorld(frame, local));
+  }
+
+  function headingOf(yaw, pitch) {
+    return {
+      x: Math.sin(yaw) * Math.cos(pitch),
+      y: Math.sin(pitch),
+      z: -Math.cos(yaw) * Math.cos(pitch),
+    };
+  }
+
+  // The ship's flight pose: a frame centred on the ship. On the rail it is
+  // the rail frame moved out to the ship's offset (blended from where the
+  // ship left all-range, just after returning); in all-range it faces the
+  // ship's heading and stays upright.
+  function flightPose(rail) {
+    if (state.mode === 'allRange') {
+      const { position, yaw, pitch } = state.free;
+      return createFrame(position, headingOf(yaw, pitch));
+    }
+    const pose = {
+      ...rail,
+      position: onFrame(rail, { x: state.localOffset.x, y: state.localOffset.y, z: 0 }),
+    };
+    if (state.railReturnTicks === 0) return pose;
+    return lerpFrame(state.railReturn, pose, smoothstep(1 - state.railReturnTicks / ticks.railReturn));
+  }
+
+  // A maneuver's loop on top of the flight pose: the ship climbs round a
+  // circle in the pose's tangent/up plane, pitching up as it goes, and is
+  // back where it started (somersault) or upside down above it facing the
+  // other way (U-turn) at the end
+  function loopPose(pose, { ticks: elapsed, total, angle, radius }) {
+    const theta = (angle * elapsed) / total;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    return {
+      position: onFrame(pose, { x: 0, y: radius * (1 - cos), z: -radius * sin }),
+      tangent: add(scale(pose.tangent, cos), scale(pose.up, sin)),
+      right: pose.right,
+      up: add(scale(pose.up, cos), scale(pose.tangent, -sin)),
+    };
+  }
+
+  // The ship's actual pose, maneuver included
+  function shipPose(rail) {
+    const pose = flightPose(rail);
+    return state.maneuver ? loopPose(pose, state.maneuver) : pose;
+  }
+
+  // Direction from the ship to the reticle, in frame space
+  function aimFor(input) {
+    return normalize({
+      x: input.aimX * AIM_RANGE.x,
+      y: input.aimY * AIM_RANGE.y,
+      z: -config.RETICLE_DISTANCE,
+    });
+  }
+
+  function reticleFor(pose, input) {
+    return onFrame(pose, {
+      x: input.aimX * AIM_RANGE.x,
+      y: input.aimY * AIM_RANGE.y,
+      z: -config.RETICLE_DISTANCE,
+    });
+  }
+
+  // Arena layout for the radar: the ship and radar contacts relative to
+  // the arena centre, on the ground plane
+  function radarView() {
+    const { center, radius } = state.arena;
+    const { position, yaw } = state.free;
+    const relative = (p) => ({ x: p.x - center.x, y: p.y - center.y, z: p.z - center.z });
+    return {
+      radius,
+      heading: yaw,
+      ship: relative(position),
+      contacts: world
+        ? world.list().filter(isOnRadar).map(c => ({ id: c.id, tag: c.tag, ...relative(c.position) }))
+        : [],
+    };
+  }
+
+  // What the rail is held by, for bosses to place themselves: the mode and
+  // the point it is held at or circles
+  function railHoldView(rail) {
+    const hold = state.railHold;
+    if (!hold) return null;
+    const center = hold.mode === 'circle' ? hold.center : rail.position;
+    return { mode: hold.mode, center: { ...center } };
+  }
+
+  // Locked targets that are still registered, with their current positions
+  function liveLocks() {
+    if (!world) return [];
+    return state.locks
+      .map(id => world.get(id))
+      .filter(Boolean)
+      .map(collider => ({ id: collider.id, position: { ...collider.position } }));
+  }
+
+  // What happened during one tick: events, ship hits, projectile hits, bomb
+  // detonations and collected pickups
+  function emptyReport() {
+    return { events: [], hits: [], projectileHits: [], detonations: [], pickups: [], levelEvents: [] };
+  }
+
+  // `frame` is the flight pose's, so the camera holds steady and watches
+  // the ship loop instead of looping with it
+  function snapshot(rail, pose, input, report) {
+    const { position: splinePosition } = rail;
+    const flight = state.maneuver ? flightPose(rail) : pose;
+    const { tangent, right, up } = flight;
+    const locks = liveLocks();
+
+    return {
+      tick: state.tick,
+      time: state.tick * stepMs,
+      splineProgress: state.splineProgress,
+      distance: state.splineProgress * splineLength,
+      bank: rollAt(railAt(state.splineProgress)),
+      bounds: { ...state.bounds },
+      localOffset: { ...state.localOffset },
+      splinePosition: { x: splinePosition.x, y: splinePosition.y, z: splinePosition.z },
+      frame: { tangent: { ...tangent }, right: { ...right }, up: { ...up } },
+      shipPosition: { ...pose.position },
+      flightPosition: { ...flight.position },
+      shipRotation: { ...state.shipRotation },
+      shipQuaternion: multiplyQuaternions(frameQuaternion(pose), eulerQuaternion(state.shipRotation)),
+      reticlePosition: reticleFor(pose, input),
+      mode: state.mode,
+      railHold: railHoldView(rail),
+      isTurningBack: state.isTurningBack,
+      radar: state.mode === 'allRange' ? radarView() : null,
+      speed: state.speed,
+      boostActive: state.boostActive,
+      isBraking: state.isBraking,
+      energy: state.energy,
+      energyLocked: state.energyLocked,
+      maneuver: state.maneuver ? state.maneuver.type : null,
+      maneuverProgress: state.maneuver ? state.maneuver.ticks / state.maneuver.total : 0,
+      isRolling: state.isRolling,
+      rollProgress: state.rollProgress,
+      dodgeCooldown: state.dodgeCooldownTicks * stepMs,
+      isInvulnerable: state.isRolling || state.hitInvulnerableTicks > 0,
+      shield: state.shield,
+      maxShield: config.MAX_SHIELD,
+      hitCooldown: state.hitInvulnerableTicks * stepMs,
+      isScraping: state.isScraping,
+      isDestroyed: state.isDestroyed,
+      isComplete: state.isComplete,
+      weapon: state.weapon,
+      weaponName: weapons.primary[state.weapon].name,
+      weaponTier: weapons.laserTiers.indexOf(state.weapon),
+      bombs: state.bombs,
+      maxBombs: weapons.bomb.ammo.max,
+      chargeLevel: state.chargeLevel,
+      isCharging: state.fireHeldTicks > ticks.chargeDelay,
+      locks,
+      isLocked: locks.length > 0,
+      lockPosition: locks.length > 0 ? locks[0].position : null,
+      projectiles: state.projectiles.map(p => ({
+        id: p.id,
+        position: { ...p.position },
+        direction: p.direction,
+        age: p.ageTicks * stepMs,
+        radius: p.radius,
+        color: p.color,
+        charged: p.charged,
+        bomb: p.bomb,
+      })),
+      ...report,
+    };
+  }
+
+  // Take damage unless rolling, inside post-hit i-frames or already down.
+  // Returns the damage actually dealt.
+  function applyDamage(amount, events) {
+    if (amount <= 0 || state.isRolling || state.hitInvulnerableTicks > 0 || state.isDestroyed) {
+      return 0;
+    }
+    const dealt = Math.min(amount, state.shield);
+    state.shield -= dealt;
+    if (state.shield <= 0) {
+      state.shield = 0;
+      state.isDestroyed = true;
+      events.push('destroyed');
+    }
+    return dealt;
+  }
+
+  // Fly-through pickups: upgrade the primary weapon or add bombs
+  function collectPickup(collider, report) {
+    if (state.collected.has(collider.id)) return;
+    state.collected.add(collider.id);
+
+    if (collider.pickup === 'laser') {
+      state.weapon = upgradeWeapon(weapons, state.weapon);
+    } else if (collider.pickup === 'spread') {
+      state.weapon = 'spread';
+    } else if (collider.pickup === 'bomb') {
+      state.bombs = Math.min(state.bombs + (collider.amount || 1), weapons.bomb.ammo.max);
+    }
+    report.pickups.push({ id: collider.id, type: collider.pickup, tag: collider.tag });
+    report.events.push('pickup');
+  }
+
+  // Ship sphere against the collision world: pickups are collected, and the
+  // strongest other contact deals its damage, knocks the ship away from the
+  // collider, starts i-frames and drops the primary weapon a tier
+  function resolveCollisions(pose, report) {
+    if (!world) return;
+    const { events } = report;
+    const contacts = [];
+    for (const contact of world.query(pose.position, config.SHIP_RADIUS)) {
+      if (contact.collider.pickup) collectPickup(contact.collider, report);
+      else contacts.push(contact);
+    }
+    if (contacts.length === 0) return;
+
+    const damageOf = (c) => (c.collider.damage !== undefined ? c.collider.damage : config.COLLISION_DAMAGE);
+    const strongest = contacts.reduce((a, b) => (damageOf(b) > damageOf(a) ? b : a));
+    const dealt = applyDamage(damageOf(strongest), events);
+
+    if (dealt > 0) {
+      state.hitInvulnerableTicks = ticks.hitInvulnerability;
+      events.push('hit');
+
+      // Knock back across the play plane; a head-on hit (normal along the
+      // track) bounces the ship towards the centre instead
+      const normal = toFrame(pose, strongest.normal);
+      let push = { x: normal.x, y: normal.y };
+      if (Math.hypot(push.x, push.y) < 0.1) {
+        push = { x: state.mode === 'rail' ? -Math.sign(state.localOffset.x) || 1 : 1, y: 0 };
+      }
+      const length = Math.hypot(push.x, push.y);
+      state.knockback = { x: push.x / length, y: push.y / length };
+      state.knockbackTicks = ticks.knockback;
+
+      const downgraded = downgradeWeapon(weapons, state.weapon);
+      if (downgraded !== state.weapon) {
+        state.weapon = downgraded;
+        events.push('weaponDown');
+      }
+    }
+
+    report.hits = contacts.map(c => ({
+      id: c.collider.id,
+      tag: c.collider.tag,
+      damage: c === strongest ? dealt : 0,
+    }));
+  }
+
+  // Homing shots turn toward their locked target by at most
+  // HOMING_TURN_RATE per second; if the target is gone they fly straight on
+  function steerTowardTarget(proj) {
+    const target = world && world.get(proj.targetId);
+    if (!target) {
+      proj.targetId = null;
+      return;
+    }
+    const desired = toFrame(shotFrame, normalize(subtract(target.position, proj.position)));
+    const angle = Math.acos(clamp(dot(proj.heading, desired), -1, 1));
+    const maxTurn = config.HOMING_TURN_RATE * dt;
+    if (angle <= maxTurn) {
+      proj.heading = desired;
+      return;
+    }
+    const t = maxTurn / angle;
+    proj.heading = normalize(lerpVector(proj.heading, desired, t));
+  }
+
+  // Launch one shot of weapon definition `def` from `local` along
+  // `heading`, both relative to the ship's pose; `options` overrides its
+  // stats (charged shots) or marks it (bombs)
+  function spawnProjectile(def, local, heading, pose, options) {
+    if (state.projectiles.length >= config.MAX_PROJECTILES) state.projectiles.shift();
+    const position = onFrame(pose, local);
+    const direction = toWorld(pose, heading);
+    state.projectiles.push({
+      id: nextProjectileId++,
+      local: toFrame(shotFrame, subtract(position, shotFrame.position)),
+      heading: toFrame(shotFrame, direction),
+      position,
+      direction,
+      ageTicks: 0,
+      lifetimeTicks: weaponTicks.get(def).lifetime,
+      speed: def.speed,
+      radius: def.radius,
+      damage: def.damage,
+      color: def.color,
+      charged: false,
+      bomb: false,
+      targetId: null,
+      ...options,
+    });
+  }
+
+  // One shot per pattern entry, offset on the play plane and turned off
+  // the aim line
+  function firePattern(def, aim, pose, options) {
+    for (const shot of def.pattern) {
+      const from = { x: shot.x, y: shot.y, z: 0 };
+      spawnProjectile(def, from, turn(aim, shot.yaw, shot.pitch), pose, options);
+    }
+  }
+
+  // Blow a bomb up where it is: everything shootable inside the blast
+  // radius takes the blast damage, reported like projectile hits
+  function detonate(bomb, position, report) {
+    const { blast } = weapons.bomb;
+    report.detonations.push({ projectileId: bomb.id, position: { ...position }, radius: blast.radius });
+    report.events.push('bombDetonate');
+    if (!world) return;
+
+    const caught = world.query(position, blast.radius, isShootable);
+    for (const { collider, normal } of caught) {
+      report.projectileHits.push({
+        projectileId: bomb.id,
+        targetId: collider.id,
+        tag: collider.tag,
+        damage: blast.damage,
+        charged: false,
+        blast: true,
+        point: { ...collider.position },
+        normal,
+      });
+    }
+  }
+
+  // Press bomb to launch one; press again while it is in flight to set it
+  // off early
+  function handleBomb(input, pose, aim, report) {
+    const pressed = input.bomb && !state.bombHeld;
+    state.bombHeld = input.bomb;
+    if (!pressed) return;
+
+    const live = state.projectiles.findIndex(p => p.bomb);
+    if (live !== -1) {
+      const [bomb] = state.projectiles.splice(live, 1);
+      detonate(bomb, bomb.position, report);
+      return;
+    }
+
+    if (state.bombs > 0 && state.bombCooldownTicks === 0) {
+      state.bombs--;
+      state.bombCooldownTicks = weaponTicks.get(weapons.bomb).fireRate;
+      firePattern(weapons.bomb, aim, pose, { bomb: true });
+      report.events.push('bombLaunch');
+    }
+  }
+
+  // Lock lockable colliders inside the cone around the (world-space) aim
+  // line, nearest to the line first, up to MAX_LOCKS. Locks persist until
+  // release.
+  function acquireLocks(shipPosition, aim, events) {
+    state.locks = state.locks.filter(id => world.get(id));
+    if (state.locks.length >= config.MAX_LOCKS) return;
+
+    const candidates = [];
+    for (const collider of world.list()) {
+      if (!collider.lockable || state.locks.includes(collider.id)) continue;
+      const toTarget = subtract(collider.position, shipPosition);
+      const distance = Math.hypot(toTarget.x, toTarget.y, toTarget.z);
+      if (distance === 0 || distance > config.LOCK_RANGE) continue;
+      const angle = Math.acos(clamp(dot(toTarget, aim) / distance, -1, 1));
+      if (angle <= config.LOCK_CONE) candidates.push({ id: collider.id, angle });
+    }
+
+    candidates.sort((a, b) => a.angle - b.angle || a.id - b.id);
+    for (const { id } of candidates.slice(0, config.MAX_LOCKS - state.locks.length)) {
+      state.locks.push(id);
+      events.push('lock');
+    }
+  }
+
+  // Tapping fire shoots the current primary weapon's pattern; holding it
+  // past CHARGE_DELAY charges a blast (locking on to targets once full), and
+  // releasing a full charge launches one homing shot per lock, or a single
+  // straight one without locks
+  function handleWeapons(input, pose, report) {
+    const { events } = report;
+    const aim = aimFor(input);
+    const primary = weapons.primary[state.weapon];
+    const origin = { x: 0, y: 0, z: 0 };
+
+    handleBomb(input, pose, aim, report);
+
+    if (input.fire) {
+      if (state.fireHeldTicks === 0 && state.fireCooldownTicks === 0) {
+        state.fireCooldownTicks = weaponTicks.get(primary).fireRate;
+        firePattern(primary, aim, pose);
+        events.push('fire');
+      }
+      state.fireHeldTicks++;
+
+      const chargeTicks = state.fireHeldTicks - ticks.chargeDelay;
+      if (chargeTicks === 1) events.push('chargeStart');
+      if (chargeTicks > 0 && state.chargeLevel < 1) {
+        state.chargeLevel = Math.min(chargeTicks / ticks.chargeTime, 1);
+        if (state.chargeLevel >= 1) events.push('chargeReady');
+      }
+      if (state.chargeLevel >= 1 && world) acquireLocks(pose.position, toWorld(pose, aim), events);
+      return;
+    }
+
+    if (state.chargeLevel >= 1) {
+      const targets = state.locks.filter(id => world && world.get(id));
+      const charged = {
+        speed: config.CHARGE_SPEED,
+        lifetimeTicks: ticks.chargeLifetime,
+        radius: config.CHARGE_RADIUS,
+        damage: config.CHARGE_DAMAGE,
+        charged: true,
+      };
+      if (targets.length === 0) {
+        spawnProjectile(primary, origin, aim, pose, charged);
+      }
+      for (const targetId of targets) {
+        spawnProjectile(primary, origin, aim, pose, { ...charged, targetId });
+      }
+      events.push('chargeFire');
+    }
+
+    state.fireHeldTicks = 0;
+    state.chargeLevel = 0;
+    state.locks = [];
+  }
+
+  // Projectiles live in the rail frame: their frame-space offset moves at
+  // the weapon's speed along their heading, and the frame carries them
+  // along with the ship, so shots keep pace when boosting and turn with the
+  // path. Each move is swept through the collision world; the first
+  // collider struck stops the shot and is reported as a hit. Bombs detonate
+  // instead, on contact or when their fuse (lifetime) runs out. In all-range
+  // mode the frame is WORLD_FRAME, so shots fly straight in world space.
+  function moveProjectiles(report) {
+    let kept = 0;
+
+    for (const proj of state.projectiles) {
+      if (proj.targetId !== null) steerTowardTarget(proj);
+      const distance = proj.speed * dt;
+      proj.local.x += proj.heading.x * distance;
+      proj.local.y += proj.heading.y * distance;
+      proj.local.z += proj.heading.z * distance;
+      proj.direction = toWorld(shotFrame, proj.heading);
+      const from = proj.position;
+      const to = onFrame(shotFrame, proj.local);
+
+      const contact = world
+        ? world.sweep(from, to, proj.radius, isShootable)
+        : null;
+      proj.position = to;
+
+      if (proj.bomb && (contact || proj.ageTicks + 1 > proj.lifetimeTicks)) {
+        detonate(proj, contact ? contact.point : to, report);
+      } else if (contact) {
+        report.projectileHits.push({
+          projectileId: proj.id,
+          targetId: contact.collider.id,
+          tag: contact.collider.tag,
+          damage: proj.damage,
+          charged: proj.charged,
+          point: contact.point,
+          normal: contact.normal,
+        });
+        report.events.push('projectileHit');
+      } else if (++proj.ageTicks <= proj.lifetimeTicks) {
+        state.projectiles[kept++] = proj;
+      }
+    }
+
+    state.projectiles.length = kept;
+  }
+
+  // Re-express every live shot in `frame`, leaving it where it is
+  function rehomeProjectiles(frame) {
+    for (const proj of state.projectiles) {
+      proj.local = toFrame(frame, subtract(proj.position, frame.position));
+      proj.heading = toFrame(frame, proj.direction);
+    }
+    shotFrame = frame;
+  }
+
+  // Leave the rail for a free-flight arena of `radius` (and half-`height`)
+  // around `center`, by default the rail point the ship left from. The ship
+  // keeps its position and heading, so the switch is seamless.
+  function startAllRange(arena, rail, report) {
+    const { position, tangent } = shipPose(rail);
+    const maxPitch = config.ALL_RANGE_MAX_PITCH;
+    state.mode = 'allRange';
+    state.free = {
+      position: { ...position },
+      yaw: Math.atan2(tangent.x, -tangent.z),
+      pitch: clamp(Math.asin(clamp(tangent.y, -1, 1)), -maxPitch, maxPitch),
+    };
+    state.arena = {
+      center: arena.center ? { ...arena.center } : { ...rail.position },
+      radius: arena.radius,
+      height: arena.height || arena.radius * config.ALL_RANGE_HEIGHT,
+      endTick: arena.duration ? state.tick + toTicks(arena.duration) : null,
+      clear: arena.clear || null,
+      seenClear: false,
+    };
+    state.maneuver = null;
+    state.isTurningBack = false;
+    state.railReturnTicks = 0;
+    rehomeProjectiles(WORLD_FRAME);
+    report.events.push('allRangeStart');
+  }
+
+  // Back onto the rail where the ship left it; the ship's pose blends from
+  // where it was over RAIL_RETURN_DURATION
+  function endAllRange(rail, report) {
+    state.railReturn = shipPose(rail);
+    state.railReturnTicks = ticks.railReturn;
+    state.maneuver = null;
+    state.mode = 'rail';
+    state.free = null;
+    state.arena = null;
+    state.isTurningBack = false;
+    rehomeProjectiles(shotFrameFor(rail));
+    report.events.push('allRangeEnd');
+  }
+
+  // Stop the rail where it is, or swing it round `center` (by default
+  // `radius` ahead, level with the rail) at `speed`, positive circling to
+  // the right. Circling starts from the rail point, facing the centre; the
+  // ship's pose blends over from the rail either way in and out.
+  function startRailHold(hold, rail, report) {
+    if (hold.mode === 'circle') {
+      const forward = normalize({ x: rail.tangent.x, y: 0, z: rail.tangent.z });
+      const center = hold.center
+        ? { ...hold.center }
+        : add(rail.position, scale(forward, hold.radius || DEFAULT_CIRCLE_RADIUS));
+      state.railReturn = shipPose(rail);
+      state.railReturnTicks = ticks.railReturn;
+      state.railHold = {
+        mode: 'circle',
+        center,
+        offset: subtract(rail.position, center),
+        angle: 0,
+        speed: hold.speed !== undefined ? hold.speed : config.FORWARD_SPEED,
+      };
+    } else {
+      state.railHold = { mode: 'hold', frame: rail };
+    }
+    rehomeProjectiles(shotFrameFor(frameNow()));
+    report.events.push('railHoldStart');
+  }
+
+  function endRailHold(report) {
+    if (state.railHold.mode === 'circle') {
+      state.railReturn = shipPose(frameNow());
+      state.railReturnTicks = ticks.railReturn;
+    }
+    state.railHold = null;
+    rehomeProjectiles(shotFrameFor(frameNow()));
+    report.events.push('railHoldEnd');
+  }
+
+  function updateRailHold(report) {
+    const request = state.holdRequest;
+    state.holdRequest = null;
+    if (request) {
+      if (state.railHold) endRailHold(report);
+      if (request.hold) startRailHold(request.hold, frameNow(), report);
+    }
+
+    // Round the circle at its speed, scaled by boost and brake
+    const hold = state.railHold;
+    if (hold && hold.mode === 'circle' && state.mode === 'rail' && !state.maneuver) {
+      const radius = Math.hypot(hold.offset.x, hold.offset.z);
+      if (radius > 0) hold.angle += (hold.speed * (state.speed / config.FORWARD_SPEED) * dt) / radius;
+    }
+  }
+
+  function updateMode(rail, report) {
+    const request = state.modeRequest;
+    state.modeRequest = null;
+    if (request && request.mode !== state.mode) {
+      if (request.mode === 'allRange') startAllRange(request.arena, rail, report);
+      else endAllRange(rail, report);
+      return;
+    }
+    if (state.mode !== 'allRange') return;
+
+    const { arena } = state;
+    if (arena.endTick !== null && state.tick >= arena.endTick) {
+      endAllRange(rail, report);
+    } else if (arena.clear && world) {
+      // Only once something with the tag has shown up, so the arena doesn't
+      // close before its enemies have spawned
+      const remaining = world.list().some(c => c.tag === arena.clear);
+      if (remaining) arena.seenClear = true;
+      else if (arena.seenClear) endAllRange(rail, report);
+    }
+  }
+
+  // Boost and brake work while held and the energy gauge lasts; boost wins
+  // if both are held. Either drains the gauge over BOOST_DURATION (less
+  // when an analog trigger is only part-pulled), and once neither has been
+  // used for ENERGY_REFILL_DELAY it refills over ENERGY_REFILL. Running it
+  // dry locks both out until it is full again.
+  function updateEnergy(input, boostThrottle, brakeThrottle, events) {
+    const usable = !state.maneuver && !state.energyLocked && state.energy > 0;
+    const boosting = usable && input.boost;
+    const braking = usable && !boosting && input.brake;
+
+    if (boosting !== state.boostActive) events.push(boosting ? 'boostStart' : 'boostEnd');
+    if (braking !== state.isBraking) events.push(braking ? 'brakeStart' : 'brakeEnd');
+    state.boostActive = boosting;
+    state.isBraking = braking;
+
+    if (boosting || braking) {
+      state.energyIdleTicks = 0;
+      state.energy = Math.max(0, state.energy - (boosting ? boostThrottle : brakeThrottle) / ticks.energyDrain);
+      if (state.energy === 0) {
+        state.energyLocked = true;
+        events.push('energyEmpty');
+      }
+    } else if (++state.energyIdleTicks > ticks.energyRefillDelay && state.energy < 1) {
+      state.energy = Math.min(1, state.energy + 1 / ticks.energyRefill);
+      if (state.energy === 1) state.energyLocked = false;
+    }
+  }
+
+  // Pressing boost with the stick held up starts a somersault, a full loop
+  // that lets pursuers overshoot; pressing brake with the stick held up in
+  // all-range mode starts a U-turn, half a loop and a half roll to come out
+  // the right way up facing back. Each costs MANEUVER_ENERGY of the gauge.
+  function startManeuver(input, boostPressed, brakePressed, events) {
+    if (state.maneuver || state.isDestroyed || input.moveY < MANEUVER_STICK) return;
+    let type = null;
+    if (boostPressed) type = 'somersault';
+    else if (brakePressed && state.mode === 'allRange') type = 'uturn';
+    if (!type || state.energyLocked || state.energy < config.MANEUVER_ENERGY) return;
+
+    const total = type === 'somersault' ? ticks.somersault : ticks.uturn;
+    const angle = type === 'somersault' ? Math.PI * 2 : Math.PI;
+    state.energy -= config.MANEUVER_ENERGY;
+    state.energyIdleTicks = 0;
+    // Sized so the ship keeps its speed round the loop
+    state.maneuver = { type, ticks: 0, total, angle, radius: (state.speed * total * dt) / angle };
+    events.push(`${type}Start`);
+  }
+
+  // A U-turn leaves the ship upside down above where it started, facing
+  // back: carry that over into the free-flight pose, rolled the right way
+  // up (the tilt easing back to level plays out the half roll)
+  function finishManeuver(events) {
+    const { type, radius } = state.maneuver;
+    state.maneuver = null;
+    events.push(`${type}End`);
+    if (type !== 'uturn' || state.mode !== 'allRange') return;
+
+    const { free } = state;
+    const { up } = createFrame(free.position, headingOf(free.yaw, free.pitch));
+    free.position = add(free.position, scale(up, radius * 2));
+    free.yaw += Math.PI;
+    free.pitch = -free.pitch;
+    state.shipRotation.z += Math.PI;
+  }
+
+  // All-range flight: the stick yaws and pitches the ship, which flies on
+  // at its current speed between the arena's floor and ceiling. Crossing
+  // the arena's edge starts an automatic turn back toward the centre that
+  // ignores the stick until the ship is inside and facing in. Returns how
+  // hard the ship is turning (-1 to 1), for tilt.
+  function flyFree(input, agility, knockback, events) {
+    const { free, arena } = state;
+    const toCenter = { x: arena.center.x - free.position.x, z: arena.center.z - free.position.z };
+    const outside = Math.hypot(toCenter.x, toCenter.z) > arena.radius;
+    const turnRate = config.ALL_RANGE_TURN_RATE * dt * agility;
+    let steer = input.moveX;
+
+    if (outside && !state.isTurningBack) {
+      state.isTurningBack = true;
+      events.push('turnBack');
+    }
+    if (state.isTurningBack) {
+      const offCourse = angleBetween(free.yaw, Math.atan2(toCenter.x, -toCenter.z));
+      steer = clamp(offCourse / turnRate, -1, 1);
+      free.yaw += steer * turnRate;
+      free.pitch = lerp(free.pitch, 0, 0.05);
+      if (!outside && Math.abs(offCourse) < 0.1) state.isTurningBack = false;
+    } else {
+      const maxPitch = config.ALL_RANGE_MAX_PITCH;
+      free.yaw += input.moveX * turnRate;
+      free.pitch = clamp(free.pitch + input.moveY * config.ALL_RANGE_PITCH_RATE * dt * agility, -maxPitch, maxPitch);
+    }
+
+    const heading = headingOf(free.yaw, free.pitch);
+    const push = toWorld(createFrame(free.position, heading), knockback);
+    free.position = add(add(free.position, scale(heading, state.speed * dt)), push);
+    free.position.y = clamp(free.position.y, arena.center.y - arena.height, arena.center.y + arena.height);
+    return steer;
+  }
+
+  // Advance the simulation by one tick and return a fresh state snapshot.
+  // `events` lists what happened this tick ('boostStart', 'boostEnd',
+  // 'brakeStart', 'brakeEnd', 'energyEmpty', 'somersaultStart',
+  // 'somersaultEnd', 'uturnStart', 'uturnEnd', 'rollStart', 'rollEnd', 'fire',
+  // 'hit', 'scrapeStart', 'scrapeEnd', 'destroyed', 'projectileHit',
+  // 'chargeStart', 'chargeReady', 'lock', 'chargeFire', 'pickup',
+  // 'weaponDown', 'bombLaunch', 'bombDetonate', 'levelEvent', 'allRangeStart',
+  // 'allRangeEnd', 'turnBack', 'railHoldStart', 'railHoldEnd',
+  // 'levelComplete') so renderers can trigger
+  // one-shot effects; `hits` lists the colliders the ship touched this tick,
+  // `projectileHits` the shots (and bomb blasts) that struck something,
+  // `detonations` the bombs that went off, `pickups` the pickups collected
+  // and `levelEvents` the level timeline events passed.
+  function step(input = NO_INPUT) {
+    const report = emptyReport();
+    const { events } = report;
+    state.tick++;
+
+    // Update cooldowns
+    if (state.dodgeCooldownTicks > 0) state.dodgeCooldownTicks--;
+    if (state.fireCooldownTicks > 0) state.fireCooldownTicks--;
+    if (state.bombCooldownTicks > 0) state.bombCooldownTicks--;
+    if (state.hitInvulnerableTicks > 0) state.hitInvulnerableTicks--;
+    if (state.railReturnTicks > 0) state.railReturnTicks--;
+
+    // Handle maneuvers, boost and brake. Holding an analog trigger
+    // part-way feathers the boost or brake; digital input runs it at full
+    // strength.
+    const boostPressed = input.boost && !state.boostHeld;
+    const brakePressed = input.brake && !state.brakeHeld;
+    state.boostHeld = input.boost;
+    state.brakeHeld = input.brake;
+    const boostThrottle = input.boostAmount !== undefined ? clamp(input.boostAmount, 0, 1) : 1;
+    const brakeThrottle = input.brakeAmount !== undefined ? clamp(input.brakeAmount, 0, 1) : 1;
+
+    startManeuver(input, boostPressed, brakePressed, events);
+    updateEnergy(input, boostThrottle, brakeThrottle, events);
+
+    // Handle dodge/barrel roll
+    if (input.dodge && state.dodgeCooldownTicks === 0 && !state.isRolling) {
+      state.isRolling = true;
+      state.rollTicks = 0;
+      state.rollProgress = 0;
+      events.push('rollStart');
+    }
+
+    if (state.isRolling) {
+      state.rollProgress = Math.min(++state.rollTicks / ticks.dodgeDuration, 1);
+
+      if (state.rollProgress >= 1) {
+        state.isRolling = false;
+        state.dodgeCooldownTicks = ticks.dodgeCooldown;
+        events.push('rollEnd');
+      }
+    }
+
+    // Calculate speed. A level speed zone replaces the cruising speed;
+    // boosting adds the usual boost margin on top and braking takes the
+    // usual brake margin off.
+    const distance = state.splineProgress * splineLength;
+    const speedZone = state.mode === 'rail' ? zoneAt(speedZones, distance) : null;
+    const cruise = speedZone ? speedZone.speed : config.FORWARD_SPEED;
+    if (state.boostActive) {
+      state.speed = cruise + (config.BOOST_SPEED - config.FORWARD_SPEED) * boostThrottle;
+    } else if (state.isBraking) {
+      state.speed = Math.max(0, cruise - (config.FORWARD_SPEED - config.BRAKE_SPEED) * brakeThrottle);
+    } else {
+      state.speed = cruise;
+    }
+
+    // Advance a maneuver. The loop is drawn on top of the flight pose (see
+    // shipPose), which holds still meanwhile.
+    if (state.maneuver && ++state.maneuver.ticks > state.maneuver.total) finishManeuver(events);
+
+    // Hold or release the rail on request, and move round a circle
+    updateRailHold(report);
+
+    // Update spline progress (the rail waits while the ship is in
+    // all-range mode, looping or held, and stops for good at the end)
+    if (state.mode === 'rail' && !state.maneuver && !state.isComplete && !state.railHold) {
+      state.splineProgress += (state.speed * dt) / splineLength;
+      streamPath();
+      if (state.splineProgress >= 1 && !endless) {
+        if (loopPath) {
+          state.splineProgress = 0; // Loop back
+          state.nextLevelEvent = 0;
+        } else {
+          state.splineProgress = 1;
+          state.isComplete = true;
+        }
+        events.push('levelComplete');
+      }
+    }
+    const rail = frameNow();
+    const travelled = state.splineProgress * splineLength;
+    shotFrame = shotFrameFor(rail);
+
+    // Switch modes on request, or when the arena's time is up or its
+    // `clear` tag has been cleared
+    updateMode(rail, report);
+
+    // Level timeline: every event passed this tick, in order. An `allRange`
+    // event leaves the rail; the distance then stands still, so only events
+    // at the same distance follow it until the ship is back on the rail.
+    while (state.nextLevelEvent < timeline.length && timeline[state.nextLevelEvent].at <= travelled) {
+      const levelEvent = timeline[state.nextLevelEvent++];
+      report.levelEvents.push(levelEvent);
+      events.push('levelEvent');
+      if (levelEvent.type === 'allRange' && state.mode === 'rail') startAllRange(levelEvent, rail, report);
+    }
+
+    // Play-area bounds, overridden by the level's bounds zones
+    const boundsZone = zoneAt(boundsZones, travelled);
+    state.bounds = {
+      x: boundsZone && boundsZone.x !== undefined ? boundsZone.x : config.MOVE_BOUNDS.x,
+      y: boundsZone && boundsZone.y !== undefined ? boundsZone.y : config.MOVE_BOUNDS.y,
+    };
+
+    // Update local offset (movement on the plane), or steer in all-range
+    // mode, plus any knockback fading out over its duration
+    const onRail = state.mode === 'rail';
+    const agilityMult = state.isRolling ? config.DODGE_AGILITY_MULT : 1;
+    let knockbackX = 0;
+    let knockbackY = 0;
+    if (state.knockbackTicks > 0) {
+      const strength = (state.knockbackTicks-- / ticks.knockback) * config.KNOCKBACK_SPEED * dt;
+      knockbackX = state.knockback.x * strength;
+      knockbackY = state.knockback.y * strength;
+    }
+    let steer = input.moveX;
+    if (state.maneuver) {
+      steer = 0;
+    } else if (onRail) {
+      state.localOffset.x = clamp(
+        state.localOffset.x + input.moveX * config.MOVE_SPEED * dt * agilityMult + knockbackX,
+        -state.bounds.x,
+        state.bounds.x
+      );
+      state.localOffset.y = clamp(
+        state.localOffset.y + input.moveY * config.MOVE_SPEED * dt * agilityMult + knockbackY,
+        -state.bounds.y,
+        state.bounds.y
+      );
+    } else {
+      steer = flyFree(input, agilityMult, { x: knockbackX, y: knockbackY, z: 0 }, events);
+    }
+
+    // Scraping: pushing into the edge of the play area, or flying low
+    // enough to touch the terrain (the ship is lifted back above it along
+    // the frame's up; terrain is ignored while the frame is on its side or
+    // upside down). All-range arenas have no edges to scrape; the ship
+    // turns back instead.
+    const steering = onRail && !state.maneuver;
+    const pushingX = steering && input.moveX !== 0 && Math.abs(state.localOffset.x) >= state.bounds.x
+      && Math.sign(input.moveX) === Math.sign(state.localOffset.x);
+    const pushingY = steering && input.moveY !== 0 && Math.abs(state.localOffset.y) >= state.bounds.y
+      && Math.sign(input.moveY) === Math.sign(state.localOffset.y);
+    let touchingGround = false;
+    const upright = onRail ? rail.up.y : 1;
+    if (groundHeight && upright > 0.1) {
+      const ship = shipPose(rail).position;
+      const floor = groundHeight(ship.x, ship.z) + config.SHIP_RADIUS;
+      if (ship.y <= floor) {
+        if (onRail) state.localOffset.y += (floor - ship.y) / upright;
+        else state.free.position.y = floor;
+        touchingGround = true;
+      }
+    }
+
+    const scraping = pushingX || pushingY || touchingGround;
+    if (scraping !== state.isScraping) {
+      state.isScraping = scraping;
+      events.push(scraping ? 'scrapeStart' : 'scrapeEnd');
+    }
+    if (scraping) applyDamage(config.SCRAPE_DAMAGE * dt, events);
+
+    // Update ship rotation (tilt based on movement; the frame carries the
+    // path's heading and banking, and the loop pose a maneuver's pitch)
+    const pitchInput = state.maneuver ? 0 : input.moveY;
+    state.shipRotation.x = lerp(state.shipRotation.x, -pitchInput * config.SHIP_TILT_FACTOR, 0.1);
+    state.shipRotation.z = lerp(state.shipRotation.z, steer * config.SHIP_TILT_FACTOR * 1.5, 0.1);
+
+    const pose = shipPose(rail);
+    moveProjectiles(report);
+    resolveCollisions(pose, report);
+    handleWeapons(input, pose, report);
+
+    current = snapshot(rail, pose, input, report);
+    return current;
+  }
+
+  // Jump along the path to `progress` (0-1, or past 1 on an endless path)
+  // at once, e.g. to a checkpoint. Timeline events before it are skipped;
+  // those from it on fire as usual. Leaves all-range mode, releases the
+  // rail, cancels a maneuver and clears live shots and locks, since they
+  // belong to where the ship was.
+  function teleportTo(progress) {
+    state.splineProgress = endless ? Math.max(progress, 0) : clamp(progress, 0, 1);
+    streamPath();
+    const travelled = state.splineProgress * splineLength;
+    const next = timeline.findIndex(event => event.at >= travelled);
+    state.nextLevelEvent = next === -1 ? timeline.length : next;
+    Object.assign(state, {
+      isComplete: false,
+      mode: 'rail',
+      free: null,
+      arena: null,
+      isTurningBack: false,
+      modeRequest: null,
+      railReturn: null,
+      railReturnTicks: 0,
+      railHold: null,
+      holdRequest: null,
+      maneuver: null,
+      knockbackTicks: 0,
+      locks: [],
+      projectiles: [],
+    });
+    const rail = frameNow();
+    shotFrame = rail;
+    current = snapshot(rail, shipPose(rail), NO_INPUT, emptyReport());
+    return current;
+  }
+
+  // Start a fresh ship (full shield, base laser, starting bombs) at
+  // `progress`, e.g. the last checkpoint after losing a life. Unlike
+  // reset() the clock, projectile ids and collected pickups carry on, so
+  // snapshots stay in order and a pickup taken once stays taken.
+  function respawn(progress) {
+    const { tick, collected } = state;
+    const projectileId = nextProjectileId;
+    reset();
+    Object.assign(state, { tick, collected });
+    nextProjectileId = projectileId;
+    return teleportTo(progress);
+  }
+
+  // Swap in a new config mid-run (see gameConfig.js for merging and
+  // validation). The run carries on: running timers, the shield, shots and
+  // locks are cut down to the new limits, and the next tick uses the rest.
+  function setConfig(next) {
+    config = next;
+    ticks = timersOf(config);
+    state.dodgeCooldownTicks = Math.min(state.dodgeCooldownTicks, ticks.dodgeCooldown);
+    state.hitInvulnerableTicks = Math.min(state.hitInvulnerableTicks, ticks.hitInvulnerability);
+    state.knockbackTicks = Math.min(state.knockbackTicks, ticks.knockback);
+    state.railReturnTicks = Math.min(state.railReturnTicks, ticks.railReturn);
+    state.shield = Math.min(state.shield, config.MAX_SHIELD);
+    state.projectiles = state.projectiles.slice(-config.MAX_PROJECTILES);
+    state.locks = state.locks.slice(0, config.MAX_LOCKS);
+  }
+
+  reset();
+
+  return {
+    getConfig: () => config,
+    setConfig,
+    teleportTo,
+    respawn,
+    spline,
+    tickRate,
+    step,
+    reset,
+    getState: () => current,
+    // Switch modes from game code, e.g. when an arena's boss goes down;
+    // applied at the start of the next tick
+    enterAllRange: (arena) => { state.modeRequest = { mode: 'allRange', arena }; },
+    exitAllRange: () => { state.modeRequest = { mode: 'rail' }; },
+    // Hold the rail for a fight (see bosses.js): `{ mode: 'hold' }` stops
+    // it, `{ mode: 'circle', center, radius, speed }` swings it round a
+    // point. Applied at the start of the next tick, like releaseRail().
+    holdRail(hold = {}) {
+      const mode = hold.mode || 'hold';
+      if (!RAIL_HOLDS.includes(mode)) throw new Error(`Unknown rail hold "${mode}" (use 'hold' or 'circle')`);
+      state.holdRequest = { hold: { ...hold, mode } };
+    },
+    releaseRail: () => { state.holdRequest = { hold: null }; },
+  };
+}
+
+// ============================================================================
+// RENDER INTERPOLATION
+// ============================================================================
+// Blend two consecutive snapshots for display. Discrete state (timers,
+// flags, events) always comes from `next`; only positions, angles and the
+// rail frame are blended. A projectile spawned in `next` has no previous
+// position and is drawn where it spawned.
+export function interpolateState(prev, next, alpha) {
+  if (!prev || alpha >= 1) return next;
+
+  // Don't smear across the loop-back jump to the start of the spline
+  if (next.splineProgress < prev.splineProgress) return next;
+
+  const previousProjectiles = new Map(prev.projectiles.map(p => [p.id, p]));
+
+  return {
+    ...next,
+    splinePosition: lerpVector(prev.splinePosition, next.splinePosition, alpha),
+    shipPosition: lerpVector(prev.shipPosition, next.shipPosition, alpha),
+    flightPosition: lerpVector(prev.flightPosition, next.flightPosition, alpha),
+    frame: lerpFrame(prev.frame, next.frame, alpha),
+    shipRotation: lerpVector(prev.shipRotation, next.shipRotation, alpha),
+    shipQuaternion: lerpQuaternion(prev.shipQuaternion, next.shipQuaternion, alpha),
+    reticlePosition: lerpVector(prev.reticlePosition, next.reticlePosition, alpha),
+    rollProgress: next.isRolling && prev.isRolling
+      ? lerp(prev.rollProgress, next.rollProgress, alpha)
+      : next.rollProgress,
+    maneuverProgress: next.maneuver && prev.maneuver === next.maneuver
+      ? lerp(prev.maneuverProgress, next.maneuverProgress, alpha)
+      : next.maneuverProgress,
+    projectiles: next.projectiles.map(p => {
+      const before = previousProjectiles.get(p.id);
+      return before ? { ...p, position: lerpVector(before.position, p.position, alpha) } : p;
+    }),
+  };
+}
@@ -0,0 +1,238 @@
+// ============================================================================
+// RAIL FRAME
+// ----------------------------------------------------------------------------
+// Orientation along the rail path. Each frame is an orthonormal basis
+// travelling with the path:
+//
+//   tangent   direction of travel
+//   right     the play plane's +x
+//   up        the play plane's +y
+//
+// The up vector is parallel-transported along the curve (carried from one
+// sample to the next with as little twist as possible) instead of being
+// taken from the curvature the way a Frenet frame is. That keeps it stable
+// on straights and S-bends, and through a vertical loop it turns over with
+// the path, so the play plane stays the right way up relative to the ship.
+// Authored roll (a level path's `getRollAt`) is applied on top.
+//
+// Vectors in "frame space" use the same axes as the default straight path,
+// which runs down -z: x along `right`, y along `up` and z along -tangent.
+// ============================================================================
+
+const WORLD_UP = { x: 0, y: 1, z: 0 };
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scale(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.y, v.z);
+  return length > 0 ? scale(v, 1 / length) : { x: 0, y: 0, z: -1 };
+}
+
+function lerpVector(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+}
+
+// `up` with its component along `tangent` removed. Falls back to `fallback`
+// when the two are (nearly) parallel.
+function perpendicular(up, tangent, fallback) {
+  const flat = add(up, scale(tangent, -dot(up, tangent)));
+  if (Math.hypot(flat.x, flat.y, flat.z) > 1e-6) return normalize(flat);
+  return perpendicular(fallback, tangent, { x: 1, y: 0, z: 0 });
+}
+
+// Orthonormal basis from a tangent and an approximate up vector
+function basis(tangent, up) {
+  const t = normalize(tangent);
+  const u = perpendicular(up, t, { x: 0, y: 0, z: 1 });
+  return { tangent: t, right: cross(t, u), up: u };
+}
+
+// ============================================================================
+// FRAMES ALONG A SPLINE
+// ============================================================================
+// `spline` needs `getPointAt(t)` and `getLength()`; `getRollAt(t)` (radians,
+// positive rolls the up vector towards right) is used if present. Frames
+// are sampled by arc length up front, `samples` intervals in all (about one
+// every two world units by default), and blended in between.
+export function createRailFrames(spline, { samples } = {}) {
+  const count = samples || Math.max(200, Math.ceil(spline.getLength() / 2));
+  const rollAt = spline.getRollAt ? (t) => spline.getRollAt(t) : () => 0;
+
+  const points = Array.from({ length: count + 1 }, (_, i) => spline.getPointAt(i / count));
+  const tangents = points.map((_, i) => normalize(add(
+    points[Math.min(i + 1, count)],
+    scale(points[Math.max(i - 1, 0)], -1)
+  )));
+
+  // Start with world up (or, on a path that starts vertically, +z), then
+  // carry it along sample by sample
+  const ups = [perpendicular(WORLD_UP, tangents[0], { x: 0, y: 0, z: 1 })];
+  for (let i = 1; i <= count; i++) {
+    ups.push(transportUp(ups[i - 1], tangents[i]));
+  }
+
+  // The frame at arc-length fraction `t` (0-1), including authored roll
+  function frameAt(t) {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    const f = clamped * count;
+    const i = Math.min(Math.floor(f), count - 1);
+    const w = f - i;
+    const frame = basis(
+      lerpVector(tangents[i], tangents[i + 1], w),
+      lerpVector(ups[i], ups[i + 1], w)
+    );
+    rollFrame(frame, rollAt(clamped));
+    frame.position = spline.getPointAt(clamped);
+    return frame;
+  }
+
+  return { frameAt, samples: count };
+}
+
+// The up vector at the next sample along, carried over from `up` by
+// dropping the part that the turning `tangent` takes up. For paths that
+// sample their own frames as they go (see endlessPath.js).
+export function transportUp(up, tangent) {
+  return perpendicular(up, tangent, up);
+}
+
+// Roll `frame` in place by `roll` radians about its tangent (positive
+// rolls the up vector towards right)
+export function rollFrame(frame, roll) {
+  if (roll === 0) return frame;
+  const cos = Math.cos(roll);
+  const sin = Math.sin(roll);
+  const { right, up } = frame;
+  frame.up = add(scale(up, cos), scale(right, sin));
+  frame.right = add(scale(right, cos), scale(up, -sin));
+  return frame;
+}
+
+// ============================================================================
+// FRAME SPACE
+// ============================================================================
+// Frame-space vector -> world-space vector (a direction or an offset from
+// the frame's position)
+export function toWorld(frame, v) {
+  const { tangent, right, up } = frame;
+  return {
+    x: right.x * v.x + up.x * v.y - tangent.x * v.z,
+    y: right.y * v.x + up.y * v.y - tangent.y * v.z,
+    z: right.z * v.x + up.z * v.y - tangent.z * v.z,
+  };
+}
+
+// World-space vector -> frame-space vector
+export function toFrame(frame, v) {
+  return { x: dot(v, frame.right), y: dot(v, frame.up), z: -dot(v, frame.tangent) };
+}
+
+// Frame facing along `tangent`, as upright as `up` allows (for free flight,
+// where there is no path to follow)
+export function createFrame(position, tangent, up = WORLD_UP) {
+  const frame = basis(tangent, up);
+  frame.position = { ...position };
+  return frame;
+}
+
+// Blend two frames for display
+export function lerpFrame(a, b, t) {
+  const frame = basis(lerpVector(a.tangent, b.tangent, t), lerpVector(a.up, b.up, t));
+  if (a.position && b.position) frame.position = lerpVector(a.position, b.position, t);
+  return frame;
+}
+
+// ============================================================================
+// QUATERNIONS
+// ----------------------------------------------------------------------------
+// Plain { x, y, z, w } objects with three.js's conventions, so renderers can
+// copy them straight into an Object3D's quaternion.
+// ============================================================================
+
+// Rotation taking the default axes (x right, y up, looking down -z) onto
+// the frame's
+export function frameQuaternion(frame) {
+  const { right: r, up: u, tangent } = frame;
+  const b = scale(tangent, -1);
+  const trace = r.x + u.y + b.z;
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    return { x: (u.z - b.y) * s, y: (b.x - r.z) * s, z: (r.y - u.x) * s, w: 0.25 / s };
+  }
+  if (r.x > u.y && r.x > b.z) {
+    const s = 2 * Math.sqrt(1 + r.x - u.y - b.z);
+    return { x: 0.25 * s, y: (u.x + r.y) / s, z: (b.x + r.z) / s, w: (u.z - b.y) / s };
+  }
+  if (u.y > b.z) {
+    const s = 2 * Math.sqrt(1 + u.y - r.x - b.z);
+    return { x: (u.x + r.y) / s, y: 0.25 * s, z: (b.y + u.z) / s, w: (b.x - r.z) / s };
+  }
+  const s = 2 * Math.sqrt(1 + b.z - r.x - u.y);
+  return { x: (b.x + r.z) / s, y: (b.y + u.z) / s, z: 0.25 * s, w: (r.y - u.x) / s };
+}
+
+// Quaternion of an XYZ-order Euler rotation ({ x, y, z } in radians)
+export function eulerQuaternion({ x, y, z }) {
+  const c1 = Math.cos(x / 2);
+  const c2 = Math.cos(y / 2);
+  const c3 = Math.cos(z / 2);
+  const s1 = Math.sin(x / 2);
+  const s2 = Math.sin(y / 2);
+  const s3 = Math.sin(z / 2);
+  return {
+    x: s1 * c2 * c3 + c1 * s2 * s3,
+    y: c1 * s2 * c3 - s1 * c2 * s3,
+    z: c1 * c2 * s3 + s1 * s2 * c3,
+    w: c1 * c2 * c3 - s1 * s2 * s3,
+  };
+}
+
+// `a` then `b` in the parent's frame, i.e. a * b
+export function multiplyQuaternions(a, b) {
+  return {
+    x: a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y,
+    y: a.y * b.w + a.w * b.y + a.z * b.x - a.x * b.z,
+    z: a.z * b.w + a.w * b.z + a.x * b.y - a.y * b.x,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  };
+}
+
+// Normalized blend along the shorter arc; close enough to a slerp for the
+// small steps between two ticks
+export function lerpQuaternion(a, b, t) {
+  const sign = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0 ? -1 : 1;
+  const q = {
+    x: a.x + (b.x * sign - a.x) * t,
+    y: a.y + (b.y * sign - a.y) * t,
+    z: a.z + (b.z * sign - a.z) * t,
+    w: a.w + (b.w * sign - a.w) * t,
+  };
+  const length = Math.hypot(q.x, q.y, q.z, q.w);
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+// `v` rotated by `q`
+export function rotateVector(q, v) {
+  const axis = { x: q.x, y: q.y, z: q.z };
+  const t = scale(cross(axis, v), 2);
+  return add(add(v, scale(t, q.w)), cross(axis, t));
+}
@@ -0,0 +1,217 @@
+// ============================================================================
+// RENDER BENCHMARK
+// ----------------------------------------------------------------------------
+// Counts the React renders of every component under GameController over a
+// scripted run. It bundles StarfoxPlayerController.jsx with esbuild, mounts
+// GameController in @react-three/test-renderer (with jsdom for the HUD's
+// DOM overlay) and advances it frame by frame on a manual clock. Every
+// render React commits is counted per component, the way React DevTools'
+// profiler finds them; mounting isn't counted.
+//
+//   npm install
+//   node renderBenchmark.js [seconds] [fps] [baseline controller]
+//
+// Given the StarfoxPlayerController.jsx of another checkout as the
+// baseline (one from before the frame store, whose loop set React state
+// every frame), it runs both and prints their counts side by side.
+// ============================================================================
+
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { createManualClock } from './fixedStepLoop.js';
+import { createCollisionWorld, sphereCollider } from './collisionWorld.js';
+import { DEFAULT_LEVEL, createLevelPath } from './levelFormat.js';
+
+const require = createRequire(import.meta.url);
+const CONTROLLER = fileURLToPath(new URL('./StarfoxPlayerController.jsx', import.meta.url));
+
+// Steering, aiming and presses that exercise every HUD element: boosts,
+// brakes, rolls, taps, a charged shot and bombs
+function scriptedInput(tick, tickRate) {
+  const t = tick / tickRate;
+  const phase = (period, length) => t % period < length;
+  return {
+    moveX: Math.sin(t * 0.7),
+    moveY: Math.sin(t * 0.45) * 0.8,
+    aimX: Math.sin(t * 1.3) * 0.6,
+    aimY: Math.cos(t * 1.1) * 0.4,
+    boostAmount: phase(6, 1) ? 1 : 0,
+    boost: phase(6, 1),
+    brakeAmount: phase(9, 1) && !phase(6, 1) ? 1 : 0,
+    brake: phase(9, 1) && !phase(6, 1),
+    dodge: tick % (tickRate * 5) === 0,
+    fire: phase(20, 2) || tick % 15 === 0,
+    bomb: tick % (tickRate * 10) === tickRate * 3,
+  };
+}
+
+// A row of targets along the path, so shots hit, locks form and the ship
+// takes the odd knock
+function placeTargets(world, path) {
+  for (let i = 1; i < 40; i++) {
+    const { x, y, z } = path.getPointAt(i / 40);
+    world.add(sphereCollider({ x: x + (i % 3 - 1) * 6, y: y + (i % 2) * 3, z }, 1.5, { tag: 'target', lockable: true }));
+  }
+}
+
+// ============================================================================
+// COUNTING RENDERS
+// ============================================================================
+// React reports every commit to the DevTools hook, which has to be in place
+// before React loads. A component rendered in a commit if its fiber did
+// work; subtrees React bailed out of keep their fibers from before and are
+// skipped.
+const PERFORMED_WORK = 1;
+const renders = new Map();
+
+function componentName({ type }) {
+  if (typeof type === 'function') return type.displayName || type.name || null;
+  if (type && typeof type === 'object') {
+    const inner = type.render || type.type; // forwardRef, memo
+    if (typeof inner === 'function') return type.displayName || inner.displayName || inner.name || null;
+  }
+  return null;
+}
+
+function countCommit(fiber) {
+  for (let node = fiber; node; node = node.sibling) {
+    const name = componentName(node);
+    if (name && (node.flags & PERFORMED_WORK)) renders.set(name, (renders.get(name) || 0) + 1);
+    if (node.alternate && node.child === node.alternate.child) continue;
+    countCommit(node.child);
+  }
+}
+
+function installDevToolsHook() {
+  let id = 0;
+  globalThis.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+    supportsFiber: true,
+    renderers: new Map(),
+    inject(renderer) {
+      this.renderers.set(++id, renderer);
+      return id;
+    },
+    onCommitFiberRoot: (_, root) => countCommit(root.current.child),
+    onCommitFiberUnmount() {},
+    onPostCommitFiberRoot() {},
+    onScheduleFiberRoot() {},
+    checkDCE() {},
+  };
+}
+
+// A browser-ish global scope: jsdom for the HUD's overlay, a canvas the
+// test renderer fakes WebGL on
+function installDom() {
+  const { JSDOM } = require('jsdom');
+  const { window } = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+  const names = [
+    'window', 'document', 'navigator', 'HTMLElement', 'HTMLCanvasElement', 'Node',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle',
+  ];
+  for (const name of names) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+}
+
+let ready = false;
+function setUp() {
+  if (ready) return;
+  installDevToolsHook();
+  installDom();
+  ready = true;
+}
+
+// The controller module, bundled with its local imports; packages come
+// from this checkout's node_modules
+async function loadController(file) {
+  const { build } = require('esbuild');
+  const { outputFiles } = await build({
+    entryPoints: [file],
+    bundle: true,
+    format: 'cjs',
+    platform: 'node',
+    packages: 'external',
+    keepNames: true,
+    write: false,
+    logLevel: 'silent',
+  });
+  const module = { exports: {} };
+  new Function('require', 'module', 'exports', outputFiles[0].text)(require, module, module.exports);
+  return module.exports;
+}
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+// Renders per component name over `seconds` of frames at `fps`, from the
+// controller in `controller` (this checkout's by default)
+export async function runRenderBenchmark({ seconds = 60, fps = 60, controller = CONTROLLER } = {}) {
+  setUp();
+  const React = require('react');
+  const { create, act } = require('@react-three/test-renderer');
+  const { GameController } = await loadController(controller);
+
+  const tickRate = 60;
+  const world = createCollisionWorld();
+  placeTargets(world, createLevelPath(DEFAULT_LEVEL));
+  let tick = 0;
+  const inputSource = { next: () => scriptedInput(tick++, tickRate) };
+
+  // Wall time is the manual clock's too, so throttled watchers and timed
+  // screens see the frames' time
+  const clock = createManualClock();
+  const { now } = performance;
+  performance.now = () => clock.now();
+  const frameMs = 1000 / fps;
+  const frames = Math.round(seconds * fps);
+  try {
+    const renderer = await create(React.createElement(GameController, {
+      clock,
+      tickRate,
+      inputSource,
+      collisionWorld: world,
+      startScreen: 'playing',
+      touchControls: false,
+    }));
+    renders.clear();
+    for (let frame = 0; frame < frames; frame++) {
+      clock.advance(frameMs);
+      await act(async () => renderer.advanceFrames(1, frameMs / 1000));
+    }
+    const counts = Object.fromEntries(renders);
+    await renderer.unmount();
+    return { seconds, fps, frames, renders: counts };
+  } finally {
+    performance.now = now;
+  }
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+function printReport(runs) {
+  const [{ seconds, fps, frames }] = runs;
+  const perSecond = (count) => (count / seconds).toFixed(1).padStart(7);
+  const column = (count) => `${String(count).padStart(9)}${perSecond(count)}`;
+  const total = (run) => Object.values(run.renders).reduce((sum, count) => sum + count, 0);
+  console.log(`React renders over ${frames} frames (${seconds} s at ${fps} fps)\n`);
+  console.log(`${'Component'.padEnd(20)}${runs.map(run => `${run.label.padStart(9)}${'/s'.padStart(7)}`).join('')}`);
+  // Every component that rendered in any run, most renders first
+  const names = [...new Set(runs.flatMap(run => Object.keys(run.renders)))];
+  const most = (name) => Math.max(...runs.map(run => run.renders[name] || 0));
+  for (const name of names.sort((a, b) => most(b) - most(a))) {
+    console.log(`${name.padEnd(20)}${runs.map(run => column(run.renders[name] || 0)).join('')}`);
+  }
+  console.log(`${'All components'.padEnd(20)}${runs.map(run => column(total(run))).join('')}`);
+}
+
+if (typeof process !== 'undefined' && process.argv[1] && import.meta.url.endsWith(process.argv[1].split(/[\\/]/).pop())) {
+  const [seconds = 60, fps = 60] = process.argv.slice(2, 4).map(Number);
+  const baseline = process.argv[4];
+  const runs = [];
+  if (baseline) runs.push({ label: 'Baseline', ...await runRenderBenchmark({ seconds, fps, controller: baseline }) });
+  runs.push({ label: 'Renders', ...await runRenderBenchmark({ seconds, fps }) });
+  printReport(runs);
+  process.exit(0);
+}
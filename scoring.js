@@ -0,0 +1,375 @@
+// ============================================================================
+// SCORING
+// ----------------------------------------------------------------------------
+// Score, hits and medals for a run, and a high-score table kept in
+// localStorage. Renderer-free, like the simulation.
+//
+// Step the scoring once per simulation tick while the run is in play (the
+// game flow's 'playing'), after the enemies and bosses:
+//
+//   const scoring = createScoring({ medals: level.medals });
+//   const state = simulation.step(input);
+//   const snapshot = scoring.handleTick(state, {
+//     enemies: enemies.step(state),
+//     bosses: bosses.step(state),
+//   });
+//
+// A hit is an enemy the player's shots or bombs took down (rammed chasers
+// don't count) or a boss part destroyed. Hits that follow each other
+// within COMBO_WINDOW build a combo that multiplies what each is worth;
+// taking damage breaks it. Every kill after the first from one charged
+// volley (the shots a single charge release fires, one per lock) earns a
+// multi-kill bonus on top. A level's `medals` are the hits needed for
+// each medal, awarded on clearing the course. Accuracy is shots that hit
+// over shots fired, counted the same way as the game flow's stats.
+// ============================================================================
+
+import { DEFAULT_TICK_RATE } from './fixedStepLoop.js';
+import { accuracyOf, createShotCounter } from './gameFlow.js';
+
+export const SCORING_CONFIG = {
+  COMBO_WINDOW: 2000, // ms after a hit for the next to keep the combo going
+  COMBO_STEP: 0.1, // score multiplier added by each hit in a combo
+  COMBO_MAX: 2, // top multiplier
+  MULTI_KILL_HITS: 1, // bonus hits for each extra kill of one charged volley
+  MULTI_KILL_SCORE: 100, // bonus points for each extra kill of one charged volley
+  PART_SCORE: 100, // a boss part; the boss's own score comes on defeat
+};
+
+// Worst to best
+export const MEDALS = ['bronze', 'silver', 'gold'];
+
+// The best medal `hits` earns against `thresholds` (`{ bronze, silver,
+// gold }` hit counts, any of them optional), or null
+export function medalFor(hits, thresholds) {
+  if (!thresholds) return null;
+  let best = null;
+  for (const medal of MEDALS) {
+    if (thresholds[medal] !== undefined && hits >= thresholds[medal]) best = medal;
+  }
+  return best;
+}
+
+// The next medal still to earn, `{ medal, hits }`, or null
+function nextMedalFor(hits, thresholds) {
+  if (!thresholds) return null;
+  for (const medal of MEDALS) {
+    if (thresholds[medal] !== undefined && hits < thresholds[medal]) return { medal, hits: thresholds[medal] };
+  }
+  return null;
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+export function createScoring({ config = SCORING_CONFIG, medals = null, tickRate = DEFAULT_TICK_RATE } = {}) {
+  const stepMs = 1000 / tickRate;
+  const toTicks = (ms) => Math.max(1, Math.round(ms / stepMs));
+  const shots = createShotCounter();
+
+  let run;
+  // Charged shots still flying (or striking this tick) by projectile id,
+  // each pointing at its volley
+  let volleys;
+  let current;
+
+  function reset() {
+    run = {
+      score: 0,
+      hits: 0,
+      kills: 0,
+      combo: 0,
+      comboTicks: 0,
+      bestCombo: 0,
+      multiKills: 0,
+      shotsFired: 0,
+      shotsHit: 0,
+    };
+    volleys = new Map();
+    shots.reset();
+    current = snapshot(emptyReport());
+    return current;
+  }
+
+  const multiplier = () => Math.min(config.COMBO_MAX, 1 + config.COMBO_STEP * Math.max(0, run.combo - 1));
+
+  function snapshot(report) {
+    return {
+      score: run.score,
+      hits: run.hits,
+      kills: run.kills,
+      combo: run.combo,
+      multiplier: multiplier(),
+      bestCombo: run.bestCombo,
+      multiKills: run.multiKills,
+      shotsFired: run.shotsFired,
+      shotsHit: run.shotsHit,
+      accuracy: accuracyOf(run),
+      medal: medalFor(run.hits, medals),
+      nextMedal: nextMedalFor(run.hits, medals),
+      ...report,
+    };
+  }
+
+  const emptyReport = () => ({ events: [], points: 0, comboEnded: 0, bonuses: [] });
+
+  function endCombo(report) {
+    if (run.combo > 1) {
+      report.comboEnded = run.combo;
+      report.events.push('comboEnd');
+    }
+    run.combo = 0;
+    run.comboTicks = 0;
+  }
+
+  // Charged shots fired this tick, grouped into one volley: charge
+  // releases are at most one a tick. A shot that hits in the tick it was
+  // fired only shows up in the hits.
+  function trackVolleys(state) {
+    let volley = null;
+    const join = (id) => {
+      if (volleys.has(id)) return;
+      volley = volley || { kills: 0 };
+      volleys.set(id, volley);
+    };
+    for (const { id, charged, bomb } of state.projectiles) {
+      if (charged && !bomb) join(id);
+    }
+    for (const { projectileId, charged, blast } of state.projectileHits) {
+      if (charged && !blast) join(projectileId);
+    }
+  }
+
+  // Forget shots that are gone once their hits are in: a spent volley
+  // can't take down anything more
+  function dropSpentShots(state) {
+    const flying = new Set(state.projectiles.map(projectile => projectile.id));
+    for (const id of volleys.keys()) {
+      if (!flying.has(id)) volleys.delete(id);
+    }
+  }
+
+  // One hit worth `value` before the combo, by `projectileId` (if any)
+  function hit(value, projectileId, report) {
+    run.hits++;
+    run.combo++;
+    run.comboTicks = toTicks(config.COMBO_WINDOW);
+    run.bestCombo = Math.max(run.bestCombo, run.combo);
+    const points = Math.round(value * multiplier());
+    run.score += points;
+    report.points += points;
+    if (run.combo > 1 && !report.events.includes('combo')) report.events.push('combo');
+
+    const volley = volleys.get(projectileId);
+    if (!volley) return;
+    volley.kills++;
+    if (volley.kills < 2) return;
+    run.multiKills++;
+    run.hits += config.MULTI_KILL_HITS;
+    run.score += config.MULTI_KILL_SCORE;
+    report.points += config.MULTI_KILL_SCORE;
+    const bonus = report.bonuses.find(b => b.volley === volley);
+    if (bonus) bonus.kills = volley.kills;
+    else report.bonuses.push({ volley, kills: volley.kills });
+  }
+
+  // One tick, with the simulation's snapshot and the enemy and boss
+  // snapshots for the same tick (either may be left out). Reports the
+  // tick's `points`, `comboEnded` (the combo reached, 0 if none ended),
+  // `bonuses` (`{ kills }` per charged volley that took down more than one
+  // this tick) and `events` ('score', 'combo', 'comboEnd', 'multiKill',
+  // 'medal').
+  function handleTick(state, { enemies = null, bosses = null } = {}) {
+    const report = emptyReport();
+    const medalBefore = medalFor(run.hits, medals);
+
+    const { fired, hit: struck } = shots.count(state);
+    run.shotsFired += fired;
+    run.shotsHit += struck;
+    trackVolleys(state);
+
+    if (run.comboTicks > 0 && --run.comboTicks === 0) endCombo(report);
+    if (state.events.includes('hit')) endCombo(report);
+
+    // Enemies are kills as well as hits; boss parts are only hits
+    for (const enemy of enemies ? enemies.destroyed : []) {
+      if (enemy.rammed) continue;
+      run.kills++;
+      hit(enemy.score, enemy.projectileId, report);
+    }
+    if (bosses) {
+      for (const part of bosses.partsDestroyed) hit(config.PART_SCORE, part.projectileId, report);
+      if (bosses.defeated) {
+        run.score += bosses.defeated.score;
+        report.points += bosses.defeated.score;
+      }
+    }
+    dropSpentShots(state);
+
+    report.bonuses = report.bonuses.map(({ kills }) => ({ kills }));
+    if (report.points > 0) report.events.push('score');
+    if (report.bonuses.length > 0) report.events.push('multiKill');
+    if (medalFor(run.hits, medals) !== medalBefore) report.events.push('medal');
+    current = snapshot(report);
+    return current;
+  }
+
+  reset();
+
+  return {
+    handleTick,
+    reset,
+    getSnapshot: () => current,
+
+    // What the run adds to the game flow's results; the medal only for a
+    // cleared course
+    results(outcome) {
+      return {
+        score: run.score,
+        hits: run.hits,
+        kills: run.kills,
+        bestCombo: run.bestCombo,
+        multiKills: run.multiKills,
+        medal: outcome === 'clear' ? medalFor(run.hits, medals) : null,
+      };
+    },
+  };
+}
+
+// ============================================================================
+// HIGH SCORES
+// ----------------------------------------------------------------------------
+// The best runs per level (by level name), best first, saved to
+// localStorage when there is one. Entries are `{ name, score, hits, medal,
+// accuracy, time, date }`; only `name` and `score` are required.
+// ============================================================================
+export const HIGH_SCORE_SIZE = 10; // entries kept per level
+
+const HIGH_SCORE_KEY = 'starfox-controller.high-scores';
+
+function defaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (e) {
+    // Storage access can throw in sandboxed iframes
+    return null;
+  }
+}
+
+function validateEntry(entry) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name) {
+    throw new Error('High score needs a non-empty "name"');
+  }
+  if (typeof entry.score !== 'number' || !Number.isFinite(entry.score)) {
+    throw new Error(`High score "${entry.name}" needs a numeric "score"`);
+  }
+  if (entry.medal !== undefined && entry.medal !== null && !MEDALS.includes(entry.medal)) {
+    throw new Error(`High score "${entry.name}" has an unknown medal "${entry.medal}"`);
+  }
+  return { ...entry };
+}
+
+// `{ level: [entries] }`, not null or an array
+const isLevelTable = (levels) => Boolean(levels) && typeof levels === 'object' && !Array.isArray(levels);
+
+// Best first; ties go to the earlier run
+const byScore = (a, b) => b.score - a.score || (a.date || 0) - (b.date || 0);
+
+export function createHighScoreTable({ storage = defaultStorage(), storageKey = HIGH_SCORE_KEY, size = HIGH_SCORE_SIZE } = {}) {
+  let tables = {};
+  const listeners = new Set();
+
+  // Merge `saved` (`{ level: [entries] }`) in, keeping the best `size`.
+  // Entries already there (same name, score and date) aren't added twice.
+  // Throws on a bad entry before changing anything.
+  function merge(saved) {
+    if (!isLevelTable(saved)) throw new Error('High score JSON needs a "levels" object');
+    const next = { ...tables };
+    for (const [level, entries] of Object.entries(saved)) {
+      if (!Array.isArray(entries)) throw new Error(`High scores for "${level}" must be an array`);
+      const kept = next[level] || [];
+      const added = entries.map(validateEntry).filter(entry => !kept.some(
+        other => other.name === entry.name && other.score === entry.score && other.date === entry.date
+      ));
+      next[level] = [...kept, ...added].sort(byScore).slice(0, size);
+    }
+    tables = next;
+  }
+
+  if (storage) {
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey));
+      if (saved && saved.levels !== undefined) merge(saved.levels);
+    } catch (e) {
+      // Corrupt or foreign data: start from an empty table
+      tables = {};
+    }
+  }
+
+  function persist() {
+    if (storage) {
+      try {
+        storage.setItem(storageKey, JSON.stringify({ levels: tables }));
+      } catch (e) {
+        // Quota exceeded or storage disabled; keep working in memory
+      }
+    }
+    listeners.forEach(listener => listener(tables));
+  }
+
+  const list = (level) => (tables[level] || []).map(entry => ({ ...entry }));
+
+  // Whether `score` would make the level's table
+  function qualifies(level, score) {
+    const entries = tables[level] || [];
+    return score > 0 && (entries.length < size || score > entries[entries.length - 1].score);
+  }
+
+  return {
+    list,
+    listLevels: () => Object.keys(tables),
+    qualifies,
+
+    // Add a run. Returns its rank (1 is best), or null when it didn't
+    // make the table.
+    submit(level, entry) {
+      const added = validateEntry({ date: Date.now(), ...entry });
+      if (!qualifies(level, added.score)) return null;
+      const entries = [...(tables[level] || []), added].sort(byScore).slice(0, size);
+      tables = { ...tables, [level]: entries };
+      persist();
+      return entries.indexOf(added) + 1;
+    },
+
+    // One level's table, or every one
+    clear(level) {
+      if (level === undefined) {
+        tables = {};
+      } else {
+        const { [level]: removed, ...rest } = tables;
+        tables = rest;
+      }
+      persist();
+    },
+
+    // One level's table, or every one, as JSON for `importJson`
+    exportJson(level) {
+      const levels = level === undefined ? tables : { [level]: list(level) };
+      return JSON.stringify({ levels }, null, 2);
+    },
+
+    // Merge tables exported by `exportJson` into these, keeping the best
+    // entries. Throws on malformed data, leaving the tables as they were.
+    importJson(json) {
+      const data = typeof json === 'string' ? JSON.parse(json) : json;
+      if (!data) throw new Error('High score JSON needs a "levels" object');
+      merge(data.levels);
+      persist();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
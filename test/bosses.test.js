@@ -0,0 +1,228 @@
+// ============================================================================
+// BOSSES TESTS
+// ----------------------------------------------------------------------------
+// Boss fights stepped headlessly against the player simulation: holding and
+// circling the rail, shields and armour, parts shot off, phase changes and
+// the defeat that lets the rail go.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOSS_TYPES, createBossSystem } from '../bosses.js';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { createLevelPath } from '../levelFormat.js';
+import { createCollisionWorld } from '../collisionWorld.js';
+import { DEFAULT_TICK_RATE } from '../fixedStepLoop.js';
+
+const TICK_MS = 1000 / DEFAULT_TICK_RATE;
+const toTicks = (ms) => Math.round(ms / TICK_MS);
+// Attacks hold off this long after the entry and each phase change
+const PHASE_PAUSE = toTicks(1000);
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+
+// A straight run down -z, so rail space lines up with world space
+const TRACK = { version: 1, points: [[0, 0, 0], [0, 0, -3000]], events: [] };
+
+// A ship on the track with the fight under way
+function createFight(type) {
+  const world = createCollisionWorld();
+  const simulation = createPlayerSimulation(CONFIG, createLevelPath(TRACK), { world, loopPath: false });
+  const bosses = createBossSystem({ world, simulation });
+  if (type) bosses.start(type);
+  return { world, simulation, bosses };
+}
+
+// Step both `count` ticks, returning each tick's ship state and boss
+// snapshot
+function run({ simulation, bosses }, count) {
+  return Array.from({ length: count }, () => {
+    const state = simulation.step(NO_INPUT);
+    return { state, snapshot: bosses.step(state) };
+  });
+}
+
+const ticksWith = (frames, event) => frames.filter(({ snapshot }) => snapshot.events.includes(event)).map(({ state }) => state.tick);
+const partNamed = (snapshot, name) => snapshot.boss.parts.find(part => part.name === name);
+
+// Knock `name` down to `health` and step once for it to count
+function damageTo(fight, name, health) {
+  const part = partNamed(fight.bosses.getSnapshot(), name);
+  assert.equal(fight.bosses.damage(part.id, part.health - health), true, `${name} took the hit`);
+  return run(fight, 1)[0];
+}
+
+test('a holding boss stops the rail, flies in ahead and attacks after its entry', () => {
+  const fight = createFight('warden');
+  const { warden } = BOSS_TYPES;
+  const frames = run(fight, 400);
+
+  assert.deepEqual(ticksWith(frames, 'bossStart'), [1]);
+  assert.equal(frames[0].state.railHold.mode, 'hold');
+  assert.ok(frames.every(({ state }) => state.splineProgress === 0), 'the rail stands still');
+
+  const entry = toTicks(warden.entry);
+  assert.equal(frames[entry - 1].snapshot.boss.isEntering, true);
+  assert.equal(frames[entry].snapshot.boss.isEntering, false);
+  assert.ok(frames[0].snapshot.boss.position.z < -(warden.distance + 100), 'it flies in from far out');
+
+  // Settled: `distance` ahead and `height` up, swaying within the phase's
+  // sway (until shots knock the ship aside and it turns to face it)
+  const [swayX, swayY] = warden.phases[0].sway;
+  for (const { state, snapshot } of frames.slice(entry, entry + PHASE_PAUSE)) {
+    const offset = subtract(snapshot.boss.position, state.railHold.center);
+    assert.ok(Math.abs(offset.z + warden.distance) < 1e-6);
+    assert.ok(Math.abs(offset.x) <= swayX + 1e-6 && Math.abs(offset.y - warden.height) <= swayY + 1e-6);
+  }
+  assert.equal(ticksWith(frames, 'bossFire')[0], entry + PHASE_PAUSE);
+});
+
+test('shielded weak points and armour shrug off hits until the shields are shot off', () => {
+  const fight = createFight('warden');
+  run(fight, 1);
+  const { boss } = fight.bosses.getSnapshot();
+  const core = partNamed({ boss }, 'core');
+  const hull = partNamed({ boss }, 'hull');
+  assert.equal(core.shielded, true);
+  assert.equal(fight.bosses.damage(core.id, 50), false);
+  assert.equal(fight.bosses.damage(hull.id, 50), false);
+  assert.equal(hull.health, null);
+
+  const size = fight.world.size();
+  const { snapshot } = damageTo(fight, 'leftGun', 0);
+  assert.deepEqual(snapshot.partsDestroyed.map(part => part.name), ['leftGun']);
+  assert.ok(snapshot.events.includes('bossPartDestroyed'));
+  assert.equal(fight.world.size(), size - 1);
+  assert.equal(partNamed(snapshot, 'core').shielded, true, 'the other gun still shields it');
+
+  damageTo(fight, 'rightGun', 0);
+  assert.equal(partNamed(fight.bosses.getSnapshot(), 'core').shielded, false);
+  assert.equal(fight.bosses.damage(core.id, 10), true);
+});
+
+test('attacks from a part that was shot off are skipped', () => {
+  const fight = createFight('warden');
+  run(fight, 1);
+  damageTo(fight, 'leftGun', 0);
+  const frames = run(fight, 600);
+
+  const fired = frames.filter(({ snapshot }) => snapshot.fired.length > 0);
+  assert.ok(fired.length >= 6);
+  // Shots have moved one tick on from where they were fired
+  const speed = BOSS_TYPES.warden.shotSpeed / DEFAULT_TICK_RATE;
+  for (const { snapshot } of fired) {
+    const gun = partNamed(snapshot, 'rightGun');
+    for (const id of snapshot.fired) {
+      const shot = snapshot.projectiles.find(projectile => projectile.id === id);
+      const origin = subtract(shot.position, { x: shot.direction.x * speed, y: shot.direction.y * speed, z: shot.direction.z * speed });
+      assert.ok(length(subtract(origin, gun.position)) < 1e-6, 'fired from the right gun');
+    }
+  }
+});
+
+test('the phase follows the weak points\' health, and each phase runs its own attacks', () => {
+  const fight = createFight('warden');
+  const { warden } = BOSS_TYPES;
+  run(fight, toTicks(warden.entry));
+  damageTo(fight, 'leftGun', 0);
+  damageTo(fight, 'rightGun', 0);
+  assert.equal(fight.bosses.getSnapshot().boss.phaseName, 'Guns');
+
+  const core = warden.parts[0].health;
+  const exposed = damageTo(fight, 'core', core * 0.6);
+  assert.ok(exposed.snapshot.events.includes('bossPhase'));
+  assert.equal(exposed.snapshot.boss.phaseName, 'Exposed');
+  assert.equal(exposed.snapshot.boss.health, core * 0.6);
+
+  // After the pause (counted from the tick of the change), the spread fans
+  // its `count` shots out at once
+  const frames = run(fight, PHASE_PAUSE);
+  assert.deepEqual(ticksWith(frames, 'bossFire'), [exposed.state.tick + PHASE_PAUSE - 1]);
+  const spread = frames.find(({ snapshot }) => snapshot.fired.length > 0);
+  assert.equal(spread.snapshot.fired.length, warden.phases[1].attacks[0].count);
+
+  const meltdown = damageTo(fight, 'core', core * 0.2);
+  assert.equal(meltdown.snapshot.boss.phaseName, 'Meltdown');
+  assert.equal(meltdown.snapshot.boss.phase, 2);
+});
+
+test('a big enough hit skips straight to the phase for the health left', () => {
+  const fight = createFight('warden');
+  run(fight, 1);
+  damageTo(fight, 'leftGun', 0);
+  damageTo(fight, 'rightGun', 0);
+  const { snapshot } = damageTo(fight, 'core', 10);
+  assert.deepEqual(snapshot.events, ['bossPhase']);
+  assert.equal(snapshot.boss.phaseName, 'Meltdown');
+});
+
+test('destroying the last weak point defeats the boss and lets the rail go', () => {
+  const fight = createFight();
+  const size = fight.world.size();
+  fight.bosses.start('warden');
+  run(fight, 1);
+  damageTo(fight, 'leftGun', 0);
+  damageTo(fight, 'rightGun', 0);
+  const { snapshot } = damageTo(fight, 'core', 0);
+
+  assert.ok(snapshot.events.includes('bossDefeated'));
+  assert.equal(snapshot.defeated.score, BOSS_TYPES.warden.score);
+  assert.equal(snapshot.boss, null);
+  assert.equal(fight.bosses.isActive(), false);
+  assert.equal(fight.world.list().filter(collider => collider.tag === 'boss').length, 0);
+
+  const [released, moving] = run(fight, 2);
+  assert.ok(released.state.events.includes('railHoldEnd'));
+  assert.equal(released.state.railHold, null);
+  assert.ok(moving.state.splineProgress > released.state.splineProgress, 'the rail moves on');
+  run(fight, 300);
+  assert.equal(fight.world.size(), size, 'its shots run out too');
+});
+
+test('a circling boss swings the rail round it, and needs every weak point down', () => {
+  const fight = createFight('sentinel');
+  const { sentinel } = BOSS_TYPES;
+  const frames = run(fight, 240);
+
+  const angles = frames.map(({ state }) => {
+    assert.equal(state.railHold.mode, 'circle');
+    const offset = subtract(state.splinePosition, state.railHold.center);
+    assert.ok(Math.abs(Math.hypot(offset.x, offset.z) - sentinel.distance) < 1e-6, 'on the circle');
+    return Math.atan2(offset.z, offset.x);
+  });
+  assert.ok(angles.every((angle, i) => i === 0 || angle !== angles[i - 1]), 'always rounding it');
+  const { boss } = frames.at(-1).snapshot;
+  const center = frames.at(-1).state.railHold.center;
+  assert.ok(Math.hypot(boss.position.x - center.x, boss.position.z - center.z) <= sentinel.phases[0].sway[0] + 1e-6);
+
+  const half = damageTo(fight, 'reactor', 0);
+  assert.equal(half.snapshot.defeated, null);
+  assert.equal(half.snapshot.boss.phaseName, 'Glare');
+  damageTo(fight, 'shieldLeft', 0);
+  damageTo(fight, 'shieldRight', 0);
+  assert.ok(damageTo(fight, 'eye', 0).snapshot.events.includes('bossDefeated'));
+});
+
+test('bosses without parts, weak points or known attacks are refused', () => {
+  const { bosses } = createFight();
+  const { warden } = BOSS_TYPES;
+  assert.throws(() => bosses.start('kraken'), /Unknown boss type "kraken"/);
+  assert.throws(() => bosses.start('warden', { parts: [] }), /has no parts/);
+  assert.throws(() => bosses.start('warden', { parts: warden.parts.map(part => ({ ...part, weakPoint: false })) }), /no weak point/);
+  const phases = [{ health: 1, attacks: [{ pattern: 'laser' }] }];
+  assert.throws(() => bosses.start('warden', { phases }), /Unknown attack pattern "laser"/);
+});
+
+test('clearing takes the boss and its shots out of the world', () => {
+  const fight = createFight();
+  const size = fight.world.size();
+  fight.bosses.start('warden');
+  run(fight, toTicks(BOSS_TYPES.warden.entry) + PHASE_PAUSE + 30);
+  assert.ok(fight.bosses.getSnapshot().projectiles.length > 0);
+  const snapshot = fight.bosses.clear();
+  assert.equal(snapshot.boss, null);
+  assert.deepEqual(snapshot.projectiles, []);
+  assert.equal(fight.bosses.isActive(), false);
+  assert.equal(fight.world.size(), size);
+});
@@ -0,0 +1,106 @@
+// ============================================================================
+// ENDLESS PATH TESTS
+// ----------------------------------------------------------------------------
+// A seed always builds the same course, and however far it streams, it
+// bends, climbs and wanders no more than the difficulty allows.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENDLESS_CONFIG, createEndlessPath } from '../endlessPath.js';
+
+const { SEGMENT_LENGTH, PROGRESS_LENGTH } = ENDLESS_CONFIG;
+// The path's own spacing between samples
+const STEP = SEGMENT_LENGTH / 20;
+const STREAM_LENGTH = 20000;
+
+const angleBetween = (a, b) => Math.acos(Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z));
+const limit = (easy, hard, difficulty) => easy + (hard - easy) * difficulty;
+
+// Every STEP units along `length` units of path, streamed the way the
+// simulation streams it
+function* fly(path, length) {
+  for (let distance = 0; distance <= length; distance += STEP) {
+    if (distance > path.getRange().end - SEGMENT_LENGTH) path.advance(distance / PROGRESS_LENGTH);
+    yield { distance, point: path.pointAtDistance(distance), tangent: path.frameAtDistance(distance).tangent };
+  }
+}
+
+const course = (path, length) => [...fly(path, length)].map(({ point }) => point);
+
+test('the same seed builds the same course, and another seed another', () => {
+  const a = course(createEndlessPath({ seed: 42 }), 5000);
+  assert.deepEqual(course(createEndlessPath({ seed: 42 }), 5000), a);
+  assert.notDeepEqual(course(createEndlessPath({ seed: 43 }), 5000), a);
+});
+
+test('going back past what was let go builds the same course again', () => {
+  const path = createEndlessPath({ seed: 42 });
+  const ahead = path.pointAtDistance(600);
+  path.advance(5);
+  assert.ok(path.getRange().start > 600, 'the start was let go');
+  assert.equal(path.advance(0), true);
+  assert.deepEqual(path.pointAtDistance(600), ahead);
+});
+
+test('only a window of the path around the ship is kept', () => {
+  const path = createEndlessPath({ seed: 3 });
+  const { AHEAD, BEHIND } = ENDLESS_CONFIG;
+  for (let progress = 0; progress <= 10; progress += 0.25) {
+    path.advance(progress);
+    const { start, end } = path.getRange();
+    const distance = progress * PROGRESS_LENGTH;
+    assert.ok(end >= distance + AHEAD && start <= Math.max(0, distance - BEHIND));
+    assert.ok(end - start <= AHEAD + BEHIND + 2 * SEGMENT_LENGTH, `${end - start} units kept`);
+  }
+});
+
+test('difficulty ramps from 0 to 1 over the ramp distance', () => {
+  const path = createEndlessPath();
+  const { RAMP_DISTANCE } = ENDLESS_CONFIG;
+  assert.equal(path.difficultyAt(0), 0);
+  assert.equal(path.difficultyAt(RAMP_DISTANCE / 2), 0.5);
+  assert.equal(path.difficultyAt(RAMP_DISTANCE), 1);
+  assert.equal(path.difficultyAt(RAMP_DISTANCE * 3), 1);
+  const flat = createEndlessPath({ config: { ...ENDLESS_CONFIG, RAMP_DISTANCE: 0 } });
+  assert.equal(flat.difficultyAt(0), 1);
+});
+
+test('over a long stream, curvature and slope stay within the difficulty\'s limits', () => {
+  const { TURN_EASY, TURN_HARD, SLOPE_EASY, SLOPE_HARD, START_STRAIGHT } = ENDLESS_CONFIG;
+  const slack = 1e-9;
+  for (const seed of [1, 7, 1234]) {
+    const path = createEndlessPath({ seed });
+    let previous = null;
+    let sharpest = 0;
+    for (const { distance, tangent } of fly(path, STREAM_LENGTH)) {
+      const difficulty = path.difficultyAt(distance);
+      const slope = Math.abs(Math.asin(tangent.y));
+      assert.ok(slope <= limit(SLOPE_EASY, SLOPE_HARD, difficulty) + slack, `slope ${slope} at ${distance} (seed ${seed})`);
+      if (previous) {
+        const curvature = angleBetween(previous, tangent) / STEP;
+        const most = limit(TURN_EASY, TURN_HARD, difficulty) / SEGMENT_LENGTH;
+        assert.ok(curvature <= most + slack, `curvature ${curvature} at ${distance} (seed ${seed})`);
+        if (distance <= START_STRAIGHT * SEGMENT_LENGTH) assert.ok(curvature < slack, 'it starts straight');
+        sharpest = Math.max(sharpest, curvature);
+      }
+      previous = tangent;
+    }
+    assert.ok(sharpest > TURN_EASY / SEGMENT_LENGTH, 'the hard stretch bends harder than the easy limit');
+  }
+});
+
+test('over a long stream, the path steers back near the starting height', () => {
+  const { MAX_HEIGHT } = ENDLESS_CONFIG;
+  for (const seed of [1, 7, 1234]) {
+    const highest = Math.max(...course(createEndlessPath({ seed }), STREAM_LENGTH).map(point => Math.abs(point.y)));
+    assert.ok(highest < MAX_HEIGHT + 2 * SEGMENT_LENGTH, `${highest} units off (seed ${seed})`);
+  }
+});
+
+test('bad seeds and configs are refused', () => {
+  assert.throws(() => createEndlessPath({ seed: 'a' }), /seed/);
+  assert.throws(() => createEndlessPath({ config: { ...ENDLESS_CONFIG, TURN_HARD: -1 } }), /TURN_HARD/);
+  assert.throws(() => createEndlessPath({ config: { ...ENDLESS_CONFIG, SEGMENT_LENGTH: 0 } }), /SEGMENT_LENGTH/);
+  assert.throws(() => createEndlessPath({ config: { ...ENDLESS_CONFIG, AHEAD: 10 } }), /AHEAD/);
+});
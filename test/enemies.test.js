@@ -0,0 +1,216 @@
+// ============================================================================
+// ENEMIES TESTS
+// ----------------------------------------------------------------------------
+// Each behaviour stepped headlessly against the player simulation: turrets
+// hold their place and fire, formations fly their pattern and leave,
+// chasers run the ship down, shooters hover, lead their shots and leave.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENEMY_TYPES, createEnemySystem, leadDirection } from '../enemies.js';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { createLevelPath } from '../levelFormat.js';
+import { createCollisionWorld } from '../collisionWorld.js';
+import { DEFAULT_TICK_RATE } from '../fixedStepLoop.js';
+
+const TICK_MS = 1000 / DEFAULT_TICK_RATE;
+const toTicks = (ms) => Math.round(ms / TICK_MS);
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const direction = (from, to) => {
+  const offset = subtract(to, from);
+  const l = length(offset);
+  return { x: offset.x / l, y: offset.y / l, z: offset.z / l };
+};
+
+// A straight run down -z, so rail space lines up with world space
+const TRACK = { version: 1, points: [[0, 0, 0], [0, 0, -3000]], events: [] };
+
+// A ship on the track with a collision world the enemies share
+function createFight() {
+  const world = createCollisionWorld();
+  const spline = createLevelPath(TRACK);
+  const simulation = createPlayerSimulation(CONFIG, spline, { world, loopPath: false });
+  const enemies = createEnemySystem({ world, spline });
+  return { world, simulation, enemies };
+}
+
+// Step both `count` ticks, returning each tick's ship state and enemy
+// snapshot
+function run({ simulation, enemies }, count, input = NO_INPUT) {
+  return Array.from({ length: count }, () => {
+    const state = simulation.step({ ...NO_INPUT, ...input });
+    return { state, snapshot: enemies.step(state) };
+  });
+}
+
+const ticksWith = (frames, event) => frames.filter(({ snapshot }) => snapshot.events.includes(event)).map(({ snapshot }) => snapshot.tick);
+
+test('a turret holds its place ahead, fires at the ship in range and is left behind', () => {
+  const fight = createFight();
+  const { turret } = ENEMY_TYPES;
+  fight.enemies.spawn('turret', { offset: [8, 0] });
+  const frames = run(fight, 600);
+
+  const [spawned] = frames[0].snapshot.spawned;
+  const seen = frames.map(({ snapshot }) => snapshot.enemies.find(enemy => enemy.id === spawned.id)).filter(Boolean);
+  assert.ok(seen.every(enemy => length(subtract(enemy.position, spawned.position)) < 1e-9), 'it never moves');
+
+  const fired = ticksWith(frames, 'enemyFire');
+  assert.equal(fired[0], toTicks(turret.fireRate), 'first shot once reloaded');
+  for (const tick of fired) {
+    const { state, snapshot } = frames[tick - 1];
+    assert.ok(length(subtract(state.shipPosition, spawned.position)) <= turret.range);
+    const shot = snapshot.projectiles.find(projectile => projectile.id === snapshot.fired[0]);
+    assert.ok(dot(shot.direction, direction(spawned.position, state.shipPosition)) > 0.999, 'straight at the ship');
+  }
+
+  const [gone] = frames.filter(({ snapshot }) => snapshot.despawned.includes(spawned.id));
+  assert.ok(gone.state.distance >= turret.ahead + 30, 'left once the ship is past it');
+  assert.equal(fight.world.get(spawned.id), null);
+});
+
+test('a formation spawns its members apart, flies its pattern ahead of the ship and leaves', () => {
+  const fight = createFight();
+  const { drone } = ENEMY_TYPES;
+  fight.enemies.spawn('drone');
+  const frames = run(fight, 400);
+
+  const spawns = frames.flatMap(({ snapshot }) => snapshot.spawned.map(enemy => ({ id: enemy.id, tick: snapshot.tick })));
+  assert.equal(spawns.length, drone.count);
+  spawns.slice(1).forEach((spawn, i) => assert.equal(spawn.tick - spawns[i].tick, toTicks(drone.spacing)));
+
+  for (const { state, snapshot } of frames) {
+    for (const enemy of snapshot.enemies) {
+      const ahead = dot(subtract(enemy.position, state.shipPosition), state.frame.tangent);
+      assert.ok(ahead > 30, `${ahead} ahead on tick ${snapshot.tick}`);
+    }
+  }
+  // The sweep crosses the view from left to right
+  const first = frames.map(({ state, snapshot }) => ({ state, enemy: snapshot.enemies.find(e => e.id === spawns[0].id) }))
+    .filter(({ enemy }) => enemy);
+  const across = ({ state, enemy }) => dot(subtract(enemy.position, state.shipPosition), state.frame.right);
+  assert.ok(across(first[0]) < -20 && across(first.at(-1)) > 20);
+
+  for (const { id, tick } of spawns) {
+    const [gone] = frames.filter(({ snapshot }) => snapshot.despawned.includes(id));
+    assert.ok(Math.abs(gone.snapshot.tick - tick - toTicks(drone.duration)) <= 1, 'gone after its duration');
+  }
+  assert.deepEqual(ticksWith(frames, 'enemyFire'), [], 'drones never fire');
+});
+
+test('a chaser turns at its turn rate to run the ship down, and is spent on it', () => {
+  const fight = createFight();
+  const { chaser } = ENEMY_TYPES;
+  fight.enemies.spawn('chaser', { start: [30, 10, 60] });
+  const frames = run(fight, 300);
+
+  const [spawned] = frames[0].snapshot.spawned;
+  const flight = frames.map(({ state, snapshot }) => ({ state, enemy: snapshot.enemies.find(e => e.id === spawned.id) }))
+    .filter(({ enemy }) => enemy);
+  for (let i = 1; i < flight.length; i++) {
+    const turned = Math.acos(Math.min(1, dot(flight[i - 1].enemy.direction, flight[i].enemy.direction)));
+    assert.ok(turned <= chaser.turnRate / DEFAULT_TICK_RATE + 1e-9, `turned ${turned} on tick ${i + 1}`);
+  }
+  const gap = ({ state, enemy }) => length(subtract(enemy.position, state.shipPosition));
+  assert.ok(gap(flight.at(-1)) < gap(flight[0]) / 10, 'it closed in');
+
+  const rammed = frames.find(({ snapshot }) => snapshot.destroyed.length > 0);
+  assert.deepEqual(
+    (({ id, rammed: crashed, score, projectileId }) => ({ id, crashed, score, projectileId }))(rammed.snapshot.destroyed[0]),
+    { id: spawned.id, crashed: true, score: 0, projectileId: null }
+  );
+  const hit = frames.find(({ state }) => state.hits.some(h => h.id === spawned.id));
+  assert.equal(hit.snapshot.tick, rammed.snapshot.tick, 'gone on the tick it hit the ship');
+  assert.equal(hit.state.shield, CONFIG.MAX_SHIELD - chaser.damage);
+});
+
+test('a shooter settles ahead, leads its shots at the moving ship and flies off after its lifetime', () => {
+  const fight = createFight();
+  const { gunship } = ENEMY_TYPES;
+  fight.enemies.spawn('gunship');
+  const frames = run(fight, 800, { moveX: 1 });
+
+  const [spawned] = frames[0].snapshot.spawned;
+  const lifetime = toTicks(gunship.lifetime);
+  // Where it sits relative to the rail, trailing its spot a little as it
+  // chases it along
+  const hovering = (tick) => {
+    const { state, snapshot } = frames[tick - 1];
+    return subtract(snapshot.enemies.find(e => e.id === spawned.id).position, state.splinePosition);
+  };
+  const settled = hovering(lifetime - 1);
+  assert.ok(length(subtract(settled, hovering(lifetime - 1 - DEFAULT_TICK_RATE))) < 0.5, 'it holds its place');
+  assert.ok(Math.abs(settled.x - gunship.hover[0]) < 0.5 && Math.abs(settled.y - gunship.hover[1]) < 0.5);
+  assert.ok(-settled.z > 0 && -settled.z <= gunship.hover[2], `${-settled.z} ahead`);
+
+  const fired = frames.filter(({ snapshot }) => snapshot.fired.length > 0);
+  assert.ok(fired.length >= 3);
+  const led = fired.filter(({ state, snapshot }) => {
+    const shooter = snapshot.enemies.find(e => e.id === spawned.id);
+    const shot = snapshot.projectiles.find(projectile => projectile.id === snapshot.fired[0]);
+    return dot(shot.direction, direction(shooter.position, state.shipPosition)) < 0.9999;
+  });
+  assert.ok(led.length > 0, 'shots lead the strafing ship rather than trail it');
+
+  const [gone] = frames.filter(({ snapshot }) => snapshot.despawned.includes(spawned.id));
+  assert.ok(gone.snapshot.tick > lifetime, 'still there through its lifetime');
+  assert.ok(gone.snapshot.tick <= lifetime + toTicks(1500), 'then takes a moment to leave');
+});
+
+test('leading a shot aims where the shot and its target meet', () => {
+  const from = { x: 0, y: 0, z: 0 };
+  const target = { x: 0, y: 0, z: -50 };
+  const velocity = { x: 10, y: 0, z: 0 };
+  const aim = leadDirection(from, target, velocity, 30);
+  // Across the line of fire, the shot keeps pace with the target
+  assert.ok(Math.abs(aim.x * 30 - velocity.x) < 1e-9);
+  assert.ok(Math.abs(length(aim) - 1) < 1e-9);
+  // Too fast to catch: straight at it
+  assert.deepEqual(leadDirection(from, target, { x: 0, y: 0, z: -40 }, 30), { x: 0, y: 0, z: -1 });
+});
+
+test('shot down by the player, an enemy scores with the shot that did it', () => {
+  const fight = createFight();
+  fight.enemies.spawn('turret', { health: 5, fireRate: 0 });
+  const frames = run(fight, 240, { fire: true });
+
+  const destroyed = frames.find(({ snapshot }) => snapshot.destroyed.length > 0);
+  assert.ok(destroyed, 'the turret went down');
+  const [down] = destroyed.snapshot.destroyed;
+  assert.equal(down.rammed, false);
+  assert.equal(down.score, ENEMY_TYPES.turret.score);
+  assert.ok(frames.some(({ state }) => state.projectileHits.some(hit => hit.projectileId === down.projectileId && hit.targetId === down.id)));
+  assert.ok(destroyed.snapshot.events.includes('enemyDestroyed'));
+  assert.equal(fight.world.get(down.id), null);
+});
+
+test('spawn events override the definition, and bad ones are refused or left to the game', () => {
+  const fight = createFight();
+  assert.throws(() => fight.enemies.spawn('mothership'), /Unknown enemy type "mothership"/);
+  assert.throws(() => fight.enemies.spawn('drone', { behavior: 'kamikaze' }), /unknown behavior "kamikaze"/);
+  fight.enemies.spawn('drone', { pattern: 'loop' });
+  assert.throws(() => run(fight, 1), /Unknown flight pattern "loop"/);
+
+  const other = createFight();
+  const state = other.simulation.step(NO_INPUT);
+  const events = [{ type: 'spawn', enemy: 'mothership' }, { type: 'spawn', enemy: 'drone', count: 2, color: '#fff' }];
+  const snapshot = other.enemies.step({ ...state, levelEvents: events });
+  assert.deepEqual(snapshot.spawned.map(({ type, color }) => ({ type, color })), [{ type: 'drone', color: '#fff' }]);
+});
+
+test('clearing takes every enemy and shot out of the world', () => {
+  const fight = createFight();
+  const colliders = fight.world.size();
+  fight.enemies.spawn('turret');
+  fight.enemies.spawn('drone');
+  run(fight, 120);
+  assert.ok(fight.world.size() > colliders);
+  const snapshot = fight.enemies.clear();
+  assert.deepEqual(snapshot.enemies, []);
+  assert.deepEqual(snapshot.projectiles, []);
+  assert.equal(fight.world.size(), colliders);
+});
@@ -0,0 +1,84 @@
+// ============================================================================
+// FIXED-STEP LOOP TESTS
+// ----------------------------------------------------------------------------
+// Ticks are spent from wall time in whole steps, so a run is the same tick
+// for tick whatever the frame rate, and a manual clock makes it repeatable.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TICK_RATE, createFixedStepLoop, createManualClock } from '../fixedStepLoop.js';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { DEFAULT_LEVEL, createLevelPath } from '../levelFormat.js';
+
+// Scripted input by tick: weave, boost in bursts, roll and fire now and then
+const scripted = (tick) => ({
+  ...NO_INPUT,
+  moveX: Math.sin(tick / 20),
+  moveY: Math.cos(tick / 35) * 0.5,
+  aimX: Math.sin(tick / 15) * 0.3,
+  boost: tick % 180 < 40,
+  boostAmount: 1,
+  dodge: tick % 250 === 100,
+  fire: tick % 10 < 3,
+});
+
+// The snapshot after every tick of `seconds` of frames `frameMs` long
+function runAtFrameRate(frameMs, seconds) {
+  const simulation = createPlayerSimulation(CONFIG, createLevelPath(DEFAULT_LEVEL), { loopPath: false });
+  const clock = createManualClock();
+  const states = [];
+  const loop = createFixedStepLoop({
+    clock,
+    step: (tick) => states.push(simulation.step(scripted(tick))),
+  });
+  loop.advance();
+  for (let t = 0; t < seconds * 1000; t += frameMs) {
+    clock.advance(frameMs);
+    loop.advance();
+  }
+  return states;
+}
+
+test('spends elapsed time in whole ticks and reports the leftover as alpha', () => {
+  const clock = createManualClock();
+  let ticks = 0;
+  const loop = createFixedStepLoop({ clock, step: () => ticks++ });
+  loop.advance();
+  clock.advance(40);
+  const { ticks: ran, alpha } = loop.advance();
+  assert.equal(ran, 2);
+  assert.equal(ticks, 2);
+  assert.ok(Math.abs(alpha - (40 - 2000 / DEFAULT_TICK_RATE) / (1000 / DEFAULT_TICK_RATE)) < 1e-9);
+});
+
+test('caps a long frame and catches nothing up while paused', () => {
+  const clock = createManualClock();
+  let ticks = 0;
+  const loop = createFixedStepLoop({ clock, step: () => ticks++, maxFrameTime: 110 });
+  loop.advance();
+  clock.advance(5000);
+  assert.equal(loop.advance().ticks, 6);
+  loop.pause();
+  clock.advance(1000);
+  assert.equal(loop.advance().ticks, 0);
+  loop.resume();
+  clock.advance(1000);
+  assert.equal(loop.advance().ticks, 0);
+  assert.equal(ticks, 6);
+});
+
+test('the same input gives the same run at any frame rate', () => {
+  const reference = runAtFrameRate(1000 / 60, 10);
+  assert.ok(reference.length >= 599);
+  for (const frameMs of [1000 / 144, 1000 / 30, 33, 7]) {
+    const states = runAtFrameRate(frameMs, 10);
+    const common = Math.min(states.length, reference.length);
+    assert.ok(common >= 598, `${common} ticks at ${frameMs} ms frames`);
+    assert.deepEqual(states.slice(0, common), reference.slice(0, common), `${frameMs} ms frames`);
+  }
+});
+
+test('the same input gives the same run twice', () => {
+  assert.deepEqual(runAtFrameRate(16, 5), runAtFrameRate(16, 5));
+});
@@ -0,0 +1,57 @@
+// ============================================================================
+// FRAME STORE TESTS
+// ----------------------------------------------------------------------------
+// Watchers let through only changes to what they select, throttled, so the
+// parts subscribed to them re-render only when what they draw has moved.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameStore, sameContents, selectRadar, shallowEqual, watchStore } from '../frameStore.js';
+
+// An all-range radar as the simulation builds it: a new object every tick
+const radarAt = (shipX, yaw = 0) => ({
+  radar: {
+    radius: 150,
+    heading: yaw,
+    ship: { x: shipX, y: 2, z: -40 },
+    contacts: [{ id: 7, tag: 'enemy', x: 30, y: 0, z: 12 }],
+  },
+});
+
+test('watchers fire only when the selection changes, at most once per interval', () => {
+  const store = createFrameStore({ value: 0 });
+  const seen = [];
+  watchStore(store, (state) => ({ value: state.value }), (selected) => seen.push(selected.value), { interval: 100 });
+
+  store.set({ value: 0 }, 10);
+  store.set({ value: 1 }, 20);
+  store.set({ value: 2 }, 60);
+  assert.deepEqual(seen, [1], 'held back by the interval');
+  store.set({ value: 2 }, 130);
+  store.set({ value: 3 }, 140);
+  store.set({ value: 3 }, 240);
+  assert.deepEqual(seen, [1, 2, 3]);
+});
+
+test('a radar rebuilt every tick fires only when what it draws moves', () => {
+  const store = createFrameStore(radarAt(0));
+  let changes = 0;
+  watchStore(store, selectRadar, () => changes++, { equal: sameContents });
+
+  for (let tick = 1; tick <= 10; tick++) store.set(radarAt(tick * 0.01), tick * 16);
+  assert.equal(changes, 0, 'sub-unit moves and new objects are not changes');
+
+  store.set(radarAt(1.2), 200);
+  assert.equal(changes, 1);
+  store.set(radarAt(1.2, Math.PI / 4), 216);
+  assert.equal(changes, 2);
+  store.set({ radar: null }, 232);
+  assert.equal(changes, 3, 'leaving the arena hides the radar');
+});
+
+test('by identity, a radar rebuilt every tick is always a change', () => {
+  assert.equal(shallowEqual(selectRadar(radarAt(0)), selectRadar(radarAt(0))), false);
+  assert.equal(sameContents(selectRadar(radarAt(0)), selectRadar(radarAt(0))), true);
+  assert.equal(selectRadar({ radar: null }), null);
+});
@@ -0,0 +1,109 @@
+// ============================================================================
+// GAME CONFIG TESTS
+// ----------------------------------------------------------------------------
+// Presets and overrides merging over the defaults, the errors an invalid
+// config throws, and a new config taking over a running simulation.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_PRESETS, mergeConfig, resolveConfig, validateConfig } from '../gameConfig.js';
+import { settingSliders, setSetting } from '../debugTools.js';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { DEFAULT_LEVEL, createLevelPath } from '../levelFormat.js';
+import { DEFAULT_TICK_RATE } from '../fixedStepLoop.js';
+
+const messagesFor = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return Object.fromEntries(error.errors.map(({ path, message }) => [path, message]));
+  }
+  assert.fail('expected an invalid config');
+};
+
+test('every preset resolves to a valid config over the defaults', () => {
+  for (const [name, preset] of Object.entries(CONFIG_PRESETS)) {
+    const config = resolveConfig({}, { preset: name });
+    assert.deepEqual(validateConfig(config), [], name);
+    for (const [key, value] of Object.entries(CONFIG)) {
+      assert.deepEqual(config[key], key in preset ? preset[key] : value, `${name} ${key}`);
+    }
+  }
+  assert.deepEqual(resolveConfig(), CONFIG);
+  assert.throws(() => resolveConfig({}, { preset: 'hard' }), /Unknown config preset "hard" \(expected one of arcade, sim/);
+});
+
+test('overrides go over the preset, and nested settings merge field by field', () => {
+  const config = resolveConfig({ MOVE_SPEED: 9, MOVE_BOUNDS: { x: 20 } }, { preset: 'sim' });
+  assert.equal(config.MOVE_SPEED, 9);
+  assert.equal(config.BOOST_SPEED, CONFIG_PRESETS.sim.BOOST_SPEED);
+  assert.deepEqual(config.MOVE_BOUNDS, { ...CONFIG.MOVE_BOUNDS, x: 20 });
+  assert.notEqual(CONFIG.MOVE_BOUNDS.x, 20, 'the defaults are untouched');
+
+  const merged = mergeConfig({ list: [1, 2], nested: { a: 1, b: 2 } }, null, { list: [3], nested: { b: 5 } });
+  assert.deepEqual(merged, { list: [3], nested: { a: 1, b: 5 } });
+});
+
+test('an invalid config throws every problem at once', () => {
+  const errors = messagesFor(() => resolveConfig({
+    MOVE_SPEED: 0,
+    MAX_LOCKS: 2.5,
+    MANEUVER_ENERGY: 1.5,
+    LOCK_RANGE: 'far',
+    MOVE_BOUNDS: { y: -1 },
+    WARP_SPEED: 100,
+  }));
+  assert.deepEqual(errors, {
+    MOVE_SPEED: 'must be a number greater than 0',
+    'MOVE_BOUNDS.y': 'must be a number greater than 0',
+    MANEUVER_ENERGY: 'must be a number from 0 to 1',
+    MAX_LOCKS: 'must be a whole number from 0 to 16',
+    LOCK_RANGE: 'must be a number greater than 0',
+    WARP_SPEED: 'is not a setting',
+  });
+  assert.throws(() => resolveConfig({ MOVE_SPEED: 0, MAX_LOCKS: 2.5 }), /Invalid config:\n {2}MOVE_SPEED .*\n {2}MAX_LOCKS /);
+
+  const missing = { ...CONFIG };
+  delete missing.MAX_SHIELD;
+  assert.deepEqual(validateConfig(missing), [{ path: 'MAX_SHIELD', message: 'is required' }]);
+  assert.deepEqual(messagesFor(() => resolveConfig({ BRAKE_SPEED: 50, BOOST_SPEED: 5 })), {
+    BOOST_SPEED: 'must be at least FORWARD_SPEED',
+    BRAKE_SPEED: 'must be at most FORWARD_SPEED',
+  });
+});
+
+test('the all-range pitch limit stays short of straight up', () => {
+  assert.deepEqual(messagesFor(() => resolveConfig({ ALL_RANGE_MAX_PITCH: Math.PI / 2 })), {
+    ALL_RANGE_MAX_PITCH: 'must be a number from 0 to under 1.571',
+  });
+  assert.equal(resolveConfig({ ALL_RANGE_MAX_PITCH: Math.PI / 2 - 0.01 }).ALL_RANGE_MAX_PITCH, Math.PI / 2 - 0.01);
+
+  // Nor can the debug overlay's sliders reach past any setting's range
+  // (the speeds' order is checked apart, when the ranges pass)
+  const outOfRange = (config, path) => validateConfig(config)
+    .filter(error => error.path === path && !error.message.includes('FORWARD_SPEED'));
+  for (const { sliders } of settingSliders(CONFIG)) {
+    for (const { path, min, max } of sliders) {
+      for (const value of [min, max]) {
+        const errors = outOfRange(setSetting(CONFIG, path, value), path);
+        assert.deepEqual(errors, [], `${path} at ${value}`);
+      }
+    }
+  }
+});
+
+test('a new config takes over a running simulation on its next tick', () => {
+  const simulation = createPlayerSimulation(CONFIG, createLevelPath(DEFAULT_LEVEL), { loopPath: false });
+  for (let i = 0; i < 30; i++) simulation.step({ ...NO_INPUT, fire: i % 2 === 0 });
+  const before = simulation.getState();
+  assert.ok(before.projectiles.length > 2);
+
+  simulation.setConfig(resolveConfig({ FORWARD_SPEED: 30, BOOST_SPEED: 40, MAX_SHIELD: 40, MAX_PROJECTILES: 2 }));
+  const after = simulation.step(NO_INPUT);
+  assert.equal(after.tick, before.tick + 1, 'the run carries on');
+  assert.ok(Math.abs(after.distance - before.distance - 30 / DEFAULT_TICK_RATE) < 1e-6);
+  assert.equal(after.shield, 40);
+  assert.ok(after.projectiles.length <= 2);
+  assert.equal(simulation.getConfig().FORWARD_SPEED, 30);
+});
@@ -0,0 +1,188 @@
+// ============================================================================
+// GAME FLOW TESTS
+// ----------------------------------------------------------------------------
+// The run's state machine through its public API: starting, pausing,
+// losing ships, respawning at checkpoints, the results and restarts.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLOW_CONFIG, createGameFlow } from '../gameFlow.js';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { DEFAULT_LEVEL, createLevelPath, loadLevel } from '../levelFormat.js';
+
+// What the flow asks of a simulation, recording the calls
+function fakeSimulation() {
+  const calls = [];
+  return {
+    calls,
+    tickRate: 60,
+    spline: {},
+    reset: () => calls.push('reset'),
+    respawn: (progress) => calls.push(`respawn ${progress}`),
+  };
+}
+
+function fakeLoop() {
+  return {
+    running: true,
+    pause() {
+      this.running = false;
+    },
+    resume() {
+      this.running = true;
+    },
+  };
+}
+
+// The parts of a simulation snapshot the flow reads
+const tick = ({ events = [], levelEvents = [], splineProgress = 0, projectiles = [], projectileHits = [] } = {}) => (
+  { events, levelEvents, splineProgress, projectiles, projectileHits }
+);
+
+function createFlow(options = {}) {
+  const simulation = fakeSimulation();
+  const loop = fakeLoop();
+  const flow = createGameFlow({ simulation, loop, ...options });
+  const changes = [];
+  flow.subscribe(({ from, to, reason, newRun }) => changes.push({ from, to, reason, newRun }));
+  return { flow, simulation, loop, changes };
+}
+
+// Lose the ship and wait out the death delay
+function die(flow) {
+  flow.handleTick(tick({ events: ['destroyed'] }));
+  assert.equal(flow.getState(), 'dead');
+  flow.update(FLOW_CONFIG.DEATH_DELAY);
+}
+
+test('a flow opens on the title, with the loop stopped, and start begins a run', () => {
+  const { flow, simulation, loop, changes } = createFlow();
+  assert.equal(flow.getState(), 'title');
+  assert.equal(loop.running, false);
+  assert.equal(flow.acceptsInput(), false);
+
+  assert.equal(flow.start(), true);
+  assert.equal(flow.getState(), 'playing');
+  assert.equal(loop.running, true);
+  assert.equal(flow.acceptsInput(), true);
+  assert.deepEqual(simulation.calls, ['reset']);
+  assert.deepEqual(changes, [{ from: 'title', to: 'playing', reason: 'start', newRun: true }]);
+  assert.equal(flow.start(), false, 'only from the title or the results');
+  assert.throws(() => createGameFlow({ simulation, start: 'paused' }), /paused/);
+});
+
+test('pausing stops the loop and keeps the reason until resumed', () => {
+  const { flow, loop } = createFlow({ start: 'playing' });
+  assert.equal(flow.pause('blur'), true);
+  assert.equal(flow.getState(), 'paused');
+  assert.equal(flow.getSnapshot().pauseReason, 'blur');
+  assert.equal(loop.running, false);
+  assert.equal(flow.pause(), false, 'already paused');
+
+  flow.handleTick(tick());
+  assert.equal(flow.getSnapshot().stats.ticks, 0, 'ticks while paused are not play');
+
+  assert.equal(flow.togglePause(), true);
+  assert.equal(flow.getState(), 'playing');
+  assert.equal(flow.getSnapshot().pauseReason, null);
+  assert.equal(loop.running, true);
+  assert.equal(flow.resume(), false);
+});
+
+test('a lost ship respawns at the last checkpoint after the delays', () => {
+  const { flow, simulation, loop } = createFlow({ start: 'playing' });
+  flow.handleTick(tick({ levelEvents: [{ type: 'checkpoint' }], splineProgress: 0.25 }));
+  flow.handleTick(tick({ splineProgress: 0.3 }));
+  assert.equal(flow.getSnapshot().checkpoint, 0.25);
+
+  flow.handleTick(tick({ events: ['destroyed'] }));
+  assert.equal(flow.getState(), 'dead');
+  assert.equal(loop.running, true, 'the wreck keeps flying');
+  flow.update(FLOW_CONFIG.DEATH_DELAY - 1);
+  assert.equal(flow.getState(), 'dead');
+  assert.equal(flow.getSnapshot().timeLeft, 1);
+  flow.update(1);
+
+  assert.equal(flow.getState(), 'respawning');
+  assert.equal(loop.running, false);
+  assert.deepEqual(simulation.calls, ['respawn 0.25']);
+  assert.equal(flow.getSnapshot().lives, FLOW_CONFIG.LIVES - 1);
+  flow.update(FLOW_CONFIG.RESPAWN_DELAY);
+  assert.equal(flow.getState(), 'playing');
+});
+
+test('losing the last ship ends the run with the results', () => {
+  const { flow, loop } = createFlow({ start: 'playing', config: { ...FLOW_CONFIG, LIVES: 2 } });
+  flow.handleTick(tick({ projectiles: [{ id: 1 }, { id: 2 }] }));
+  flow.handleTick(tick({ events: ['hit'], projectileHits: [{ projectileId: 1 }] }));
+  die(flow);
+  flow.update(FLOW_CONFIG.RESPAWN_DELAY);
+  die(flow);
+
+  assert.equal(flow.getState(), 'results');
+  assert.equal(loop.running, false);
+  const { results } = flow.getSnapshot();
+  assert.equal(results.outcome, 'gameOver');
+  assert.equal(results.livesLost, 2);
+  assert.equal(results.livesLeft, 0);
+  assert.equal(results.hitsTaken, 1);
+  assert.equal(results.shotsFired, 2);
+  assert.equal(results.accuracy, 0.5);
+  assert.equal(results.time, 4 * (1000 / 60));
+});
+
+test('clearing the course shows the results after the complete delay', () => {
+  const scored = { reset() {}, results: (outcome) => ({ score: 1200, medal: outcome === 'clear' ? 'gold' : null }) };
+  const { flow } = createFlow({ start: 'playing', scoring: scored });
+  flow.handleTick(tick({ events: ['levelComplete'] }));
+  assert.equal(flow.getState(), 'levelComplete');
+  flow.update(FLOW_CONFIG.COMPLETE_DELAY);
+  assert.equal(flow.getState(), 'results');
+  assert.deepEqual(
+    (({ outcome, livesLeft, score, medal }) => ({ outcome, livesLeft, score, medal }))(flow.getSnapshot().results),
+    { outcome: 'clear', livesLeft: FLOW_CONFIG.LIVES, score: 1200, medal: 'gold' }
+  );
+});
+
+test('restart and quit start over with a fresh run', () => {
+  const { flow, simulation, changes } = createFlow({ start: 'playing' });
+  flow.handleTick(tick({ levelEvents: [{ type: 'checkpoint' }], splineProgress: 0.5 }));
+  die(flow);
+  flow.pause();
+  assert.equal(flow.getState(), 'respawning', 'only a run in play pauses');
+
+  assert.equal(flow.restart(), true);
+  const snapshot = flow.getSnapshot();
+  assert.equal(snapshot.state, 'playing');
+  assert.equal(snapshot.lives, FLOW_CONFIG.LIVES);
+  assert.equal(snapshot.checkpoint, 0);
+  assert.equal(snapshot.stats.ticks, 0);
+  assert.deepEqual(simulation.calls, ['respawn 0.5', 'reset']);
+
+  assert.equal(flow.quit(), true);
+  assert.equal(flow.getState(), 'title');
+  assert.equal(flow.restart(), false, 'nothing to restart on the title');
+  assert.equal(flow.quit(), false);
+  assert.deepEqual(changes.filter(change => change.newRun).map(change => change.reason), ['restart', 'quit']);
+});
+
+test('a real simulation respawns at the checkpoint the flow saw', () => {
+  const level = loadLevel(DEFAULT_LEVEL);
+  const simulation = createPlayerSimulation(CONFIG, createLevelPath(level), { level, loopPath: false });
+  const flow = createGameFlow({ simulation, start: 'playing' });
+
+  let state;
+  do {
+    state = simulation.step(NO_INPUT);
+    flow.handleTick(state);
+  } while (!state.levelEvents.some(event => event.type === 'checkpoint'));
+  const { checkpoint } = flow.getSnapshot();
+  assert.ok(checkpoint > 0);
+
+  for (let i = 0; i < 60; i++) flow.handleTick(simulation.step(NO_INPUT));
+  flow.handleTick({ ...simulation.getState(), events: ['destroyed'], levelEvents: [] });
+  flow.update(FLOW_CONFIG.DEATH_DELAY);
+  assert.equal(flow.getState(), 'respawning');
+  assert.equal(simulation.getState().splineProgress, checkpoint);
+});
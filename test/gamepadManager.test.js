@@ -0,0 +1,73 @@
+// ============================================================================
+// GAMEPAD MANAGER TESTS
+// ----------------------------------------------------------------------------
+// Fake pads through navigator.getGamepads: trigger axes that report 0
+// before their first press, and rumble that rejects.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUTTON, createGamepadManager } from '../gamepadManager.js';
+
+// An unmapped XInput pad (axes 2 and 5 are the triggers)
+const xinputPad = (fields = {}) => ({
+  index: 0,
+  id: 'Xbox 360 Controller (045e-028e)',
+  mapping: '',
+  axes: [0, 0, 0, 0, 0, 0],
+  buttons: Array.from({ length: 11 }, () => ({ pressed: false, value: 0 })),
+  ...fields,
+});
+
+function withPads(pads, run) {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+  Object.defineProperty(globalThis, 'navigator', { value: { getGamepads: () => pads }, configurable: true });
+  try {
+    return run();
+  } finally {
+    if (descriptor) Object.defineProperty(globalThis, 'navigator', descriptor);
+    else delete globalThis.navigator;
+  }
+}
+
+test('trigger axes read as released until they first move off 0', () => {
+  const pad = xinputPad();
+  withPads([pad], () => {
+    const manager = createGamepadManager({ target: null });
+    assert.equal(manager.sample().buttons[BUTTON.RT], 0, 'an untouched trigger at 0 is not half pressed');
+
+    pad.axes[5] = 1;
+    assert.equal(manager.sample().buttons[BUTTON.RT], 1);
+    pad.axes[5] = 0;
+    assert.equal(manager.sample().buttons[BUTTON.RT], 0.5, 'once awake, 0 is half pressed');
+    pad.axes[5] = -1;
+    assert.equal(manager.sample().buttons[BUTTON.RT], 0);
+    assert.equal(manager.sample().buttons[BUTTON.LT], 0);
+  });
+});
+
+test('trigger axes that rest at -1 read from the first sample', () => {
+  const pad = xinputPad({ axes: [0, 0, -1, 0, 0, -1] });
+  withPads([pad], () => {
+    const manager = createGamepadManager({ target: null });
+    assert.equal(manager.sample().buttons[BUTTON.LT], 0);
+    pad.axes[5] = 0;
+    assert.equal(manager.sample().buttons[BUTTON.RT], 0.5);
+  });
+});
+
+test('rumble that rejects is swallowed', async () => {
+  const rejections = [];
+  const onRejection = (reason) => rejections.push(reason);
+  process.on('unhandledRejection', onRejection);
+  const pad = xinputPad({
+    hapticActuators: [{ pulse: () => Promise.reject(new Error('not allowed')) }],
+  });
+  try {
+    withPads([pad], () => createGamepadManager({ target: null }).vibrate('hit'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+  } finally {
+    process.off('unhandledRejection', onRejection);
+  }
+  assert.deepEqual(rejections, []);
+});
@@ -0,0 +1,135 @@
+// ============================================================================
+// INPUT BINDINGS TESTS
+// ----------------------------------------------------------------------------
+// Rebinding and conflicts on profiles, what the profile store accepts, and
+// how it persists.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PROFILE,
+  bindAction,
+  boundKeyCodes,
+  createBindingStore,
+  createDeviceState,
+  findConflicts,
+  gamepadButton,
+  key,
+  resolveInput,
+  unbindAction,
+} from '../inputBindings.js';
+
+function memoryStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (name) => (name in items ? items[name] : null),
+    setItem: (name, value) => {
+      items[name] = value;
+    },
+  };
+}
+
+const pressing = (...codes) => ({ ...createDeviceState(), keys: new Set(codes) });
+
+test('binding an input adds it, and with replace takes it from other actions', () => {
+  const added = bindAction(DEFAULT_PROFILE, 'fire', key('Space'));
+  assert.deepEqual(added.bindings.fire.at(-1), key('Space'));
+  assert.ok(added.bindings.dodge.some(binding => binding.code === 'Space'));
+  assert.equal(resolveInput(added, pressing('Space')).fire, true);
+  assert.equal(resolveInput(added, pressing('Space')).dodge, true);
+
+  const replaced = bindAction(DEFAULT_PROFILE, 'fire', key('Space'), { replace: true });
+  assert.ok(!replaced.bindings.dodge.some(binding => binding.code === 'Space'));
+  assert.equal(resolveInput(replaced, pressing('Space')).dodge, false);
+  assert.equal(resolveInput(replaced, pressing('Space')).fire, true);
+
+  const twice = bindAction(replaced, 'fire', key('Space'));
+  assert.equal(twice.bindings.fire.length, replaced.bindings.fire.length, 'no duplicate bindings');
+  assert.equal(DEFAULT_PROFILE.bindings.fire.length, 3, 'the profile bound from is untouched');
+});
+
+test('unbinding removes just that input', () => {
+  const profile = unbindAction(DEFAULT_PROFILE, 'dodge', key('Space'));
+  assert.deepEqual(profile.bindings.dodge.map(binding => binding.code).filter(Boolean), ['KeyE']);
+  assert.equal(boundKeyCodes(profile).has('Space'), false);
+  assert.equal(boundKeyCodes(DEFAULT_PROFILE).has('Space'), true);
+});
+
+test('conflicts list every input bound to more than one action', () => {
+  assert.deepEqual(findConflicts(DEFAULT_PROFILE), []);
+  const profile = bindAction(bindAction(DEFAULT_PROFILE, 'boost', key('Space')), 'fire', gamepadButton(1));
+  const conflicts = findConflicts(profile);
+  assert.deepEqual(conflicts.map(({ id, actions }) => ({ id, actions })), [
+    { id: 'key:Space', actions: ['boost', 'dodge'] },
+    { id: 'pad:button:1', actions: ['fire', 'bomb'] },
+  ]);
+});
+
+test('profiles with malformed bindings are refused', () => {
+  const store = createBindingStore({ storage: null });
+  const withFire = (...fire) => ({ name: 'Broken', bindings: { fire } });
+  assert.throws(() => store.saveProfile(withFire({ type: 'key' })), /"fire" key binding has a bad "code"/);
+  assert.throws(() => store.saveProfile(withFire({ type: 'laser' })), /unknown type "laser"/);
+  assert.throws(() => store.saveProfile(withFire(null)), /unknown type/);
+  assert.throws(() => store.saveProfile(withFire({ type: 'gamepadAxis', axis: 1, direction: 0 })), /"direction"/);
+  assert.throws(() => store.saveProfile(withFire({ type: 'touchStick', stick: 'left', axis: 'x', direction: 1 })), /"stick"/);
+  assert.throws(() => store.importProfile({ name: 'Broken', bindings: { warp: [] } }), /unknown action "warp"/);
+  assert.throws(() => store.importProfile({ name: 'Broken', bindings: { fire: key('KeyF') } }), /must be an array/);
+  assert.throws(() => store.importProfile({ bindings: {} }), /name/);
+  assert.deepEqual(store.listProfiles(), ['Default']);
+
+  store.saveProfile({ name: 'Good', bindings: { ...DEFAULT_PROFILE.bindings, fire: [key('KeyF'), gamepadButton(0)] } });
+  assert.deepEqual(store.listProfiles(), ['Default', 'Good']);
+});
+
+test('the store persists profiles and the active one', () => {
+  const storage = memoryStorage();
+  const store = createBindingStore({ storage, storageKey: 'input' });
+  const custom = { ...bindAction(DEFAULT_PROFILE, 'fire', key('KeyF'), { replace: true }), name: 'Custom' };
+  store.saveProfile(custom);
+  store.setActiveProfile('Custom');
+  let heard = null;
+  store.subscribe((profile) => {
+    heard = profile.name;
+  });
+
+  const reloaded = createBindingStore({ storage, storageKey: 'input' });
+  assert.equal(reloaded.getActiveProfile().name, 'Custom');
+  assert.deepEqual(reloaded.getActiveProfile().bindings.fire, custom.bindings.fire);
+  assert.ok(!JSON.parse(storage.items.input).profiles.some(profile => profile.name === 'Default'), 'the default is not saved');
+
+  store.deleteProfile('Custom');
+  assert.equal(heard, 'Default');
+  assert.equal(createBindingStore({ storage, storageKey: 'input' }).getActiveProfile(), DEFAULT_PROFILE);
+  assert.throws(() => store.deleteProfile('Default'));
+  assert.throws(() => store.setActiveProfile('Missing'));
+});
+
+test('exported profiles import into another store and become active', () => {
+  const source = createBindingStore({ storage: null });
+  source.saveProfile({ ...bindAction(DEFAULT_PROFILE, 'bomb', key('KeyX')), name: 'Shared' });
+  const json = source.exportProfile('Shared');
+
+  const store = createBindingStore({ storage: null });
+  assert.equal(store.importProfile(json), 'Shared');
+  assert.equal(store.getActiveProfile().name, 'Shared');
+  assert.equal(resolveInput(store.getActiveProfile(), pressing('KeyX')).bomb, true);
+});
+
+test('corrupt or malformed saved profiles fall back to the defaults', () => {
+  const saved = [
+    '{',
+    JSON.stringify({ active: 'Bad', profiles: [{ name: 'Bad', bindings: { fire: [{ type: 'key' }] } }] }),
+    JSON.stringify({
+      active: 'Bad',
+      profiles: [{ name: 'Fine', bindings: {} }, { name: 'Bad', bindings: { fire: [{ type: 'nope' }] } }],
+    }),
+  ];
+  for (const input of saved) {
+    const store = createBindingStore({ storage: memoryStorage({ input }), storageKey: 'input' });
+    assert.deepEqual(store.listProfiles(), ['Default'], input);
+    assert.equal(store.getActiveProfile(), DEFAULT_PROFILE);
+  }
+});
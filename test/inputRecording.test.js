@@ -0,0 +1,116 @@
+// ============================================================================
+// INPUT RECORDING TESTS
+// ----------------------------------------------------------------------------
+// A recorded run, saved and loaded in either format and replayed, flies
+// exactly as it was flown live.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createInputRecorder,
+  createReplaySource,
+  decodeRecordingBinary,
+  encodeRecordingBinary,
+  parseRecording,
+  quantizeInput,
+  serializeRecording,
+} from '../inputRecording.js';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { DEFAULT_LEVEL, createLevelPath } from '../levelFormat.js';
+
+const TICKS = 900;
+
+const createSimulation = () => createPlayerSimulation(CONFIG, createLevelPath(DEFAULT_LEVEL), { loopPath: false });
+
+// Live input with unrounded analog values, as devices give them
+const live = (tick) => ({
+  ...NO_INPUT,
+  moveX: Math.sin(tick / 17) * 0.87654321,
+  moveY: Math.cos(tick / 29) * 0.61803399,
+  aimX: Math.sin(tick / 11) * 0.3333333,
+  aimY: Math.cos(tick / 13) * 0.2222222,
+  boost: tick % 200 < 30,
+  boostAmount: 0.75321,
+  brake: tick % 300 > 250,
+  brakeAmount: 0.4,
+  dodge: tick % 240 === 120,
+  fire: tick % 8 < 2,
+  bomb: tick === 400,
+});
+
+// Fly `TICKS` of live input through a recorder; the run and its recording
+function recordRun() {
+  const simulation = createSimulation();
+  const recorder = createInputRecorder({ meta: { level: 'default' } });
+  const states = Array.from({ length: TICKS }, (_, tick) => simulation.step(recorder.record(live(tick))));
+  return { states, recording: recorder.getRecording() };
+}
+
+function replay(recording) {
+  const simulation = createSimulation();
+  const source = createReplaySource(recording);
+  const states = Array.from({ length: recording.frames.length }, () => simulation.step(source.next()));
+  assert.equal(source.isDone(), true);
+  return states;
+}
+
+test('a recording replays the run exactly', () => {
+  const { states, recording } = recordRun();
+  assert.equal(recording.frames.length, TICKS);
+  assert.deepEqual(replay(recording), states);
+});
+
+test('JSON recordings round-trip', () => {
+  const { states, recording } = recordRun();
+  const loaded = parseRecording(serializeRecording(recording));
+  assert.deepEqual(loaded, recording);
+  assert.deepEqual(replay(loaded), states);
+});
+
+test('binary recordings round-trip', () => {
+  const { states, recording } = recordRun();
+  const loaded = decodeRecordingBinary(encodeRecordingBinary(recording));
+  assert.deepEqual(loaded.frames, recording.frames);
+  assert.equal(loaded.tickRate, recording.tickRate);
+  assert.deepEqual(replay(loaded), states);
+});
+
+test('quantized input is stable', () => {
+  const frame = quantizeInput(live(123));
+  assert.deepEqual(quantizeInput(frame), frame);
+  assert.equal(frame.moveX, Math.round(live(123).moveX * 1000) / 1000);
+});
+
+test('a boost or brake without an amount is recorded at full strength', () => {
+  assert.equal(quantizeInput({ boost: true }).boostAmount, 1);
+  assert.equal(quantizeInput({ brake: true }).brakeAmount, 1);
+  assert.equal(quantizeInput({ boost: false }).boostAmount, 0);
+  assert.equal(quantizeInput({ boost: true, boostAmount: 0.25 }).boostAmount, 0.25);
+
+  // Flown live without amounts, the replay still matches
+  const digital = (tick) => ({ moveX: 0, moveY: 0, aimX: 0, aimY: 0, boost: tick < 60, brake: tick >= 90 && tick < 120 });
+  const flown = createSimulation();
+  const liveStates = Array.from({ length: 150 }, (_, tick) => flown.step(digital(tick)));
+  const recorder = createInputRecorder();
+  Array.from({ length: 150 }, (_, tick) => recorder.record(digital(tick)));
+  assert.deepEqual(replay(recorder.getRecording()).map(s => s.distance), liveStates.map(s => s.distance));
+});
+
+test('a replay source plays neutral input when done, or loops', () => {
+  const { recording } = recordRun();
+  const once = createReplaySource({ ...recording, frames: recording.frames.slice(0, 2) });
+  once.next();
+  once.next();
+  assert.equal(once.next().fire, false);
+  const looping = createReplaySource({ ...recording, frames: recording.frames.slice(0, 2) }, { loop: true });
+  looping.next();
+  looping.next();
+  assert.equal(looping.next(), recording.frames[0]);
+  assert.equal(looping.isDone(), false);
+});
+
+test('unknown recording versions are refused', () => {
+  assert.throws(() => parseRecording({ version: 99, tickRate: 60, frames: [] }), /Unsupported recording version/);
+  assert.throws(() => decodeRecordingBinary(new Uint8Array([1, 2, 3, 4])), /Not a binary input recording/);
+});
@@ -0,0 +1,79 @@
+// ============================================================================
+// LEVEL FORMAT TESTS
+// ----------------------------------------------------------------------------
+// The level path: tension as documented, from 0 (loose) to 1 (straight).
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLevelPath } from '../levelFormat.js';
+
+const POSITIONS = [[0, 0, 0], [20, 0, -50], [0, 10, -100], [-20, 0, -150]];
+
+const levelWith = (tension) => ({
+  version: 1,
+  points: POSITIONS.map(position => ({ position, tension })),
+  events: [],
+});
+
+// Furthest the path strays from the straight chord between the second and
+// third points
+function bulge(path) {
+  const [, a, b] = POSITIONS;
+  const chord = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const chordLength = Math.hypot(...chord);
+  let most = 0;
+  for (let i = 0; i <= 100; i++) {
+    const p = path.getPoint(1 / 3 + i / 300);
+    const rel = [p.x - a[0], p.y - a[1], p.z - a[2]];
+    const along = (rel[0] * chord[0] + rel[1] * chord[1] + rel[2] * chord[2]) / chordLength;
+    most = Math.max(most, Math.sqrt(Math.max(0, Math.hypot(...rel) ** 2 - along ** 2)));
+  }
+  return most;
+}
+
+test('tension 1 gives straight segments', () => {
+  const path = createLevelPath(levelWith(1));
+  assert.ok(bulge(path) < 1e-5, `bulge ${bulge(path)}`);
+  // Every sample lies on the polyline through the points
+  for (let i = 0; i <= 300; i++) {
+    const u = i / 300;
+    const segment = Math.min(Math.floor(u * 3), 2);
+    const [a, b] = [POSITIONS[segment], POSITIONS[segment + 1]];
+    const p = path.getPoint(u);
+    const cross = [
+      (p.y - a[1]) * (b[2] - a[2]) - (p.z - a[2]) * (b[1] - a[1]),
+      (p.z - a[2]) * (b[0] - a[0]) - (p.x - a[0]) * (b[2] - a[2]),
+      (p.x - a[0]) * (b[1] - a[1]) - (p.y - a[1]) * (b[0] - a[0]),
+    ];
+    assert.ok(Math.hypot(...cross) < 1e-6, `off the chord at u=${u}`);
+  }
+});
+
+test('lower tension curves more loosely', () => {
+  const [loose, middle, tight] = [0, 0.5, 1].map(tension => bulge(createLevelPath(levelWith(tension))));
+  assert.ok(loose > middle && middle > tight, `${loose} > ${middle} > ${tight}`);
+});
+
+test('tension 0.5 is the standard Catmull-Rom curve', () => {
+  const path = createLevelPath(levelWith(0.5));
+  const [p0, p1, p2, p3] = POSITIONS;
+  for (const t of [0.25, 0.5, 0.75]) {
+    const expected = [0, 1, 2].map(k => 0.5 * (
+      2 * p1[k]
+      + (p2[k] - p0[k]) * t
+      + (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t * t
+      + (3 * p1[k] - p0[k] - 3 * p2[k] + p3[k]) * t * t * t
+    ));
+    const p = path.getPoint((1 + t) / 3);
+    assert.ok(Math.hypot(p.x - expected[0], p.y - expected[1], p.z - expected[2]) < 1e-9);
+  }
+});
+
+test('the path passes through every point', () => {
+  const path = createLevelPath(levelWith(0.3));
+  POSITIONS.forEach((position, i) => {
+    const p = path.getPoint(i / 3);
+    assert.deepEqual([p.x, p.y, p.z].map(v => Math.round(v * 1e9) / 1e9), position);
+  });
+});
@@ -0,0 +1,159 @@
+// ============================================================================
+// PLAYER SIMULATION TESTS
+// ----------------------------------------------------------------------------
+// The flight simulation stepped headlessly with scripted input: boost and
+// energy, the barrel roll, play-plane clamping, fire-rate gating and
+// progress along the path. Run with `npm test`.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, NO_INPUT, createPlayerSimulation } from '../playerSimulation.js';
+import { DEFAULT_LEVEL, createLevelPath } from '../levelFormat.js';
+import { DEFAULT_TICK_RATE } from '../fixedStepLoop.js';
+
+const TICK_MS = 1000 / DEFAULT_TICK_RATE;
+const toTicks = (ms) => Math.round(ms / TICK_MS);
+
+function createSimulation(config = CONFIG) {
+  return createPlayerSimulation(config, createLevelPath(DEFAULT_LEVEL), { loopPath: false });
+}
+
+// Step `count` ticks with `input` (an input object, or a function of the
+// tick number), returning every snapshot
+function run(simulation, count, input = NO_INPUT) {
+  return Array.from({ length: count }, (_, i) => simulation.step({
+    ...NO_INPUT,
+    ...(typeof input === 'function' ? input(i) : input),
+  }));
+}
+
+const eventTicks = (states, event) => states.filter(s => s.events.includes(event)).map(s => s.tick);
+
+test('cruises along the path at FORWARD_SPEED', () => {
+  const simulation = createSimulation();
+  const states = run(simulation, DEFAULT_TICK_RATE);
+  const last = states[states.length - 1];
+  assert.ok(Math.abs(last.distance - CONFIG.FORWARD_SPEED) < 1e-6, `distance ${last.distance}`);
+  assert.ok(states.every((s, i) => i === 0 || s.splineProgress > states[i - 1].splineProgress));
+  assert.equal(last.speed, CONFIG.FORWARD_SPEED);
+});
+
+test('boost drains the gauge, locks it when empty and refills after the delay', () => {
+  const simulation = createSimulation();
+  const drain = toTicks(CONFIG.BOOST_DURATION);
+  const boosting = run(simulation, drain + 10, { boost: true, boostAmount: 1 });
+
+  assert.deepEqual(eventTicks(boosting, 'boostStart'), [1]);
+  assert.equal(boosting[0].speed, CONFIG.BOOST_SPEED);
+  // Empty after `drain` ticks, give or take one for the rounding of the
+  // per-tick drain
+  const [emptyTick] = eventTicks(boosting, 'energyEmpty');
+  assert.ok(Math.abs(emptyTick - drain) <= 1, `empty at ${emptyTick}`);
+  const empty = boosting[emptyTick - 1];
+  assert.equal(empty.energy, 0);
+  assert.equal(empty.energyLocked, true);
+  // ... and the boost drops out on the next tick
+  const after = boosting[emptyTick];
+  assert.deepEqual(after.events, ['boostEnd']);
+  assert.equal(after.boostActive, false);
+  assert.equal(after.speed, CONFIG.FORWARD_SPEED);
+
+  // Still held, or pressed again, it stays off until the gauge is full;
+  // refilling waits ENERGY_REFILL_DELAY from when it emptied
+  const delay = toTicks(CONFIG.ENERGY_REFILL_DELAY);
+  const refill = toTicks(CONFIG.ENERGY_REFILL);
+  const waited = boosting.length - emptyTick;
+  const locked = run(simulation, delay - waited, (i) => ({ boost: i % 2 === 0, boostAmount: 1 }));
+  assert.ok(locked.every(s => !s.boostActive && s.energy === 0));
+
+  const refilling = run(simulation, refill + 2, { boost: true, boostAmount: 1 });
+  const full = refilling.findIndex(s => s.energy === 1);
+  assert.ok(Math.abs(full + 1 - refill) <= 1, `full after ${full + 1} ticks`);
+  assert.ok(refilling.slice(0, full).every((s, i) => s.energyLocked && !s.boostActive && (i === 0 || s.energy > refilling[i - 1].energy)));
+  assert.equal(refilling[full].energyLocked, false);
+  assert.ok(refilling[full + 1].boostActive);
+});
+
+test('a half-pressed boost trigger drains and speeds up at half strength', () => {
+  const simulation = createSimulation();
+  const [state] = run(simulation, 1, { boost: true, boostAmount: 0.5 });
+  assert.equal(state.speed, CONFIG.FORWARD_SPEED + (CONFIG.BOOST_SPEED - CONFIG.FORWARD_SPEED) / 2);
+  assert.ok(Math.abs(state.energy - (1 - 0.5 / toTicks(CONFIG.BOOST_DURATION))) < 1e-9);
+});
+
+test('brake slows to BRAKE_SPEED and gives way to boost', () => {
+  const simulation = createSimulation();
+  const [braking] = run(simulation, 1, { brake: true, brakeAmount: 1 });
+  assert.equal(braking.isBraking, true);
+  assert.equal(braking.speed, CONFIG.BRAKE_SPEED);
+  const [both] = run(simulation, 1, { brake: true, brakeAmount: 1, boost: true, boostAmount: 1 });
+  assert.equal(both.boostActive, true);
+  assert.equal(both.isBraking, false);
+});
+
+test('barrel roll lasts DODGE_DURATION, blocks damage and then cools down', () => {
+  const simulation = createSimulation();
+  const duration = toTicks(CONFIG.DODGE_DURATION);
+  const cooldown = toTicks(CONFIG.DODGE_COOLDOWN);
+  // Dodge held throughout: only the cooldown stops it rolling again
+  const states = run(simulation, duration + cooldown + 2, { dodge: true });
+
+  assert.deepEqual(eventTicks(states, 'rollStart'), [1, duration + cooldown]);
+  assert.deepEqual(eventTicks(states, 'rollEnd'), [duration]);
+  assert.ok(states.slice(0, duration - 1).every(s => s.isRolling && s.isInvulnerable));
+  assert.equal(states[duration - 1].rollProgress, 1);
+  assert.equal(states[duration - 1].isRolling, false);
+  assert.equal(states[duration].dodgeCooldown, (cooldown - 1) * TICK_MS);
+  assert.ok(states.slice(duration, duration + cooldown - 1).every(s => !s.isRolling));
+});
+
+test('steering is clamped to MOVE_BOUNDS', () => {
+  const simulation = createSimulation();
+  const upRight = run(simulation, DEFAULT_TICK_RATE * 5, { moveX: 1, moveY: 1 });
+  assert.deepEqual(upRight[upRight.length - 1].localOffset, CONFIG.MOVE_BOUNDS);
+  const downLeft = run(simulation, DEFAULT_TICK_RATE * 5, { moveX: -1, moveY: -1 });
+  assert.deepEqual(downLeft[downLeft.length - 1].localOffset, { x: -CONFIG.MOVE_BOUNDS.x, y: -CONFIG.MOVE_BOUNDS.y });
+  assert.ok(upRight.concat(downLeft).every(({ localOffset: { x, y } }) => (
+    Math.abs(x) <= CONFIG.MOVE_BOUNDS.x && Math.abs(y) <= CONFIG.MOVE_BOUNDS.y
+  )));
+});
+
+test('steering moves at MOVE_SPEED inside the bounds', () => {
+  const simulation = createSimulation();
+  const states = run(simulation, DEFAULT_TICK_RATE / 2, { moveX: 1 });
+  assert.ok(Math.abs(states[states.length - 1].localOffset.x - CONFIG.MOVE_SPEED / 2) < 1e-9);
+});
+
+test('fire is gated by the weapon fire rate and needs a fresh press', () => {
+  const simulation = createSimulation();
+  const fireRate = toTicks(100); // the single laser's
+  // Tapped every other tick: shots still come no faster than the fire rate
+  const tapped = run(simulation, 60, (i) => ({ fire: i % 2 === 0 }));
+  const shots = eventTicks(tapped, 'fire');
+  assert.ok(shots.length > 1);
+  shots.slice(1).forEach((tick, i) => assert.ok(tick - shots[i] >= fireRate, `shots at ${shots}`));
+  assert.ok(tapped.find(s => s.events.includes('fire')).projectiles.length > 0);
+
+  // Held down, it fires once and then charges
+  const held = run(createSimulation(), 60, { fire: true });
+  assert.equal(eventTicks(held, 'fire').length, 1);
+  assert.equal(eventTicks(held, 'chargeStart').length, 1);
+});
+
+test('a run without looping completes at the end of the path', () => {
+  const simulation = createSimulation({ ...CONFIG, FORWARD_SPEED: 400 });
+  const states = run(simulation, DEFAULT_TICK_RATE * 10);
+  const last = states[states.length - 1];
+  assert.equal(last.isComplete, true);
+  assert.ok(last.splineProgress <= 1);
+  assert.equal(eventTicks(states, 'levelComplete').length, 1);
+});
+
+test('reset starts the run over', () => {
+  const simulation = createSimulation();
+  const first = run(simulation, 30, { moveX: 1, fire: true });
+  simulation.reset();
+  const again = run(simulation, 30, { moveX: 1, fire: true });
+  assert.deepEqual(again, first);
+});
@@ -0,0 +1,252 @@
+// ============================================================================
+// SCORING TESTS
+// ----------------------------------------------------------------------------
+// Combos, multi-kill volleys and medals from scripted tick reports, and the
+// high-score table's ranking, merging and storage.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCORING_CONFIG, createHighScoreTable, createScoring, medalFor } from '../scoring.js';
+
+const COMBO_TICKS = Math.round(SCORING_CONFIG.COMBO_WINDOW / (1000 / 60));
+
+// The parts of a simulation snapshot scoring reads
+const tick = ({ projectiles = [], projectileHits = [], events = [] } = {}) => ({ projectiles, projectileHits, events });
+const shot = (id, fields = {}) => ({ id, charged: false, bomb: false, ...fields });
+const strike = (projectileId, fields = {}) => ({ projectileId, charged: false, blast: false, ...fields });
+const kill = (projectileId, score = 100) => ({ id: projectileId, projectileId, score, rammed: false });
+const killed = (...destroyed) => ({ enemies: { destroyed } });
+
+function idle(scoring, count) {
+  let snapshot;
+  for (let i = 0; i < count; i++) snapshot = scoring.handleTick(tick());
+  return snapshot;
+}
+
+test('hits in quick succession build a combo that multiplies their score', () => {
+  const scoring = createScoring();
+  const first = scoring.handleTick(tick({ projectileHits: [strike(1)] }), killed(kill(1)));
+  assert.equal(first.points, 100);
+  assert.deepEqual(first.events, ['score']);
+
+  const second = scoring.handleTick(tick({ projectileHits: [strike(2)] }), killed(kill(2)));
+  assert.equal(second.combo, 2);
+  assert.equal(second.multiplier, 1 + SCORING_CONFIG.COMBO_STEP);
+  assert.equal(second.points, 110);
+  assert.ok(second.events.includes('combo'));
+  assert.equal(second.score, 210);
+});
+
+test('a combo ends when the window runs out or the ship is hit', () => {
+  const scoring = createScoring();
+  scoring.handleTick(tick(), killed(kill(1), kill(2)));
+  const before = idle(scoring, COMBO_TICKS - 1);
+  assert.equal(before.combo, 2);
+  const ended = scoring.handleTick(tick());
+  assert.equal(ended.combo, 0);
+  assert.equal(ended.comboEnded, 2);
+  assert.deepEqual(ended.events, ['comboEnd']);
+
+  scoring.handleTick(tick(), killed(kill(3), kill(4), kill(5)));
+  const hit = scoring.handleTick(tick({ events: ['hit'] }));
+  assert.equal(hit.combo, 0);
+  assert.equal(hit.comboEnded, 3);
+  assert.equal(hit.bestCombo, 3);
+});
+
+test('a combo multiplier stops at COMBO_MAX', () => {
+  const scoring = createScoring();
+  const kills = Array.from({ length: 30 }, (_, i) => kill(i + 1));
+  const snapshot = scoring.handleTick(tick(), killed(...kills));
+  assert.equal(snapshot.multiplier, SCORING_CONFIG.COMBO_MAX);
+});
+
+test('kills after the first from one charged volley earn a multi-kill bonus', () => {
+  const scoring = createScoring();
+  const volley = [shot(1, { charged: true }), shot(2, { charged: true }), shot(3, { charged: true })];
+  scoring.handleTick(tick({ projectiles: volley }));
+
+  const snapshot = scoring.handleTick(
+    tick({ projectiles: [volley[2]], projectileHits: [strike(1, { charged: true }), strike(2, { charged: true })] }),
+    killed(kill(1), kill(2))
+  );
+  assert.deepEqual(snapshot.bonuses, [{ kills: 2 }]);
+  assert.ok(snapshot.events.includes('multiKill'));
+  assert.equal(snapshot.multiKills, 1);
+  assert.equal(snapshot.hits, 2 + SCORING_CONFIG.MULTI_KILL_HITS);
+  assert.equal(snapshot.points, 100 + 110 + SCORING_CONFIG.MULTI_KILL_SCORE);
+
+  // The third shot, still flying, belongs to the same volley
+  const third = scoring.handleTick(tick({ projectileHits: [strike(3, { charged: true })] }), killed(kill(3)));
+  assert.deepEqual(third.bonuses, [{ kills: 3 }]);
+  assert.equal(third.multiKills, 2);
+});
+
+test('kills from separate shots or volleys earn no bonus', () => {
+  const scoring = createScoring();
+  scoring.handleTick(tick({ projectiles: [shot(1), shot(2)] }));
+  const plain = scoring.handleTick(tick({ projectileHits: [strike(1), strike(2)] }), killed(kill(1), kill(2)));
+  assert.deepEqual(plain.bonuses, []);
+
+  scoring.handleTick(tick({ projectiles: [shot(3, { charged: true })] }));
+  scoring.handleTick(tick({ projectiles: [shot(3, { charged: true }), shot(4, { charged: true })] }));
+  const separate = scoring.handleTick(tick(), killed(kill(3), kill(4)));
+  assert.deepEqual(separate.bonuses, []);
+  assert.equal(separate.multiKills, 0);
+});
+
+test('a volley whose shots are gone is forgotten', () => {
+  const scoring = createScoring();
+  scoring.handleTick(tick({ projectiles: [shot(1, { charged: true }), shot(2, { charged: true })] }));
+  scoring.handleTick(tick({ projectileHits: [strike(1, { charged: true }), strike(2, { charged: true })] }), killed(kill(1)));
+  idle(scoring, 3);
+
+  // A late report naming a spent shot isn't a second kill of its volley
+  const late = scoring.handleTick(tick(), killed(kill(2)));
+  assert.deepEqual(late.bonuses, []);
+  assert.equal(late.multiKills, 0);
+});
+
+test('rammed enemies score nothing, and boss parts are hits but not kills', () => {
+  const scoring = createScoring();
+  const rammed = scoring.handleTick(tick(), killed({ ...kill(1), rammed: true, score: 0 }));
+  assert.equal(rammed.hits, 0);
+
+  const snapshot = scoring.handleTick(tick(), {
+    enemies: { destroyed: [kill(2)] },
+    bosses: { partsDestroyed: [{ id: 'gun', projectileId: 3 }], defeated: { score: 5000 } },
+  });
+  assert.equal(snapshot.hits, 2);
+  assert.equal(snapshot.kills, 1);
+  assert.equal(snapshot.points, 100 + Math.round(SCORING_CONFIG.PART_SCORE * 1.1) + 5000);
+  assert.equal(scoring.results('clear').kills, 1);
+});
+
+test('medals come from the hit thresholds, and only for a cleared course', () => {
+  const medals = { bronze: 1, silver: 3, gold: 5 };
+  assert.equal(medalFor(0, medals), null);
+  assert.equal(medalFor(4, medals), 'silver');
+  assert.equal(medalFor(9, { gold: 5 }), 'gold');
+  assert.equal(medalFor(9, null), null);
+
+  const scoring = createScoring({ medals });
+  assert.deepEqual(scoring.getSnapshot().nextMedal, { medal: 'bronze', hits: 1 });
+  const bronze = scoring.handleTick(tick(), killed(kill(1)));
+  assert.equal(bronze.medal, 'bronze');
+  assert.ok(bronze.events.includes('medal'));
+  assert.deepEqual(bronze.nextMedal, { medal: 'silver', hits: 3 });
+
+  const gold = scoring.handleTick(tick(), killed(kill(2), kill(3), kill(4), kill(5)));
+  assert.equal(gold.medal, 'gold');
+  assert.equal(gold.nextMedal, null);
+  assert.equal(scoring.results('clear').medal, 'gold');
+  assert.equal(scoring.results('gameOver').medal, null);
+});
+
+test('accuracy counts shots that hit over shots fired', () => {
+  const scoring = createScoring();
+  scoring.handleTick(tick({ projectiles: [shot(1), shot(2), shot(3), shot(4, { bomb: true })] }));
+  const snapshot = scoring.handleTick(tick({ projectileHits: [strike(1), strike(4, { blast: true })] }));
+  assert.equal(snapshot.shotsFired, 3);
+  assert.equal(snapshot.shotsHit, 1);
+  assert.equal(snapshot.accuracy, 1 / 3);
+});
+
+test('reset starts the run over', () => {
+  const scoring = createScoring({ medals: { bronze: 1 } });
+  scoring.handleTick(tick({ projectiles: [shot(1)] }), killed(kill(1), kill(2)));
+  const fresh = scoring.reset();
+  assert.equal(fresh.score, 0);
+  assert.equal(fresh.hits, 0);
+  assert.equal(fresh.combo, 0);
+  assert.equal(fresh.shotsFired, 0);
+  assert.equal(fresh.medal, null);
+});
+
+// ============================================================================
+// HIGH SCORES
+// ============================================================================
+function memoryStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+}
+
+test('runs are ranked best first and only the best `size` are kept', () => {
+  const table = createHighScoreTable({ storage: null, size: 3 });
+  assert.equal(table.submit('corneria', { name: 'A', score: 300, date: 1 }), 1);
+  assert.equal(table.submit('corneria', { name: 'B', score: 500, date: 2 }), 1);
+  assert.equal(table.submit('corneria', { name: 'C', score: 100, date: 3 }), 3);
+  assert.equal(table.qualifies('corneria', 50), false);
+  assert.equal(table.qualifies('corneria', 200), true);
+  assert.equal(table.qualifies('venom', 1), true);
+  assert.equal(table.qualifies('venom', 0), false);
+
+  assert.equal(table.submit('corneria', { name: 'D', score: 300, date: 4 }), 3, 'ties go to the earlier run');
+  assert.equal(table.submit('corneria', { name: 'E', score: 50, date: 5 }), null);
+  assert.deepEqual(table.list('corneria').map(entry => entry.name), ['B', 'A', 'D']);
+  assert.throws(() => table.submit('corneria', { name: '', score: 10 }), /name/);
+});
+
+test('importing merges exported tables, skipping entries already there', () => {
+  const source = createHighScoreTable({ storage: null, size: 3 });
+  source.submit('corneria', { name: 'A', score: 300, date: 1 });
+  source.submit('corneria', { name: 'B', score: 500, date: 2 });
+  source.submit('venom', { name: 'C', score: 900, date: 3 });
+
+  const table = createHighScoreTable({ storage: null, size: 3 });
+  table.submit('corneria', { name: 'A', score: 300, date: 1 });
+  table.submit('corneria', { name: 'Z', score: 100, date: 4 });
+  table.importJson(source.exportJson());
+  assert.deepEqual(table.list('corneria').map(entry => entry.name), ['B', 'A', 'Z']);
+  assert.deepEqual(table.listLevels().sort(), ['corneria', 'venom']);
+
+  table.importJson(source.exportJson('venom'));
+  assert.equal(table.list('venom').length, 1);
+});
+
+test('malformed imports throw and leave the tables as they were', () => {
+  const table = createHighScoreTable({ storage: null });
+  table.submit('corneria', { name: 'A', score: 300, date: 1 });
+  const before = table.exportJson();
+
+  assert.throws(() => table.importJson('null'), /levels/);
+  assert.throws(() => table.importJson({}), /levels/);
+  assert.throws(() => table.importJson({ levels: [] }), /levels/);
+  assert.throws(() => table.importJson({ levels: { corneria: 'A' } }), /array/);
+  assert.throws(() => table.importJson({ levels: { corneria: [{ name: 'B', score: 9 }, { name: 'C' }] } }), /score/);
+  assert.throws(() => table.importJson({ levels: { corneria: [{ name: 'B', score: 9, medal: 'tin' }] } }), /medal/);
+  assert.throws(() => table.importJson('{'));
+  assert.equal(table.exportJson(), before);
+});
+
+test('the table persists to storage and loads from it', () => {
+  const storage = memoryStorage();
+  const table = createHighScoreTable({ storage, storageKey: 'scores' });
+  table.submit('corneria', { name: 'A', score: 300, date: 1 });
+  let heard = null;
+  table.subscribe((tables) => {
+    heard = tables;
+  });
+  table.submit('corneria', { name: 'B', score: 400, date: 2 });
+  assert.deepEqual(heard.corneria.map(entry => entry.name), ['B', 'A']);
+
+  const reloaded = createHighScoreTable({ storage, storageKey: 'scores' });
+  assert.deepEqual(reloaded.list('corneria'), table.list('corneria'));
+  reloaded.clear('corneria');
+  assert.deepEqual(createHighScoreTable({ storage, storageKey: 'scores' }).list('corneria'), []);
+});
+
+test('corrupt storage starts an empty table instead of throwing', () => {
+  for (const saved of ['{', 'null', '[]', '{"levels":null}', '{"levels":[1]}', '{"levels":{"x":[{"score":1}]}}']) {
+    const table = createHighScoreTable({ storage: memoryStorage({ scores: saved }), storageKey: 'scores' });
+    assert.deepEqual(table.listLevels(), [], saved);
+    assert.equal(table.submit('corneria', { name: 'A', score: 1 }), 1);
+  }
+});
@@ -0,0 +1,136 @@
+// ============================================================================
+// TOUCH INPUT
+// ----------------------------------------------------------------------------
+// Multi-touch state for on-screen controls: a floating virtual stick for
+// movement (appears wherever the finger lands), a drag-to-aim zone for the
+// reticle, and fire/boost/brake/barrel-roll/bomb buttons. Renderers (the
+// React TouchControls component, the demo's DOM overlay) decide which zone a
+// pointer started in and forward pointer events here; the bindings layer
+// reads `getState()` like any other device.
+// ============================================================================
+
+export const TOUCH_BUTTONS = [
+  { action: 'fire', label: 'FIRE' },
+  { action: 'boost', label: 'BOOST' },
+  { action: 'brake', label: 'BRAKE' },
+  { action: 'dodge', label: 'ROLL' },
+  { action: 'bomb', label: 'BOMB' },
+];
+
+// True when the primary input is a finger. Hybrid devices switch at
+// runtime from the pointer type of actual events (see `pointerTypeIsTouch`).
+export function isTouchDevice() {
+  if (typeof window === 'undefined') return false;
+  if (window.matchMedia) return window.matchMedia('(pointer: coarse)').matches;
+  return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+}
+
+export function pointerTypeIsTouch(e) {
+  return e.pointerType === 'touch';
+}
+
+export function createTouchInput({ stickRadius = 60, aimSensitivity = 2.5 } = {}) {
+  // pointerId -> { role: 'stick' | 'aim' | 'button', ... }
+  const pointers = new Map();
+  const listeners = new Set();
+
+  const stick = { active: false, originX: 0, originY: 0, knobX: 0, knobY: 0, x: 0, y: 0 };
+  const aim = { x: 0, y: 0 };
+  const buttons = Object.fromEntries(TOUCH_BUTTONS.map(b => [b.action, false]));
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  function refreshButtons() {
+    for (const name of Object.keys(buttons)) buttons[name] = false;
+    for (const pointer of pointers.values()) {
+      if (pointer.role === 'button') buttons[pointer.action] = true;
+    }
+  }
+
+  return {
+    // Finger down in the movement zone: the stick centres under it
+    startStick(id, x, y) {
+      if (stick.active) return;
+      pointers.set(id, { role: 'stick' });
+      Object.assign(stick, { active: true, originX: x, originY: y, knobX: x, knobY: y, x: 0, y: 0 });
+      notify();
+    },
+
+    // Finger down in the aim zone. Dragging moves the reticle relative to
+    // where it already is, scaled by the zone size.
+    startAim(id, x, y, width, height) {
+      pointers.set(id, {
+        role: 'aim',
+        startX: x,
+        startY: y,
+        width: Math.max(width, 1),
+        height: Math.max(height, 1),
+        aimX: aim.x,
+        aimY: aim.y,
+      });
+    },
+
+    pressButton(id, action) {
+      pointers.set(id, { role: 'button', action });
+      refreshButtons();
+      notify();
+    },
+
+    move(id, x, y) {
+      const pointer = pointers.get(id);
+      if (!pointer) return;
+
+      if (pointer.role === 'stick') {
+        const dx = x - stick.originX;
+        const dy = y - stick.originY;
+        const distance = Math.hypot(dx, dy);
+        const scale = distance > stickRadius ? stickRadius / distance : 1;
+        stick.knobX = stick.originX + dx * scale;
+        stick.knobY = stick.originY + dy * scale;
+        stick.x = (dx * scale) / stickRadius;
+        stick.y = -(dy * scale) / stickRadius;
+        notify();
+      } else if (pointer.role === 'aim') {
+        aim.x = Math.max(-1, Math.min(1, pointer.aimX + ((x - pointer.startX) / pointer.width) * aimSensitivity));
+        aim.y = Math.max(-1, Math.min(1, pointer.aimY - ((y - pointer.startY) / pointer.height) * aimSensitivity));
+      }
+    },
+
+    release(id) {
+      const pointer = pointers.get(id);
+      if (!pointer) return;
+      pointers.delete(id);
+
+      if (pointer.role === 'stick') {
+        Object.assign(stick, { active: false, x: 0, y: 0 });
+      } else if (pointer.role === 'button') {
+        refreshButtons();
+      }
+      notify();
+    },
+
+    // Drop every touch, e.g. when the page loses focus mid-gesture
+    releaseAll() {
+      pointers.clear();
+      Object.assign(stick, { active: false, x: 0, y: 0 });
+      refreshButtons();
+      notify();
+    },
+
+    getState: () => ({
+      stick: { x: stick.x, y: stick.y },
+      aim: { x: aim.x, y: aim.y },
+      buttons: { ...buttons },
+    }),
+
+    // Stick geometry for drawing: origin and clamped knob position in the
+    // coordinates passed to `startStick`/`move`
+    getStickView: () => ({ ...stick, radius: stickRadius }),
+
+    // Called whenever the stick or buttons change (for redrawing)
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
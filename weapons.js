@@ -0,0 +1,115 @@
+// ============================================================================
+// WEAPONS
+// ----------------------------------------------------------------------------
+// Data-driven weapon definitions for the player simulation. A definition:
+//
+//   {
+//     name,                   // HUD label
+//     fireRate,               // ms between shots
+//     speed, lifetime,        // units per second, ms
+//     damage, radius,         // per shot, hit-test radius
+//     color,                  // renderer hint
+//     pattern: [{ x, y, yaw, pitch }],
+//                             // one shot per entry: offset from the ship on
+//                             // the play plane and angle off the aim line
+//                             // (radians)
+//     blast: { radius, damage },  // bombs only: area damage on detonation
+//     ammo: { start, max },       // limited-ammo weapons only
+//   }
+//
+// The primary weapon is upgraded along `laserTiers` by pickups and drops a
+// tier when the ship is hit. Bombs are a separate, limited-ammo secondary.
+// ============================================================================
+
+export const DEFAULT_WEAPONS = {
+  laserTiers: ['single', 'twin', 'hyper'],
+
+  primary: {
+    single: {
+      name: 'SINGLE LASER',
+      fireRate: 100,
+      speed: 80,
+      lifetime: 2000,
+      damage: 10,
+      radius: 0.15,
+      color: '#00ff88',
+      pattern: [{ x: 0, y: 0, yaw: 0, pitch: 0 }],
+    },
+    twin: {
+      name: 'TWIN LASER',
+      fireRate: 100,
+      speed: 80,
+      lifetime: 2000,
+      damage: 10,
+      radius: 0.15,
+      color: '#00ff88',
+      pattern: [
+        { x: -0.9, y: 0, yaw: 0, pitch: 0 },
+        { x: 0.9, y: 0, yaw: 0, pitch: 0 },
+      ],
+    },
+    hyper: {
+      name: 'HYPER LASER',
+      fireRate: 90,
+      speed: 95,
+      lifetime: 2000,
+      damage: 20,
+      radius: 0.25,
+      color: '#44aaff',
+      pattern: [
+        { x: -0.9, y: 0, yaw: 0, pitch: 0 },
+        { x: 0.9, y: 0, yaw: 0, pitch: 0 },
+      ],
+    },
+    spread: {
+      name: 'SPREAD',
+      fireRate: 180,
+      speed: 70,
+      lifetime: 1200,
+      damage: 8,
+      radius: 0.2,
+      color: '#ffdd44',
+      pattern: [
+        { x: 0, y: 0, yaw: -0.16, pitch: 0 },
+        { x: 0, y: 0, yaw: -0.08, pitch: 0 },
+        { x: 0, y: 0, yaw: 0, pitch: 0 },
+        { x: 0, y: 0, yaw: 0.08, pitch: 0 },
+        { x: 0, y: 0, yaw: 0.16, pitch: 0 },
+      ],
+    },
+  },
+
+  bomb: {
+    name: 'NOVA BOMB',
+    fireRate: 500,
+    speed: 50,
+    lifetime: 1500, // fuse: detonates on its own after this
+    damage: 0,
+    radius: 0.4,
+    color: '#ff8800',
+    pattern: [{ x: 0, y: 0, yaw: 0, pitch: 0 }],
+    blast: { radius: 12, damage: 100 },
+    ammo: { start: 3, max: 9 },
+  },
+};
+
+// Pickup types: 'laser' moves the primary one tier up the laser line,
+// 'spread' switches to the spread gun and 'bomb' adds bomb ammo
+export const PICKUP_TYPES = ['laser', 'spread', 'bomb'];
+
+// Next primary weapon after a laser pickup: one tier up the laser line
+// (spread switches back to the laser line at its lowest tier)
+export function upgradeWeapon(weapons, current) {
+  const tiers = weapons.laserTiers;
+  const index = tiers.indexOf(current);
+  if (index === -1) return tiers[0];
+  return tiers[Math.min(index + 1, tiers.length - 1)];
+}
+
+// Primary weapon after taking a hit: one laser tier down; spread falls back
+// to the lowest laser tier
+export function downgradeWeapon(weapons, current) {
+  const tiers = weapons.laserTiers;
+  const index = tiers.indexOf(current);
+  return tiers[Math.max(index - 1, 0)];
+}